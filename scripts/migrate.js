@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+// Apply or inspect database schema migrations
+// Usage: node scripts/migrate.js [up|status]
+//   up      Apply pending migrations (default)
+//   status  List migrations and whether each has been applied
+
+require('dotenv').config();
+
+const { runMigrations, getMigrationStatus } = require('../src/services/migrations');
+const { close } = require('../src/services/database');
+
+async function main() {
+  const command = process.argv[2] || 'up';
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL is not set');
+    return 1;
+  }
+
+  if (command === 'up') {
+    const applied = await runMigrations();
+    console.log(applied.length > 0 ? `✅ Applied: ${applied.join(', ')}` : '✅ Database schema is up to date');
+    return 0;
+  }
+
+  if (command === 'status') {
+    const migrations = await getMigrationStatus();
+    for (const migration of migrations) {
+      const state = migration.applied
+        ? `applied ${new Date(migration.appliedAt).toISOString()}`
+        : 'pending';
+      console.log(`${migration.applied ? '✅' : '⏳'} ${migration.id}  ${migration.description}  (${state})`);
+    }
+    const pending = migrations.filter(migration => !migration.applied).length;
+    console.log(`\n${migrations.length} migration(s), ${pending} pending`);
+    return 0;
+  }
+
+  console.error(`Unknown command "${command}" - use "up" or "status"`);
+  return 1;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => close());
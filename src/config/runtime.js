@@ -0,0 +1,329 @@
+/**
+ * Runtime Configuration
+ * Single validated config for the JS server (index-simple.js and its services)
+ * Everything comes from environment variables - there are no built-in credentials
+ * or hosts. The server calls assertValidConfig() at startup and refuses to start
+ * when a required secret is missing or a value is malformed
+ */
+
+const { z } = require('zod');
+
+// Empty environment variables count as unset
+const optionalString = z.preprocess(
+  value => (typeof value === 'string' && value.trim() === '' ? undefined : value),
+  z.string().trim().optional()
+);
+const optionalUrl = z.preprocess(
+  value => (typeof value === 'string' && value.trim() === '' ? undefined : value),
+  z.string().trim().url().optional()
+);
+// Durations in hours, e.g. retention windows and link lifetimes
+const hours = defaultHours => z.preprocess(
+  value => (typeof value === 'string' && value.trim() === '' ? undefined : value),
+  z.coerce.number().positive().default(defaultHours)
+);
+
+const configSchema = z.object({
+  nodeEnv: z.string().default('development'),
+  port: z.coerce.number().int().positive().default(10000),
+  // Base URL for reply links and file URLs, e.g. https://hub.example.com
+  publicUrl: optionalUrl,
+  databaseUrl: optionalString,
+
+  whatsApp: z.object({
+    apiUrl: optionalUrl,
+    accessToken: optionalString,
+    phoneNumberId: optionalString,
+    verifyToken: optionalString,
+    appSecret: optionalString,
+    // Template sent when the 24-hour window has closed, and JSON overrides of the registry
+    replyTemplate: z.string().default('agent_reply'),
+    templatesJson: optionalString
+  }),
+
+  line: z.object({
+    apiUrl: optionalUrl,
+    dataApiUrl: optionalUrl,
+    channelAccessToken: optionalString,
+    channelSecret: optionalString,
+    profileCacheHours: hours(24)
+  }),
+
+  googleChat: z.object({
+    credentialsJson: optionalString,
+    // BMA Chat Support space
+    spaceId: z.string().default('spaces/AAQAfKFrdxQ')
+  }),
+
+  elevenLabs: z.object({
+    apiKey: optionalString,
+    agentId: optionalString,
+    // Shared secret the agent's server tools send in X-Tool-Secret
+    toolSecret: optionalString
+  }),
+
+  soundtrack: z.object({
+    apiToken: optionalString
+  }),
+
+  portal: z.object({
+    secret: optionalString,
+    // "Name:email,Name:email" - defaults to the team roster
+    agents: optionalString,
+    linkTtlHours: hours(24),
+    sessionHours: hours(12)
+  }),
+
+  messageHistory: z.object({
+    retentionHours: hours(24)
+  }),
+
+  webhooks: z.object({
+    // Local testing only - ignored in production
+    skipSignature: z.boolean(),
+    dedupWindowHours: hours(24)
+  }),
+
+  admin: z.object({
+    // Bearer token for the admin API - the API is disabled without it
+    apiToken: optionalString
+  }),
+
+  assignment: z.object({
+    // JSON rules and roster files used when there is no database
+    rulesFile: optionalString,
+    rosterFile: optionalString
+  }),
+
+  sla: z.object({
+    // JSON SLA policies file used when there is no database
+    policiesFile: optionalString
+  }),
+
+  businessHours: z.object({
+    // JSON business-hours calendar file used when there is no database
+    calendarFile: optionalString
+  }),
+
+  features: z.object({
+    whatsAppAutoGreeting: z.boolean()
+  })
+});
+
+// Secrets the server can't run without - [config path, environment variable]
+const REQUIRED_SETTINGS = [
+  ['whatsApp.apiUrl', 'WHATSAPP_API_URL'],
+  ['whatsApp.accessToken', 'WHATSAPP_ACCESS_TOKEN'],
+  ['whatsApp.phoneNumberId', 'WHATSAPP_PHONE_NUMBER_ID'],
+  ['whatsApp.verifyToken', 'WHATSAPP_VERIFY_TOKEN'],
+  ['line.apiUrl', 'LINE_API_URL'],
+  ['line.channelAccessToken', 'LINE_CHANNEL_ACCESS_TOKEN'],
+  ['line.channelSecret', 'LINE_CHANNEL_SECRET'],
+  ['googleChat.credentialsJson', 'GOOGLE_CREDENTIALS_JSON'],
+  ['elevenLabs.apiKey', 'ELEVENLABS_API_KEY'],
+  ['elevenLabs.agentId', 'ELEVENLABS_AGENT_ID'],
+  ['soundtrack.apiToken', 'SOUNDTRACK_API_TOKEN']
+];
+
+// Only required in production - development falls back to localhost links and a temporary portal secret
+const PRODUCTION_SETTINGS = [
+  ['publicUrl', 'PUBLIC_URL'],
+  ['portal.secret', 'PORTAL_SECRET'],
+  ['whatsApp.appSecret', 'WHATSAPP_APP_SECRET'],
+  ['elevenLabs.toolSecret', 'ELEVENLABS_TOOL_SECRET']
+];
+
+// Config path -> environment variable, for error messages
+const ENV_NAMES = Object.fromEntries([
+  ...REQUIRED_SETTINGS,
+  ...PRODUCTION_SETTINGS,
+  ['port', 'PORT'],
+  ['line.dataApiUrl', 'LINE_DATA_API_URL'],
+  ['line.profileCacheHours', 'LINE_PROFILE_CACHE_HOURS'],
+  ['portal.linkTtlHours', 'PORTAL_LINK_TTL_HOURS'],
+  ['portal.sessionHours', 'PORTAL_SESSION_HOURS'],
+  ['messageHistory.retentionHours', 'MESSAGE_HISTORY_RETENTION_HOURS'],
+  ['webhooks.dedupWindowHours', 'WEBHOOK_DEDUP_WINDOW_HOURS']
+]);
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n- ${problems.join('\n- ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+class RuntimeConfig {
+  constructor() {
+    this.config = null;
+  }
+
+  /**
+   * Map environment variables onto the config shape
+   * @param {Object} env - Environment variables
+   * @returns {Object} Raw (unvalidated) config
+   */
+  fromEnv(env) {
+    return {
+      nodeEnv: env.NODE_ENV,
+      port: env.PORT,
+      publicUrl: env.PUBLIC_URL,
+      databaseUrl: env.DATABASE_URL,
+      whatsApp: {
+        apiUrl: env.WHATSAPP_API_URL,
+        accessToken: env.WHATSAPP_ACCESS_TOKEN,
+        phoneNumberId: env.WHATSAPP_PHONE_NUMBER_ID,
+        verifyToken: env.WHATSAPP_VERIFY_TOKEN,
+        appSecret: env.WHATSAPP_APP_SECRET || env.WHATSAPP_WEBHOOK_SECRET,
+        replyTemplate: env.WHATSAPP_REPLY_TEMPLATE || undefined,
+        templatesJson: env.WHATSAPP_TEMPLATES
+      },
+      line: {
+        apiUrl: env.LINE_API_URL,
+        dataApiUrl: env.LINE_DATA_API_URL,
+        channelAccessToken: env.LINE_CHANNEL_ACCESS_TOKEN,
+        channelSecret: env.LINE_CHANNEL_SECRET,
+        profileCacheHours: env.LINE_PROFILE_CACHE_HOURS
+      },
+      googleChat: {
+        credentialsJson: env.GOOGLE_CREDENTIALS_JSON,
+        spaceId: env.GCHAT_SPACE_ID || undefined
+      },
+      elevenLabs: {
+        apiKey: env.ELEVENLABS_API_KEY,
+        agentId: env.ELEVENLABS_AGENT_ID,
+        toolSecret: env.ELEVENLABS_TOOL_SECRET
+      },
+      soundtrack: {
+        apiToken: env.SOUNDTRACK_API_TOKEN
+      },
+      portal: {
+        secret: env.PORTAL_SECRET,
+        agents: env.PORTAL_AGENTS,
+        linkTtlHours: env.PORTAL_LINK_TTL_HOURS,
+        sessionHours: env.PORTAL_SESSION_HOURS
+      },
+      messageHistory: {
+        retentionHours: env.MESSAGE_HISTORY_RETENTION_HOURS
+      },
+      webhooks: {
+        skipSignature: env.SKIP_WEBHOOK_SIGNATURE === 'true',
+        dedupWindowHours: env.WEBHOOK_DEDUP_WINDOW_HOURS
+      },
+      admin: {
+        apiToken: env.ADMIN_API_TOKEN
+      },
+      assignment: {
+        rulesFile: env.ASSIGNMENT_RULES_FILE,
+        rosterFile: env.TEAM_ROSTER_FILE
+      },
+      sla: {
+        policiesFile: env.SLA_POLICIES_FILE
+      },
+      businessHours: {
+        calendarFile: env.BUSINESS_HOURS_FILE
+      },
+      features: {
+        whatsAppAutoGreeting: env.ENABLE_WHATSAPP_AUTO_GREETING === 'true'
+      }
+    };
+  }
+
+  /**
+   * Validate environment variables without throwing
+   * @param {Object} env - Environment variables (defaults to process.env)
+   * @returns {Object} { config, problems } - config is null when a value is malformed
+   */
+  parse(env = process.env) {
+    const result = configSchema.safeParse(this.fromEnv(env));
+    if (!result.success) {
+      return {
+        config: null,
+        problems: result.error.errors.map(error => {
+          const configPath = error.path.join('.');
+          return `${ENV_NAMES[configPath] || configPath}: ${error.message}`;
+        })
+      };
+    }
+
+    const config = result.data;
+    const required = config.nodeEnv === 'production'
+      ? [...REQUIRED_SETTINGS, ...PRODUCTION_SETTINGS]
+      : REQUIRED_SETTINGS;
+    const problems = required
+      .filter(([configPath]) => !configPath.split('.').reduce((value, key) => value?.[key], config))
+      .map(([, envName]) => `${envName} is not set`);
+
+    config.publicUrl = (config.publicUrl || `http://localhost:${config.port}`).replace(/\/+$/, '');
+
+    // Check the values we parse rather than pass through
+    const jsonSettings = [
+      [config.googleChat.credentialsJson, 'GOOGLE_CREDENTIALS_JSON'],
+      [config.whatsApp.templatesJson, 'WHATSAPP_TEMPLATES']
+    ];
+    for (const [value, envName] of jsonSettings) {
+      if (!value) continue;
+      try {
+        JSON.parse(value);
+      } catch (error) {
+        problems.push(`${envName} is not valid JSON`);
+      }
+    }
+
+    return { config, problems };
+  }
+
+  /**
+   * Get the validated config, parsed once per process
+   * Missing secrets are reported by assertValid() at startup, not here, so
+   * modules can be loaded (e.g. in tests) without the full environment
+   * @returns {Object} Config
+   * @throws {ConfigError} If a value is malformed
+   */
+  get() {
+    if (!this.config) {
+      const { config, problems } = this.parse();
+      if (!config) {
+        throw new ConfigError(problems);
+      }
+      this.config = config;
+    }
+    return this.config;
+  }
+
+  /**
+   * Exit the process if the configuration is incomplete or malformed
+   * Called once at server startup
+   */
+  assertValid() {
+    const { config, problems } = this.parse();
+    if (problems.length > 0) {
+      console.error('❌ Configuration validation failed:');
+      problems.forEach(problem => console.error(`- ${problem}`));
+      process.exit(1);
+    }
+    this.config = config;
+    console.log(`✅ Configuration valid (${config.nodeEnv}, public URL ${config.publicUrl})`);
+  }
+
+  /**
+   * Forget the parsed config so the next get() re-reads the environment (tests)
+   */
+  reset() {
+    this.config = null;
+  }
+}
+
+// Export singleton instance
+const runtimeConfig = new RuntimeConfig();
+
+module.exports = {
+  runtimeConfig,
+  ConfigError,
+  getConfig: () => runtimeConfig.get(),
+  parseConfig: (env) => runtimeConfig.parse(env),
+  assertValidConfig: () => runtimeConfig.assertValid(),
+  resetConfig: () => runtimeConfig.reset(),
+  publicUrl: (path = '') => `${runtimeConfig.get().publicUrl}${path}`
+};
@@ -1,26 +1,54 @@
 // Load environment variables first
 require('dotenv').config();
 
+// Refuse to start with missing secrets or malformed settings
+const { getConfig, assertValidConfig, publicUrl } = require('./config/runtime');
+if (require.main === module) {
+  assertValidConfig();
+}
+const config = getConfig();
+
 const express = require('express');
 const multer = require('multer');
 const crypto = require('crypto');
 const axios = require('axios');
 const { sendMessage, loadSpaceMembers, getMentionForEmail } = require('./services/google-chat-simple');
-const { parseWhatsAppMessage, parseLineMessage, isValidMessage } = require('./services/message-processor');
+const { parseWhatsAppMessage, parseWhatsAppStatuses, parseLineMessage, parseLineLifecycleEvents, isValidMessage } = require('./services/message-processor');
 // Removed message router - using single space now
 const { translateMessage, healthCheck: translatorHealthCheck } = require('./services/translator');
 
 // Single Google Chat space for all messages
-const SINGLE_SPACE_ID = process.env.GCHAT_SPACE_ID || 'spaces/AAQAfKFrdxQ'; // BMA Chat Support
+const SINGLE_SPACE_ID = config.googleChat.spaceId;
 const { processGoogleChatWebhook } = require('./webhooks/google-chat');
-const { healthCheck: whatsappHealthCheck, sendWhatsAppMessage, sendInfoRequest: sendWhatsAppInfoRequest, sendMediaMessage: sendWhatsAppMedia } = require('./services/whatsapp-sender');
-const { healthCheck: lineHealthCheck, sendLineMessage, sendInfoRequest: sendLineInfoRequest, sendMediaMessage: sendLineMedia } = require('./services/line-sender');
-const { saveFile, getFileUrl, readFile } = require('./services/file-handler');
+const { captureRawBody, requireWhatsAppSignature, requireLineSignature, requireElevenLabsToolSecret } = require('./webhooks/signature');
+const { healthCheck: whatsappHealthCheck, sendWhatsAppMessage, sendReply: sendWhatsAppReply, isWithinServiceWindow, sendInfoRequest: sendWhatsAppInfoRequest, sendMediaMessage: sendWhatsAppMedia, sendButtonMessage: sendWhatsAppButtons } = require('./services/whatsapp-sender');
+const { getReplyTemplate } = require('./services/whatsapp-templates');
+const { healthCheck: lineHealthCheck, sendLineMessage, sendInfoRequest: sendLineInfoRequest, sendMediaMessage: sendLineMedia, sendFlexMessage: sendLineFlex } = require('./services/line-sender');
+const { buildZoneStatusCard, buildEscalationConfirmation } = require('./services/line-flex');
+const { registerPostbackHandler, dispatchPostback } = require('./services/line-postbacks');
+const { registerWhatsAppReplyHandler, dispatchWhatsAppReply, isMenuRequest, MAIN_MENU } = require('./services/whatsapp-replies');
+const { resolveLineProfile } = require('./services/line-profiles');
+const { saveFile, getFileUrl, readFile, isFileAvailable, checkChannelMedia, CHANNEL_MEDIA_LIMITS } = require('./services/file-handler');
 const { getStats, getConversation, getConversationByUser, storeConversation, getMostRecentConversation } = require('./services/conversation-store');
 const { startPolling, stopPolling, getStatus: getPollingStatus, getStats: getPollingStats } = require('./services/google-chat-poller');
-const { storeMessage, getHistory, formatForDisplay, normalizePhoneNumber, clearOutgoingMessages } = require('./services/message-history');
-const { getProfile, saveProfile, getStats: getProfileStats } = require('./services/customer-profiles');
-const { markEscalated, isEscalated, getEscalationInfo, clearEscalation, getAllEscalated, extendEscalation, getRemainingTime, ESCALATION_TIMEOUT_MS } = require('./services/escalation-store');
+const { storeMessage, getHistory, formatForDisplay, normalizePhoneNumber, clearOutgoingMessages, updateDeliveryStatus } = require('./services/message-history');
+const { CHANNELS, getProfile, saveProfile, findCustomer, saveCustomer, getCustomerById, linkIdentity, mergeCustomers, searchCustomers, setLineStatus, recordIncoming, getLastIncomingAt, getStats: getProfileStats } = require('./services/customer-profiles');
+const { runMigrations } = require('./services/migrations');
+const { initialize: initializeEscalations, markEscalated, isEscalated, getEscalationInfo, clearEscalation, getAllEscalated, extendEscalation, getRemainingTime, ESCALATION_TIMEOUT_MS } = require('./services/escalation-store');
+const { ensureAgentLive, getConversationPhone } = require('./services/elevenlabs-agent');
+const { checkConversation, getGateStats } = require('./services/elevenlabs-gate');
+const { isDuplicate: isDuplicateWebhook } = require('./services/webhook-dedup');
+const { subscribe: subscribeLive, getStats: getLiveStats } = require('./services/live-events');
+const { getInbox, INBOX_CHANNELS, STATUSES: INBOX_STATUSES } = require('./services/inbox');
+const { archiveWhatsAppMedia, archiveLineContent } = require('./services/media-archive');
+const { initialize: initializeAssignmentRules, getAssignmentRules, updateAssignmentRules, saveAssignmentRule, deleteAssignmentRule, matchAssignment, guessLanguage } = require('./services/assignment-rules');
+const { initialize: initializeRoster, getRoster, updateRoster, findMember, isAvailable, setOnDuty, revokeSignIn } = require('./services/team-roster');
+const { assignEscalation } = require('./services/escalation-assignment');
+const { initialize: initializeSlaPolicies, getSlaPolicies, getSlaPolicy, updateSlaPolicies } = require('./services/sla-policies');
+const { initialize: initializeSlaTracker, getOpenSla, getSlaSummary } = require('./services/sla-tracker');
+const { initialize: initializeBusinessHours, getCalendar, updateCalendar, getBusinessHoursStatus, formatOpening } = require('./services/business-hours');
+const { SettingsError } = require('./services/editable-settings');
+const { requirePortalAccess, requireAdmin, createPortalLink, createToken, phoneScope, conversationScope, elevenLabsScope, customerScope, inboxScope, createSession, getSessionAgent, buildSessionCookie, findAgent, createSignInLink, verifySignIn } = require('./services/portal-auth');
 
 // Customer info and AI gathering services
 const {
@@ -47,35 +75,38 @@ const {
 } = require('./services/ai-gatherer');
 
 const app = express();
-const PORT = process.env.PORT || 10000;
+const PORT = config.port;
 
 // Note: Space IDs are now managed by the message-router service
 
-// Parse JSON bodies
-app.use(express.json());
+// Parse JSON bodies - must stay ahead of every route so the raw body is
+// preserved for WhatsApp/LINE webhook signature verification
+app.use(express.json({ verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 
 // Configure multer for file uploads
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024; // 10MB max file size
+
+// Allowed file types
+const UPLOAD_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif',
+  'video/mp4', 'video/mpeg',
+  'audio/mpeg', 'audio/wav',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB max file size
+    fileSize: MAX_UPLOAD_BYTES,
     files: 5 // Max 5 files per upload
   },
   fileFilter: (req, file, cb) => {
-    // Allowed file types
-    const allowedTypes = [
-      'image/jpeg', 'image/png', 'image/gif',
-      'video/mp4', 'video/mpeg',
-      'audio/mpeg', 'audio/wav',
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
+    if (UPLOAD_TYPES.includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('Invalid file type. Only images, videos, audio, PDFs and Office documents are allowed.'));
@@ -83,6 +114,27 @@ const upload = multer({
   }
 });
 
+// Helper: Accept uploaded files, answering rejected uploads (type, size, count) with a JSON error
+function acceptFiles(field, maxCount) {
+  const middleware = upload.array(field, maxCount);
+  return (req, res, next) => middleware(req, res, (error) => {
+    if (!error) return next();
+    const messages = {
+      LIMIT_FILE_SIZE: `Files must be ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB or smaller`,
+      LIMIT_FILE_COUNT: `Send at most ${maxCount} files at a time`,
+      LIMIT_UNEXPECTED_FILE: `Send at most ${maxCount} files at a time`
+    };
+    res.status(400).json({ success: false, error: messages[error.code] || error.message });
+  });
+}
+
+// Helper: Files an agent can upload for a channel - MIME type → largest file in bytes
+function getUploadLimits(channel) {
+  return Object.fromEntries(Object.entries(CHANNEL_MEDIA_LIMITS[channel])
+    .filter(([type]) => UPLOAD_TYPES.includes(type))
+    .map(([type, maxSize]) => [type, Math.min(maxSize, MAX_UPLOAD_BYTES)]));
+}
+
 // Simple health check endpoint for Docker health checks (no external dependencies)
 app.get('/health-simple', (req, res) => {
   res.json({
@@ -145,6 +197,9 @@ app.get('/health', async (req, res) => {
     overallStatus = 'degraded';
   }
 
+  healthChecks.agentGate = getGateStats();
+  healthChecks.liveChat = getLiveStats();
+
   res.json({
     status: overallStatus,
     service: 'BMA Messenger Hub',
@@ -178,6 +233,41 @@ app.get('/', (req, res) => {
   });
 });
 
+/**
+ * Look up a single Soundtrack sound zone (used by LINE zone-status cards)
+ * @param {string} zoneId - Encoded Soundtrack zone ID
+ * @returns {Promise<Object|null>} { id, name, isPaired, playbackState, pairingCode } or null
+ */
+async function fetchSoundZone(zoneId) {
+  if (!zoneId || !config.soundtrack.apiToken) {
+    return null;
+  }
+
+  const response = await axios.post('https://api.soundtrackyourbrand.com/v2', {
+    query: 'query ($id: ID!) { soundZone(id: $id) { id name isPaired device { pairingCode } playback { state } } }',
+    variables: { id: zoneId }
+  }, {
+    headers: {
+      'Authorization': `Basic ${config.soundtrack.apiToken}`,
+      'Content-Type': 'application/json'
+    },
+    timeout: 10000
+  });
+
+  const zone = response.data.data?.soundZone;
+  if (!zone) {
+    return null;
+  }
+
+  return {
+    id: zone.id,
+    name: zone.name,
+    isPaired: zone.isPaired,
+    playbackState: zone.playback?.state || null,
+    pairingCode: zone.device?.pairingCode || null
+  };
+}
+
 // Soundtrack API proxy - handles encoded IDs and returns formatted results
 app.post('/api/soundtrack/zone-status', async (req, res) => {
   try {
@@ -226,7 +316,13 @@ app.post('/api/soundtrack/zone-status', async (req, res) => {
     console.log('Use account lookup:', useAccountLookup);
 
     // Query Soundtrack API
-    const SOUNDTRACK_TOKEN = process.env.SOUNDTRACK_API_TOKEN || 'YVhId2UyTWJVWEhMRWlycUFPaUl3Y2NtOXNGeUoxR0Q6SVRHazZSWDVYV2FTenhiS1ZwNE1sSmhHUUJEVVRDdDZGU0FwVjZqMXNEQU1EMjRBT2pub2hmZ3NQODRRNndQWg==';
+    const SOUNDTRACK_TOKEN = config.soundtrack.apiToken;
+    if (!SOUNDTRACK_TOKEN) {
+      return res.status(503).json({
+        success: false,
+        error: 'Soundtrack API is not configured'
+      });
+    }
 
     // If it's an account ID, do account lookup
     // Include device { pairingCode } for device pairing codes
@@ -395,12 +491,14 @@ app.post('/api/soundtrack/zone-status', async (req, res) => {
 });
 
 // Customer Profile API - Get customer info by phone (for ElevenLabs agent)
+// ?channel=line or ?channel=email looks the customer up by LINE user ID or email instead
 app.get('/api/customer/:phone', async (req, res) => {
   try {
     const { phone } = req.params;
-    console.log(`📋 Customer profile lookup request for: ${phone}`);
+    const channel = req.query.channel || 'whatsapp';
+    console.log(`📋 Customer profile lookup request for ${channel}: ${phone}`);
 
-    const profile = await getProfile(phone);
+    const profile = await findCustomer(channel, phone);
 
     if (profile && (profile.name || profile.company || profile.email)) {
       console.log(`✅ Found customer profile for ${phone}`);
@@ -411,7 +509,8 @@ app.get('/api/customer/:phone', async (req, res) => {
           name: profile.name || null,
           company: profile.company || null,
           email: profile.email || null,
-          lastSeen: profile.lastSeen ? new Date(profile.lastSeen).toISOString() : null
+          lastSeen: profile.lastSeen ? new Date(profile.lastSeen).toISOString() : null,
+          identities: profile.identities
         }
       });
     }
@@ -479,19 +578,429 @@ app.get('/api/customer-stats', async (req, res) => {
   });
 });
 
-// Helper: Get Thailand time and business hours status
-function getThailandTimeInfo() {
+const IDENTITY_LABELS = {
+  whatsapp: '💬 WhatsApp',
+  line: '📱 LINE',
+  email: '📧 Email'
+};
+
+// Helper: Escape customer-provided text for server-rendered pages
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Helper: Info-box row linking a reply portal to the customer record
+function renderCustomerRecordRow(customerProfile) {
+  if (!customerProfile?.id) {
+    return '';
+  }
+  const link = `/customers/${customerProfile.id}?token=${encodeURIComponent(createToken(customerScope(customerProfile.id)))}`;
+  const channels = [...new Set(customerProfile.identities.map(identity => IDENTITY_LABELS[identity.channel] || identity.channel))];
+  return `<div class="info-row"><span class="info-label">Record:</span> <a href="${link}" target="_blank">👤 Customer #${customerProfile.id}</a> (${channels.join(', ')})</div>`;
+}
+
+// Customer record - shows every channel identity and lets staff link or merge records
+app.get('/customers/:id', requirePortalAccess(req => customerScope(req.params.id), { page: true }), async (req, res) => {
+  const customerId = parseInt(req.params.id, 10);
+  const tokenQuery = `?token=${encodeURIComponent(req.portalToken)}`;
+  const query = (req.query.q || '').trim();
+
+  try {
+    const customer = await getCustomerById(customerId);
+    if (!customer) {
+      return res.status(404).send('<h1>Customer not found</h1>');
+    }
+
+    // Merged records redirect to the customer they were merged into
+    if (customer.id !== customerId) {
+      return res.redirect(`/customers/${customer.id}?token=${encodeURIComponent(createToken(customerScope(customer.id)))}`);
+    }
+
+    const candidates = query
+      ? (await searchCustomers(query)).filter(candidate => candidate.id !== customer.id)
+      : [];
+    const notice = req.query.notice ? `<div class="notice">${escapeHtml(req.query.notice)}</div>` : '';
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Customer #${customer.id}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            padding: 20px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            margin: 0;
+          }
+          .container {
+            max-width: 600px;
+            margin: 0 auto;
+            background: white;
+            border-radius: 12px;
+            box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+            overflow: hidden;
+          }
+          .header { background: #075E54; color: white; padding: 20px; font-size: 20px; font-weight: bold; }
+          .content { padding: 20px; }
+          .info-box { background: #f8f9fa; border-left: 4px solid #075E54; padding: 15px; margin-bottom: 20px; border-radius: 4px; }
+          .info-row { margin: 8px 0; color: #495057; }
+          .info-label { font-weight: 600; color: #212529; }
+          .avatar { width: 48px; height: 48px; border-radius: 50%; vertical-align: middle; margin-right: 8px; }
+          table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
+          td { padding: 8px; border-bottom: 1px solid #e0e0e0; font-size: 14px; }
+          form.inline { display: flex; gap: 8px; margin-bottom: 20px; }
+          input, select { padding: 10px; border: 2px solid #e0e0e0; border-radius: 8px; font-size: 14px; font-family: inherit; }
+          input { flex: 1; }
+          button { padding: 10px 16px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: #075E54; color: white; }
+          .candidate { border: 1px solid #e0e0e0; border-radius: 8px; padding: 12px; margin-bottom: 10px; }
+          .candidate button { background: #d97706; margin-top: 8px; }
+          .notice { background: #fef3c7; border: 1px solid #fcd34d; color: #92400e; padding: 12px; border-radius: 8px; margin-bottom: 20px; }
+          .muted { color: #6b7280; font-size: 13px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">👤 Customer #${customer.id}</div>
+          <div class="content">
+            ${notice}
+            <div class="info-box">
+              <div class="info-row">
+                ${customer.pictureUrl ? `<img class="avatar" src="${encodeURI(customer.pictureUrl)}" alt="">` : ''}
+                <span class="info-label">${escapeHtml(customer.name || customer.displayName || 'Unknown customer')}</span>
+                ${customer.displayName && customer.name ? `<span class="muted">(LINE: ${escapeHtml(customer.displayName)})</span>` : ''}
+              </div>
+              ${customer.company ? `<div class="info-row"><span class="info-label">Company:</span> ${escapeHtml(customer.company)}</div>` : ''}
+              ${customer.email ? `<div class="info-row"><span class="info-label">Email:</span> ${escapeHtml(customer.email)}</div>` : ''}
+              ${customer.lineStatus ? `<div class="info-row"><span class="info-label">LINE:</span> ${escapeHtml(customer.lineStatus)}</div>` : ''}
+              <div class="info-row"><span class="info-label">Last seen:</span> ${customer.lastSeen ? new Date(customer.lastSeen).toLocaleString('en-US', { timeZone: 'Asia/Bangkok' }) : '-'}</div>
+            </div>
+
+            <h3>🔗 Channel identities</h3>
+            <table>
+              ${customer.identities.map(identity => `
+                <tr><td>${IDENTITY_LABELS[identity.channel] || escapeHtml(identity.channel)}</td><td>${escapeHtml(identity.identifier)}</td></tr>
+              `).join('')}
+            </table>
+
+            <form class="inline" action="/customers/${customer.id}/identities${tokenQuery}" method="POST">
+              <select name="channel">
+                ${CHANNELS.map(channel => `<option value="${channel}">${IDENTITY_LABELS[channel]}</option>`).join('')}
+              </select>
+              <input name="identifier" placeholder="Phone, LINE user ID or email" required>
+              <button type="submit">Link</button>
+            </form>
+
+            <h3>🔀 Merge another record into this one</h3>
+            <p class="muted">Search by name, company, phone, LINE user ID or email. The other record's identities move here and it is retired.</p>
+            <form class="inline" action="/customers/${customer.id}" method="GET">
+              <input type="hidden" name="token" value="${escapeHtml(req.portalToken)}">
+              <input name="q" value="${escapeHtml(query)}" placeholder="Search customers">
+              <button type="submit">Search</button>
+            </form>
+
+            ${query && candidates.length === 0 ? '<p class="muted">No other customers match.</p>' : ''}
+            ${candidates.map(candidate => `
+              <div class="candidate">
+                <div><strong>#${candidate.id} ${escapeHtml(candidate.name || candidate.displayName || 'Unknown customer')}</strong>
+                  ${candidate.company ? ` - ${escapeHtml(candidate.company)}` : ''}</div>
+                <div class="muted">${candidate.identities.map(identity => `${IDENTITY_LABELS[identity.channel] || escapeHtml(identity.channel)} ${escapeHtml(identity.identifier)}`).join(' · ')}</div>
+                <form action="/customers/${customer.id}/merge${tokenQuery}" method="POST" onsubmit="return confirm('Merge customer #${candidate.id} into #${customer.id}?')">
+                  <input type="hidden" name="sourceId" value="${candidate.id}">
+                  <button type="submit">Merge into #${customer.id}</button>
+                </form>
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('Error loading customer record:', error);
+    res.status(500).send('<h1>Error loading customer record</h1>');
+  }
+});
+
+// Link another channel identity to a customer
+app.post('/customers/:id/identities', requirePortalAccess(req => customerScope(req.params.id)), async (req, res) => {
+  const customerId = parseInt(req.params.id, 10);
+  const { channel, identifier } = req.body;
+  const tokenQuery = `?token=${encodeURIComponent(req.portalToken)}`;
+
+  const result = await linkIdentity(customerId, channel, identifier);
+  let notice = `Linked ${channel} identity`;
+  if (!result.success) {
+    notice = result.conflictCustomerId
+      ? `That ${channel} identity belongs to customer #${result.conflictCustomerId} - search for it below and merge the records instead`
+      : `Could not link identity: ${result.error}`;
+  } else {
+    console.log(`🔗 ${req.portalAgent.name} linked ${channel} identity to customer ${customerId}`);
+  }
+
+  res.redirect(`/customers/${customerId}${tokenQuery}&notice=${encodeURIComponent(notice)}`);
+});
+
+// Merge another customer record into this one
+app.post('/customers/:id/merge', requirePortalAccess(req => customerScope(req.params.id)), async (req, res) => {
+  const targetId = parseInt(req.params.id, 10);
+  const sourceId = parseInt(req.body.sourceId, 10);
+  const tokenQuery = `?token=${encodeURIComponent(req.portalToken)}`;
+
+  const merged = Number.isInteger(sourceId) ? await mergeCustomers(targetId, sourceId) : null;
+  const notice = merged
+    ? `Merged customer #${sourceId} into this record`
+    : `Could not merge customer #${req.body.sourceId}`;
+
+  if (merged) {
+    console.log(`🔀 ${req.portalAgent.name} merged customer ${sourceId} into ${targetId}`);
+  }
+
+  res.redirect(`/customers/${targetId}${tokenQuery}&notice=${encodeURIComponent(notice)}`);
+});
+
+const INBOX_CHANNEL_LABELS = {
+  whatsapp: '💬 WhatsApp',
+  line: '📱 LINE',
+  website: '🌐 Website'
+};
+
+const INBOX_STATUS_LABELS = {
+  escalated: '⏸️ Escalated',
+  waiting: '⏳ Waiting',
+  active: '🤖 AI active'
+};
+
+const SLA_TARGET_LABELS = {
+  firstReply: 'First reply',
+  resolution: 'Resolution'
+};
+
+// Helper: Read inbox filters from the query string, ignoring unknown values
+function parseInboxFilters(query) {
+  return {
+    channel: INBOX_CHANNELS.includes(query.channel) ? query.channel : null,
+    status: INBOX_STATUSES.includes(query.status) ? query.status : null,
+    assignee: (query.assignee || '').trim() || null,
+    unread: query.unread === 'true' || query.unread === '1',
+    q: (query.q || '').trim() || null
+  };
+}
+
+// Helper: Signed portal link for an inbox entry - the live chat for WhatsApp, the reply portal otherwise
+function inboxEntryLink(entry) {
+  if (entry.channel === 'whatsapp') {
+    return `/reply-live/${entry.identifier}?token=${encodeURIComponent(createToken(phoneScope(entry.identifier)))}`;
+  }
+  if (entry.conversationId) {
+    return `/reply/${entry.conversationId}?token=${encodeURIComponent(createToken(conversationScope(entry.conversationId)))}`;
+  }
+  return null;
+}
+
+// Agent inbox (JSON) - every open conversation and escalation across channels
+app.get('/api/inbox', requirePortalAccess(() => inboxScope()), async (req, res) => {
+  try {
+    const inbox = await getInbox(parseInboxFilters(req.query));
+    res.json({
+      success: true,
+      ...inbox,
+      entries: inbox.entries.map(entry => ({ ...entry, link: inboxEntryLink(entry) }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Agent inbox - the whole queue for shift leads, linked from escalation alerts
+app.get('/inbox', requirePortalAccess(() => inboxScope(), { page: true }), async (req, res) => {
+  const filters = parseInboxFilters(req.query);
+  console.log(`[inbox] ${req.portalAgent.name} opened the inbox`);
+
+  try {
+    const { entries, counts, assignees } = await getInbox(filters);
+    const selected = (value, current) => (value === current ? ' selected' : '');
+    const formatTime = timestamp => new Date(timestamp).toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+      timeZone: 'Asia/Bangkok'
+    });
+
+    const rows = entries.map(entry => {
+      const link = inboxEntryLink(entry);
+      const lastText = entry.lastMessage
+        ? `${entry.lastMessage.direction === 'incoming' ? '👤' : '↩️'} ${escapeHtml(entry.lastMessage.text.slice(0, 140))}`
+        : '<span class="muted">No messages yet</span>';
+      return `
+        <div class="entry${entry.sla?.breached ? ' breached' : ''}">
+          <div class="entry-top">
+            <span>${INBOX_CHANNEL_LABELS[entry.channel]}</span>
+            <strong>${link ? `<a href="${link}" target="_blank">${escapeHtml(entry.customerName || entry.identifier)}</a>` : escapeHtml(entry.customerName || entry.identifier)}</strong>
+            ${entry.company ? `<span class="muted">${escapeHtml(entry.company)}</span>` : ''}
+            ${entry.unread > 0 ? `<span class="unread">${entry.unread} unread</span>` : ''}
+          </div>
+          <div class="last-message">${lastText}</div>
+          <div class="meta">
+            <span class="status status-${entry.status}">${INBOX_STATUS_LABELS[entry.status]}</span>
+            <span>${entry.assignee ? `🎯 ${escapeHtml(entry.assignee.name)}` : 'Unassigned'}</span>
+            ${entry.lastActivity ? `<span>🕒 ${formatTime(entry.lastActivity)}</span>` : ''}
+            ${entry.sla ? `<span class="sla" data-due="${entry.sla.dueAt}" data-label="${SLA_TARGET_LABELS[entry.sla.target]}"></span>` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Inbox (${counts.total})</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1">
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            padding: 20px;
+            background: #f0f2f5;
+            margin: 0;
+          }
+          .container { max-width: 900px; margin: 0 auto; }
+          .header { background: #075E54; color: white; padding: 20px; border-radius: 12px 12px 0 0; }
+          .header h1 { font-size: 20px; margin: 0; }
+          .counts { font-size: 13px; opacity: 0.9; margin-top: 6px; }
+          form.filters { display: flex; flex-wrap: wrap; gap: 8px; background: white; padding: 15px; border-bottom: 1px solid #e0e0e0; }
+          input, select { padding: 8px; border: 2px solid #e0e0e0; border-radius: 8px; font-size: 14px; font-family: inherit; }
+          input[type="search"] { flex: 1; min-width: 160px; }
+          label { display: flex; align-items: center; gap: 4px; font-size: 14px; }
+          button { padding: 8px 16px; border: none; border-radius: 8px; font-weight: 600; cursor: pointer; background: #075E54; color: white; }
+          .entries { background: white; border-radius: 0 0 12px 12px; }
+          .entry { padding: 12px 15px; border-bottom: 1px solid #f0f0f0; }
+          .entry.breached { background: #fef2f2; }
+          .entry-top { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; }
+          .entry-top a { color: #075E54; }
+          .last-message { color: #374151; font-size: 14px; margin: 6px 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+          .meta { display: flex; flex-wrap: wrap; gap: 12px; font-size: 12px; color: #6b7280; }
+          .unread { background: #25D366; color: white; border-radius: 10px; padding: 1px 8px; font-size: 12px; font-weight: 600; }
+          .status { font-weight: 600; }
+          .status-escalated { color: #92400e; }
+          .status-waiting { color: #b91c1c; }
+          .sla { font-weight: 600; color: #92400e; }
+          .sla.overdue { color: #b91c1c; }
+          .muted { color: #6b7280; font-size: 13px; }
+          .empty-state { padding: 40px; text-align: center; color: #6b7280; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📥 Inbox</h1>
+            <div class="counts">${counts.total} conversations • ${counts.escalated} escalated • ${counts.waiting} waiting • ${counts.unread} unread • ${counts.breached} SLA breached • Signed in as ${escapeHtml(req.portalAgent.name)}</div>
+          </div>
+          <form class="filters" action="/inbox" method="GET">
+            <input type="hidden" name="token" value="${escapeHtml(req.portalToken)}">
+            <select name="channel">
+              <option value="">All channels</option>
+              ${INBOX_CHANNELS.map(channel => `<option value="${channel}"${selected(channel, filters.channel)}>${INBOX_CHANNEL_LABELS[channel]}</option>`).join('')}
+            </select>
+            <select name="status">
+              <option value="">Any status</option>
+              ${INBOX_STATUSES.map(status => `<option value="${status}"${selected(status, filters.status)}>${INBOX_STATUS_LABELS[status]}</option>`).join('')}
+            </select>
+            <select name="assignee">
+              <option value="">Anyone</option>
+              <option value="unassigned"${selected('unassigned', filters.assignee)}>Unassigned</option>
+              ${assignees.map(assignee => `<option value="${escapeHtml(assignee.email || assignee.name)}"${selected(assignee.email || assignee.name, filters.assignee)}>${escapeHtml(assignee.name)}</option>`).join('')}
+            </select>
+            <label><input type="checkbox" name="unread" value="true"${filters.unread ? ' checked' : ''}> Unread</label>
+            <input type="search" name="q" value="${escapeHtml(filters.q || '')}" placeholder="Search name, phone or message">
+            <button type="submit">Filter</button>
+          </form>
+          <div class="entries">
+            ${rows || '<div class="empty-state">Nothing in the inbox right now 🎉</div>'}
+          </div>
+        </div>
+
+        <script>
+          // Count SLA deadlines down against the server's clock
+          const clockOffset = ${Date.now()} - Date.now();
+
+          function formatCountdown(ms) {
+            const totalSeconds = Math.floor(Math.abs(ms) / 1000);
+            const hours = Math.floor(totalSeconds / 3600);
+            const minutes = Math.floor((totalSeconds % 3600) / 60);
+            const seconds = (totalSeconds % 60).toString().padStart(2, '0');
+            return (hours ? hours + 'h ' + minutes.toString().padStart(2, '0') : minutes) + ':' + seconds;
+          }
+
+          function updateCountdowns() {
+            const now = Date.now() + clockOffset;
+            document.querySelectorAll('.sla').forEach((element) => {
+              const remaining = Number(element.dataset.due) - now;
+              element.classList.toggle('overdue', remaining <= 0);
+              element.textContent = '⏱️ ' + element.dataset.label + (remaining > 0
+                ? ' due in ' + formatCountdown(remaining)
+                : ' overdue by ' + formatCountdown(remaining));
+            });
+          }
+
+          updateCountdowns();
+          setInterval(updateCountdowns, 1000);
+          setTimeout(() => location.reload(), 30000); // Refresh the queue
+        </script>
+      </body>
+      </html>
+    `);
+  } catch (error) {
+    console.error('Error loading inbox:', error);
+    res.status(500).send('<h1>Error loading inbox</h1>');
+  }
+});
+
+// Helper: Get Thailand time and business hours status from the business-hours calendar
+// teamId uses a roster team's own hours
+function getThailandTimeInfo(teamId = null) {
   const now = new Date();
   // Thailand is UTC+7
   const thailandTime = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Bangkok' }));
   const hour = thailandTime.getHours();
   const minutes = thailandTime.getMinutes().toString().padStart(2, '0');
   const timeStr = `${hour}:${minutes}`;
-  // Business hours: 8 AM to 9 PM (08:00 - 21:00)
-  const isBusinessHours = hour >= 8 && hour < 21;
-  return { thailand_time: timeStr, is_business_hours: isBusinessHours };
+  const { open, opensAt, closesAt, reason } = getBusinessHoursStatus(now, teamId);
+  return {
+    thailand_time: timeStr,
+    is_business_hours: open,
+    closed_reason: open ? null : reason,
+    next_open: opensAt ? formatOpening(opensAt) : null,
+    next_open_at: opensAt ? opensAt.toISOString() : null,
+    closes_at: open && closesAt ? closesAt.toISOString() : null
+  };
 }
 
+// Helper: Message telling an escalated WhatsApp customer when the team will reply
+function buildEscalationAck(teamId = null) {
+  const { is_business_hours, next_open } = getThailandTimeInfo(teamId);
+  const ackMessage = "Thanks for your patience! I've passed this to my colleague. ";
+  if (is_business_hours) {
+    return ackMessage + "They usually reply within a few minutes, but if they're busy with another customer, expect a response within an hour.";
+  }
+  if (next_open) {
+    return ackMessage + `We're closed right now, so they'll get back to you when we reopen on ${next_open} (Thailand time).`;
+  }
+  return ackMessage + "We're closed right now, so they'll get back to you as soon as we reopen.";
+}
+
+// Business hours - whether support is open now and when it next opens (?team= for a team's hours)
+app.get('/api/business-hours', (req, res) => {
+  const team = typeof req.query.team === 'string' && req.query.team ? req.query.team : null;
+  res.json({ success: true, team, ...getThailandTimeInfo(team) });
+});
+
 // Customer Profile Lookup API - POST version for ElevenLabs tool
 // v2.0: Text-only mode (voice disabled)
 app.post('/api/customer-lookup', async (req, res) => {
@@ -502,21 +1011,12 @@ app.post('/api/customer-lookup', async (req, res) => {
     // If conversation_id provided (from ElevenLabs dynamic variable), fetch phone from ElevenLabs API
     if (!phone && conversation_id) {
       console.log(`📋 Fetching phone from ElevenLabs conversation: ${conversation_id}`);
-      try {
-        const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'sk_42e0e37fe9ef457906b11dce0ac6ea5262a005ec2ce0ca6e';
-        const convResponse = await axios.get(
-          `https://api.elevenlabs.io/v1/convai/conversations/${conversation_id}`,
-          { headers: { 'xi-api-key': ELEVENLABS_API_KEY } }
-        );
-        phone = convResponse.data?.metadata?.whatsapp?.whatsapp_user_id;
+      phone = await getConversationPhone(conversation_id);
 
-        if (phone) {
-          console.log(`📋 Found phone from conversation: ${phone}`);
-        } else {
-          console.log(`📋 No WhatsApp phone in conversation metadata`);
-        }
-      } catch (err) {
-        console.log(`📋 Could not fetch phone from conversation: ${err.message}`);
+      if (phone) {
+        console.log(`📋 Found phone from conversation: ${phone}`);
+      } else {
+        console.log(`📋 No WhatsApp phone in conversation metadata`);
       }
     }
 
@@ -548,11 +1048,9 @@ app.post('/api/customer-lookup', async (req, res) => {
       }
     }
 
-    // Check if this phone number has an open escalation
-    const escalated = isEscalated(phone);
-    if (escalated) {
-      console.log(`⚠️ Customer ${phone} has an OPEN ESCALATION - agent should defer to team`);
-    }
+    // Check if this phone number has an open escalation - only this customer's
+    // turns are skipped, the agent keeps answering everyone else
+    const { escalated, message: escalationMessage } = await checkConversation({ phone });
 
     // Get Thailand time info for business hours awareness
     const timeInfo = getThailandTimeInfo();
@@ -568,9 +1066,7 @@ app.post('/api/customer-lookup', async (req, res) => {
           email: profile.email || null
         },
         is_escalated: escalated,
-        escalation_message: escalated
-          ? 'This customer has an open escalation. A team member is handling their request. Call skip_turn immediately.'
-          : null,
+        escalation_message: escalationMessage,
         ...timeInfo,
         message: profile.name
           ? `This is a returning customer: ${profile.name}${profile.company ? ` from ${profile.company}` : ''}`
@@ -584,9 +1080,7 @@ app.post('/api/customer-lookup', async (req, res) => {
       found: false,
       customer: null,
       is_escalated: escalated,
-      escalation_message: escalated
-        ? 'This customer has an open escalation. A team member is handling their request. Call skip_turn immediately.'
-        : null,
+      escalation_message: escalationMessage,
       ...timeInfo,
       message: 'This is a new customer, no previous info on file'
     });
@@ -601,6 +1095,41 @@ app.post('/api/customer-lookup', async (req, res) => {
   }
 });
 
+// Conversation Gate API - ElevenLabs tool called before every agent reply
+// Returns action 'skip_turn' while the customer's phone has an open escalation,
+// 'respond' otherwise - the agent itself stays live for all other customers
+app.post('/api/elevenlabs/gate', requireElevenLabsToolSecret, async (req, res) => {
+  const { conversation_id, phone } = req.body || {};
+
+  if (!conversation_id && !phone) {
+    return res.status(400).json({
+      success: false,
+      error: 'conversation_id or phone required'
+    });
+  }
+
+  try {
+    const decision = await checkConversation({ conversationId: conversation_id, phone });
+    return res.json({
+      success: true,
+      phone: decision.phone,
+      is_escalated: decision.escalated,
+      action: decision.action,
+      message: decision.message,
+      remaining_minutes: Math.ceil(decision.remainingMs / 60000)
+    });
+  } catch (error) {
+    // Fail open - a broken gate must not silence the agent for everyone
+    console.error('Conversation gate error:', error.message);
+    return res.json({
+      success: false,
+      is_escalated: false,
+      action: 'respond',
+      error: error.message
+    });
+  }
+});
+
 // Save Customer Profile API - for ElevenLabs agent to save customer info
 // Uses conversation_id to get phone (same pattern as customer-lookup)
 app.post('/api/save-customer-profile', async (req, res) => {
@@ -617,7 +1146,7 @@ app.post('/api/save-customer-profile', async (req, res) => {
     }
 
     // Fetch phone from ElevenLabs conversation (same as customer-lookup)
-    const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'sk_42e0e37fe9ef457906b11dce0ac6ea5262a005ec2ce0ca6e';
+    const ELEVENLABS_API_KEY = config.elevenLabs.apiKey;
     let phone = null;
 
     try {
@@ -678,114 +1207,45 @@ app.post('/api/save-customer-profile', async (req, res) => {
   }
 });
 
-// Close Escalation API - allows team to close escalation and let agent respond again
-app.post('/api/close-escalation', async (req, res) => {
+// Close Escalation API - allows team to close escalation and let agent respond to this customer again
+app.post('/api/close-escalation', requirePortalAccess(req => phoneScope(req.body.phone)), async (req, res) => {
   const { phone, redirect } = req.body;
-  console.log(`[close-escalation] Request to close escalation for phone: ${phone}`);
+  console.log(`[close-escalation] ${req.portalAgent.name} closing escalation for phone: ${phone}`);
 
   if (!phone) {
     return res.status(400).send('Phone number required');
   }
 
-  const cleared = clearEscalation(phone);
+  const cleared = await clearEscalation(phone);
   if (cleared) {
     console.log(`[close-escalation] ✅ Escalation cleared for ${phone}`);
   } else {
     console.log(`[close-escalation] No escalation found for ${phone}`);
   }
 
-  // Check if there are any remaining escalations
-  const remainingEscalations = getAllEscalated().length;
-  let agentUnarchived = false;
-
-  if (remainingEscalations === 0) {
-    // No more escalations - unarchive the agent
-    try {
-      const unarchiveRes = await fetch(
-        `https://api.elevenlabs.io/v1/convai/agents/${process.env.ELEVENLABS_AGENT_ID}`,
-        {
-          method: 'PATCH',
-          headers: {
-            'xi-api-key': process.env.ELEVENLABS_API_KEY,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            platform_settings: {
-              archived: false
-            }
-          })
-        }
-      );
-
-      if (unarchiveRes.ok) {
-        console.log('✅ Agent UNARCHIVED - resuming normal responses');
-        agentUnarchived = true;
-      } else {
-        console.error('⚠️ Failed to unarchive agent:', await unarchiveRes.text());
-      }
-    } catch (unarchiveErr) {
-      console.error('⚠️ Error unarchiving agent:', unarchiveErr.message);
-    }
-  } else {
-    console.log(`⚠️ ${remainingEscalations} escalations still active - agent stays archived`);
-  }
-
-  // If redirect URL provided, redirect back to reply portal
-  if (redirect) {
-    return res.redirect(redirect + '?escalation_closed=true');
+  // If redirect URL provided, redirect back to reply portal (local paths only)
+  if (redirect && redirect.startsWith('/') && !redirect.startsWith('//')) {
+    return res.redirect(redirect + (redirect.includes('?') ? '&' : '?') + 'escalation_closed=true');
   }
 
   return res.json({
     success: true,
     message: cleared ? 'Escalation closed successfully' : 'No escalation was active',
     phone: phone,
-    agentUnarchived: agentUnarchived,
-    remainingEscalations: remainingEscalations
+    agentResumed: true
   });
 });
 
 // GET endpoint for closing escalation from Google Chat button
-app.get('/api/close-escalation-web', async (req, res) => {
+app.get('/api/close-escalation-web', requirePortalAccess(req => phoneScope(req.query.phone), { page: true }), async (req, res) => {
   const { phone } = req.query;
-  console.log(`[close-escalation-web] Request to close escalation for phone: ${phone}`);
+  console.log(`[close-escalation-web] ${req.portalAgent.name} closing escalation for phone: ${phone}`);
 
   if (!phone) {
     return res.status(400).send('Phone number required');
   }
 
-  const cleared = clearEscalation(phone);
-  const remainingEscalations = getAllEscalated().length;
-  let agentUnarchived = false;
-
-  if (remainingEscalations === 0) {
-    // No more escalations - unarchive the agent
-    try {
-      const unarchiveRes = await fetch(
-        `https://api.elevenlabs.io/v1/convai/agents/${process.env.ELEVENLABS_AGENT_ID}`,
-        {
-          method: 'PATCH',
-          headers: {
-            'xi-api-key': process.env.ELEVENLABS_API_KEY,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            platform_settings: {
-              archived: false
-            }
-          })
-        }
-      );
-
-      if (unarchiveRes.ok) {
-        console.log('✅ Agent UNARCHIVED - resuming normal responses');
-        agentUnarchived = true;
-      } else {
-        console.error('⚠️ Failed to unarchive agent:', await unarchiveRes.text());
-      }
-    } catch (unarchiveErr) {
-      console.error('⚠️ Error unarchiving agent:', unarchiveErr.message);
-    }
-  }
+  const cleared = await clearEscalation(phone);
 
   // Return a simple HTML confirmation page
   res.send(`
@@ -798,11 +1258,11 @@ app.get('/api/close-escalation-web', async (req, res) => {
     <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 40px; text-align: center; background: #f5f5f5;">
       <div style="max-width: 400px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
         <h1 style="color: #4CAF50; margin-bottom: 20px;">✅ Escalation Closed</h1>
-        <p style="color: #666; margin-bottom: 10px;">Phone: ${phone}</p>
-        <p style="color: ${agentUnarchived ? '#4CAF50' : '#FF9800'}; font-weight: 500;">
-          ${agentUnarchived
-            ? 'Agent is now back online and will respond to new messages.'
-            : `${remainingEscalations} escalation(s) still active - agent remains offline.`}
+        <p style="color: #666; margin-bottom: 10px;">Phone: ${escapeHtml(phone)}</p>
+        <p style="color: ${cleared ? '#4CAF50' : '#FF9800'}; font-weight: 500;">
+          ${cleared
+            ? 'The agent will respond to this customer again.'
+            : 'No escalation was active for this customer.'}
         </p>
         <p style="color: #999; margin-top: 20px; font-size: 14px;">You can close this tab.</p>
       </div>
@@ -811,18 +1271,176 @@ app.get('/api/close-escalation-web', async (req, res) => {
   `);
 });
 
+// =====================================================
+// PORTAL SIGN-IN - identifies which agent sends each reply
+// =====================================================
+
+// Only allow redirects back into this app after sign-in
+function getSafeNextPath(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/';
+}
+
+// Helper: On-duty switch shown to signed-in agents on the sign-in page
+function renderOnDutyToggle(agent, next) {
+  const member = agent && findMember(agent.name);
+  if (!member) {
+    return '';
+  }
+
+  const status = !member.onDuty
+    ? '🔴 Off duty - no new escalations are assigned to you'
+    : isAvailable(member)
+      ? '🟢 On duty - you are taking escalations'
+      : '🟡 On duty, outside your shift - escalations go to colleagues on shift';
+  return `
+        <form action="/portal/on-duty" method="POST" style="margin-bottom: 20px; padding: 12px; background: #f0f7f4; border-radius: 8px;">
+          <input type="hidden" name="next" value="${escapeHtml(next)}">
+          <input type="hidden" name="onDuty" value="${member.onDuty ? 'false' : 'true'}">
+          <p style="margin: 0 0 10px; color: #333;">${status}</p>
+          <button type="submit" style="padding: 8px 14px; background: white; border: 1px solid #075E54; color: #075E54; border-radius: 6px; cursor: pointer;">
+            ${member.onDuty ? 'Go off duty' : 'Go on duty'}
+          </button>
+        </form>`;
+}
+
+app.get('/portal/login', (req, res) => {
+  const next = getSafeNextPath(req.query.next);
+  const currentAgent = getSessionAgent(req);
+  const body = currentAgent
+    ? `
+        <h1 style="color: #075E54; margin-bottom: 10px;">👋 Hi ${escapeHtml(currentAgent.name)}</h1>
+        <p style="color: #666; margin-bottom: 20px;">Your name is recorded on every message you send to customers.</p>
+        ${renderOnDutyToggle(currentAgent, next)}
+        <a href="${escapeHtml(next)}" style="display: block; text-align: center; padding: 12px; background: #075E54; color: white; border-radius: 8px; text-decoration: none;">Continue</a>`
+    : `
+        <h1 style="color: #075E54; margin-bottom: 10px;">🔒 Sign in first</h1>
+        <p style="color: #666;">Your name is recorded on every message you send to customers, so each agent signs in with their own personal sign-in link.</p>
+        <p style="color: #666;">Open your sign-in link (ask an admin if you don't have one yet), then open the reply link from Google Chat again.</p>`;
+
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Sign in - BMA Reply Portal</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+    </head>
+    <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; padding: 40px; background: #f5f5f5;">
+      <div style="max-width: 400px; margin: 0 auto; background: white; padding: 30px; border-radius: 12px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        ${body}
+      </div>
+    </body>
+    </html>
+  `);
+});
+
+// Personal sign-in links - the signed token proves who the agent is
+app.get('/portal/sign-in', (req, res) => {
+  const agent = verifySignIn(req.query.agent, req.query.token);
+  if (!agent) {
+    console.warn(`⚠️ Portal sign-in refused for ${req.query.agent || 'unknown agent'}`);
+    return res.status(403).send('This sign-in link is invalid or expired - ask an admin for a new one.');
+  }
+
+  const session = createSession(agent);
+  res.set('Set-Cookie', buildSessionCookie(session.value, session.maxAgeSeconds));
+  console.log(`[portal] ${agent.name} signed in`);
+  res.redirect(`/portal/login?next=${encodeURIComponent(getSafeNextPath(req.query.next))}`);
+});
+
+// Signed-in agents switch their own on-duty status - off duty means no new escalations
+app.post('/portal/on-duty', async (req, res) => {
+  const agent = getSessionAgent(req);
+  if (!agent) {
+    return res.redirect('/portal/login');
+  }
+
+  const member = await setOnDuty(agent.name, req.body.onDuty === 'true', agent.name).catch(error => {
+    console.error('On-duty update error:', error.message);
+    return null;
+  });
+  if (!member) {
+    return res.status(400).send('You are not on the team roster - ask an admin to add you.');
+  }
+  res.redirect(`/portal/login?next=${encodeURIComponent(getSafeNextPath(req.body.next))}`);
+});
+
+app.get('/portal/logout', (req, res) => {
+  res.set('Set-Cookie', buildSessionCookie('', 0));
+  res.send('Signed out. Open a reply link from Google Chat to sign in again.');
+});
+
+/**
+ * Check the customer's WhatsApp 24-hour service window
+ * Outside the window, agent replies go out as the approved reply template
+ * @param {string} phone - Customer phone number
+ * @returns {Promise<Object>} { open, lastIncomingAt, template }
+ */
+async function getServiceWindow(phone) {
+  const lastIncomingAt = await getLastIncomingAt('whatsapp', phone);
+  const template = getReplyTemplate();
+  return {
+    open: isWithinServiceWindow(lastIncomingAt),
+    lastIncomingAt,
+    template: template ? template.name : null
+  };
+}
+
+/**
+ * Warning shown in reply portals when the 24-hour window has closed
+ * @param {Object} serviceWindow - Result of getServiceWindow
+ * @returns {string} HTML (empty while the window is open)
+ */
+function renderServiceWindowWarning(serviceWindow) {
+  if (!serviceWindow || serviceWindow.open) {
+    return '';
+  }
+
+  const since = serviceWindow.lastIncomingAt
+    ? `The customer last wrote ${new Date(serviceWindow.lastIncomingAt).toLocaleString('en-US', { timeZone: 'Asia/Bangkok' })}, more than 24 hours ago.`
+    : 'The customer has not written in the last 24 hours.';
+
+  return `
+    <div class="service-window-warning" style="background: #fff3cd; border-left: 4px solid #f59e0b; color: #92400e; padding: 12px 15px; margin: 15px 0; border-radius: 4px; font-size: 14px;">
+      ⏰ <strong>WhatsApp 24-hour window closed.</strong> ${since}
+      Your reply will be sent inside the approved template <code>${serviceWindow.template || 'none registered'}</code>, and attachments can't be sent until the customer replies.
+    </div>
+  `;
+}
+
+/**
+ * Send an agent's WhatsApp reply, using the reply template outside the 24-hour window
+ * @param {string} phone - Customer phone number
+ * @param {string} replyText - Reply text
+ * @param {Object} agent - Signed-in portal agent
+ * @returns {Promise<Object>} Sender result (`template` set when a template was used)
+ */
+async function sendAgentWhatsAppReply(phone, replyText, agent) {
+  const cleanPhone = normalizePhoneNumber(phone);
+  const [lastIncomingAt, customerProfile] = await Promise.all([
+    getLastIncomingAt('whatsapp', cleanPhone),
+    getProfile(cleanPhone, { touch: false })
+  ]);
+
+  return sendWhatsAppReply(phone, replyText, {
+    lastIncomingAt,
+    customerName: customerProfile?.name || getEscalationInfo(cleanPhone)?.customerName,
+    agentName: agent.name
+  });
+}
+
 // Reply portal by phone number (for forwarded WhatsApp messages during escalation)
-app.get('/reply-wa/:phone', async (req, res) => {
+app.get('/reply-wa/:phone', requirePortalAccess(req => phoneScope(req.params.phone), { page: true }), async (req, res) => {
   const { phone } = req.params;
-  console.log(`[reply-wa] Loading reply portal for phone: ${phone}`);
+  const tokenQuery = `?token=${encodeURIComponent(req.portalToken)}`;
+  console.log(`[reply-wa] ${req.portalAgent.name} loading reply portal for phone: ${phone}`);
 
   try {
     // Get message history for this phone
-    const history = getHistory(phone) || [];
+    const history = await getHistory(phone) || [];
 
     // Get escalation info if available
     const escalationInfo = getEscalationInfo(phone);
-    const customerProfile = await getProfile(phone);
+    const customerProfile = await getProfile(phone, { touch: false });
 
     const customerName = customerProfile?.name || escalationInfo?.customerName || phone;
     const customerCompany = customerProfile?.company || null;
@@ -837,17 +1455,19 @@ app.get('/reply-wa/:phone', async (req, res) => {
         hour12: true,
         timeZone: 'Asia/Bangkok'
       }),
-      senderName: msg.direction === 'incoming' ? customerName : 'BMAsia Support'
+      senderName: msg.direction === 'incoming' ? customerName : (msg.metadata?.agentName || 'BMAsia Support')
     })).filter(m => m.text.trim());
 
     console.log(`[reply-wa] Found ${formattedHistory.length} messages in history for ${phone}`);
 
+    const serviceWindow = await getServiceWindow(phone);
+
     // Render reply portal
     res.send(`
       <!DOCTYPE html>
       <html>
       <head>
-        <title>Reply to ${customerName}</title>
+        <title>Reply to ${escapeHtml(customerName)}</title>
         <meta name="viewport" content="width=device-width, initial-scale=1">
         <style>
           body {
@@ -968,9 +1588,10 @@ app.get('/reply-wa/:phone', async (req, res) => {
           <div class="header">📱 Reply to WhatsApp</div>
           <div class="content">
             <div class="info-box">
-              <div class="info-row"><span class="info-label">Customer:</span> ${customerName}</div>
-              ${customerCompany ? `<div class="info-row"><span class="info-label">Company:</span> ${customerCompany}</div>` : ''}
-              <div class="info-row"><span class="info-label">Phone:</span> ${phone}</div>
+              <div class="info-row"><span class="info-label">Customer:</span> ${escapeHtml(customerName)}</div>
+              ${customerCompany ? `<div class="info-row"><span class="info-label">Company:</span> ${escapeHtml(customerCompany)}</div>` : ''}
+              <div class="info-row"><span class="info-label">Phone:</span> ${escapeHtml(phone)}</div>
+              ${renderCustomerRecordRow(customerProfile)}
             </div>
 
             ${formattedHistory.length > 0 ? `
@@ -978,15 +1599,17 @@ app.get('/reply-wa/:phone', async (req, res) => {
             <div class="message-history" id="messageHistory">
               ${formattedHistory.map(msg => `
                 <div class="message message-${msg.direction}">
-                  <div class="message-sender">${msg.senderName}</div>
-                  <div class="message-text">${msg.text}</div>
+                  <div class="message-sender">${escapeHtml(msg.senderName)}</div>
+                  <div class="message-text">${escapeHtml(msg.text)}</div>
                   <div class="message-time">${msg.timestamp}</div>
                 </div>
               `).join('')}
             </div>
             ` : '<p style="color: #666;">No recent messages available</p>'}
 
-            <form id="replyForm" action="/reply-wa/${phone}" method="POST">
+            ${renderServiceWindowWarning(serviceWindow)}
+
+            <form id="replyForm" action="/reply-wa/${encodeURIComponent(phone)}${tokenQuery}" method="POST">
               <label for="replyText"><strong>Your Reply:</strong></label>
               <textarea id="replyText" name="replyText" placeholder="Type your message to the customer..." required></textarea>
 
@@ -1002,9 +1625,9 @@ app.get('/reply-wa/:phone', async (req, res) => {
             <div class="error-message" id="errorMessage"></div>
 
             <!-- Close Escalation button -->
-            <form action="/api/close-escalation" method="POST" style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee;">
-              <input type="hidden" name="phone" value="${phone}">
-              <input type="hidden" name="redirect" value="/reply-wa/${phone}">
+            <form action="/api/close-escalation${tokenQuery}" method="POST" style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee;">
+              <input type="hidden" name="phone" value="${escapeHtml(phone)}">
+              <input type="hidden" name="redirect" value="/reply-wa/${encodeURIComponent(phone)}${tokenQuery}">
               <button type="submit" style="
                 width: 100%;
                 padding: 12px;
@@ -1089,11 +1712,12 @@ app.get('/reply-wa/:phone', async (req, res) => {
 });
 
 // POST handler for reply-wa
-app.post('/reply-wa/:phone', express.json(), async (req, res) => {
+app.post('/reply-wa/:phone', requirePortalAccess(req => phoneScope(req.params.phone)), express.json(), async (req, res) => {
   const { phone } = req.params;
   const { replyText } = req.body;
+  const agent = req.portalAgent;
 
-  console.log(`[reply-wa POST] Sending reply to phone: ${phone}`);
+  console.log(`[reply-wa POST] ${agent.name} sending reply to phone: ${phone}`);
 
   if (!replyText || replyText.trim().length === 0) {
     return res.status(400).json({
@@ -1103,17 +1727,25 @@ app.post('/reply-wa/:phone', express.json(), async (req, res) => {
   }
 
   try {
-    // Send via WhatsApp
-    const result = await sendWhatsAppMessage(phone, replyText);
+    // Send via WhatsApp (as a template if the 24-hour window has closed)
+    const result = await sendAgentWhatsAppReply(phone, replyText, agent);
 
     if (result.success) {
       // Store in message history
       const cleanPhone = normalizePhoneNumber(phone);
-      storeMessage(cleanPhone, replyText, 'outgoing', 'whatsapp', {
-        senderName: 'BMAsia Support (Team)',
-        source: 'reply_portal_wa'
+      await storeMessage(cleanPhone, replyText, 'outgoing', 'whatsapp', {
+        senderName: agent.name,
+        agentName: agent.name,
+        agentEmail: agent.email,
+        source: 'reply_portal_wa',
+        template: result.template,
+        whatsappMessageId: result.messageId,
+        deliveryStatus: 'sent'
       });
 
+      // Extend escalation timer - also records the first reply for the SLA
+      await extendEscalation(phone);
+
       console.log(`[reply-wa POST] ✅ Reply sent successfully to ${phone}`);
 
       res.json({
@@ -1136,32 +1768,49 @@ app.post('/reply-wa/:phone', express.json(), async (req, res) => {
 // LIVE REPLY CHAT - Real-time conversation interface
 // =====================================================
 
-// API endpoint for fetching messages (used by live chat polling)
-app.get('/api/messages/:phone', async (req, res) => {
+// Flag attachments whose file is gone (past retention or lost on redeploy) so portals say so
+function markExpiredFiles(files) {
+  return (files || []).map(file => (isFileAvailable(file.url) ? file : { ...file, expired: true }));
+}
+
+// Shape a stored message for the live chat - senderName is left null for
+// incoming messages when the customer's name isn't known (the page fills it in)
+function formatLiveMessage(msg, customerName = null) {
+  return {
+    id: msg.id,
+    text: msg.text || '',
+    direction: msg.direction,
+    timestamp: msg.timestamp,
+    formattedTime: new Date(msg.timestamp).toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true,
+      timeZone: 'Asia/Bangkok'
+    }),
+    senderName: msg.direction === 'incoming' ? customerName : (msg.metadata?.agentName || 'BMAsia Support'),
+    files: markExpiredFiles(msg.metadata?.files),
+    deliveryStatus: msg.direction === 'outgoing' ? (msg.metadata?.deliveryStatus || null) : null,
+    deliveryError: msg.metadata?.deliveryError || null
+  };
+}
+
+// API endpoint for fetching messages (live chat catch-up and fallback polling)
+app.get('/api/messages/:phone', requirePortalAccess(req => phoneScope(req.params.phone)), async (req, res) => {
   const { phone } = req.params;
 
   try {
-    const history = getHistory(phone) || [];
+    const history = await getHistory(phone) || [];
     const escalationInfo = getEscalationInfo(phone);
-    const customerProfile = await getProfile(phone);
+    const customerProfile = await getProfile(phone, { touch: false });
     const remainingTime = getRemainingTime(phone);
     const isCurrentlyEscalated = isEscalated(phone);
+    const serviceWindow = await getServiceWindow(phone);
 
     const customerName = customerProfile?.name || escalationInfo?.customerName || phone;
     const customerCompany = customerProfile?.company || null;
 
-    const messages = history.map(msg => ({
-      text: msg.text || '',
-      direction: msg.direction,
-      timestamp: msg.timestamp,
-      formattedTime: new Date(msg.timestamp).toLocaleTimeString('en-US', {
-        hour: 'numeric',
-        minute: '2-digit',
-        hour12: true,
-        timeZone: 'Asia/Bangkok'
-      }),
-      senderName: msg.direction === 'incoming' ? customerName : 'BMAsia Support'
-    })).filter(m => m.text.trim());
+    const messages = history.map(msg => formatLiveMessage(msg, customerName))
+      .filter(m => m.text.trim() || m.files.length > 0);
 
     res.json({
       success: true,
@@ -1170,21 +1819,55 @@ app.get('/api/messages/:phone', async (req, res) => {
       customerCompany,
       isEscalated: isCurrentlyEscalated,
       remainingTimeMs: remainingTime,
-      escalationTimeoutMs: ESCALATION_TIMEOUT_MS
+      escalationTimeoutMs: ESCALATION_TIMEOUT_MS,
+      serviceWindow
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Live chat interface - auto-refreshes messages
-app.get('/reply-live/:phone', async (req, res) => {
+// Live chat push channel (Server-Sent Events) - new messages, delivery statuses and
+// escalation timer changes as they happen in this process
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+
+app.get('/api/messages/:phone/events', requirePortalAccess(req => phoneScope(req.params.phone)), (req, res) => {
+  const identifier = normalizePhoneNumber(req.params.phone);
+  console.log(`[live] ${req.portalAgent.name} connected to ${identifier}`);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribeLive(identifier, (type, data) => {
+    const payload = type === 'message' ? formatLiveMessage(data) : data;
+    if (type === 'message' && !payload.text.trim() && payload.files.length === 0) return;
+    res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  });
+
+  // Comments keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), LIVE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`[live] ${req.portalAgent.name} disconnected from ${identifier}`);
+  });
+});
+
+// Live chat interface - messages pushed over Server-Sent Events, polling as a fallback
+app.get('/reply-live/:phone', requirePortalAccess(req => phoneScope(req.params.phone), { page: true }), async (req, res) => {
   const { phone } = req.params;
-  console.log(`[reply-live] Loading live chat for phone: ${phone}`);
+  console.log(`[reply-live] ${req.portalAgent.name} loading live chat for phone: ${phone}`);
 
   try {
     const escalationInfo = getEscalationInfo(phone);
-    const customerProfile = await getProfile(phone);
+    const customerProfile = await getProfile(phone, { touch: false });
     const customerName = customerProfile?.name || escalationInfo?.customerName || phone;
     const customerCompany = customerProfile?.company || null;
 
@@ -1192,7 +1875,7 @@ app.get('/reply-live/:phone', async (req, res) => {
       <!DOCTYPE html>
       <html>
       <head>
-        <title>Chat with ${customerName}</title>
+        <title>Chat with ${escapeHtml(customerName)}</title>
         <meta name="viewport" content="width=device-width, initial-scale=1">
         <style>
           * { box-sizing: border-box; margin: 0; padding: 0; }
@@ -1266,6 +1949,9 @@ app.get('/reply-live/:phone', async (req, res) => {
             border-top-right-radius: 0;
           }
           .message-text { font-size: 14px; line-height: 1.4; }
+          .message-media { display: block; max-width: 100%; max-height: 240px; margin-top: 6px; border-radius: 6px; }
+          .message-file { display: inline-block; margin-top: 6px; color: #075E54; font-size: 13px; word-break: break-all; }
+          .message-file.expired { color: #999; }
           .message-meta {
             display: flex;
             justify-content: space-between;
@@ -1274,6 +1960,9 @@ app.get('/reply-live/:phone', async (req, res) => {
           }
           .message-sender { font-weight: 600; font-size: 11px; color: #075E54; }
           .message-time { font-size: 11px; color: #667781; }
+          .message-ticks { font-size: 12px; color: #667781; margin-left: 4px; letter-spacing: -3px; }
+          .message-ticks.read { color: #34b7f1; }
+          .message-failed { margin-top: 4px; font-size: 12px; color: #b91c1c; }
           .input-container {
             background: #f0f2f5;
             padding: 10px 20px;
@@ -1313,6 +2002,61 @@ app.get('/reply-live/:phone', async (req, res) => {
           .send-btn:hover { background: #128C7E; }
           .send-btn:disabled { background: #9ca3af; cursor: not-allowed; }
           .send-btn svg { width: 24px; height: 24px; fill: white; }
+          .attach-btn {
+            width: 50px;
+            height: 50px;
+            border-radius: 50%;
+            background: white;
+            border: none;
+            cursor: pointer;
+            font-size: 22px;
+          }
+          .attach-btn:hover { background: #e5e7eb; }
+          .attachments {
+            display: none;
+            gap: 8px;
+            flex-wrap: wrap;
+            background: #f0f2f5;
+            padding: 10px 20px 0;
+          }
+          .attachment {
+            position: relative;
+            width: 90px;
+            background: white;
+            border-radius: 8px;
+            padding: 6px;
+            font-size: 11px;
+            color: #374151;
+            text-align: center;
+            border: 2px solid transparent;
+          }
+          .attachment img, .attachment .attachment-icon {
+            width: 100%;
+            height: 60px;
+            object-fit: cover;
+            border-radius: 4px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-size: 28px;
+            background: #f3f4f6;
+          }
+          .attachment-name { white-space: nowrap; overflow: hidden; text-overflow: ellipsis; margin-top: 4px; }
+          .attachment.invalid { border-color: #ef4444; }
+          .attachment-problem { color: #b91c1c; }
+          .attachment-remove {
+            position: absolute;
+            top: -8px;
+            right: -8px;
+            width: 22px;
+            height: 22px;
+            border-radius: 50%;
+            border: none;
+            background: #374151;
+            color: white;
+            cursor: pointer;
+            font-size: 12px;
+          }
           .notification {
             position: fixed;
             top: 70px;
@@ -1348,13 +2092,21 @@ app.get('/reply-live/:phone', async (req, res) => {
             padding: 40px;
             color: #667781;
           }
+          .window-warning {
+            display: none;
+            background: #fff3cd;
+            color: #92400e;
+            padding: 10px 20px;
+            font-size: 13px;
+            border-bottom: 1px solid #f59e0b;
+          }
         </style>
       </head>
       <body>
         <div class="header">
           <div class="header-left">
-            <h1>📱 ${customerName}</h1>
-            <div class="subtitle">${customerCompany ? customerCompany + ' • ' : ''}${phone}</div>
+            <h1>📱 ${escapeHtml(customerName)}</h1>
+            <div class="subtitle">${customerCompany ? escapeHtml(customerCompany) + ' • ' : ''}${escapeHtml(phone)} • Replying as ${escapeHtml(req.portalAgent.name)}${customerProfile?.id ? ` • <a href="/customers/${customerProfile.id}?token=${encodeURIComponent(createToken(customerScope(customerProfile.id)))}" target="_blank" style="color: inherit;">👤 Customer record</a>` : ''}</div>
           </div>
           <div>
             <div class="status-badge" id="statusBadge">Loading...</div>
@@ -1362,6 +2114,8 @@ app.get('/reply-live/:phone', async (req, res) => {
           </div>
         </div>
 
+        <div class="window-warning" id="windowWarning"></div>
+
         <div class="messages-container" id="messagesContainer">
           <div class="empty-state" id="emptyState">Loading messages...</div>
         </div>
@@ -1370,7 +2124,11 @@ app.get('/reply-live/:phone', async (req, res) => {
           ↓ New messages
         </div>
 
+        <div class="attachments" id="attachments"></div>
+
         <div class="input-container">
+          <input type="file" id="fileInput" multiple hidden accept="${Object.keys(getUploadLimits('whatsapp')).join(',')}" onchange="addFiles(this.files); this.value = '';">
+          <button class="attach-btn" id="attachBtn" title="Attach files" onclick="document.getElementById('fileInput').click()">📎</button>
           <div class="input-box">
             <textarea id="messageInput" placeholder="Type a message..." rows="1" onkeydown="handleKeyDown(event)"></textarea>
           </div>
@@ -1380,11 +2138,23 @@ app.get('/reply-live/:phone', async (req, res) => {
         </div>
 
         <script>
-          const phone = '${phone}';
+          const phone = ${JSON.stringify(phone).replace(/</g, '\\u003c')};
+          const tokenQuery = '?token=${encodeURIComponent(req.portalToken)}';
           let lastMessageCount = 0;
+          let lastFailedCount = -1; // -1 until the first fetch, so old failures don't pop up on load
           let isAtBottom = true;
           let remainingTimeMs = 0;
           let timerInterval = null;
+          let messages = [];
+          let customerName = phone;
+          let pollTimer = null;
+          // Poll fast only while the live connection is down
+          const FAST_POLL_MS = 3000;
+          const SLOW_POLL_MS = 30000;
+          // What WhatsApp accepts - MIME type → largest file in bytes
+          const UPLOAD_LIMITS = ${JSON.stringify(getUploadLimits('whatsapp'))};
+          const MAX_FILES = 5;
+          let attachments = [];
 
           // Track scroll position
           const container = document.getElementById('messagesContainer');
@@ -1420,56 +2190,128 @@ app.get('/reply-live/:phone', async (req, res) => {
 
           async function fetchMessages() {
             try {
-              const res = await fetch('/api/messages/' + phone);
+              const res = await fetch('/api/messages/' + phone + tokenQuery);
               const data = await res.json();
 
               if (!data.success) throw new Error(data.error);
 
-              // Update status badge
-              const badge = document.getElementById('statusBadge');
-              if (data.isEscalated) {
-                badge.className = 'status-badge status-escalated';
-                badge.textContent = '⏸️ Escalated';
-                remainingTimeMs = data.remainingTimeMs;
-                document.getElementById('timerDisplay').textContent = 'Agent resumes in ' + formatTime(remainingTimeMs);
+              showEscalation(data.isEscalated, data.remainingTimeMs);
+
+              // Warn when replies will go out as a template
+              const windowWarning = document.getElementById('windowWarning');
+              if (data.serviceWindow && !data.serviceWindow.open) {
+                windowWarning.textContent = '⏰ WhatsApp 24-hour window closed - your next reply will be sent as the "' +
+                  (data.serviceWindow.template || 'none registered') + '" template until the customer writes again.';
+                windowWarning.style.display = 'block';
               } else {
-                badge.className = 'status-badge status-normal';
-                badge.textContent = '🤖 AI Active';
-                document.getElementById('timerDisplay').textContent = '';
-                remainingTimeMs = 0;
+                windowWarning.style.display = 'none';
               }
 
-              // Update messages
-              const messagesHtml = data.messages.length > 0 ? data.messages.map(msg =>
-                '<div class="message message-' + msg.direction + '">' +
-                  '<div class="message-text">' + escapeHtml(msg.text) + '</div>' +
-                  '<div class="message-meta">' +
-                    '<span class="message-sender">' + escapeHtml(msg.senderName) + '</span>' +
-                    '<span class="message-time">' + msg.formattedTime + '</span>' +
-                  '</div>' +
-                '</div>'
-              ).join('') : '<div class="empty-state">No messages yet</div>';
-
-              container.innerHTML = messagesHtml;
-
-              // Handle new messages
-              if (data.messages.length > lastMessageCount && lastMessageCount > 0) {
-                if (isAtBottom) {
-                  scrollToBottom();
-                } else {
-                  document.getElementById('newMessageIndicator').style.display = 'block';
-                }
-              }
-              lastMessageCount = data.messages.length;
+              customerName = data.customerName;
+              messages = data.messages;
+              renderMessages();
+            } catch (error) {
+              console.error('Error fetching messages:', error);
+            }
+          }
+
+          function showEscalation(isEscalated, remaining) {
+            const badge = document.getElementById('statusBadge');
+            if (isEscalated) {
+              badge.className = 'status-badge status-escalated';
+              badge.textContent = '⏸️ Escalated';
+              remainingTimeMs = remaining;
+              document.getElementById('timerDisplay').textContent = 'Agent resumes in ' + formatTime(remainingTimeMs);
+            } else {
+              badge.className = 'status-badge status-normal';
+              badge.textContent = '🤖 AI Active';
+              document.getElementById('timerDisplay').textContent = '';
+              remainingTimeMs = 0;
+            }
+          }
 
-              // Auto-scroll on first load
-              if (lastMessageCount === data.messages.length && isAtBottom) {
+          function renderMessages() {
+            const messagesHtml = messages.length > 0 ? messages.map(msg =>
+              '<div class="message message-' + msg.direction + '">' +
+                '<div class="message-text">' + escapeHtml(msg.text) + '</div>' +
+                renderFiles(msg.files) +
+                renderDeliveryError(msg) +
+                '<div class="message-meta">' +
+                  '<span class="message-sender">' + escapeHtml(msg.senderName) + '</span>' +
+                  '<span class="message-time">' + msg.formattedTime + renderTicks(msg.deliveryStatus) + '</span>' +
+                '</div>' +
+              '</div>'
+            ).join('') : '<div class="empty-state">No messages yet</div>';
+
+            container.innerHTML = messagesHtml;
+
+            // Handle new messages
+            if (messages.length > lastMessageCount && lastMessageCount > 0) {
+              if (isAtBottom) {
                 scrollToBottom();
+              } else {
+                document.getElementById('newMessageIndicator').style.display = 'block';
               }
+            }
+            lastMessageCount = messages.length;
 
-            } catch (error) {
-              console.error('Error fetching messages:', error);
+            // Tell the agent as soon as WhatsApp reports a failed delivery
+            const failedCount = messages.filter(msg => msg.deliveryStatus === 'failed').length;
+            if (failedCount > lastFailedCount && lastFailedCount >= 0) {
+              showNotification('A message could not be delivered on WhatsApp', 'error');
             }
+            lastFailedCount = failedCount;
+
+            // Auto-scroll on first load
+            if (lastMessageCount === messages.length && isAtBottom) {
+              scrollToBottom();
+            }
+          }
+
+          function setPolling(intervalMs) {
+            clearInterval(pollTimer);
+            pollTimer = setInterval(fetchMessages, intervalMs);
+          }
+
+          // Live updates pushed by the server - polling stays on as a fallback
+          function connectLive() {
+            if (!window.EventSource) return;
+
+            const events = new EventSource('/api/messages/' + phone + '/events' + tokenQuery);
+
+            events.addEventListener('open', () => {
+              setPolling(SLOW_POLL_MS);
+              fetchMessages(); // Catch up on anything missed while disconnected
+            });
+            events.addEventListener('error', () => setPolling(FAST_POLL_MS));
+
+            events.addEventListener('message', (event) => {
+              const msg = JSON.parse(event.data);
+              if (messages.some(existing => existing.id === msg.id)) return;
+              if (msg.direction === 'incoming') {
+                msg.senderName = msg.senderName || customerName;
+                // The customer just wrote - the 24-hour window is open again
+                document.getElementById('windowWarning').style.display = 'none';
+              }
+              messages.push(msg);
+              renderMessages();
+            });
+
+            events.addEventListener('status', (event) => {
+              const status = JSON.parse(event.data);
+              const msg = messages.find(existing => existing.id === status.messageId);
+              if (!msg) return;
+              msg.deliveryStatus = status.deliveryStatus;
+              msg.deliveryError = status.deliveryError || null;
+              renderMessages();
+            });
+
+            events.addEventListener('escalation', (event) => {
+              const escalation = JSON.parse(event.data);
+              showEscalation(escalation.isEscalated, escalation.remainingTimeMs);
+            });
+
+            events.addEventListener('reload', fetchMessages);
           }
 
           function escapeHtml(text) {
@@ -1478,6 +2320,40 @@ app.get('/reply-live/:phone', async (req, res) => {
             return div.innerHTML;
           }
 
+          function renderTicks(status) {
+            if (status === 'read') return '<span class="message-ticks read" title="Read">✓✓</span>';
+            if (status === 'delivered') return '<span class="message-ticks" title="Delivered">✓✓</span>';
+            if (status === 'sent') return '<span class="message-ticks" title="Sent">✓</span>';
+            return '';
+          }
+
+          function renderDeliveryError(msg) {
+            if (msg.deliveryStatus !== 'failed') return '';
+            const error = msg.deliveryError || {};
+            const detail = [error.code, error.title].filter(Boolean).join(' ');
+            return '<div class="message-failed">⚠️ Not delivered' + (detail ? ' (' + escapeHtml(String(detail)) + ')' : '') + '</div>';
+          }
+
+          function renderFiles(files) {
+            return (files || []).map(file => {
+              if (file.expired) {
+                return '<span class="message-file expired">📎 ' + escapeHtml(file.name) + ' (expired)</span>';
+              }
+              const url = escapeHtml(file.url);
+              const type = file.type || '';
+              if (type.startsWith('image/')) {
+                return '<a href="' + url + '" target="_blank"><img class="message-media" src="' + url + '" alt="' + escapeHtml(file.name) + '"></a>';
+              }
+              if (type.startsWith('audio/')) {
+                return '<audio class="message-media" controls src="' + url + '"></audio>';
+              }
+              if (type.startsWith('video/')) {
+                return '<video class="message-media" controls src="' + url + '"></video>';
+              }
+              return '<a class="message-file" href="' + url + '" target="_blank" download>📎 ' + escapeHtml(file.name) + '</a>';
+            }).join('');
+          }
+
           function showNotification(message, type) {
             const existing = document.querySelector('.notification');
             if (existing) existing.remove();
@@ -1497,26 +2373,86 @@ app.get('/reply-live/:phone', async (req, res) => {
             }
           }
 
+          function formatSize(bytes) {
+            return bytes < 1024 * 1024 ? Math.ceil(bytes / 1024) + ' KB' : (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+          }
+
+          // Same checks as the server, so problems show before sending
+          function checkAttachment(file) {
+            const maxSize = UPLOAD_LIMITS[file.type];
+            if (!maxSize) return "WhatsApp can't send this type";
+            if (file.size > maxSize) return 'Over ' + formatSize(maxSize);
+            return null;
+          }
+
+          function addFiles(fileList) {
+            for (const file of fileList) {
+              if (attachments.length >= MAX_FILES) {
+                showNotification('Send at most ' + MAX_FILES + ' files at a time', 'error');
+                break;
+              }
+              attachments.push({
+                file,
+                problem: checkAttachment(file),
+                previewUrl: file.type.startsWith('image/') ? URL.createObjectURL(file) : null
+              });
+            }
+            renderAttachments();
+          }
+
+          function removeAttachment(index) {
+            const [removed] = attachments.splice(index, 1);
+            if (removed && removed.previewUrl) URL.revokeObjectURL(removed.previewUrl);
+            renderAttachments();
+          }
+
+          function clearAttachments() {
+            attachments.forEach(attachment => attachment.previewUrl && URL.revokeObjectURL(attachment.previewUrl));
+            attachments = [];
+            renderAttachments();
+          }
+
+          function renderAttachments() {
+            const strip = document.getElementById('attachments');
+            strip.style.display = attachments.length > 0 ? 'flex' : 'none';
+            strip.innerHTML = attachments.map((attachment, index) => {
+              const icon = attachment.file.type.startsWith('video/') ? '🎬' : attachment.file.type.startsWith('audio/') ? '🎵' : '📄';
+              return '<div class="attachment' + (attachment.problem ? ' invalid' : '') + '" title="' + escapeHtml(attachment.file.name) + '">' +
+                (attachment.previewUrl
+                  ? '<img src="' + attachment.previewUrl + '" alt="">'
+                  : '<div class="attachment-icon">' + icon + '</div>') +
+                '<div class="attachment-name">' + escapeHtml(attachment.file.name) + '</div>' +
+                '<div class="' + (attachment.problem ? 'attachment-problem' : '') + '">' + escapeHtml(attachment.problem || formatSize(attachment.file.size)) + '</div>' +
+                '<button class="attachment-remove" title="Remove" onclick="removeAttachment(' + index + ')">✕</button>' +
+              '</div>';
+            }).join('');
+          }
+
           async function sendMessage() {
             const input = document.getElementById('messageInput');
             const text = input.value.trim();
-            if (!text) return;
+            if (!text && attachments.length === 0) return;
+            if (attachments.some(attachment => attachment.problem)) {
+              showNotification("Remove the files WhatsApp can't send first", 'error');
+              return;
+            }
 
             const sendBtn = document.getElementById('sendBtn');
             sendBtn.disabled = true;
 
             try {
-              const res = await fetch('/reply-live/' + phone, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ replyText: text })
-              });
+              const body = new FormData();
+              body.append('replyText', text);
+              attachments.forEach(attachment => body.append('files', attachment.file));
+
+              const res = await fetch('/reply-live/' + phone + tokenQuery, { method: 'POST', body });
               const data = await res.json();
 
               if (data.success) {
                 input.value = '';
-                showNotification('Message sent!', 'success');
-                fetchMessages(); // Refresh immediately
+                clearAttachments();
+                showNotification(data.failed.length ? data.message : 'Message sent!', data.failed.length ? 'error' : 'success');
+                fetchMessages(); // Refresh immediately (the live update may come from another instance)
               } else {
                 throw new Error(data.error);
               }
@@ -1528,9 +2464,10 @@ app.get('/reply-live/:phone', async (req, res) => {
             }
           }
 
-          // Initial fetch and polling
+          // Initial fetch, live updates and fallback polling
           fetchMessages();
-          setInterval(fetchMessages, 3000); // Poll every 3 seconds
+          setPolling(FAST_POLL_MS);
+          connectLive();
           timerInterval = setInterval(updateTimer, 1000); // Update timer every second
 
           // Auto-resize textarea
@@ -1550,37 +2487,96 @@ app.get('/reply-live/:phone', async (req, res) => {
 });
 
 // POST handler for live chat - sends message AND extends escalation timer
-app.post('/reply-live/:phone', express.json(), async (req, res) => {
+app.post('/reply-live/:phone', requirePortalAccess(req => phoneScope(req.params.phone)), acceptFiles('files', 5), async (req, res) => {
   const { phone } = req.params;
-  const { replyText } = req.body;
+  const replyText = (req.body.replyText || '').trim();
+  const files = req.files || [];
+  const agent = req.portalAgent;
 
-  console.log(`[reply-live POST] Sending reply to phone: ${phone}`);
+  console.log(`[reply-live POST] ${agent.name} sending reply to phone: ${phone}${files.length ? ` with ${files.length} file(s)` : ''}`);
 
-  if (!replyText || replyText.trim().length === 0) {
-    return res.status(400).json({ success: false, error: 'Reply text is required' });
+  if (!replyText && files.length === 0) {
+    return res.status(400).json({ success: false, error: 'Either reply text or files must be provided' });
+  }
+
+  // Check every file before sending anything, so a reply never goes out half-sent
+  const problems = files
+    .map(file => checkChannelMedia('whatsapp', { originalName: file.originalname, mimeType: file.mimetype, size: file.size }))
+    .filter(Boolean);
+  if (problems.length > 0) {
+    return res.status(400).json({ success: false, error: problems.join('; '), problems });
   }
 
   try {
-    // Send via WhatsApp
-    const result = await sendWhatsAppMessage(phone, replyText);
+    // Meta rejects media outside the 24-hour window (text still goes out as a template)
+    if (files.length > 0 && !(await getServiceWindow(phone)).open) {
+      return res.status(400).json({
+        success: false,
+        error: "The 24-hour window is closed - files can't be sent until the customer writes again"
+      });
+    }
 
-    if (result.success) {
-      // Store in message history
-      const cleanPhone = normalizePhoneNumber(phone);
-      storeMessage(cleanPhone, replyText, 'outgoing', 'whatsapp', {
-        senderName: 'BMAsia Support (Team)',
-        source: 'reply_live'
+    const savedFiles = [];
+    for (const file of files) {
+      const savedFile = await saveFile(file.buffer, file.originalname, file.mimetype);
+      savedFiles.push({
+        ...savedFile,
+        url: getFileUrl(savedFile.id, savedFile.filename)
       });
+    }
 
-      // Extend escalation timer - gives team 10 more minutes
-      extendEscalation(phone);
+    // Send via WhatsApp (text as a template if the 24-hour window has closed)
+    // Each part is its own WhatsApp message, so each gets its own history entry and delivery ticks
+    const cleanPhone = normalizePhoneNumber(phone);
+    const parts = [
+      ...(replyText ? [{ text: replyText, files: [], send: () => sendAgentWhatsAppReply(phone, replyText, agent) }] : []),
+      ...savedFiles.map(file => ({ text: `[Sent ${file.originalName}]`, file, files: [file], send: () => sendWhatsAppMedia(phone, file) }))
+    ];
+    const failed = [];
+    for (const part of parts) {
+      const result = await part.send();
+      if (!result || !result.success) {
+        failed.push({
+          part: part.file ? 'file' : 'text',
+          name: part.file ? part.file.originalName : undefined,
+          error: result?.error || 'Failed to send WhatsApp message'
+        });
+        continue;
+      }
 
-      console.log(`[reply-live POST] ✅ Reply sent, escalation timer extended for ${phone}`);
+      await storeMessage(cleanPhone, part.text, 'outgoing', 'whatsapp', {
+        senderName: agent.name,
+        agentName: agent.name,
+        agentEmail: agent.email,
+        source: 'reply_live',
+        files: part.files.map(file => ({
+          name: file.originalName,
+          type: file.mimeType,
+          url: file.url
+        })),
+        template: part.file ? undefined : result.template,
+        whatsappMessageId: result.messageId,
+        deliveryStatus: result.messageId ? 'sent' : undefined
+      });
+    }
 
-      res.json({ success: true, message: 'Reply sent successfully' });
-    } else {
-      throw new Error(result.error || 'Failed to send WhatsApp message');
+    if (failed.length === parts.length) {
+      throw new Error(failed.map(failure => failure.error).join(', '));
     }
+
+    // Extend escalation timer - gives team 10 more minutes
+    await extendEscalation(phone);
+
+    console.log(`[reply-live POST] ✅ Reply sent${failed.length ? ` (${failed.length} part(s) failed)` : ''}, escalation timer extended for ${phone}`);
+
+    res.json({
+      success: true,
+      message: failed.length
+        ? `Reply sent, but these failed: ${failed.map(failure => `${failure.name || 'message text'} (${failure.error})`).join(', ')}`
+        : 'Reply sent successfully',
+      filesCount: savedFiles.length,
+      failed
+    });
   } catch (error) {
     console.error('[reply-live POST] Error:', error.message);
     res.status(500).json({ success: false, error: error.message || 'Failed to send reply' });
@@ -1593,12 +2589,12 @@ app.post('/reply-live/:phone', express.json(), async (req, res) => {
 
 // WhatsApp webhook verification
 app.get('/webhooks/whatsapp', (req, res) => {
-  const verifyToken = process.env.WHATSAPP_VERIFY_TOKEN || 'bma_whatsapp_verify_2024';
+  const verifyToken = getConfig().whatsApp.verifyToken;
   const mode = req.query['hub.mode'];
   const token = req.query['hub.verify_token'];
   const challenge = req.query['hub.challenge'];
 
-  if (mode === 'subscribe' && token === verifyToken) {
+  if (mode === 'subscribe' && verifyToken && token === verifyToken) {
     console.log('WhatsApp webhook verified');
     res.status(200).send(challenge);
   } else {
@@ -1606,326 +2602,637 @@ app.get('/webhooks/whatsapp', (req, res) => {
   }
 });
 
-// WhatsApp webhook messages
-app.post('/webhooks/whatsapp', async (req, res) => {
-  try {
-    console.log('WhatsApp webhook received:', JSON.stringify(req.body, null, 2));
+/**
+ * Handle one parsed incoming WhatsApp message
+ * @param {Object} parsedMessage - Normalized message from parseWhatsAppMessage
+ */
+async function handleWhatsAppMessage(parsedMessage) {
+  console.log('Parsed WhatsApp message:', parsedMessage);
+
+  // Fetch images/documents/voice notes/videos from the Graph API so the team can open them
+  const files = [];
+  if (parsedMessage.media) {
+    const file = await archiveWhatsAppMedia(parsedMessage.media);
+    if (file) {
+      files.push(file);
+    }
+  }
 
-    // Parse the WhatsApp message
-    const parsedMessage = parseWhatsAppMessage(req.body);
+  // Store incoming message in history (normalize phone for consistent storage)
+  const rawPhone = parsedMessage.phoneNumber || parsedMessage.senderId;
+  const phoneNumber = normalizePhoneNumber(rawPhone);
+  if (phoneNumber) {
+    await storeMessage(
+      phoneNumber,
+      parsedMessage.messageText,
+      'incoming',
+      'whatsapp',
+      {
+        senderName: parsedMessage.senderName,
+        messageId: parsedMessage.messageId,
+        files,
+        // Button/list option the customer picked, so flows can branch on its id
+        interactiveReply: parsedMessage.interactiveReply || undefined
+      }
+    );
+    // Opens the 24-hour service window - kept on the customer, not in history
+    await recordIncoming('whatsapp', phoneNumber);
+  }
 
-    if (parsedMessage && isValidMessage(parsedMessage)) {
-      console.log('Parsed WhatsApp message:', parsedMessage);
+  // Button and list taps go to their reply handler first
+  if (parsedMessage.interactiveReply && await dispatchWhatsAppReply(parsedMessage)) {
+    return;
+  }
+
+  // "menu" brings up the main menu, unless the team is already on it
+  if (phoneNumber && isMenuRequest(parsedMessage.messageText) && !getEscalationInfo(phoneNumber)) {
+    await sendWhatsAppMenu(phoneNumber);
+    return;
+  }
 
-      // Store incoming message in history (normalize phone for consistent storage)
-      const rawPhone = parsedMessage.phoneNumber || parsedMessage.senderId;
-      const phoneNumber = normalizePhoneNumber(rawPhone);
-      if (phoneNumber) {
-        storeMessage(
+  // Check if this is a new customer or needs info
+  const customerIdentifier = phoneNumber;
+
+  // ============================================================
+  // WHATSAPP AUTO-GREETING DISABLED
+  // ElevenLabs Conversational AI agent now handles greetings
+  // and info gathering for WhatsApp. This prevents double
+  // welcome messages being sent to customers.
+  // To re-enable, set ENABLE_WHATSAPP_AUTO_GREETING=true
+  // ============================================================
+  const enableWhatsAppAutoGreeting = config.features.whatsAppAutoGreeting;
+
+  if (enableWhatsAppAutoGreeting) {
+    // Check if message should bypass info gathering (urgent messages)
+    const bypassGathering = shouldBypass(parsedMessage.messageText);
+
+    if (isNewCustomer(customerIdentifier) && !bypassGathering) {
+      // Initialize new customer
+      initializeCustomer(customerIdentifier, 'whatsapp');
+      incrementMessageCount(customerIdentifier);
+
+      // Check if we already sent info request
+      if (!wasInfoRequestSent(customerIdentifier)) {
+        // Generate and send info request
+        const language = await detectLanguage(parsedMessage.messageText);
+        const infoRequestMessage = await generateInfoRequest('whatsapp', parsedMessage.messageText, language);
+
+        // Send automated response asking for info
+        const infoResult = await sendWhatsAppInfoRequest(phoneNumber, infoRequestMessage);
+        markInfoRequestSent(customerIdentifier);
+
+        console.log(`🤖 Sent info request to new customer: ${phoneNumber}`);
+
+        // Store the automated response in message history
+        await storeMessage(
           phoneNumber,
-          parsedMessage.messageText,
-          'incoming',
+          infoRequestMessage,
+          'outgoing',
           'whatsapp',
           {
-            senderName: parsedMessage.senderName,
-            messageId: parsedMessage.messageId
+            senderName: 'BMA Bot',
+            automated: true,
+            whatsappMessageId: infoResult?.messageId,
+            deliveryStatus: infoResult?.success ? 'sent' : undefined
           }
         );
       }
 
-      // Check if this is a new customer or needs info
-      const customerIdentifier = phoneNumber;
-
-      // ============================================================
-      // WHATSAPP AUTO-GREETING DISABLED
-      // ElevenLabs Conversational AI agent now handles greetings
-      // and info gathering for WhatsApp. This prevents double
-      // welcome messages being sent to customers.
-      // To re-enable, set ENABLE_WHATSAPP_AUTO_GREETING=true
-      // ============================================================
-      const enableWhatsAppAutoGreeting = process.env.ENABLE_WHATSAPP_AUTO_GREETING === 'true';
-
-      if (enableWhatsAppAutoGreeting) {
-        // Check if message should bypass info gathering (urgent messages)
-        const bypassGathering = shouldBypass(parsedMessage.messageText);
-
-        if (isNewCustomer(customerIdentifier) && !bypassGathering) {
-          // Initialize new customer
-          initializeCustomer(customerIdentifier, 'whatsapp');
-          incrementMessageCount(customerIdentifier);
-
-          // Check if we already sent info request
-          if (!wasInfoRequestSent(customerIdentifier)) {
-            // Generate and send info request
-            const language = await detectLanguage(parsedMessage.messageText);
-            const infoRequestMessage = await generateInfoRequest('whatsapp', parsedMessage.messageText, language);
-
-            // Send automated response asking for info
-            await sendWhatsAppInfoRequest(phoneNumber, infoRequestMessage);
-            markInfoRequestSent(customerIdentifier);
-
-            console.log(`🤖 Sent info request to new customer: ${phoneNumber}`);
-
-            // Store the automated response in message history
-            storeMessage(
+      // Don't forward to Google Chat yet - wait for customer info
+      console.log('⏸️ Holding message - waiting for customer info');
+      return;
+    }
+
+    // Check if we're currently gathering info
+    if (needsInfo(customerIdentifier) && !bypassGathering) {
+      incrementMessageCount(customerIdentifier);
+
+      // Try to parse customer info from their response
+      const parsedInfo = await parseCustomerInfo(parsedMessage.messageText);
+
+      if (parsedInfo.name || parsedInfo.businessName) {
+        // Store what we got
+        storeCustomerInfo(customerIdentifier, {
+          name: parsedInfo.name,
+          businessName: parsedInfo.businessName
+        });
+
+        // Check if we need more info
+        if (parsedInfo.needsMoreInfo) {
+          const language = await detectLanguage(parsedMessage.messageText);
+          const followUp = await generateFollowUp(parsedInfo, language);
+
+          if (followUp) {
+            const followUpResult = await sendWhatsAppInfoRequest(phoneNumber, followUp);
+            console.log(`🤖 Sent follow-up question to customer: ${phoneNumber}`);
+
+            // Store the follow-up in message history
+            await storeMessage(
               phoneNumber,
-              infoRequestMessage,
+              followUp,
               'outgoing',
               'whatsapp',
               {
                 senderName: 'BMA Bot',
-                automated: true
+                automated: true,
+                whatsappMessageId: followUpResult?.messageId,
+                deliveryStatus: followUpResult?.success ? 'sent' : undefined
               }
             );
-          }
 
-          // Don't forward to Google Chat yet - wait for customer info
-          console.log('⏸️ Holding message - waiting for customer info');
-          res.sendStatus(200);
-          return;
+            return;
+          }
         }
 
-        // Check if we're currently gathering info
-        if (needsInfo(customerIdentifier) && !bypassGathering) {
-          incrementMessageCount(customerIdentifier);
+        // We have enough info - mark as complete
+        updateState(customerIdentifier, 'complete');
+        console.log(`✅ Customer info complete for: ${phoneNumber}`);
+      }
+    }
+  } else {
+    console.log('ℹ️ WhatsApp auto-greeting disabled (ElevenLabs handles greetings)');
+  }
 
-          // Try to parse customer info from their response
-          const parsedInfo = await parseCustomerInfo(parsedMessage.messageText);
+  // Get customer info if available
+  const customerInfo = getCustomerInfo(customerIdentifier) || {};
 
-          if (parsedInfo.name || parsedInfo.businessName) {
-            // Store what we got
-            storeCustomerInfo(customerIdentifier, {
-              name: parsedInfo.name,
-              businessName: parsedInfo.businessName
-            });
+  // Translate message if needed
+  const translation = await translateMessage(parsedMessage.messageText);
+  console.log(`Translation result: ${translation.isTranslated ? 'translated from ' + translation.originalLanguage : 'no translation needed'}`);
 
-            // Check if we need more info
-            if (parsedInfo.needsMoreInfo) {
-              const language = await detectLanguage(parsedMessage.messageText);
-              const followUp = await generateFollowUp(parsedInfo, language);
-
-              if (followUp) {
-                await sendWhatsAppInfoRequest(phoneNumber, followUp);
-                console.log(`🤖 Sent follow-up question to customer: ${phoneNumber}`);
-
-                // Store the follow-up in message history
-                storeMessage(
-                  phoneNumber,
-                  followUp,
-                  'outgoing',
-                  'whatsapp',
-                  {
-                    senderName: 'BMA Bot',
-                    automated: true
-                  }
-                );
-
-                res.sendStatus(200);
-                return;
-              }
-            }
+  // Debug log for translation
+  if (translation.error) {
+    console.error('Translation error:', translation.error);
+  }
+  if (translation.isTranslated) {
+    console.log('Translated text preview:', translation.translatedText.substring(0, 100));
+  }
 
-            // We have enough info - mark as complete
-            updateState(customerIdentifier, 'complete');
-            console.log(`✅ Customer info complete for: ${phoneNumber}`);
-          }
-        }
-      } else {
-        console.log('ℹ️ WhatsApp auto-greeting disabled (ElevenLabs handles greetings)');
-      }
+  // ============================================================
+  // ESCALATION HANDLING
+  // Messages are stored in message-history and visible in /reply-live interface
+  // We do NOT forward individual messages to Google Chat (too noisy)
+  // Google Chat only receives the initial escalation alert
+  // ============================================================
+
+  // Check if this customer is escalated
+  const escalationInfo = getEscalationInfo(phoneNumber);
 
-      // Get customer info if available
-      const customerInfo = getCustomerInfo(customerIdentifier) || {};
+  if (escalationInfo) {
+    // Customer is escalated - message already stored, team sees it in live chat
+    console.log(`📥 WhatsApp message from escalated customer ${phoneNumber} - visible in live chat`);
+  } else {
+    // Normal flow - ElevenLabs handles response
+    console.log('WhatsApp message received - ElevenLabs handles response');
+  }
 
-      // Translate message if needed
-      const translation = await translateMessage(parsedMessage.messageText);
-      console.log(`Translation result: ${translation.isTranslated ? 'translated from ' + translation.originalLanguage : 'no translation needed'}`);
+  // Store conversation mapping for reply portal (without sending to GChat)
+  const enrichedSenderInfo = {
+    ...parsedMessage,
+    messageText: parsedMessage.messageText,
+    customerName: customerInfo.name || parsedMessage.senderName,
+    customerBusiness: customerInfo.businessName
+  };
 
-      // Debug log for translation
-      if (translation.error) {
-        console.error('Translation error:', translation.error);
-      }
-      if (translation.isTranslated) {
-        console.log('Translated text preview:', translation.translatedText.substring(0, 100));
-      }
+  // Note: Conversation will be stored when escalation happens via ElevenLabs webhook
+}
 
-      // ============================================================
-      // ESCALATION HANDLING
-      // Messages are stored in message-history and visible in /reply-live interface
-      // We do NOT forward individual messages to Google Chat (too noisy)
-      // Google Chat only receives the initial escalation alert
-      // ============================================================
+/**
+ * Send a bot message to a WhatsApp customer and keep it in the chat history
+ * @param {string} phone - Normalized phone number
+ * @param {string} text - Text stored in history
+ * @param {Function} send - async () => sender result
+ * @returns {Promise<Object>} Sender result
+ */
+async function sendWhatsAppBotMessage(phone, text, send) {
+  const result = await send();
+  if (result?.success) {
+    await storeMessage(phone, text, 'outgoing', 'whatsapp', {
+      senderName: 'BMA Bot',
+      automated: true,
+      whatsappMessageId: result.messageId,
+      deliveryStatus: 'sent'
+    });
+  }
+  return result || { success: false };
+}
 
-      // Check if this customer is escalated
-      const escalationInfo = getEscalationInfo(phoneNumber);
+/**
+ * Offer the main menu (zone status, talk to a person, billing) as reply buttons
+ * @param {string} phone - Normalized phone number
+ * @returns {Promise<Object>} Sender result
+ */
+function sendWhatsAppMenu(phone) {
+  return sendWhatsAppBotMessage(phone, MAIN_MENU.body, () => sendWhatsAppButtons(phone, MAIN_MENU.body, MAIN_MENU.buttons));
+}
 
-      if (escalationInfo) {
-        // Customer is escalated - message already stored, team sees it in live chat
-        console.log(`📥 WhatsApp message from escalated customer ${phoneNumber} - visible in live chat`);
-      } else {
-        // Normal flow - ElevenLabs handles response
-        console.log('WhatsApp message received - ElevenLabs handles response');
+/**
+ * Hand a WhatsApp customer over to the team from a menu button
+ * Assigns and alerts like an ElevenLabs escalation, and pauses the AI agent
+ * @param {Object} parsedMessage - Message from parseWhatsAppMessage
+ * @param {string} topic - What the customer picked - shown in the alert and matched by the assignment rules
+ * @returns {Promise<boolean>} True - the tap is fully handled
+ */
+async function handOffWhatsAppCustomer(parsedMessage, topic) {
+  const phone = normalizePhoneNumber(parsedMessage.phoneNumber || parsedMessage.senderId);
+  if (getEscalationInfo(phone)) {
+    // Already with the team - the tap shows in the live chat
+    return true;
+  }
+
+  const profile = await getProfile(phone);
+  const customerName = profile?.name || parsedMessage.senderName || null;
+  const assignment = await assignEscalation({ text: topic, language: guessLanguage(parsedMessage.messageText || ''), phone });
+  const { assignee } = assignment;
+
+  let alertMessage = `🎯 ${getMentionForEmail(assignee.email, assignee.name)} *This one's for you!*\n\n`;
+  alertMessage += '🙋 *Customer asked for the team from the WhatsApp menu*\n\n';
+  if (customerName) {
+    alertMessage += `👤 *Name:* ${customerName}\n`;
+  }
+  if (profile?.company) {
+    alertMessage += `🏢 *Company:* ${profile.company}\n`;
+  }
+  alertMessage += `📱 *Phone:* ${phone}\n`;
+  alertMessage += `\n❓ *Picked:* ${topic}\n`;
+  alertMessage += `🧭 *Assigned by:* ${assignment.ruleName}\n`;
+  alertMessage += '\n---\n';
+  alertMessage += `↩️ *Reply to customer:* <${createPortalLink(`/reply-live/${phone}`, phoneScope(phone))}|Click here to respond>\n`;
+  alertMessage += `📥 *Whole queue:* <${createPortalLink('/inbox', inboxScope())}|Open the inbox>`;
+
+  const alert = await sendMessage(SINGLE_SPACE_ID, alertMessage, {
+    platform: 'whatsapp',
+    senderName: 'WhatsApp Menu',
+    messageType: 'escalation_alert'
+  });
+  await markEscalated(phone, null, customerName, null, [], assignment, {
+    urgency: 'medium',
+    spaceId: SINGLE_SPACE_ID,
+    threadName: alert?.thread?.name || null
+  });
+  console.log(`🙋 WhatsApp customer ${phone} handed off to ${assignee.name} (${topic})`);
+
+  const ackMessage = buildEscalationAck(assignment.teamId);
+  await sendWhatsAppBotMessage(phone, ackMessage, () => sendWhatsAppMessage(phone, ackMessage));
+  return true;
+}
+
+// WhatsApp reply handlers - return true to stop the normal message flow
+registerWhatsAppReplyHandler('zone_status', async (parsedMessage, zoneId) => {
+  const zone = await fetchSoundZone(zoneId);
+  if (!zone) {
+    // No zone on the button - the AI agent asks which zone and looks it up
+    return false;
+  }
+
+  const phone = normalizePhoneNumber(parsedMessage.phoneNumber || parsedMessage.senderId);
+  let status = `🎵 *${zone.name}*\n`;
+  status += `Player: ${zone.isPaired ? 'Paired' : 'Not paired'}\n`;
+  status += `Music: ${zone.playbackState ? zone.playbackState.charAt(0).toUpperCase() + zone.playbackState.slice(1) : 'Unknown'}`;
+  if (!zone.isPaired && zone.pairingCode) {
+    status += `\nPairing code: ${zone.pairingCode}`;
+  }
+  const result = await sendWhatsAppBotMessage(phone, status, () => sendWhatsAppMessage(phone, status));
+  return result.success;
+});
+
+registerWhatsAppReplyHandler('talk_to_person', (parsedMessage) => handOffWhatsAppCustomer(parsedMessage, 'Talk to a person'));
+
+registerWhatsAppReplyHandler('billing', (parsedMessage) => handOffWhatsAppCustomer(parsedMessage, 'Billing question (invoice, payment or refund)'));
+
+/**
+ * Apply a WhatsApp delivery status callback to message history
+ * Failed deliveries show in the live chat with Meta's error code
+ * @param {Object} statusUpdate - Status from parseWhatsAppStatuses
+ */
+async function handleWhatsAppStatus(statusUpdate) {
+  const updated = await updateDeliveryStatus(statusUpdate.messageId, statusUpdate.status, {
+    timestamp: statusUpdate.timestamp,
+    error: statusUpdate.error
+  });
+
+  if (!updated) {
+    return;
+  }
+
+  if (statusUpdate.status === 'failed') {
+    const error = statusUpdate.error || {};
+    console.error(`❌ WhatsApp delivery failed for ${updated.identifier} (${statusUpdate.messageId}): ${error.code || 'unknown'} ${error.title || ''}`);
+  } else {
+    console.log(`✓ WhatsApp message ${statusUpdate.messageId} ${statusUpdate.status}`);
+  }
+}
+
+// WhatsApp webhook messages (signed by Meta with X-Hub-Signature-256)
+app.post('/webhooks/whatsapp', requireWhatsAppSignature, async (req, res) => {
+  try {
+    console.log('WhatsApp webhook received:', JSON.stringify(req.body, null, 2));
+
+    // Meta batches several messages per delivery - handle each one in order
+    const parsedMessages = parseWhatsAppMessage(req.body);
+    const statusUpdates = parseWhatsAppStatuses(req.body);
+
+    if (parsedMessages.length === 0 && statusUpdates.length === 0) {
+      console.log('WhatsApp webhook contained no messages');
+    }
+
+    // Skip redeliveries of messages we've already accepted
+    const newMessages = [];
+    for (const parsedMessage of parsedMessages) {
+      if (!isValidMessage(parsedMessage)) {
+        console.log('WhatsApp message could not be parsed or is invalid');
+        continue;
       }
 
-      // Store conversation mapping for reply portal (without sending to GChat)
-      const enrichedSenderInfo = {
-        ...parsedMessage,
-        messageText: parsedMessage.messageText,
-        customerName: customerInfo.name || parsedMessage.senderName,
-        customerBusiness: customerInfo.businessName
-      };
+      if (await isDuplicateWebhook('whatsapp', parsedMessage.messageId)) {
+        console.log(`↩️ Skipping duplicate WhatsApp delivery for message ${parsedMessage.messageId}`);
+        continue;
+      }
 
-      // Note: Conversation will be stored when escalation happens via ElevenLabs webhook
-    } else {
-      console.log('WhatsApp message could not be parsed or is invalid');
+      newMessages.push(parsedMessage);
     }
 
+    // Acknowledge before translation/AI work so Meta doesn't retry slow deliveries
     res.sendStatus(200);
+
+    for (const parsedMessage of newMessages) {
+      try {
+        await handleWhatsAppMessage(parsedMessage);
+      } catch (error) {
+        console.error(`Error processing WhatsApp message ${parsedMessage.messageId}:`, error);
+      }
+    }
+
+    for (const statusUpdate of statusUpdates) {
+      try {
+        await handleWhatsAppStatus(statusUpdate);
+      } catch (error) {
+        console.error(`Error processing WhatsApp status for ${statusUpdate.messageId}:`, error);
+      }
+    }
   } catch (error) {
     console.error('Error processing WhatsApp webhook:', error);
     // Don't crash the service - just log and respond
-    res.sendStatus(200);
+    if (!res.headersSent) {
+      res.sendStatus(200);
+    }
   }
 });
 
-// LINE webhook
-app.post('/webhooks/line', async (req, res) => {
-  try {
-    console.log('LINE webhook received:', JSON.stringify(req.body, null, 2));
+/**
+ * Handle one parsed incoming LINE message
+ * @param {Object} parsedMessage - Normalized message from parseLineMessage
+ */
+async function handleLineMessage(parsedMessage) {
+  console.log('Parsed LINE message:', parsedMessage);
+
+  // Replace the "LINE User" placeholder with the sender's LINE display name
+  const lineProfile = await resolveLineProfile(parsedMessage.originalMessage?.source);
+  if (lineProfile) {
+    parsedMessage = {
+      ...parsedMessage,
+      senderName: lineProfile.displayName,
+      senderPictureUrl: lineProfile.pictureUrl,
+      senderLanguage: lineProfile.language
+    };
+  }
+
+  // Fetch images/videos/audio/files from the LINE content API so the team can open them
+  const files = [];
+  if (parsedMessage.media) {
+    const file = await archiveLineContent(parsedMessage.media);
+    if (file) {
+      files.push(file);
+    }
+  }
+
+  // Store incoming message in history
+  const userId = parsedMessage.senderId;
+  const customerIdentifier = userId; // For LINE, use userId as identifier
+
+  if (userId) {
+    await storeMessage(
+      userId,
+      parsedMessage.messageText,
+      'incoming',
+      'line',
+      {
+        senderName: parsedMessage.senderName,
+        messageId: parsedMessage.messageId,
+        files,
+        postback: parsedMessage.postback || undefined
+      }
+    );
+
+    // Increment message count for customer
+    incrementMessageCount(customerIdentifier);
+  }
+
+  // Button taps go to their postback handler first
+  if (parsedMessage.postback && await dispatchPostback(parsedMessage)) {
+    return;
+  }
+
+  // Check if message should bypass info gathering (urgent keywords, or a button tap)
+  const bypassGathering = shouldBypass(parsedMessage.messageText) || Boolean(parsedMessage.postback);
+
+  // Check if this is a new customer
+  if (isNewCustomer(customerIdentifier) && !bypassGathering) {
+    // Initialize new customer
+    initializeCustomer(customerIdentifier, 'line');
 
-    // Parse the LINE message
-    const parsedMessage = parseLineMessage(req.body);
+    // Check if we already sent info request
+    if (!wasInfoRequestSent(customerIdentifier)) {
+      // Detect language for the info request
+      const language = await detectLanguage(parsedMessage.messageText);
 
-    if (parsedMessage && isValidMessage(parsedMessage)) {
-      console.log('Parsed LINE message:', parsedMessage);
+      // Generate AI info request
+      const infoRequestMessage = await generateInfoRequest('line', parsedMessage.messageText, language);
 
-      // Store incoming message in history
-      const userId = parsedMessage.senderId;
-      const customerIdentifier = userId; // For LINE, use userId as identifier
+      // Send info request to LINE user
+      const infoResult = await sendLineInfoRequest(userId, infoRequestMessage);
 
-      if (userId) {
-        storeMessage(
+      // Mark that we sent the info request
+      markInfoRequestSent(customerIdentifier);
+
+      // Store outgoing info request in history
+      if (infoResult.success) {
+        await storeMessage(
           userId,
-          parsedMessage.messageText,
-          'incoming',
+          infoRequestMessage,
+          'outgoing',
           'line',
-          {
-            senderName: parsedMessage.senderName,
-            messageId: parsedMessage.messageId
-          }
+          { type: 'info_request' }
         );
-
-        // Increment message count for customer
-        incrementMessageCount(customerIdentifier);
       }
 
-      // Check if message should bypass info gathering (urgent keywords)
-      const bypassGathering = shouldBypass(parsedMessage.messageText);
+      console.log(`🤖 Sent info request to new LINE customer: ${userId}`);
+      return; // Don't forward to Google Chat yet
+    }
+  }
 
-      // Check if this is a new customer
-      if (isNewCustomer(customerIdentifier) && !bypassGathering) {
-        // Initialize new customer
-        initializeCustomer(customerIdentifier, 'line');
+  // Check if customer is in gathering state
+  if (needsInfo(customerIdentifier) && !parsedMessage.postback) {
+    // Try to parse customer info from their response
+    const parsedInfo = await parseCustomerInfo(parsedMessage.messageText);
 
-        // Check if we already sent info request
-        if (!wasInfoRequestSent(customerIdentifier)) {
-          // Detect language for the info request
-          const language = await detectLanguage(parsedMessage.messageText);
+    if (parsedInfo && (parsedInfo.name || parsedInfo.businessName)) {
+      // Store the customer info
+      storeCustomerInfo(customerIdentifier, {
+        name: parsedInfo.name,
+        businessName: parsedInfo.businessName
+      });
+
+      console.log(`✅ Customer info complete for LINE user: ${userId}`);
+    }
 
-          // Generate AI info request
-          const infoRequestMessage = await generateInfoRequest('line', parsedMessage.messageText, language);
+    // Check if we need follow-up
+    if (parsedInfo && parsedInfo.needsMoreInfo) {
+      const language = await detectLanguage(parsedMessage.messageText);
+      const followUp = await generateFollowUp(parsedInfo, language);
 
-          // Send info request to LINE user
-          const infoResult = await sendLineInfoRequest(userId, infoRequestMessage);
+      if (followUp) {
+        await sendLineInfoRequest(userId, followUp);
+        await storeMessage(userId, followUp, 'outgoing', 'line', { type: 'follow_up' });
+        console.log(`📝 Sent follow-up question to LINE user: ${userId}`);
+        return; // Still gathering info
+      }
+    }
+  }
 
-          // Mark that we sent the info request
-          markInfoRequestSent(customerIdentifier);
+  // Get customer info for enrichment
+  const customerInfo = getCustomerInfo(customerIdentifier);
 
-          // Store outgoing info request in history
-          if (infoResult.success) {
-            storeMessage(
-              userId,
-              infoRequestMessage,
-              'outgoing',
-              'line',
-              { type: 'info_request' }
-            );
-          }
+  // Translate message if needed
+  const translation = await translateMessage(parsedMessage.messageText);
+  console.log(`Translation result: ${translation.isTranslated ? 'translated from ' + translation.originalLanguage : 'no translation needed'}`);
 
-          console.log(`🤖 Sent info request to new LINE customer: ${userId}`);
-          res.sendStatus(200);
-          return; // Don't forward to Google Chat yet
-        }
-      }
+  // Debug log for translation
+  if (translation.error) {
+    console.error('Translation error:', translation.error);
+  }
+  if (translation.isTranslated) {
+    console.log('Translated text preview:', translation.translatedText.substring(0, 100));
+  }
 
-      // Check if customer is in gathering state
-      if (needsInfo(customerIdentifier)) {
-        // Try to parse customer info from their response
-        const parsedInfo = await parseCustomerInfo(parsedMessage.messageText);
+  // No routing needed - all messages go to single BMA Chat Support space
+  console.log('Forwarding LINE message to BMA Chat Support space');
+
+  // Send the translated text (or original if no translation) to Google Chat
+  const messageToSend = translation.isTranslated ? translation.translatedText : parsedMessage.messageText;
+  // Include customer info and original message in senderInfo for reply portal
+  const enrichedSenderInfo = {
+    ...parsedMessage,
+    messageText: parsedMessage.messageText,  // Keep original message for reply context
+    customerName: customerInfo?.name,
+    customerBusiness: customerInfo?.businessName,
+    files
+  };
+  await sendMessage(SINGLE_SPACE_ID, messageToSend, enrichedSenderInfo);
+  console.log(`LINE message forwarded to BMA Chat Support space with customer info`);
+}
 
-        if (parsedInfo && (parsedInfo.name || parsedInfo.businessName)) {
-          // Store the customer info
-          storeCustomerInfo(customerIdentifier, {
-            name: parsedInfo.name,
-            businessName: parsedInfo.businessName
-          });
+// LINE postback handlers - return true to stop the normal message flow
+registerPostbackHandler('zone_status', async (parsedMessage) => {
+  const zone = await fetchSoundZone(parsedMessage.postback.values.zone);
+  if (!zone) {
+    // Unknown zone or no Soundtrack token - let the team answer it
+    return false;
+  }
 
-          console.log(`✅ Customer info complete for LINE user: ${userId}`);
-        }
+  const result = await sendLineFlex(parsedMessage.senderId, buildZoneStatusCard(zone));
+  return result.success;
+});
 
-        // Check if we need follow-up
-        if (parsedInfo && parsedInfo.needsMoreInfo) {
-          const language = await detectLanguage(parsedMessage.messageText);
-          const followUp = await generateFollowUp(parsedInfo, language);
+registerPostbackHandler('talk_to_person', async (parsedMessage) => {
+  const customerInfo = getCustomerInfo(parsedMessage.senderId);
+  await sendLineFlex(parsedMessage.senderId, buildEscalationConfirmation({
+    customerName: customerInfo?.name
+  }));
+  // Keep going so the request is forwarded to Google Chat
+  return false;
+});
 
-          if (followUp) {
-            await sendLineInfoRequest(userId, followUp);
-            storeMessage(userId, followUp, 'outgoing', 'line', { type: 'follow_up' });
-            console.log(`📝 Sent follow-up question to LINE user: ${userId}`);
-            res.sendStatus(200);
-            return; // Still gathering info
-          }
-        }
-      }
+/**
+ * Handle LINE follow/unfollow/join/leave events
+ * Follow state is kept on the customer profile so agents know who blocked the OA
+ * @param {Object} lifecycleEvent - Event from parseLineLifecycleEvents
+ */
+async function handleLineLifecycleEvent(lifecycleEvent) {
+  const { eventType, senderId, sourceType } = lifecycleEvent;
+
+  if (eventType === 'follow' && sourceType === 'user') {
+    await setLineStatus(senderId, 'following');
+    await resolveLineProfile(lifecycleEvent.originalEvent.source);
+    console.log(`➕ LINE user ${senderId} followed the official account`);
+  } else if (eventType === 'unfollow' && sourceType === 'user') {
+    await setLineStatus(senderId, 'unfollowed');
+    console.log(`➖ LINE user ${senderId} unfollowed (blocked) the official account`);
+  } else {
+    console.log(`ℹ️ LINE ${eventType} event for ${sourceType} ${senderId}`);
+  }
+}
 
-      // Get customer info for enrichment
-      const customerInfo = getCustomerInfo(customerIdentifier);
+// LINE webhook (signed with the channel secret in X-Line-Signature)
+app.post('/webhooks/line', requireLineSignature, async (req, res) => {
+  try {
+    console.log('LINE webhook received:', JSON.stringify(req.body, null, 2));
+
+    // LINE batches several events per delivery - handle each message in order
+    const parsedMessages = parseLineMessage(req.body);
+    const lifecycleEvents = [];
+    for (const lifecycleEvent of parseLineLifecycleEvents(req.body)) {
+      if (await isDuplicateWebhook('line', lifecycleEvent.webhookEventId)) {
+        console.log(`↩️ Skipping duplicate LINE ${lifecycleEvent.eventType} event`);
+        continue;
+      }
+      lifecycleEvents.push(lifecycleEvent);
+    }
 
-      // Translate message if needed
-      const translation = await translateMessage(parsedMessage.messageText);
-      console.log(`Translation result: ${translation.isTranslated ? 'translated from ' + translation.originalLanguage : 'no translation needed'}`);
+    if (parsedMessages.length === 0 && lifecycleEvents.length === 0) {
+      console.log('LINE webhook contained no message events');
+    }
 
-      // Debug log for translation
-      if (translation.error) {
-        console.error('Translation error:', translation.error);
+    // Skip redeliveries of messages we've already accepted
+    const newMessages = [];
+    for (const parsedMessage of parsedMessages) {
+      if (!isValidMessage(parsedMessage)) {
+        console.log('LINE message could not be parsed or is invalid');
+        continue;
       }
-      if (translation.isTranslated) {
-        console.log('Translated text preview:', translation.translatedText.substring(0, 100));
+
+      if (await isDuplicateWebhook('line', parsedMessage.originalMessage?.webhookEventId)) {
+        console.log(`↩️ Skipping duplicate LINE delivery for message ${parsedMessage.messageId}`);
+        continue;
       }
 
-      // No routing needed - all messages go to single BMA Chat Support space
-      console.log('Forwarding LINE message to BMA Chat Support space');
-
-      // Send the translated text (or original if no translation) to Google Chat
-      const messageToSend = translation.isTranslated ? translation.translatedText : parsedMessage.messageText;
-      // Include customer info and original message in senderInfo for reply portal
-      const enrichedSenderInfo = {
-        ...parsedMessage,
-        messageText: parsedMessage.messageText,  // Keep original message for reply context
-        customerName: customerInfo?.name,
-        customerBusiness: customerInfo?.businessName
-      };
-      await sendMessage(SINGLE_SPACE_ID, messageToSend, enrichedSenderInfo);
-      console.log(`LINE message forwarded to BMA Chat Support space with customer info`);
-    } else {
-      console.log('LINE message could not be parsed or is invalid');
+      newMessages.push(parsedMessage);
     }
 
+    // Acknowledge before translation/AI work so LINE doesn't retry slow deliveries
     res.sendStatus(200);
+
+    for (const lifecycleEvent of lifecycleEvents) {
+      try {
+        await handleLineLifecycleEvent(lifecycleEvent);
+      } catch (error) {
+        console.error(`Error processing LINE ${lifecycleEvent.eventType} event:`, error);
+      }
+    }
+
+    for (const parsedMessage of newMessages) {
+      try {
+        await handleLineMessage(parsedMessage);
+      } catch (error) {
+        console.error(`Error processing LINE message ${parsedMessage.messageId}:`, error);
+      }
+    }
   } catch (error) {
     console.error('Error processing LINE webhook:', error);
     // Don't crash the service - just log and respond
-    res.sendStatus(200);
+    if (!res.headersSent) {
+      res.sendStatus(200);
+    }
   }
 });
 
@@ -2002,7 +3309,7 @@ app.post('/webhooks/elevenlabs/log-response', async (req, res) => {
     if (customer_phone) {
       const normalizedPhone = normalizePhoneNumber(customer_phone);
       if (normalizedPhone) {
-        storeMessage(
+        await storeMessage(
           normalizedPhone,
           agent_message,
           'outgoing',
@@ -2026,27 +3333,177 @@ app.post('/webhooks/elevenlabs/log-response', async (req, res) => {
   }
 });
 
-// Team routing: determine who should handle an escalation based on keywords
-function getAssignedTeamMember(issueSummary, escalationReason) {
-  const text = `${issueSummary || ''} ${escalationReason || ''}`.toLowerCase();
+// =====================================================
+// ADMIN API - escalation assignment rules, team roster, SLA policies and business hours
+// =====================================================
+
+// Reply to an admin write, turning invalid settings into a 400 with every problem
+function sendSettingsError(res, error) {
+  if (error instanceof SettingsError) {
+    return res.status(400).json({ success: false, error: error.message.split(':')[0], problems: error.problems });
+  }
+  console.error('Settings update error:', error.message);
+  return res.status(500).json({ success: false, error: error.message });
+}
+
+// List the active rules, highest priority first as they are evaluated
+app.get('/api/admin/assignment-rules', requireAdmin(), (req, res) => {
+  res.json({ success: true, ...getAssignmentRules() });
+});
+
+// Replace every rule and the default assignee
+app.put('/api/admin/assignment-rules', requireAdmin(), async (req, res) => {
+  try {
+    const rules = await updateAssignmentRules(req.body, req.adminUser);
+    res.json({ success: true, ...rules });
+  } catch (error) {
+    sendSettingsError(res, error);
+  }
+});
+
+// Add or replace a single rule
+app.put('/api/admin/assignment-rules/:id', requireAdmin(), async (req, res) => {
+  try {
+    const rules = await saveAssignmentRule({ ...req.body, id: req.params.id }, req.adminUser);
+    res.json({ success: true, ...rules });
+  } catch (error) {
+    sendSettingsError(res, error);
+  }
+});
+
+app.delete('/api/admin/assignment-rules/:id', requireAdmin(), async (req, res) => {
+  try {
+    const rules = await deleteAssignmentRule(req.params.id, req.adminUser);
+    if (!rules) {
+      return res.status(404).json({ success: false, error: `No rule with id "${req.params.id}"` });
+    }
+    res.json({ success: true, ...rules });
+  } catch (error) {
+    sendSettingsError(res, error);
+  }
+});
+
+// Dry run - which rule would assign this escalation
+app.post('/api/admin/assignment-rules/test', requireAdmin(), (req, res) => {
+  const { issue_summary, escalation_reason, language } = req.body || {};
+  const text = `${issue_summary || ''} ${escalation_reason || ''}`;
+  res.json({ success: true, ...matchAssignment({ text, language: language || guessLanguage(text) }) });
+});
+
+// Team roster with each member's current availability (shifts are Asia/Bangkok)
+app.get('/api/admin/roster', requireAdmin(), (req, res) => {
+  const roster = getRoster();
+  res.json({
+    success: true,
+    ...roster,
+    members: roster.members.map(member => ({ ...member, available: isAvailable(member) }))
+  });
+});
+
+// Replace the roster - members, shifts and teams
+app.put('/api/admin/roster', requireAdmin(), async (req, res) => {
+  try {
+    const roster = await updateRoster(req.body, req.adminUser);
+    res.json({ success: true, ...roster });
+  } catch (error) {
+    sendSettingsError(res, error);
+  }
+});
+
+// Issue an agent's personal portal sign-in link - send it to that agent only
+app.post('/api/admin/portal/sign-in-links/:name', requireAdmin(), (req, res) => {
+  const agent = findAgent(req.params.name);
+  if (!agent) {
+    return res.status(404).json({ success: false, error: `${req.params.name} can't sign in to the portals` });
+  }
+
+  console.log(`[portal] ${req.adminUser} issued a sign-in link for ${agent.name}`);
+  res.json({ success: true, agent, ...createSignInLink(agent) });
+});
+
+// Sign an agent out of every browser and invalidate their sign-in links (e.g. a lost laptop)
+app.post('/api/admin/portal/sign-in-links/:name/revoke', requireAdmin(), async (req, res) => {
+  if (getConfig().portal.agents) {
+    return res.status(409).json({ success: false, error: 'Agents come from PORTAL_AGENTS - remove the agent there to revoke their sign-in' });
+  }
+
+  try {
+    const member = await revokeSignIn(req.params.name, req.adminUser);
+    if (!member) {
+      return res.status(404).json({ success: false, error: `${req.params.name} is not on the roster` });
+    }
+    res.json({ success: true, agent: { name: member.name, email: member.email }, signInVersion: member.signInVersion });
+  } catch (error) {
+    sendSettingsError(res, error);
+  }
+});
 
-  const routing = [
-    { keywords: ['invoice', 'billing', 'payment', 'receipt', 'overdue'], name: 'Pom', email: 'pom@bmasiamusic.com' },
-    { keywords: ['contract', 'legal', 'agreement', 'terms', 'cancellation'], name: 'Norbert', email: 'norbert@bmasiamusic.com' },
-    { keywords: ['technical', 'support', 'issue', 'problem', 'error', 'not working', 'offline', 'pairing', 'device', 'troubleshoot', 'volume', 'no sound'], name: 'Keith', email: 'keith@bmasiamusic.com' },
-    { keywords: ['music design', 'playlist', 'soundtrack', 'genre', 'mood', 'music change', 'music request'], name: 'Kuk', email: 'production@bmasiamusic.com' },
-    { keywords: ['sales', 'pricing', 'price', 'quote', 'quotation', 'trial', 'demo', 'buy', 'purchase', 'subscription'], name: 'Nikki', email: 'nikki.h@bmasiamusic.com' },
-  ];
+app.put('/api/admin/roster/members/:name/on-duty', requireAdmin(), async (req, res) => {
+  if (typeof req.body?.onDuty !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'onDuty (true or false) required' });
+  }
 
-  for (const route of routing) {
-    if (route.keywords.some(kw => text.includes(kw))) {
-      return route;
+  try {
+    const member = await setOnDuty(req.params.name, req.body.onDuty, req.adminUser);
+    if (!member) {
+      return res.status(404).json({ success: false, error: `${req.params.name} is not on the roster` });
     }
+    res.json({ success: true, member: { ...member, available: isAvailable(member) } });
+  } catch (error) {
+    sendSettingsError(res, error);
+  }
+});
+
+// Escalation SLA policies - reply and resolution targets by urgency
+app.get('/api/admin/sla-policies', requireAdmin(), (req, res) => {
+  res.json({ success: true, ...getSlaPolicies() });
+});
+
+app.put('/api/admin/sla-policies', requireAdmin(), async (req, res) => {
+  try {
+    const policies = await updateSlaPolicies(req.body, req.adminUser);
+    res.json({ success: true, ...policies });
+  } catch (error) {
+    sendSettingsError(res, error);
+  }
+});
+
+// Business-hours calendar - weekly hours, team schedules, holidays and one-off overrides
+app.get('/api/admin/business-hours', requireAdmin(), (req, res) => {
+  res.json({ success: true, ...getCalendar() });
+});
+
+app.put('/api/admin/business-hours', requireAdmin(), async (req, res) => {
+  try {
+    const calendar = await updateCalendar(req.body, req.adminUser);
+    res.json({ success: true, ...calendar });
+  } catch (error) {
+    sendSettingsError(res, error);
   }
+});
 
-  return { name: 'Norbert', email: 'norbert@bmasiamusic.com' }; // default
+// SLA results for the last ?days (default 7) and the escalations still open
+app.get('/api/admin/sla', requireAdmin(), async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+  const [summary, open] = await Promise.all([
+    getSlaSummary(Date.now() - days * 24 * 60 * 60 * 1000),
+    getOpenSla()
+  ]);
+  res.json({ success: true, days, summary, open });
+});
+
+// SLA targets for the escalation alert - "45 min", "4h", "1h 30m"
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  return minutes % 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes / 60}h`;
 }
 
+const ASSIGNMENT_STRATEGY_LABELS = {
+  'round-robin': 'round-robin',
+  'least-open': 'fewest open escalations',
+  sticky: 'helped this customer before'
+};
+
 // Preload Google Chat space members for @mentions
 loadSpaceMembers(SINGLE_SPACE_ID).catch(err => console.log('Member preload skipped:', err.message));
 
@@ -2074,7 +3531,7 @@ app.post('/webhooks/elevenlabs/escalate', async (req, res) => {
     // If no phone provided but we have conversation_id, fetch from ElevenLabs API
     if (!actualPhone && conversation_id) {
       console.log('No customer_phone provided - fetching from ElevenLabs conversation API...');
-      const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'sk_42e0e37fe9ef457906b11dce0ac6ea5262a005ec2ce0ca6e';
+      const ELEVENLABS_API_KEY = config.elevenLabs.apiKey;
 
       try {
         const convResponse = await axios.get(
@@ -2095,8 +3552,8 @@ app.post('/webhooks/elevenlabs/escalate', async (req, res) => {
     // If STILL no phone, look up most recent ElevenLabs WhatsApp conversation
     if (!actualPhone) {
       console.log('Still no phone - looking up most recent ElevenLabs conversation...');
-      const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'sk_42e0e37fe9ef457906b11dce0ac6ea5262a005ec2ce0ca6e';
-      const ELEVENLABS_AGENT_ID = process.env.ELEVENLABS_AGENT_ID || 'agent_8501kesasj5fe8b8rm6nnxcvn4kb';
+      const ELEVENLABS_API_KEY = config.elevenLabs.apiKey;
+      const ELEVENLABS_AGENT_ID = config.elevenLabs.agentId;
 
       try {
         const listResponse = await axios.get(
@@ -2146,8 +3603,8 @@ app.post('/webhooks/elevenlabs/escalate', async (req, res) => {
       console.log(`Parsed ${parsedMessages.length} messages from conversation_history`);
     } else {
       // Fallback: try to fetch from ElevenLabs API (works for completed conversations)
-      const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'sk_42e0e37fe9ef457906b11dce0ac6ea5262a005ec2ce0ca6e';
-      const ELEVENLABS_AGENT_ID = process.env.ELEVENLABS_AGENT_ID || 'agent_8501kesasj5fe8b8rm6nnxcvn4kb';
+      const ELEVENLABS_API_KEY = config.elevenLabs.apiKey;
+      const ELEVENLABS_AGENT_ID = config.elevenLabs.agentId;
 
       let elevenlabsConversationId = conversation_id;
 
@@ -2181,7 +3638,7 @@ app.post('/webhooks/elevenlabs/escalate', async (req, res) => {
           let agentMessagesStored = 0;
           for (const entry of transcript) {
             if (entry.role === 'agent' && entry.message) {
-              storeMessage(cleanPhone, entry.message, 'outgoing', 'whatsapp', {
+              await storeMessage(cleanPhone, entry.message, 'outgoing', 'whatsapp', {
                 senderName: 'BMAsia Support',
                 source: 'elevenlabs'
               });
@@ -2278,13 +3735,13 @@ app.post('/webhooks/elevenlabs/escalate', async (req, res) => {
       // Falls back to ElevenLabs conversation_id or local ID if no phone
       if (actualPhone) {
         const cleanPhone = actualPhone.replace(/^\+/, '');
-        replyLink = `https://bma-messenger-hub-ooyy.onrender.com/reply-live/${cleanPhone}`;
+        replyLink = createPortalLink(`/reply-live/${cleanPhone}`, phoneScope(cleanPhone));
         console.log(`Reply link (live chat): ${replyLink}`);
       } else if (conversation_id) {
-        replyLink = `https://bma-messenger-hub-ooyy.onrender.com/reply-el/${conversation_id}`;
+        replyLink = createPortalLink(`/reply-el/${conversation_id}`, elevenLabsScope(conversation_id));
         console.log(`Reply link (ElevenLabs-based fallback): ${replyLink}`);
       } else {
-        replyLink = `https://bma-messenger-hub-ooyy.onrender.com/reply/${conversation.id}`;
+        replyLink = createPortalLink(`/reply/${conversation.id}`, conversationScope(conversation.id));
         console.log(`Reply link (local fallback): ${replyLink}`);
       }
 
@@ -2296,7 +3753,7 @@ app.post('/webhooks/elevenlabs/escalate', async (req, res) => {
         console.log(`Storing ${parsedMessages.length} messages under key: ${storageKey}`);
 
         // Clear any existing messages to avoid duplicates
-        clearOutgoingMessages(storageKey);
+        await clearOutgoingMessages(storageKey);
 
         // Store all messages with proper timestamps for chronological order
         let baseTimestamp = Date.now() - (parsedMessages.length * 1000); // Start 1 sec per message in past
@@ -2304,7 +3761,7 @@ app.post('/webhooks/elevenlabs/escalate', async (req, res) => {
 
         for (const msg of parsedMessages) {
           if (msg.text) {
-            storeMessage(
+            await storeMessage(
               storageKey,
               msg.text,
               msg.type === 'customer' ? 'incoming' : 'outgoing',
@@ -2350,10 +3807,16 @@ app.post('/webhooks/elevenlabs/escalate', async (req, res) => {
     console.log(`📍 Escalation source: ${source}`);
 
     // Format escalation alert for Google Chat
-    // Determine assigned team member based on issue
-    const assignee = getAssignedTeamMember(issue_summary, escalation_reason);
+    // Determine assigned team member with the assignment rules and the team's roster strategy
+    const customerText = parsedMessages.filter(msg => msg.type === 'customer').map(msg => msg.text).join(' ');
+    const assignment = await assignEscalation({
+      text: `${issue_summary || ''} ${escalation_reason || ''}`,
+      language: guessLanguage(`${customerText} ${issue_summary || ''}`),
+      phone: actualPhone
+    });
+    const { assignee } = assignment;
     const mention = getMentionForEmail(assignee.email, assignee.name);
-    console.log(`🎯 Assigned to: ${assignee.name} (${assignee.email})`);
+    console.log(`🎯 Assigned to: ${assignee.name} (${assignee.email}) by rule: ${assignment.ruleName}${assignment.matched ? ` - ${assignment.matched}` : ''}, strategy: ${assignment.strategy}`);
 
     let alertMessage = `🎯 ${mention} *This one's for you!*\n\n`;
     alertMessage += '🚨 *Escalation Alert - Customer Needs Assistance*\n\n';
@@ -2384,6 +3847,14 @@ app.post('/webhooks/elevenlabs/escalate', async (req, res) => {
     if (conversation_id) {
       alertMessage += `\n🔗 ElevenLabs Conv: \`${conversation_id}\`\n`;
     }
+    alertMessage += `🧭 *Assigned by:* ${assignment.ruleName}${assignment.matched ? ` (${assignment.matched})` : ''}`;
+    alertMessage += assignment.strategy === 'fixed' ? '\n' : ` · ${ASSIGNMENT_STRATEGY_LABELS[assignment.strategy]}\n`;
+    if (assignment.offShift) {
+      alertMessage += '🌙 _Nobody on the team is on shift right now_\n';
+    }
+    const slaPolicy = getSlaPolicy(urgency);
+    alertMessage += `⏱️ *SLA:* first reply within ${formatMinutes(slaPolicy.firstReplyMinutes)}, resolved within ${formatMinutes(slaPolicy.resolutionMinutes)}`;
+    alertMessage += slaPolicy.businessHoursOnly ? ' (business hours)\n' : '\n';
 
     // Add reply link - use portal for WhatsApp, email instruction for Website
     alertMessage += '\n---\n';
@@ -2397,13 +3868,14 @@ app.post('/webhooks/elevenlabs/escalate', async (req, res) => {
 
     // Close Escalation link - only show for WhatsApp (website escalations auto-close)
     if (source === 'WhatsApp' && actualPhone) {
-      const closeEscalationUrl = `https://bma-messenger-hub-ooyy.onrender.com/api/close-escalation-web?phone=${encodeURIComponent(actualPhone)}`;
-      alertMessage += `✅ *Done helping?* <${closeEscalationUrl}|Close Escalation>`;
+      const closeEscalationUrl = createPortalLink(`/api/close-escalation-web?phone=${encodeURIComponent(actualPhone)}`, phoneScope(actualPhone));
+      alertMessage += `✅ *Done helping?* <${closeEscalationUrl}|Close Escalation>\n`;
     }
+    alertMessage += `📥 *Whole queue:* <${createPortalLink('/inbox', inboxScope())}|Open the inbox>`;
 
     // Send to Google Chat
     try {
-      await sendMessage(SINGLE_SPACE_ID, alertMessage, {
+      const alert = await sendMessage(SINGLE_SPACE_ID, alertMessage, {
         platform: 'elevenlabs',
         senderName: 'ElevenLabs Escalation',
         messageType: 'escalation_alert',
@@ -2413,62 +3885,34 @@ app.post('/webhooks/elevenlabs/escalate', async (req, res) => {
 
       // Mark this phone number as escalated so agent defers to team on future messages
       if (actualPhone) {
-        markEscalated(
+        await markEscalated(
           actualPhone,
           conversation?.threadId || null,
           actualName,
           conversation_id,
-          parsedMessages
+          parsedMessages,
+          assignment,
+          { urgency, spaceId: SINGLE_SPACE_ID, threadName: alert?.thread?.name || null }
         );
         console.log(`✅ Phone ${actualPhone} marked as escalated`);
 
         // Send immediate acknowledgment to WhatsApp customer so they know we're on it
         try {
-          const { is_business_hours } = getThailandTimeInfo();
-          const ackMessage = is_business_hours
-            ? "Thanks for your patience! I've passed this to my colleague. They usually reply within a few minutes, but if they're busy with another customer, expect a response within an hour."
-            : "Thanks for your patience! I've passed this to my colleague. Since it's outside business hours (8 AM - 9 PM Thailand time), they'll get back to you first thing in the morning.";
-
-          await sendWhatsAppMessage(actualPhone, ackMessage);
+          await sendWhatsAppMessage(actualPhone, buildEscalationAck(assignment.teamId));
           console.log('✅ Sent escalation acknowledgment to WhatsApp');
         } catch (ackError) {
           console.error('Failed to send escalation acknowledgment:', ackError.message);
           // Non-blocking - don't fail escalation if ack fails
         }
-
-        // Archive the ElevenLabs agent to stop ALL responses during escalation
-        try {
-          const archiveRes = await fetch(
-            `https://api.elevenlabs.io/v1/convai/agents/${process.env.ELEVENLABS_AGENT_ID}`,
-            {
-              method: 'PATCH',
-              headers: {
-                'xi-api-key': process.env.ELEVENLABS_API_KEY,
-                'Content-Type': 'application/json'
-              },
-              body: JSON.stringify({
-                platform_settings: {
-                  archived: true
-                }
-              })
-            }
-          );
-
-          if (archiveRes.ok) {
-            console.log('✅ Agent ARCHIVED - no responses until escalation closed');
-          } else {
-            console.error('⚠️ Failed to archive agent:', await archiveRes.text());
-          }
-        } catch (archiveErr) {
-          console.error('⚠️ Error archiving agent:', archiveErr.message);
-        }
       }
 
       // Return success response for ElevenLabs
       res.json({
         success: true,
         message: 'Escalation alert sent to support team',
-        escalated_to: 'Google Chat - BMA Support'
+        escalated_to: 'Google Chat - BMA Support',
+        assigned_to: assignee.name,
+        assignment_rule: assignment.ruleId
       });
     } catch (chatError) {
       console.error('Failed to send escalation to Google Chat:', chatError.message);
@@ -2510,6 +3954,9 @@ app.post('/webhooks/lead-capture', async (req, res) => {
       });
     }
 
+    // Remember the website visitor by email so later WhatsApp/LINE contacts can be merged with them
+    await saveCustomer('email', email, { name, company, email });
+
     // Format lead notification for Google Chat
     let alertMessage = '📊 *New Website Lead*\n\n';
 
@@ -2662,9 +4109,43 @@ app.post('/polling/stop', (req, res) => {
   }
 });
 
+/**
+ * Render message attachments for the reply portal
+ * Images, audio and video play inline; anything else is a download link.
+ * Files that were already cleaned up are listed as expired
+ * @param {Array} files - [{ name, type, url }] from message history metadata
+ * @returns {string} HTML
+ */
+function renderMessageFiles(files) {
+  const escape = (value) => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  return markExpiredFiles(files).map(file => {
+    if (file.expired) {
+      return `<span class="message-file expired">📎 ${escape(file.name)} (expired)</span>`;
+    }
+    const url = escape(file.url);
+    const type = file.type || '';
+    if (type.startsWith('image/')) {
+      return `<a href="${url}" target="_blank"><img class="message-media" src="${url}" alt="${escape(file.name)}"></a>`;
+    }
+    if (type.startsWith('audio/')) {
+      return `<audio class="message-media" controls src="${url}"></audio>`;
+    }
+    if (type.startsWith('video/')) {
+      return `<video class="message-media" controls src="${url}"></video>`;
+    }
+    return `<a class="message-file" href="${url}" target="_blank" download>📎 ${escape(file.name)}</a>`;
+  }).join('');
+}
+
 // Reply portal endpoints
-app.get('/reply/:conversationId', async (req, res) => {
+app.get('/reply/:conversationId', requirePortalAccess(req => conversationScope(req.params.conversationId), { page: true }), async (req, res) => {
   const { conversationId } = req.params;
+  const tokenQuery = `?token=${encodeURIComponent(req.portalToken)}`;
   const conversation = getConversation(conversationId);
 
   if (!conversation) {
@@ -2699,13 +4180,18 @@ app.get('/reply/:conversationId', async (req, res) => {
     ? normalizePhoneNumber(conversation.senderInfo.phoneNumber || conversation.userId)
     : conversation.userId;
 
+  // Customer record across channels (website conversations have no stored identity)
+  const customerProfile = ['whatsapp', 'line'].includes(conversation.platform)
+    ? await findCustomer(conversation.platform, identifier, { touch: false })
+    : null;
+
   // Try to get ElevenLabs transcript for proper message ordering
   let formattedHistory = [];
   let usedElevenLabsTranscript = false;
 
   if (conversation.platform === 'whatsapp' && identifier) {
-    const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'sk_42e0e37fe9ef457906b11dce0ac6ea5262a005ec2ce0ca6e';
-    const ELEVENLABS_AGENT_ID = process.env.ELEVENLABS_AGENT_ID || 'agent_8501kesasj5fe8b8rm6nnxcvn4kb';
+    const ELEVENLABS_API_KEY = config.elevenLabs.apiKey;
+    const ELEVENLABS_AGENT_ID = config.elevenLabs.agentId;
 
     try {
       console.log('Fetching ElevenLabs conversations for reply portal...');
@@ -2771,11 +4257,17 @@ app.get('/reply/:conversationId', async (req, res) => {
   }
 
   // Fall back to stored message history if no ElevenLabs transcript
+  // (the transcript has no attachments, so list customer files separately)
+  const messageHistory = await getHistory(identifier);
+  const customerFiles = usedElevenLabsTranscript
+    ? messageHistory.filter(msg => msg.direction === 'incoming').flatMap(msg => msg.metadata?.files || [])
+    : [];
   if (!usedElevenLabsTranscript) {
-    const messageHistory = getHistory(identifier);
     formattedHistory = formatForDisplay(messageHistory);
   }
 
+  const serviceWindow = conversation.platform === 'whatsapp' ? await getServiceWindow(identifier) : null;
+
   res.send(`
     <!DOCTYPE html>
     <html>
@@ -2855,6 +4347,22 @@ app.get('/reply/:conversationId', async (req, res) => {
           color: #666;
           margin-top: 4px;
         }
+        .message-media {
+          display: block;
+          max-width: 100%;
+          max-height: 240px;
+          margin-top: 6px;
+          border-radius: 6px;
+        }
+        .message-file {
+          display: inline-block;
+          margin-top: 6px;
+          font-size: 13px;
+          word-break: break-all;
+        }
+        .message-file.expired {
+          color: #999;
+        }
         .message-sender {
           font-weight: 600;
           font-size: 12px;
@@ -2992,16 +4500,19 @@ app.get('/reply/:conversationId', async (req, res) => {
               <span class="info-label">Platform:</span> ${platformName}
             </div>
             <div class="info-row">
-              <span class="info-label">From:</span> ${conversation.senderInfo.senderName || 'Unknown'}
+              <span class="info-label">From:</span>
+              ${conversation.senderInfo.senderPictureUrl ? `<img src="${encodeURI(conversation.senderInfo.senderPictureUrl)}" alt="" style="width: 32px; height: 32px; border-radius: 50%; vertical-align: middle; margin-right: 6px;">` : ''}
+              ${escapeHtml(conversation.senderInfo.senderName || 'Unknown')}
             </div>
             ${conversation.senderInfo.phoneNumber ? `
               <div class="info-row">
-                <span class="info-label">Phone:</span> ${conversation.senderInfo.phoneNumber}
+                <span class="info-label">Phone:</span> ${escapeHtml(conversation.senderInfo.phoneNumber)}
               </div>
             ` : ''}
             <div class="info-row">
               <span class="info-label">Time:</span> ${new Date(conversation.createdAt).toLocaleString('en-US', { timeZone: 'Asia/Bangkok' })}
             </div>
+            ${renderCustomerRecordRow(customerProfile)}
           </div>
 
           <div>
@@ -3009,21 +4520,28 @@ app.get('/reply/:conversationId', async (req, res) => {
             <div class="message-history" id="messageHistory">
               ${formattedHistory.length > 0 ? formattedHistory.map(msg => `
                 <div class="message message-${msg.direction}" style="${msg.direction === 'outgoing' ? 'display: flex; flex-direction: column; align-items: flex-end;' : ''}">
-                  <div class="message-sender">${msg.senderName}</div>
-                  <div>${msg.text}</div>
+                  <div class="message-sender">${escapeHtml(msg.senderName)}</div>
+                  <div>${escapeHtml(msg.text)}</div>
+                  ${renderMessageFiles(msg.files)}
                   <div class="message-time">${msg.timestamp}</div>
                 </div>
               `).join('') : `
                 <div class="message message-incoming">
-                  <div class="message-sender">${conversation.senderInfo.senderName || 'Customer'}</div>
-                  <div>${conversation.senderInfo.messageText || 'No message text available'}</div>
+                  <div class="message-sender">${escapeHtml(conversation.senderInfo.senderName || 'Customer')}</div>
+                  <div>${escapeHtml(conversation.senderInfo.messageText || 'No message text available')}</div>
                   <div class="message-time">Just now</div>
                 </div>
               `}
             </div>
+            ${customerFiles.length > 0 ? `
+              <h3>📎 Files from customer:</h3>
+              <div class="message message-incoming">${renderMessageFiles(customerFiles)}</div>
+            ` : ''}
           </div>
 
-          <form id="replyForm" action="/reply/${conversationId}" method="POST">
+          ${renderServiceWindowWarning(serviceWindow)}
+
+          <form id="replyForm" action="/reply/${encodeURIComponent(conversationId)}${tokenQuery}" method="POST">
             <h3>✏️ Your Reply:</h3>
             <textarea
               name="replyText"
@@ -3205,9 +4723,10 @@ app.get('/reply/:conversationId', async (req, res) => {
 // ElevenLabs-based reply portal - survives deploys by fetching from ElevenLabs API
 // =============================================================================
 
-app.get('/reply-el/:elevenLabsConvId', async (req, res) => {
+app.get('/reply-el/:elevenLabsConvId', requirePortalAccess(req => elevenLabsScope(req.params.elevenLabsConvId), { page: true }), async (req, res) => {
   const { elevenLabsConvId } = req.params;
-  const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'sk_42e0e37fe9ef457906b11dce0ac6ea5262a005ec2ce0ca6e';
+  const tokenQuery = `?token=${encodeURIComponent(req.portalToken)}`;
+  const ELEVENLABS_API_KEY = config.elevenLabs.apiKey;
 
   console.log(`[reply-el] Loading reply portal for ElevenLabs conversation: ${elevenLabsConvId}`);
 
@@ -3256,7 +4775,7 @@ app.get('/reply-el/:elevenLabsConvId', async (req, res) => {
     }
 
     // Get customer info from our database
-    const customerProfile = await getProfile(phoneNumber);
+    const customerProfile = await getProfile(phoneNumber, { touch: false });
     const customerName = customerProfile?.name || convData?.analysis?.data_collection_results?.customer_name?.value || 'Customer';
     const customerCompany = customerProfile?.company || convData?.analysis?.data_collection_results?.customer_company?.value || null;
 
@@ -3304,6 +4823,8 @@ app.get('/reply-el/:elevenLabsConvId', async (req, res) => {
       }
     }
 
+    const serviceWindow = await getServiceWindow(phoneNumber);
+
     // Render the reply portal (same UI as regular reply portal)
     res.send(`
       <!DOCTYPE html>
@@ -3473,9 +4994,10 @@ app.get('/reply-el/:elevenLabsConvId', async (req, res) => {
           </div>
           <div class="content">
             <div class="info-box">
-              <div class="info-row"><span class="info-label">Customer:</span> ${customerName}</div>
-              ${customerCompany ? `<div class="info-row"><span class="info-label">Company:</span> ${customerCompany}</div>` : ''}
-              <div class="info-row"><span class="info-label">Phone:</span> ${phoneNumber}</div>
+              <div class="info-row"><span class="info-label">Customer:</span> ${escapeHtml(customerName)}</div>
+              ${customerCompany ? `<div class="info-row"><span class="info-label">Company:</span> ${escapeHtml(customerCompany)}</div>` : ''}
+              <div class="info-row"><span class="info-label">Phone:</span> ${escapeHtml(phoneNumber)}</div>
+              ${renderCustomerRecordRow(customerProfile)}
             </div>
 
             ${formattedHistory.length > 0 ? `
@@ -3483,15 +5005,17 @@ app.get('/reply-el/:elevenLabsConvId', async (req, res) => {
             <div class="message-history" id="messageHistory">
               ${formattedHistory.map(msg => `
                 <div class="message message-${msg.direction}">
-                  <div class="message-sender">${msg.senderName}</div>
-                  <div class="message-text">${msg.text}</div>
+                  <div class="message-sender">${escapeHtml(msg.senderName)}</div>
+                  <div class="message-text">${escapeHtml(msg.text)}</div>
                   <div class="message-time">${msg.timestamp}</div>
                 </div>
               `).join('')}
             </div>
             ` : '<p>No message history available</p>'}
 
-            <form id="replyForm" action="/reply-el/${elevenLabsConvId}" method="POST">
+            ${renderServiceWindowWarning(serviceWindow)}
+
+            <form id="replyForm" action="/reply-el/${encodeURIComponent(elevenLabsConvId)}${tokenQuery}" method="POST">
               <label for="replyText"><strong>Your Reply:</strong></label>
               <textarea id="replyText" name="replyText" placeholder="Type your message to the customer..." required></textarea>
               <div class="char-count"><span id="charCount">0</span> characters</div>
@@ -3508,9 +5032,9 @@ app.get('/reply-el/:elevenLabsConvId', async (req, res) => {
             <div class="error-message" id="errorMessage"></div>
 
             <!-- Close Escalation button - allows agent to respond again -->
-            <form action="/api/close-escalation" method="POST" style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee;">
-              <input type="hidden" name="phone" value="${phoneNumber}">
-              <input type="hidden" name="redirect" value="/reply-el/${elevenLabsConvId}">
+            <form action="/api/close-escalation?token=${encodeURIComponent(createToken(phoneScope(phoneNumber)))}" method="POST" style="margin-top: 20px; padding-top: 20px; border-top: 1px solid #eee;">
+              <input type="hidden" name="phone" value="${escapeHtml(phoneNumber)}">
+              <input type="hidden" name="redirect" value="/reply-el/${encodeURIComponent(elevenLabsConvId)}${tokenQuery}">
               <button type="submit" style="
                 width: 100%;
                 padding: 12px;
@@ -3636,12 +5160,13 @@ app.get('/reply-el/:elevenLabsConvId', async (req, res) => {
 });
 
 // Handle reply submission for ElevenLabs-based portal
-app.post('/reply-el/:elevenLabsConvId', express.json(), async (req, res) => {
+app.post('/reply-el/:elevenLabsConvId', requirePortalAccess(req => elevenLabsScope(req.params.elevenLabsConvId)), express.json(), async (req, res) => {
   const { elevenLabsConvId } = req.params;
   const { replyText } = req.body;
-  const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY || 'sk_42e0e37fe9ef457906b11dce0ac6ea5262a005ec2ce0ca6e';
+  const agent = req.portalAgent;
+  const ELEVENLABS_API_KEY = config.elevenLabs.apiKey;
 
-  console.log(`[reply-el POST] Processing reply for ElevenLabs conversation: ${elevenLabsConvId}`);
+  console.log(`[reply-el POST] ${agent.name} replying to ElevenLabs conversation: ${elevenLabsConvId}`);
 
   if (!replyText || replyText.trim().length === 0) {
     return res.status(400).json({
@@ -3675,15 +5200,20 @@ app.post('/reply-el/:elevenLabsConvId', express.json(), async (req, res) => {
 
     console.log(`[reply-el POST] Sending reply to phone: ${phoneNumber}`);
 
-    // Send via WhatsApp
-    const result = await sendWhatsAppMessage(phoneNumber, replyText);
+    // Send via WhatsApp (as a template if the 24-hour window has closed)
+    const result = await sendAgentWhatsAppReply(phoneNumber, replyText, agent);
 
     if (result.success) {
       // Store in message history
       const cleanPhone = normalizePhoneNumber(phoneNumber);
-      storeMessage(cleanPhone, replyText, 'outgoing', 'whatsapp', {
-        senderName: 'BMAsia Support (Team)',
-        source: 'reply_portal_el'
+      await storeMessage(cleanPhone, replyText, 'outgoing', 'whatsapp', {
+        senderName: agent.name,
+        agentName: agent.name,
+        agentEmail: agent.email,
+        source: 'reply_portal_el',
+        template: result.template,
+        whatsappMessageId: result.messageId,
+        deliveryStatus: 'sent'
       });
 
       console.log(`[reply-el POST] ✅ Reply sent successfully to ${phoneNumber}`);
@@ -3706,11 +5236,12 @@ app.post('/reply-el/:elevenLabsConvId', express.json(), async (req, res) => {
 });
 
 // Handle reply submission with file uploads
-app.post('/reply/:conversationId', upload.array('files', 5), async (req, res) => {
+app.post('/reply/:conversationId', requirePortalAccess(req => conversationScope(req.params.conversationId)), upload.array('files', 5), async (req, res) => {
   try {
     const { conversationId } = req.params;
     const { replyText } = req.body;
     const files = req.files || [];
+    const agent = req.portalAgent;
 
     // At least text or files must be provided
     if ((!replyText || replyText.trim().length === 0) && files.length === 0) {
@@ -3745,18 +5276,33 @@ app.post('/reply/:conversationId', upload.array('files', 5), async (req, res) =>
 
     // Send messages based on platform
     let results = [];
+    let usedTemplate;
 
     if (conversation.platform === 'whatsapp') {
       const phoneNumber = conversation.senderInfo.phoneNumber || conversation.userId;
 
-      // Send text message if provided
+      const serviceWindow = await getServiceWindow(phoneNumber);
+
+      // Send text message if provided (as a template if the 24-hour window has closed)
       if (replyText && replyText.trim()) {
-        const textResult = await sendWhatsAppMessage(phoneNumber, replyText);
+        const textResult = await sendAgentWhatsAppReply(phoneNumber, replyText, agent);
         results.push(textResult);
+        usedTemplate = textResult.template;
       }
 
-      // Send media messages for each file
+      // Send media messages for each file - Meta rejects media outside the window
       for (const file of savedFiles) {
+        if (!serviceWindow.open) {
+          console.log(`⚠️ 24-hour window closed, skipping WhatsApp media ${file.originalName}`);
+          results.push({ success: false, error: '24-hour window closed' });
+          continue;
+        }
+        const problem = checkChannelMedia('whatsapp', file);
+        if (problem) {
+          console.log(`⚠️ ${problem}, skipping`);
+          results.push({ success: false, error: problem });
+          continue;
+        }
         const mediaResult = await sendWhatsAppMedia(phoneNumber, file);
         results.push(mediaResult);
       }
@@ -3771,11 +5317,12 @@ app.post('/reply/:conversationId', upload.array('files', 5), async (req, res) =>
       // Send media messages for supported file types
       for (const file of savedFiles) {
         // LINE only supports images and videos
-        if (file.mimeType.startsWith('image/') || file.mimeType.startsWith('video/')) {
+        const problem = checkChannelMedia('line', file);
+        if (problem) {
+          console.log(`⚠️ ${problem}, skipping`);
+        } else {
           const mediaResult = await sendLineMedia(conversation.userId, file);
           results.push(mediaResult);
-        } else {
-          console.log(`⚠️ LINE doesn't support ${file.mimeType} files, skipping ${file.originalName}`);
         }
       }
 
@@ -3788,26 +5335,35 @@ app.post('/reply/:conversationId', upload.array('files', 5), async (req, res) =>
 
     // Check if any message was sent successfully
     const anySuccess = results.some(r => r && r.success);
+    // WhatsApp status callbacks track the first message of the reply
+    const firstWhatsAppId = conversation.platform === 'whatsapp'
+      ? results.find(r => r && r.success && r.messageId)?.messageId
+      : undefined;
 
     if (anySuccess) {
       // Store outgoing message in history
       const messageContent = replyText || `[Sent ${files.length} file(s)]`;
-      storeMessage(
+      await storeMessage(
         identifier,
         messageContent,
         'outgoing',
         conversation.platform,
         {
-          agentName: 'Support Agent',
+          senderName: agent.name,
+          agentName: agent.name,
+          agentEmail: agent.email,
           files: savedFiles.map(f => ({
             name: f.originalName,
             type: f.mimeType,
             url: f.url
-          }))
+          })),
+          template: usedTemplate,
+          whatsappMessageId: firstWhatsAppId,
+          deliveryStatus: firstWhatsAppId ? 'sent' : undefined
         }
       );
 
-      console.log(`✅ Reply sent via portal to ${conversation.platform} user ${conversation.userId}`);
+      console.log(`✅ Reply sent via portal by ${agent.name} to ${conversation.platform} user ${conversation.userId}`);
       res.json({
         success: true,
         message: 'Reply sent successfully',
@@ -3836,6 +5392,10 @@ app.post('/reply/:conversationId', upload.array('files', 5), async (req, res) =>
 app.get('/files/:filename', async (req, res) => {
   try {
     const { filename } = req.params;
+    if (!isFileAvailable(`/files/${encodeURIComponent(filename)}`)) {
+      return res.status(410).json({ error: `File expired - files are kept for ${getConfig().messageHistory.retentionHours} hours` });
+    }
+
     const file = await readFile(filename);
 
     res.set('Content-Type', file.mimeType);
@@ -3849,17 +5409,39 @@ app.get('/files/:filename', async (req, res) => {
 
 // Start server only if not being imported (for testing)
 if (require.main === module) {
-  app.listen(PORT, '0.0.0.0', () => {
-    console.log(`BMA Messenger Hub is running on port ${PORT}`);
-    console.log(`Health check: http://0.0.0.0:${PORT}/health`);
-    console.log(`Simple health check: http://0.0.0.0:${PORT}/health-simple`);
-
-    // Polling disabled - Google Chat bots cannot read thread replies via API
-    // Must use webhooks for bidirectional messaging
-    console.log('✅ Server started successfully');
-    console.log('ℹ️  Google Chat polling is disabled - use webhooks for replies');
-    console.log('ℹ️  Configure Google Chat webhook URL: https://bma-messenger-hub-ooyy.onrender.com/webhooks/google-chat');
-  });
+  // Bring the database schema up to date, then restore open escalations before
+  // accepting traffic so no escalated customer is handed back to the AI by a restart
+  runMigrations()
+    .catch(err => console.error('⚠️ Schema migrations failed:', err.message))
+    .then(() => initializeEscalations())
+    .catch(err => console.error('⚠️ Escalation restore failed:', err.message))
+    .then(() => initializeAssignmentRules())
+    .catch(err => console.error('⚠️ Assignment rules load failed - using shipped defaults:', err.message))
+    .then(() => initializeRoster())
+    .catch(err => console.error('⚠️ Team roster load failed - using shipped defaults:', err.message))
+    .then(() => initializeSlaPolicies())
+    .catch(err => console.error('⚠️ SLA policies load failed - using shipped defaults:', err.message))
+    .then(() => initializeBusinessHours())
+    .catch(err => console.error('⚠️ Business hours load failed - using shipped defaults:', err.message))
+    .then(() => initializeSlaTracker())
+    .then(() => {
+      app.listen(PORT, '0.0.0.0', () => {
+        console.log(`BMA Messenger Hub is running on port ${PORT}`);
+        console.log(`Health check: http://0.0.0.0:${PORT}/health`);
+        console.log(`Simple health check: http://0.0.0.0:${PORT}/health-simple`);
+
+        // Polling disabled - Google Chat bots cannot read thread replies via API
+        // Must use webhooks for bidirectional messaging
+        console.log('✅ Server started successfully');
+        console.log('ℹ️  Google Chat polling is disabled - use webhooks for replies');
+        console.log(`ℹ️  Configure Google Chat webhook URL: ${publicUrl('/webhooks/google-chat')}`);
+      });
+
+      // Escalations pause single conversations through the gate - undo any
+      // whole-agent archive left behind by earlier versions
+      return ensureAgentLive();
+    })
+    .catch(err => console.error('⚠️ Agent live check failed:', err.message));
 }
 
 // Export app for testing
@@ -0,0 +1,25 @@
+/**
+ * Message history - conversation history shown in reply portals and live chat
+ */
+
+module.exports = {
+  description: 'Create message_history table',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS message_history (
+        id VARCHAR(64) PRIMARY KEY,
+        identifier VARCHAR(255) NOT NULL,
+        text TEXT NOT NULL,
+        direction VARCHAR(16) NOT NULL,
+        platform VARCHAR(32),
+        metadata JSONB DEFAULT '{}'::jsonb,
+        timestamp BIGINT NOT NULL
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS message_history_identifier_timestamp_idx
+      ON message_history (identifier, timestamp)
+    `);
+  }
+};
@@ -0,0 +1,14 @@
+/**
+ * WhatsApp status webhooks look messages up by their wamid
+ */
+
+module.exports = {
+  description: 'Index message_history by WhatsApp message ID',
+
+  async up(client) {
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS message_history_whatsapp_message_id_idx
+      ON message_history ((metadata->>'whatsappMessageId'))
+    `);
+  }
+};
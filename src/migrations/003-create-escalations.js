@@ -0,0 +1,21 @@
+/**
+ * Open escalations - restored at startup so restarts don't hand customers back to the AI
+ */
+
+module.exports = {
+  description: 'Create escalations table',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS escalations (
+        phone VARCHAR(50) PRIMARY KEY,
+        thread_id VARCHAR(255),
+        customer_name VARCHAR(255),
+        conversation_id VARCHAR(255),
+        conversation_history JSONB DEFAULT '[]'::jsonb,
+        escalated_at BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL
+      )
+    `);
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Seen webhook event IDs - redelivered webhooks are processed once
+ */
+
+module.exports = {
+  description: 'Create webhook_dedup table',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_dedup (
+        key VARCHAR(255) PRIMARY KEY,
+        seen_at BIGINT NOT NULL,
+        expires_at BIGINT NOT NULL
+      )
+    `);
+  }
+};
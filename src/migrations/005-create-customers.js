@@ -0,0 +1,41 @@
+/**
+ * Customers and their channel identities (WhatsApp phone, LINE userId, email)
+ */
+
+module.exports = {
+  description: 'Create customers and customer_identities tables',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS customers (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        company VARCHAR(255),
+        email VARCHAR(255),
+        display_name VARCHAR(255),
+        picture_url TEXT,
+        language VARCHAR(16),
+        profile_fetched_at TIMESTAMP,
+        line_status VARCHAR(16),
+        line_status_at TIMESTAMP,
+        merged_into INTEGER REFERENCES customers(id),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        last_seen TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS customer_identities (
+        channel VARCHAR(16) NOT NULL,
+        identifier VARCHAR(255) NOT NULL,
+        customer_id INTEGER NOT NULL REFERENCES customers(id),
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (channel, identifier)
+      )
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS customer_identities_customer_id_idx
+      ON customer_identities (customer_id)
+    `);
+  }
+};
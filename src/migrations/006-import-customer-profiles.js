@@ -0,0 +1,50 @@
+/**
+ * Copy rows from the original phone-keyed customer_profiles table into customers
+ * The old table is left in place
+ */
+
+// Earlier versions stored LINE userIds ("U" + 32 hex characters) in the phone column
+const LINE_USER_ID_PATTERN = /^U[0-9a-f]{32}$/;
+
+module.exports = {
+  description: 'Import customer_profiles into customers',
+
+  async up(client) {
+    const legacy = await client.query(`SELECT to_regclass('customer_profiles') AS table_name`);
+    if (!legacy.rows[0]?.table_name) return;
+
+    // Databases that already created customers outside the migrations keep their data
+    const existing = await client.query('SELECT 1 FROM customers LIMIT 1');
+    if (existing.rows.length > 0) return;
+
+    const result = await client.query('SELECT * FROM customer_profiles');
+
+    for (const row of result.rows) {
+      const inserted = await client.query(`
+        INSERT INTO customers (name, company, email, display_name, picture_url, language, profile_fetched_at,
+                               line_status, line_status_at, created_at, updated_at, last_seen)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, NOW()), COALESCE($11, NOW()), COALESCE($12, NOW()))
+        RETURNING id
+      `, [
+        row.name, row.company, row.email, row.display_name || null, row.picture_url || null, row.language || null,
+        row.profile_fetched_at || null, row.line_status || null, row.line_status_at || null,
+        row.created_at, row.updated_at, row.last_seen
+      ]);
+      const customerId = inserted.rows[0].id;
+
+      const channel = LINE_USER_ID_PATTERN.test(row.phone) ? 'line' : 'whatsapp';
+      await client.query(
+        'INSERT INTO customer_identities (channel, identifier, customer_id) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+        [channel, row.phone, customerId]
+      );
+      if (row.email) {
+        await client.query(
+          'INSERT INTO customer_identities (channel, identifier, customer_id) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
+          ['email', row.email.trim().toLowerCase(), customerId]
+        );
+      }
+    }
+
+    console.log(`📦 Imported ${result.rows.length} customer profiles into customers`);
+  }
+};
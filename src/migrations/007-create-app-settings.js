@@ -0,0 +1,18 @@
+/**
+ * Editable settings stored as JSON documents (e.g. escalation assignment rules)
+ */
+
+module.exports = {
+  description: 'Create app_settings table',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS app_settings (
+        key VARCHAR(100) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_by VARCHAR(255),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+  }
+};
@@ -0,0 +1,11 @@
+/**
+ * Who an escalation was assigned to and by which assignment rule
+ */
+
+module.exports = {
+  description: 'Add assignment column to escalations',
+
+  async up(client) {
+    await client.query('ALTER TABLE escalations ADD COLUMN IF NOT EXISTS assignment JSONB');
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Every escalation assignment - feeds round-robin and sticky-to-previous-agent
+ * and keeps which rule assigned whom after the escalation is closed
+ */
+
+module.exports = {
+  description: 'Create escalation_assignments table',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS escalation_assignments (
+        id SERIAL PRIMARY KEY,
+        phone VARCHAR(50),
+        team_id VARCHAR(100),
+        rule_id VARCHAR(100),
+        assignee_name VARCHAR(255) NOT NULL,
+        assignee_email VARCHAR(255),
+        strategy VARCHAR(32) NOT NULL,
+        assigned_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS escalation_assignments_phone_idx ON escalation_assignments (phone, assigned_at DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS escalation_assignments_team_idx ON escalation_assignments (team_id, assigned_at DESC)');
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * SLA clock for every escalation - deadlines fixed when the escalation opens,
+ * first reply and resolution times, and which reminders and breach alerts
+ * were posted (so only one instance posts each). Times are epoch milliseconds
+ * like the escalations table.
+ */
+
+module.exports = {
+  description: 'Create escalation_sla table',
+
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS escalation_sla (
+        id SERIAL PRIMARY KEY,
+        phone VARCHAR(50) NOT NULL,
+        customer_name VARCHAR(255),
+        urgency VARCHAR(16) NOT NULL,
+        space_id VARCHAR(255),
+        thread_name VARCHAR(255),
+        assignee_name VARCHAR(255),
+        assignee_email VARCHAR(255),
+        backup_name VARCHAR(255),
+        backup_email VARCHAR(255),
+        escalated_at BIGINT NOT NULL,
+        first_reply_reminder_at BIGINT NOT NULL,
+        first_reply_due_at BIGINT NOT NULL,
+        resolution_reminder_at BIGINT NOT NULL,
+        resolution_due_at BIGINT NOT NULL,
+        first_reply_at BIGINT,
+        resolved_at BIGINT,
+        first_reply_reminded_at BIGINT,
+        first_reply_breached_at BIGINT,
+        resolution_reminded_at BIGINT,
+        resolution_breached_at BIGINT
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS escalation_sla_open_idx ON escalation_sla (phone) WHERE resolved_at IS NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS escalation_sla_escalated_idx ON escalation_sla (escalated_at DESC)');
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * When the customer last wrote on each channel identity (epoch milliseconds),
+ * kept apart from message history so history retention can't close the
+ * WhatsApp 24-hour service window early
+ */
+
+module.exports = {
+  description: 'Add last_incoming_at column to customer_identities',
+
+  async up(client) {
+    await client.query('ALTER TABLE customer_identities ADD COLUMN IF NOT EXISTS last_incoming_at BIGINT');
+  }
+};
@@ -0,0 +1,200 @@
+/**
+ * Assignment Rules Service
+ * Decides who an escalation goes to
+ *
+ * Rules are a JSON document - { defaultAssignee, rules: [...] } - each rule with
+ * keyword, regex pattern and language conditions, a priority and a target: a
+ * fixed assignee or a roster team (team-roster.js picks the member on duty).
+ * The highest-priority enabled rule whose conditions all match wins; without a
+ * match the default assignee gets the escalation.
+ *
+ * Stored and hot-reloaded through EditableSettings (app_settings, or
+ * ASSIGNMENT_RULES_FILE without a database) and edited through the admin API.
+ */
+
+const path = require('path');
+const { z } = require('zod');
+const { EditableSettings, SettingsError } = require('./editable-settings');
+const { getConfig } = require('../config/runtime');
+
+const assigneeSchema = z.object({
+  name: z.string().trim().min(1),
+  email: z.string().trim().email().nullable().default(null)
+});
+
+const ruleSchema = z.object({
+  id: z.string().trim().regex(/^[\w-]+$/, 'must contain only letters, digits, - and _'),
+  name: z.string().trim().min(1),
+  priority: z.number().int().default(0),
+  enabled: z.boolean().default(true),
+  conditions: z.object({
+    keywords: z.array(z.string().trim().toLowerCase().min(1)).default([]),
+    patterns: z.array(z.string().min(1)).default([]),
+    languages: z.array(z.string().trim().toLowerCase().min(2)).default([])
+  }).refine(
+    conditions => conditions.keywords.length + conditions.patterns.length + conditions.languages.length > 0,
+    'needs at least one keyword, pattern or language'
+  ),
+  assignee: assigneeSchema.optional(),
+  team: z.string().trim().min(1).optional()
+}).refine(rule => !!rule.assignee !== !!rule.team, 'needs either an assignee or a team');
+
+const ruleSetSchema = z.object({
+  defaultAssignee: assigneeSchema,
+  rules: z.array(ruleSchema)
+}).superRefine((ruleSet, ctx) => {
+  const seen = new Set();
+  ruleSet.rules.forEach((rule, index) => {
+    if (seen.has(rule.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['rules', index, 'id'], message: `duplicate rule id "${rule.id}"` });
+    }
+    seen.add(rule.id);
+
+    rule.conditions.patterns.forEach((pattern, patternIndex) => {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['rules', index, 'conditions', 'patterns', patternIndex], message: error.message });
+      }
+    });
+  });
+});
+
+class AssignmentRulesError extends SettingsError {
+  constructor(problems) {
+    super('assignment rules', problems);
+    this.name = 'AssignmentRulesError';
+  }
+}
+
+/**
+ * Guess the customer's language from their messages
+ * Only Thai and English are distinguished - by Thai script
+ * @param {string} text - Customer text
+ * @returns {string} 'th' or 'en'
+ */
+function guessLanguage(text) {
+  return /[\u0E00-\u0E7F]/.test(text || '') ? 'th' : 'en';
+}
+
+class AssignmentRules extends EditableSettings {
+  constructor() {
+    super({
+      key: 'assignment_rules',
+      label: 'assignment rules',
+      schema: ruleSetSchema,
+      defaultsFile: path.join(__dirname, '..', 'config', 'assignment-rules.json'),
+      getFile: () => getConfig().assignment.rulesFile,
+      fileEnv: 'ASSIGNMENT_RULES_FILE'
+    });
+  }
+
+  createError(problems) {
+    return new AssignmentRulesError(problems);
+  }
+
+  /**
+   * Sort rules for evaluation and compile their patterns
+   * @param {Object} ruleSet - Validated rules document
+   */
+  compile(ruleSet) {
+    // Highest priority first; equal priorities keep their document order
+    this.compiled = ruleSet.rules
+      .map((rule, index) => ({ rule, index, patterns: rule.conditions.patterns.map(pattern => new RegExp(pattern, 'i')) }))
+      .sort((a, b) => b.rule.priority - a.rule.priority || a.index - b.index);
+  }
+
+  /**
+   * Get the active rules
+   * @returns {Object} { defaultAssignee, rules, source, updatedAt, updatedBy }
+   */
+  getRules() {
+    return this.get();
+  }
+
+  /**
+   * Add a rule or replace the rule with the same id
+   * @param {Object} rule - Rule
+   * @param {string} updatedBy - Who made the change
+   * @returns {Promise<Object>} Active rules
+   */
+  async saveRule(rule, updatedBy = null) {
+    const rules = this.document.rules.filter(existing => existing.id !== rule.id);
+    const index = this.document.rules.findIndex(existing => existing.id === rule.id);
+    rules.splice(index === -1 ? rules.length : index, 0, rule);
+    return this.update({ ...this.document, rules }, updatedBy);
+  }
+
+  /**
+   * Remove a rule
+   * @param {string} id - Rule id
+   * @param {string} updatedBy - Who made the change
+   * @returns {Promise<Object|null>} Active rules, or null if no rule has that id
+   */
+  async deleteRule(id, updatedBy = null) {
+    if (!this.document.rules.some(rule => rule.id === id)) {
+      return null;
+    }
+    return this.update({ ...this.document, rules: this.document.rules.filter(rule => rule.id !== id) }, updatedBy);
+  }
+
+  /**
+   * Find the rule for an escalation
+   * @param {Object} escalation - { text, language } - text is the issue summary and reason
+   * @returns {Object} { assignee, teamId, ruleId, ruleName, matched } - assignee is null
+   *   for team rules; ruleId is null for the default assignee
+   */
+  match({ text = '', language = null } = {}) {
+    const lowerText = text.toLowerCase();
+    const lowerLanguage = (language || '').toLowerCase();
+
+    for (const { rule, patterns } of this.compiled) {
+      if (!rule.enabled) continue;
+
+      const matched = [];
+      const { keywords, languages } = rule.conditions;
+
+      if (keywords.length > 0) {
+        const keyword = keywords.find(kw => lowerText.includes(kw));
+        if (!keyword) continue;
+        matched.push(`keyword "${keyword}"`);
+      }
+      if (patterns.length > 0) {
+        const pattern = patterns.find(regex => regex.test(text));
+        if (!pattern) continue;
+        matched.push(`pattern /${pattern.source}/`);
+      }
+      if (languages.length > 0) {
+        if (!languages.includes(lowerLanguage)) continue;
+        matched.push(`language ${lowerLanguage}`);
+      }
+
+      return {
+        assignee: rule.assignee || null,
+        teamId: rule.team || null,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        matched: matched.join(', ')
+      };
+    }
+
+    return { assignee: this.document.defaultAssignee, teamId: null, ruleId: null, ruleName: 'Default assignee', matched: null };
+  }
+}
+
+// Export singleton instance
+const assignmentRules = new AssignmentRules();
+
+module.exports = {
+  assignmentRules,
+  AssignmentRules,
+  AssignmentRulesError,
+  guessLanguage,
+  initialize: () => assignmentRules.initialize(),
+  getAssignmentRules: () => assignmentRules.getRules(),
+  getDefaultAssignee: () => assignmentRules.getRules().defaultAssignee,
+  updateAssignmentRules: (document, updatedBy) => assignmentRules.update(document, updatedBy),
+  saveAssignmentRule: (rule, updatedBy) => assignmentRules.saveRule(rule, updatedBy),
+  deleteAssignmentRule: (id, updatedBy) => assignmentRules.deleteRule(id, updatedBy),
+  matchAssignment: (escalation) => assignmentRules.match(escalation)
+};
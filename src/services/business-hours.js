@@ -0,0 +1,283 @@
+/**
+ * Business Hours Service
+ * When support is open, as a calendar in Asia/Bangkok time
+ *
+ * The calendar is a JSON document:
+ * - schedule: weekly open hours, e.g. { "mon": [{ "start": "08:00", "end": "21:00" }] }
+ *   (a day that isn't listed is closed; "24:00" ends at midnight)
+ * - teams: weekly schedules for roster teams that keep other hours
+ * - holidays: dates closed all day (Thai public holidays, company closures)
+ * - overrides: one-off hours for a date ([] closes it)
+ * Holidays and overrides can be limited to some teams. For a date an override
+ * wins over a holiday, which wins over the weekly schedule.
+ *
+ * Used for the customer acknowledgment after an escalation, the ElevenLabs
+ * tools and SLA deadlines that only count time while support is open.
+ * Stored and hot-reloaded through EditableSettings (app_settings, or
+ * BUSINESS_HOURS_FILE without a database) and edited through the admin API.
+ */
+
+const path = require('path');
+const { z } = require('zod');
+const { EditableSettings, SettingsError } = require('./editable-settings');
+const { DAYS } = require('./team-roster');
+const { getConfig } = require('../config/runtime');
+
+// Thailand has no daylight saving time - Bangkok is always UTC+7
+const BANGKOK_OFFSET_MS = 7 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far ahead to look for an opening
+const MAX_LOOKAHEAD_DAYS = 366;
+
+const timeSchema = z.string().regex(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, 'must be HH:MM (24-hour, up to 24:00)');
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'must be YYYY-MM-DD')
+  .refine(date => !Number.isNaN(Date.parse(`${date}T00:00:00Z`)), 'is not a valid date');
+
+const hoursSchema = z.array(z.object({
+  start: timeSchema,
+  end: timeSchema
+}).refine(hours => toMinutes(hours.end) > toMinutes(hours.start), 'must end after it starts'));
+
+const weekSchema = z.object(Object.fromEntries(DAYS.map(day => [day, hoursSchema.default([])]))).strict();
+
+// Without teams a holiday or override applies to everyone
+const teamsSchema = z.array(z.string().trim().min(1)).optional();
+
+const calendarSchema = z.object({
+  schedule: weekSchema,
+  teams: z.array(z.object({
+    id: z.string().trim().min(1),
+    schedule: weekSchema
+  })).default([]),
+  holidays: z.array(z.object({
+    date: dateSchema,
+    name: z.string().trim().min(1),
+    teams: teamsSchema
+  })).default([]),
+  overrides: z.array(z.object({
+    date: dateSchema,
+    name: z.string().trim().min(1),
+    hours: hoursSchema,
+    teams: teamsSchema
+  })).default([])
+}).superRefine((calendar, ctx) => {
+  const teamIds = new Set();
+  calendar.teams.forEach((team, index) => {
+    if (teamIds.has(team.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['teams', index, 'id'], message: `duplicate team "${team.id}"` });
+    }
+    teamIds.add(team.id);
+  });
+});
+
+class BusinessHoursError extends SettingsError {
+  constructor(problems) {
+    super('business hours', problems);
+    this.name = 'BusinessHoursError';
+  }
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get the start of the Bangkok day containing an instant
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {number} Milliseconds since the epoch of Bangkok midnight
+ */
+function startOfBangkokDay(time) {
+  return time - ((time + BANGKOK_OFFSET_MS) % DAY_MS);
+}
+
+const openingFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'Asia/Bangkok',
+  weekday: 'long',
+  day: 'numeric',
+  month: 'long',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * Format an opening time for customers
+ * @param {Date} date - Instant
+ * @returns {string} e.g. "Tuesday, October 20 at 8:00 AM"
+ */
+function formatOpening(date) {
+  const parts = Object.fromEntries(openingFormat.formatToParts(date).map(part => [part.type, part.value]));
+  return `${parts.weekday}, ${parts.month} ${parts.day} at ${parts.hour}:${parts.minute} ${parts.dayPeriod}`;
+}
+
+class BusinessHours extends EditableSettings {
+  constructor() {
+    super({
+      key: 'business_hours',
+      label: 'business hours',
+      schema: calendarSchema,
+      defaultsFile: path.join(__dirname, '..', 'config', 'business-hours.json'),
+      getFile: () => getConfig().businessHours.calendarFile,
+      fileEnv: 'BUSINESS_HOURS_FILE'
+    });
+  }
+
+  createError(problems) {
+    return new BusinessHoursError(problems);
+  }
+
+  /**
+   * Get the active calendar
+   * @returns {Object} { schedule, teams, holidays, overrides, source, updatedAt, updatedBy }
+   */
+  getCalendar() {
+    return this.get();
+  }
+
+  /**
+   * Get the open hours of one Bangkok day
+   * @param {number} dayStart - Epoch ms of Bangkok midnight
+   * @param {string|null} teamId - Roster team, for its schedule and team-only dates
+   * @returns {Object} { hours: [[start, end]] as epoch ms, merged and in order, reason } -
+   *   reason names the holiday or override in effect
+   */
+  getDay(dayStart, teamId = null) {
+    const local = new Date(dayStart + BANGKOK_OFFSET_MS);
+    const date = local.toISOString().slice(0, 10);
+    const day = DAYS[local.getUTCDay()];
+
+    // Team-only entries win over entries for everyone
+    const pick = entries => entries
+      .filter(entry => entry.date === date && (!entry.teams || entry.teams.includes(teamId)))
+      .sort((a, b) => !!b.teams - !!a.teams)[0];
+
+    let hours;
+    let reason = null;
+    const override = pick(this.document.overrides);
+    const holiday = !override && pick(this.document.holidays);
+
+    if (override) {
+      hours = override.hours;
+      reason = override.name;
+    } else if (holiday) {
+      hours = [];
+      reason = holiday.name;
+    } else {
+      const team = teamId && this.document.teams.find(entry => entry.id === teamId);
+      hours = (team ? team.schedule : this.document.schedule)[day];
+    }
+
+    const merged = [];
+    hours
+      .map(entry => [dayStart + toMinutes(entry.start) * 60000, dayStart + toMinutes(entry.end) * 60000])
+      .sort((a, b) => a[0] - b[0])
+      .forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+          last[1] = Math.max(last[1], end);
+        } else {
+          merged.push([start, end]);
+        }
+      });
+
+    return { hours: merged, reason };
+  }
+
+  /**
+   * List open hours that haven't ended yet, in order, up to a year ahead
+   * @param {number} time - Epoch ms
+   * @param {string|null} teamId - Roster team
+   * @yields {Array} [start, end] as epoch ms
+   */
+  * openHours(time, teamId = null) {
+    let dayStart = startOfBangkokDay(time);
+    for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++, dayStart += DAY_MS) {
+      for (const hours of this.getDay(dayStart, teamId).hours) {
+        if (hours[1] > time) yield hours;
+      }
+    }
+  }
+
+  /**
+   * Check whether support is open now and when it next opens or closes
+   * @param {Date} date - Instant
+   * @param {string|null} teamId - Roster team
+   * @returns {Object} { open, opensAt, closesAt, reason } - opensAt is null while open;
+   *   closesAt is the end of the current (or next) opening; both are null if
+   *   nothing opens within a year. reason names today's holiday or override.
+   */
+  getStatus(date = new Date(), teamId = null) {
+    const time = date.getTime();
+    let opensAt = null;
+    let closesAt = null;
+
+    // Back-to-back hours (e.g. "24:00" then "00:00") are one opening
+    for (const [start, end] of this.openHours(time, teamId)) {
+      if (opensAt === null) {
+        opensAt = start;
+      } else if (start > closesAt) {
+        break;
+      }
+      closesAt = end;
+    }
+
+    const open = opensAt !== null && opensAt <= time;
+    return {
+      open,
+      opensAt: open || opensAt === null ? null : new Date(opensAt),
+      closesAt: closesAt === null ? null : new Date(closesAt),
+      reason: this.getDay(startOfBangkokDay(time), teamId).reason
+    };
+  }
+
+  /**
+   * Check whether support is open
+   * @param {Date} date - Instant
+   * @param {string|null} teamId - Roster team
+   * @returns {boolean} True during business hours
+   */
+  isOpen(date = new Date(), teamId = null) {
+    const time = date.getTime();
+    return this.getDay(startOfBangkokDay(time), teamId).hours.some(([start, end]) => time >= start && time < end);
+  }
+
+  /**
+   * Add time that only runs while support is open
+   * Starting outside business hours, the clock starts at the next opening
+   * @param {Date} start - Start instant
+   * @param {number} minutes - Business minutes to add
+   * @param {string|null} teamId - Roster team
+   * @returns {Date} Instant the business minutes run out
+   */
+  addBusinessMinutes(start, minutes, teamId = null) {
+    const time = start.getTime();
+    let remaining = minutes * 60 * 1000;
+
+    for (const [open, close] of this.openHours(time, teamId)) {
+      const from = Math.max(open, time);
+      if (remaining <= close - from) {
+        return new Date(from + remaining);
+      }
+      remaining -= close - from;
+    }
+
+    console.warn(`⚠️ No business hours in the next ${MAX_LOOKAHEAD_DAYS} days${teamId ? ` for team ${teamId}` : ''} - counting calendar time`);
+    return new Date(time + minutes * 60 * 1000);
+  }
+}
+
+// Export singleton instance
+const businessHours = new BusinessHours();
+
+module.exports = {
+  businessHours,
+  BusinessHours,
+  BusinessHoursError,
+  formatOpening,
+  initialize: () => businessHours.initialize(),
+  getCalendar: () => businessHours.getCalendar(),
+  updateCalendar: (document, updatedBy) => businessHours.update(document, updatedBy),
+  getBusinessHoursStatus: (date, teamId) => businessHours.getStatus(date, teamId),
+  isBusinessHours: (date, teamId) => businessHours.isOpen(date, teamId),
+  addBusinessMinutes: (start, minutes, teamId) => businessHours.addBusinessMinutes(start, minutes, teamId)
+};
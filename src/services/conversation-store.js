@@ -196,7 +196,7 @@ class ConversationStore {
   }
 
   /**
-   * Get all active conversations (for debugging)
+   * Get all active conversations (for debugging and the agent inbox)
    * @returns {Array} Array of conversation objects
    */
   getAllConversations() {
@@ -276,10 +276,10 @@ class ConversationStore {
 // Export singleton instance
 const conversationStore = new ConversationStore();
 
-// Set up automatic cleanup every hour
+// Set up automatic cleanup every hour (without keeping the process alive)
 setInterval(() => {
   conversationStore.clearExpired();
-}, 60 * 60 * 1000); // 1 hour
+}, 60 * 60 * 1000).unref(); // 1 hour
 
 module.exports = {
   conversationStore,
@@ -288,6 +288,7 @@ module.exports = {
   getConversation: (conversationId) => conversationStore.getConversation(conversationId),
   getConversationByUser: (platform, userId) => conversationStore.getConversationByUser(platform, userId),
   getConversationByThread: (gchatThreadId) => conversationStore.getConversationByThread(gchatThreadId),
+  getAllConversations: () => conversationStore.getAllConversations(),
   getMostRecentConversation: (platform) => conversationStore.getMostRecentConversation(platform),
   updateActivity: (conversationId) => conversationStore.updateActivity(conversationId),
   clearExpired: () => conversationStore.clearExpired(),
@@ -11,7 +11,7 @@ class CustomerInfo {
     this.TTL_HOURS = 24;
 
     // Clean up old data every hour
-    setInterval(() => this.cleanupOldData(), 60 * 60 * 1000);
+    setInterval(() => this.cleanupOldData(), 60 * 60 * 1000).unref();
   }
 
   /**
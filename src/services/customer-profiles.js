@@ -1,46 +1,71 @@
 /**
  * Customer Profile Service - PostgreSQL Version
- * Stores customer information (name, company, email) by phone number
- * So returning customers don't need to repeat their info
+ * Stores customer information (name, company, email) so returning customers
+ * don't need to repeat their info
+ *
+ * One customer can have several channel identities - a WhatsApp phone number,
+ * a LINE userId and a website email - and lookups work from any of them.
+ * Staff can merge two records that turn out to be the same person.
+ * Tables are created by the schema migrations (src/migrations).
  */
 
-const { Pool } = require('pg');
-const { normalizePhoneNumber } = require('./message-history');
+const { getPool } = require('./database');
+const { runMigrations } = require('./migrations');
+const { normalizePhoneNumber, getLastIncomingAt: getLastIncomingFromHistory } = require('./message-history');
+
+const CHANNELS = ['whatsapp', 'line', 'email'];
+
+/**
+ * Normalize a channel identity so lookups are consistent
+ * @param {string} channel - 'whatsapp', 'line' or 'email'
+ * @param {string} identifier - Phone number, LINE userId or email address
+ * @returns {string|null} Normalized identifier or null if invalid
+ */
+function normalizeIdentity(channel, identifier) {
+  if (!identifier || typeof identifier !== 'string') return null;
+
+  if (channel === 'whatsapp') {
+    return normalizePhoneNumber(identifier);
+  }
+  if (channel === 'email') {
+    const email = identifier.trim().toLowerCase();
+    return email.includes('@') ? email : null;
+  }
+  if (channel === 'line') {
+    return identifier.trim() || null;
+  }
+  return null;
+}
+
+// How long the in-memory last-message times are kept - the WhatsApp service window
+const LAST_INCOMING_TTL_MS = 24 * 60 * 60 * 1000;
 
 class CustomerProfileService {
   constructor() {
     this.pool = null;
     this.initialized = false;
+    // "channel:identifier" -> when the customer last wrote (ms), for senders without a
+    // customer record and when there is no database
+    this.lastIncoming = new Map();
+
+    // Forget times older than the service window every hour
+    setInterval(() => this.cleanupLastIncoming(), 60 * 60 * 1000).unref();
   }
 
   async initialize() {
     if (this.initialized) return;
 
-    const connectionString = process.env.DATABASE_URL;
-    if (!connectionString) {
+    const pool = getPool();
+    if (!pool) {
       console.log('⚠️ DATABASE_URL not set - customer profiles will not persist');
       this.initialized = false;
       return;
     }
 
     try {
-      this.pool = new Pool({
-        connectionString,
-        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-      });
+      this.pool = pool;
 
-      // Create table if not exists
-      await this.pool.query(`
-        CREATE TABLE IF NOT EXISTS customer_profiles (
-          phone VARCHAR(50) PRIMARY KEY,
-          name VARCHAR(255),
-          company VARCHAR(255),
-          email VARCHAR(255),
-          created_at TIMESTAMP DEFAULT NOW(),
-          updated_at TIMESTAMP DEFAULT NOW(),
-          last_seen TIMESTAMP DEFAULT NOW()
-        )
-      `);
+      await runMigrations();
 
       this.initialized = true;
       console.log('✅ Customer profiles PostgreSQL initialized');
@@ -51,14 +76,89 @@ class CustomerProfileService {
   }
 
   /**
-   * Get customer profile by phone number
-   * @param {string} phone - Phone number (any format)
-   * @returns {Object|null} Customer profile or null if not found
+   * Convert a customers row (plus its identities) to the profile shape used by callers
+   * @param {Object} row - customers row
+   * @param {Array} identities - [{ channel, identifier }]
+   * @returns {Object} Customer profile
+   */
+  rowToProfile(row, identities = []) {
+    const phoneIdentity = identities.find(identity => identity.channel === 'whatsapp');
+    return {
+      id: row.id,
+      phone: phoneIdentity ? phoneIdentity.identifier : null,
+      name: row.name,
+      company: row.company,
+      email: row.email,
+      displayName: row.display_name || null,
+      pictureUrl: row.picture_url || null,
+      language: row.language || null,
+      profileFetchedAt: row.profile_fetched_at || null,
+      lineStatus: row.line_status || null,
+      lineStatusAt: row.line_status_at || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      lastSeen: row.last_seen,
+      identities: identities.map(identity => ({ channel: identity.channel, identifier: identity.identifier }))
+    };
+  }
+
+  /**
+   * Load a customer and its identities by ID
+   * @param {number} customerId - Customer ID
+   * @returns {Promise<Object|null>} Customer profile or null
+   */
+  async getCustomerById(customerId) {
+    await this.initialize();
+
+    if (!this.pool || !customerId) {
+      return null;
+    }
+
+    try {
+      // Follow merges so old links keep working - stop if they ever loop
+      const visited = new Set();
+      let id = Number(customerId);
+      let row;
+      for (;;) {
+        if (visited.has(id)) {
+          console.error(`⚠️ Customer merges form a cycle at customer ${id}`);
+          return null;
+        }
+        visited.add(id);
+
+        const result = await this.pool.query('SELECT * FROM customers WHERE id = $1', [id]);
+        row = result.rows[0];
+        if (!row) {
+          return null;
+        }
+        if (!row.merged_into) {
+          break;
+        }
+        id = Number(row.merged_into);
+      }
+
+      const identities = await this.pool.query(
+        'SELECT channel, identifier FROM customer_identities WHERE customer_id = $1 ORDER BY created_at',
+        [id]
+      );
+      return this.rowToProfile(row, identities.rows);
+    } catch (error) {
+      console.error('Error getting customer:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Find the customer that owns a channel identity
+   * @param {string} channel - 'whatsapp', 'line' or 'email'
+   * @param {string} identifier - Phone number, LINE userId or email
+   * @param {Object} options - { touch: false } for portal reads that shouldn't count as the customer being seen
+   * @returns {Promise<Object|null>} Customer profile or null if not found
    */
-  async getProfile(phone) {
-    const normalizedPhone = normalizePhoneNumber(phone);
-    if (!normalizedPhone) {
-      console.log('Cannot get profile: invalid phone number');
+  async findCustomer(channel, identifier, options = {}) {
+    const normalized = normalizeIdentity(channel, identifier);
+    if (!normalized) {
+      console.log(`Cannot look up customer: invalid ${channel} identity`);
       return null;
     }
 
@@ -71,43 +171,140 @@ class CustomerProfileService {
 
     try {
       const result = await this.pool.query(
-        'SELECT * FROM customer_profiles WHERE phone = $1',
-        [normalizedPhone]
+        'SELECT customer_id FROM customer_identities WHERE channel = $1 AND identifier = $2',
+        [channel, normalized]
       );
 
-      if (result.rows.length > 0) {
-        const profile = result.rows[0];
-        console.log(`📋 Found customer profile for ${normalizedPhone}:`, {
-          name: profile.name,
-          company: profile.company,
-          hasEmail: !!profile.email
-        });
+      if (result.rows.length === 0) {
+        console.log(`📋 No profile found for ${channel}:${normalized}`);
+        return null;
+      }
 
-        // Update last seen
-        await this.pool.query(
-          'UPDATE customer_profiles SET last_seen = NOW() WHERE phone = $1',
-          [normalizedPhone]
-        );
+      const customerId = result.rows[0].customer_id;
 
-        return {
-          phone: profile.phone,
+      // Update last seen
+      if (options.touch !== false) {
+        await this.pool.query('UPDATE customers SET last_seen = NOW() WHERE id = $1', [customerId]);
+      }
+
+      const profile = await this.getCustomerById(customerId);
+      if (profile) {
+        console.log(`📋 Found customer profile for ${channel}:${normalized}:`, {
+          id: profile.id,
           name: profile.name,
           company: profile.company,
-          email: profile.email,
-          createdAt: profile.created_at,
-          updatedAt: profile.updated_at,
-          lastSeen: profile.last_seen
-        };
+          identities: profile.identities.length
+        });
       }
+      return profile;
+    } catch (error) {
+      console.error('Error getting profile:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the customer ID for an identity, creating the customer if needed
+   * @param {string} channel - 'whatsapp', 'line' or 'email'
+   * @param {string} normalized - Normalized identifier
+   * @returns {Promise<number>} Customer ID
+   */
+  async ensureCustomerId(channel, normalized) {
+    const existing = await this.pool.query(
+      'SELECT customer_id FROM customer_identities WHERE channel = $1 AND identifier = $2',
+      [channel, normalized]
+    );
+    if (existing.rows.length > 0) {
+      return existing.rows[0].customer_id;
+    }
+
+    const created = await this.pool.query('INSERT INTO customers DEFAULT VALUES RETURNING id');
+    const customerId = created.rows[0].id;
+
+    const linked = await this.pool.query(
+      `INSERT INTO customer_identities (channel, identifier, customer_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (channel, identifier) DO NOTHING
+       RETURNING customer_id`,
+      [channel, normalized, customerId]
+    );
 
-      console.log(`📋 No profile found for ${normalizedPhone}`);
+    if (linked.rows.length === 0) {
+      // Another request created this identity first - use that customer
+      await this.pool.query('DELETE FROM customers WHERE id = $1', [customerId]);
+      return this.ensureCustomerId(channel, normalized);
+    }
+
+    console.log(`🆕 Created customer ${customerId} for ${channel}:${normalized}`);
+    return customerId;
+  }
+
+  /**
+   * Save or update the customer behind a channel identity
+   * @param {string} channel - 'whatsapp', 'line' or 'email'
+   * @param {string} identifier - Phone number, LINE userId or email
+   * @param {Object} data - Profile data { name, company, email }
+   * @returns {Promise<Object|null>} Updated profile
+   */
+  async saveCustomer(channel, identifier, data) {
+    const normalized = normalizeIdentity(channel, identifier);
+    if (!normalized) {
+      console.log(`Cannot save profile: invalid ${channel} identity`);
       return null;
+    }
+
+    await this.initialize();
+
+    if (!this.pool) {
+      console.log('📋 Database not available, profile not saved');
+      return null;
+    }
+
+    try {
+      const name = data.name?.trim() || null;
+      const company = data.company?.trim() || null;
+      const email = normalizeIdentity('email', data.email);
+
+      const customerId = await this.ensureCustomerId(channel, normalized);
+      await this.pool.query(`
+        UPDATE customers SET
+          name = COALESCE(NULLIF($2, ''), name),
+          company = COALESCE(NULLIF($3, ''), company),
+          email = COALESCE(NULLIF($4, ''), email),
+          updated_at = NOW(),
+          last_seen = NOW()
+        WHERE id = $1
+      `, [customerId, name, company, email]);
+
+      // The email becomes an identity too, unless it already belongs to someone else
+      if (email) {
+        await this.linkIdentity(customerId, 'email', email);
+      }
+
+      const profile = await this.getCustomerById(customerId);
+      console.log(`💾 Saved customer profile for ${channel}:${normalized}:`, {
+        id: customerId,
+        name: profile?.name,
+        company: profile?.company,
+        hasEmail: !!profile?.email
+      });
+      return profile;
     } catch (error) {
-      console.error('Error getting profile:', error.message);
+      console.error('Error saving profile:', error.message);
       return null;
     }
   }
 
+  /**
+   * Get customer profile by phone number
+   * @param {string} phone - Phone number (any format)
+   * @param {Object} options - { touch: false } to leave last_seen alone
+   * @returns {Object|null} Customer profile or null if not found
+   */
+  async getProfile(phone, options = {}) {
+    return this.findCustomer('whatsapp', phone, options);
+  }
+
   /**
    * Save or update customer profile
    * @param {string} phone - Phone number (any format)
@@ -115,56 +312,352 @@ class CustomerProfileService {
    * @returns {Object} Updated profile
    */
   async saveProfile(phone, data) {
-    const normalizedPhone = normalizePhoneNumber(phone);
-    if (!normalizedPhone) {
-      console.log('Cannot save profile: invalid phone number');
+    return this.saveCustomer('whatsapp', phone, data);
+  }
+
+  /**
+   * Attach another channel identity to a customer
+   * @param {number} customerId - Customer ID
+   * @param {string} channel - 'whatsapp', 'line' or 'email'
+   * @param {string} identifier - Phone number, LINE userId or email
+   * @returns {Promise<Object>} { success, conflictCustomerId } - conflict when another customer owns it
+   */
+  async linkIdentity(customerId, channel, identifier) {
+    const normalized = normalizeIdentity(channel, identifier);
+    if (!normalized || !CHANNELS.includes(channel)) {
+      return { success: false, error: `Invalid ${channel} identity` };
+    }
+
+    await this.initialize();
+
+    if (!this.pool) {
+      return { success: false, error: 'Database not available' };
+    }
+
+    try {
+      await this.pool.query(
+        `INSERT INTO customer_identities (channel, identifier, customer_id)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (channel, identifier) DO NOTHING`,
+        [channel, normalized, customerId]
+      );
+
+      const owner = await this.pool.query(
+        'SELECT customer_id FROM customer_identities WHERE channel = $1 AND identifier = $2',
+        [channel, normalized]
+      );
+      const ownerId = owner.rows[0]?.customer_id;
+
+      if (ownerId !== customerId) {
+        return { success: false, error: `${channel}:${normalized} belongs to another customer`, conflictCustomerId: ownerId };
+      }
+
+      console.log(`🔗 Linked ${channel}:${normalized} to customer ${customerId}`);
+      return { success: true };
+    } catch (error) {
+      console.error('Error linking identity:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Merge one customer into another
+   * The source's identities move to the target, and target fields that are
+   * empty are filled from the source. The source row is kept with merged_into set.
+   * Both rows are locked first, and records that were already merged away are
+   * refused, so crossing merges can't chain merged_into into a cycle.
+   * @param {number} targetId - Customer that remains
+   * @param {number} sourceId - Customer merged away
+   * @returns {Promise<Object|null>} Merged profile, or null on failure
+   */
+  async mergeCustomers(targetId, sourceId) {
+    if (!targetId || !sourceId || Number(targetId) === Number(sourceId)) {
       return null;
     }
 
     await this.initialize();
 
     if (!this.pool) {
-      console.log('📋 Database not available, profile not saved');
       return null;
     }
 
+    const client = await this.pool.connect();
     try {
-      // Upsert profile
-      const name = data.name?.trim() || null;
-      const company = data.company?.trim() || null;
-      const email = data.email?.trim()?.toLowerCase() || null;
+      await client.query('BEGIN');
 
+      // Locked in id order, so two crossing merges wait for each other instead of deadlocking
+      const locked = await client.query(
+        'SELECT id, merged_into FROM customers WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+        [[Number(targetId), Number(sourceId)]]
+      );
+      const target = locked.rows.find(row => Number(row.id) === Number(targetId));
+      const source = locked.rows.find(row => Number(row.id) === Number(sourceId));
+      let problem = null;
+      if (!target || !source) {
+        problem = `customer ${target ? sourceId : targetId} not found`;
+      } else if (target.merged_into || source.merged_into) {
+        const merged = target.merged_into ? target : source;
+        problem = `customer ${merged.id} was already merged into ${merged.merged_into}`;
+      }
+      if (problem) {
+        await client.query('ROLLBACK');
+        console.warn(`⚠️ Not merging customer ${sourceId} into ${targetId}: ${problem}`);
+        return null;
+      }
+
+      await client.query(
+        'UPDATE customer_identities SET customer_id = $1 WHERE customer_id = $2',
+        [targetId, sourceId]
+      );
+      await client.query(`
+        UPDATE customers AS target SET
+          name = COALESCE(target.name, source.name),
+          company = COALESCE(target.company, source.company),
+          email = COALESCE(target.email, source.email),
+          display_name = COALESCE(target.display_name, source.display_name),
+          picture_url = COALESCE(target.picture_url, source.picture_url),
+          language = COALESCE(target.language, source.language),
+          line_status = COALESCE(target.line_status, source.line_status),
+          line_status_at = COALESCE(target.line_status_at, source.line_status_at),
+          created_at = LEAST(target.created_at, source.created_at),
+          last_seen = GREATEST(target.last_seen, source.last_seen),
+          updated_at = NOW()
+        FROM customers AS source
+        WHERE target.id = $1 AND source.id = $2
+      `, [targetId, sourceId]);
+      await client.query(
+        'UPDATE customers SET merged_into = $1, updated_at = NOW() WHERE id = $2',
+        [targetId, sourceId]
+      );
+
+      await client.query('COMMIT');
+      console.log(`🔀 Merged customer ${sourceId} into ${targetId}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Error merging customers:', error.message);
+      return null;
+    } finally {
+      client.release();
+    }
+
+    return this.getCustomerById(targetId);
+  }
+
+  /**
+   * Search customers by name, company, email or any identity
+   * @param {string} query - Search text
+   * @param {number} limit - Maximum results
+   * @returns {Promise<Array>} Matching customer profiles
+   */
+  async searchCustomers(query, limit = 10) {
+    const term = query?.trim();
+    if (!term) {
+      return [];
+    }
+
+    await this.initialize();
+
+    if (!this.pool) {
+      return [];
+    }
+
+    try {
+      const pattern = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
       const result = await this.pool.query(`
-        INSERT INTO customer_profiles (phone, name, company, email)
-        VALUES ($1, $2, $3, $4)
-        ON CONFLICT (phone) DO UPDATE SET
-          name = COALESCE(NULLIF($2, ''), customer_profiles.name),
-          company = COALESCE(NULLIF($3, ''), customer_profiles.company),
-          email = COALESCE(NULLIF($4, ''), customer_profiles.email),
-          updated_at = NOW(),
+        SELECT DISTINCT c.id, c.last_seen
+        FROM customers c
+        LEFT JOIN customer_identities i ON i.customer_id = c.id
+        WHERE c.merged_into IS NULL
+          AND (c.name ILIKE $1 OR c.company ILIKE $1 OR c.email ILIKE $1
+               OR c.display_name ILIKE $1 OR i.identifier ILIKE $1)
+        ORDER BY c.last_seen DESC
+        LIMIT $2
+      `, [pattern, limit]);
+
+      const profiles = [];
+      for (const row of result.rows) {
+        const profile = await this.getCustomerById(row.id);
+        if (profile) profiles.push(profile);
+      }
+      return profiles;
+    } catch (error) {
+      console.error('Error searching customers:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Record a LINE follow/unfollow on the customer's profile
+   * Unfollowed (blocked) users can't receive push messages until they follow again
+   * @param {string} userId - LINE user ID
+   * @param {string} status - 'following' or 'unfollowed'
+   * @returns {Object|null} { id, lineStatus, lineStatusAt } or null if not saved
+   */
+  async setLineStatus(userId, status) {
+    const normalized = normalizeIdentity('line', userId);
+    if (!normalized) {
+      return null;
+    }
+
+    await this.initialize();
+
+    if (!this.pool) {
+      console.log('📋 Database not available, LINE status not saved');
+      return null;
+    }
+
+    try {
+      const customerId = await this.ensureCustomerId('line', normalized);
+      const result = await this.pool.query(`
+        UPDATE customers SET line_status = $2, line_status_at = NOW(), updated_at = NOW()
+        WHERE id = $1
+        RETURNING id, line_status, line_status_at
+      `, [customerId, status]);
+
+      const customer = result.rows[0];
+      console.log(`💾 LINE user ${normalized} is now ${status}`);
+
+      return {
+        id: customer.id,
+        lineStatus: customer.line_status,
+        lineStatusAt: customer.line_status_at
+      };
+    } catch (error) {
+      console.error('Error saving LINE status:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store the display name, picture and language from a messaging platform profile
+   * Kept apart from `name`, which holds the name the customer gave us
+   * @param {string} channel - 'line' (or 'whatsapp')
+   * @param {string} identifier - LINE user ID (or phone number)
+   * @param {Object} platformProfile - { displayName, pictureUrl, language }
+   * @returns {Object|null} { id, displayName, pictureUrl, language } or null if not saved
+   */
+  async savePlatformProfile(channel, identifier, platformProfile) {
+    const normalized = normalizeIdentity(channel, identifier);
+    if (!normalized) {
+      return null;
+    }
+
+    await this.initialize();
+
+    if (!this.pool) {
+      return null;
+    }
+
+    try {
+      const customerId = await this.ensureCustomerId(channel, normalized);
+      const result = await this.pool.query(`
+        UPDATE customers SET
+          display_name = $2,
+          picture_url = $3,
+          language = COALESCE($4, language),
+          profile_fetched_at = NOW(),
           last_seen = NOW()
-        RETURNING *
-      `, [normalizedPhone, name, company, email]);
-
-      const profile = result.rows[0];
-      console.log(`💾 Saved customer profile for ${normalizedPhone}:`, {
-        name: profile.name,
-        company: profile.company,
-        hasEmail: !!profile.email
-      });
+        WHERE id = $1
+        RETURNING id, display_name, picture_url, language
+      `, [customerId, platformProfile.displayName || null, platformProfile.pictureUrl || null, platformProfile.language || null]);
+
+      const customer = result.rows[0];
+      console.log(`💾 Saved platform profile for ${channel}:${normalized}: ${customer.display_name}`);
 
       return {
-        phone: profile.phone,
-        name: profile.name,
-        company: profile.company,
-        email: profile.email
+        id: customer.id,
+        displayName: customer.display_name,
+        pictureUrl: customer.picture_url,
+        language: customer.language
       };
     } catch (error) {
-      console.error('Error saving profile:', error.message);
+      console.error('Error saving platform profile:', error.message);
       return null;
     }
   }
 
+  /**
+   * Record that the customer wrote to us on a channel identity
+   * Kept on the identity row of known customers, so it outlives message history retention.
+   * New senders don't get a customer record for it - their time is kept in memory
+   * @param {string} channel - 'whatsapp', 'line' or 'email'
+   * @param {string} identifier - Phone number, LINE userId or email
+   * @param {number} at - Epoch ms of the message
+   */
+  async recordIncoming(channel, identifier, at = Date.now()) {
+    const normalized = normalizeIdentity(channel, identifier);
+    if (!normalized) {
+      return;
+    }
+
+    const key = `${channel}:${normalized}`;
+    this.lastIncoming.set(key, Math.max(this.lastIncoming.get(key) || 0, at));
+
+    await this.initialize();
+
+    if (!this.pool) {
+      return;
+    }
+
+    try {
+      const result = await this.pool.query(`
+        UPDATE customer_identities SET last_incoming_at = GREATEST(COALESCE(last_incoming_at, 0), $3)
+        WHERE channel = $1 AND identifier = $2
+        RETURNING customer_id
+      `, [channel, normalized, at]);
+      if (result.rows.length > 0) {
+        await this.pool.query('UPDATE customers SET last_seen = NOW() WHERE id = $1', [result.rows[0].customer_id]);
+      }
+    } catch (error) {
+      console.error('Error recording incoming message time:', error.message);
+    }
+  }
+
+  /**
+   * Drop in-memory last-message times older than the service window
+   * Older times are still on the identity row, or in message history
+   */
+  cleanupLastIncoming() {
+    const cutoff = Date.now() - LAST_INCOMING_TTL_MS;
+    for (const [key, at] of this.lastIncoming) {
+      if (at < cutoff) {
+        this.lastIncoming.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get when the customer last wrote on a channel identity
+   * Falls back to message history for new senders and customers who last wrote before it was recorded
+   * @param {string} channel - 'whatsapp', 'line' or 'email'
+   * @param {string} identifier - Phone number, LINE userId or email
+   * @returns {Promise<number|null>} Epoch ms, or null if unknown
+   */
+  async getLastIncomingAt(channel, identifier) {
+    const normalized = normalizeIdentity(channel, identifier);
+    if (!normalized) {
+      return null;
+    }
+
+    await this.initialize();
+
+    let recorded = this.lastIncoming.get(`${channel}:${normalized}`) || null;
+    if (this.pool) {
+      try {
+        const result = await this.pool.query(
+          'SELECT last_incoming_at FROM customer_identities WHERE channel = $1 AND identifier = $2',
+          [channel, normalized]
+        );
+        const stored = Number(result.rows[0]?.last_incoming_at) || null;
+        recorded = Math.max(recorded || 0, stored || 0) || null;
+      } catch (error) {
+        console.error('Error getting incoming message time:', error.message);
+      }
+    }
+
+    return recorded || getLastIncomingFromHistory(normalized);
+  }
+
   /**
    * Check if we have any info for a customer
    * @param {string} phone - Phone number
@@ -184,7 +677,7 @@ class CustomerProfileService {
     await this.initialize();
 
     if (!this.pool) {
-      return { totalProfiles: 0, withName: 0, withCompany: 0, withEmail: 0, dbStatus: 'not connected' };
+      return { totalProfiles: 0, withName: 0, withCompany: 0, withEmail: 0, byChannel: {}, dbStatus: 'not connected' };
     }
 
     try {
@@ -194,8 +687,12 @@ class CustomerProfileService {
           COUNT(name) as with_name,
           COUNT(company) as with_company,
           COUNT(email) as with_email
-        FROM customer_profiles
+        FROM customers
+        WHERE merged_into IS NULL
       `);
+      const channels = await this.pool.query(
+        'SELECT channel, COUNT(*) AS total FROM customer_identities GROUP BY channel'
+      );
 
       const stats = result.rows[0];
       return {
@@ -203,11 +700,12 @@ class CustomerProfileService {
         withName: parseInt(stats.with_name),
         withCompany: parseInt(stats.with_company),
         withEmail: parseInt(stats.with_email),
+        byChannel: Object.fromEntries(channels.rows.map(row => [row.channel, parseInt(row.total)])),
         dbStatus: 'connected'
       };
     } catch (error) {
       console.error('Error getting stats:', error.message);
-      return { totalProfiles: 0, withName: 0, withCompany: 0, withEmail: 0, dbStatus: 'error' };
+      return { totalProfiles: 0, withName: 0, withCompany: 0, withEmail: 0, byChannel: {}, dbStatus: 'error' };
     }
   }
 }
@@ -217,8 +715,21 @@ const customerProfiles = new CustomerProfileService();
 
 module.exports = {
   customerProfiles,
-  getProfile: (phone) => customerProfiles.getProfile(phone),
+  CHANNELS,
+  normalizeIdentity,
+  getProfile: (phone, options) => customerProfiles.getProfile(phone, options),
   saveProfile: (phone, data) => customerProfiles.saveProfile(phone, data),
+  findCustomer: (channel, identifier, options) => customerProfiles.findCustomer(channel, identifier, options),
+  saveCustomer: (channel, identifier, data) => customerProfiles.saveCustomer(channel, identifier, data),
+  getCustomerById: (customerId) => customerProfiles.getCustomerById(customerId),
+  linkIdentity: (customerId, channel, identifier) => customerProfiles.linkIdentity(customerId, channel, identifier),
+  mergeCustomers: (targetId, sourceId) => customerProfiles.mergeCustomers(targetId, sourceId),
+  searchCustomers: (query, limit) => customerProfiles.searchCustomers(query, limit),
+  setLineStatus: (userId, status) => customerProfiles.setLineStatus(userId, status),
+  savePlatformProfile: (channel, identifier, platformProfile) =>
+    customerProfiles.savePlatformProfile(channel, identifier, platformProfile),
+  recordIncoming: (channel, identifier, at) => customerProfiles.recordIncoming(channel, identifier, at),
+  getLastIncomingAt: (channel, identifier) => customerProfiles.getLastIncomingAt(channel, identifier),
   hasProfile: (phone) => customerProfiles.hasProfile(phone),
   getStats: () => customerProfiles.getStats()
 };
@@ -0,0 +1,81 @@
+/**
+ * Database Service
+ * Shared PostgreSQL connection pool (DATABASE_URL) for all persistent stores
+ * Stores fall back to in-memory storage when no database is configured
+ */
+
+const { Pool } = require('pg');
+const { getConfig } = require('../config/runtime');
+
+class Database {
+  constructor() {
+    this.pool = null;
+    this.connectionAttempted = false;
+  }
+
+  /**
+   * Get the shared connection pool, creating it on first use
+   * @returns {Pool|null} PostgreSQL pool or null if DATABASE_URL is not set
+   */
+  getPool() {
+    if (this.pool || this.connectionAttempted) {
+      return this.pool;
+    }
+
+    this.connectionAttempted = true;
+
+    const { databaseUrl: connectionString, nodeEnv } = getConfig();
+    if (!connectionString) {
+      console.log('⚠️ DATABASE_URL not set - persistent stores will use in-memory fallback');
+      return null;
+    }
+
+    try {
+      this.pool = new Pool({
+        connectionString,
+        ssl: nodeEnv === 'production' ? { rejectUnauthorized: false } : false
+      });
+
+      // Idle client errors must not crash the process
+      this.pool.on('error', (error) => {
+        console.error('❌ PostgreSQL pool error:', error.message);
+      });
+
+      console.log('✅ PostgreSQL pool created');
+    } catch (error) {
+      console.error('❌ Failed to create PostgreSQL pool:', error.message);
+      this.pool = null;
+    }
+
+    return this.pool;
+  }
+
+  /**
+   * Check whether a database is configured
+   * @returns {boolean} True if a pool is available
+   */
+  isEnabled() {
+    return !!this.getPool();
+  }
+
+  /**
+   * Close the pool (used by tests and graceful shutdown)
+   */
+  async close() {
+    if (this.pool) {
+      await this.pool.end();
+    }
+    this.pool = null;
+    this.connectionAttempted = false;
+  }
+}
+
+// Export singleton instance
+const database = new Database();
+
+module.exports = {
+  database,
+  getPool: () => database.getPool(),
+  isEnabled: () => database.isEnabled(),
+  close: () => database.close()
+};
@@ -0,0 +1,241 @@
+/**
+ * Editable Settings
+ * Base class for JSON settings documents staff change at runtime
+ * (escalation assignment rules, the team roster)
+ *
+ * A document is validated with a zod schema and stored in app_settings when
+ * DATABASE_URL is set (seeded from the shipped defaults file), otherwise read
+ * from a configured JSON file. Changes are hot-reloaded: the database is polled
+ * and the file is watched, so every instance picks them up without a deploy.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSetting, saveSetting } = require('./settings-store');
+
+const RELOAD_INTERVAL_MS = 30 * 1000;
+
+class SettingsError extends Error {
+  constructor(label, problems) {
+    super(`Invalid ${label}:\n- ${problems.join('\n- ')}`);
+    this.name = 'SettingsError';
+    this.problems = problems;
+  }
+}
+
+class EditableSettings {
+  /**
+   * @param {Object} options
+   * @param {string} options.key - app_settings key
+   * @param {string} options.label - Human-readable name for logs and errors
+   * @param {Object} options.schema - zod schema of the document
+   * @param {string} options.defaultsFile - Shipped defaults (JSON)
+   * @param {Function} options.getFile - () => configured file path or null
+   * @param {string} options.fileEnv - Environment variable naming the file, for warnings
+   */
+  constructor({ key, label, schema, defaultsFile, getFile, fileEnv }) {
+    this.key = key;
+    this.label = label;
+    this.schema = schema;
+    this.defaultsFile = defaultsFile;
+    this.getConfiguredFile = getFile;
+    this.fileEnv = fileEnv;
+
+    this.document = null;
+    this.source = null;
+    this.updatedAt = null;
+    this.updatedBy = null;
+    this.reloadTimer = null;
+    this.watchedFile = null;
+
+    // Usable before initialize() - start from the shipped defaults
+    this.apply(this.readFile(this.defaultsFile), 'defaults');
+  }
+
+  /**
+   * Build the error thrown for an invalid document
+   * @param {Array<string>} problems - Validation problems
+   * @returns {SettingsError} Error
+   */
+  createError(problems) {
+    return new SettingsError(this.label, problems);
+  }
+
+  /**
+   * Validate a document
+   * @param {Object} document - Settings document
+   * @returns {Object} Normalized document
+   * @throws {SettingsError} If the document is invalid
+   */
+  validate(document) {
+    const result = this.schema.safeParse(document);
+    if (!result.success) {
+      throw this.createError(result.error.errors.map(error =>
+        `${error.path.join('.') || 'document'}: ${error.message}`
+      ));
+    }
+    return result.data;
+  }
+
+  /**
+   * Prepare a validated document for use (e.g. compile patterns)
+   * @param {Object} document - Validated document
+   */
+  compile(document) {}
+
+  /**
+   * Validate, compile and activate a document
+   * @param {Object} document - Settings document
+   * @param {string} source - 'database', 'file' or 'defaults'
+   * @param {Object} meta - { updatedAt, updatedBy }
+   */
+  apply(document, source, { updatedAt = null, updatedBy = null } = {}) {
+    const validated = this.validate(document);
+    this.compile(validated);
+    this.document = validated;
+    this.source = source;
+    this.updatedAt = updatedAt;
+    this.updatedBy = updatedBy;
+  }
+
+  /**
+   * Read a document from a JSON file
+   * @param {string} file - File path
+   * @returns {Object} Parsed document
+   */
+  readFile(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Get the configured file, if any
+   * @returns {string|null} Absolute path
+   */
+  getFile() {
+    const file = this.getConfiguredFile();
+    return file ? path.resolve(file) : null;
+  }
+
+  /**
+   * Load the stored document and start hot reloading
+   * Call once at startup
+   * @returns {Promise<string>} Source the document was loaded from
+   */
+  async initialize() {
+    await this.load();
+
+    if (this.source === 'database' && !this.reloadTimer) {
+      this.reloadTimer = setInterval(() => {
+        this.reload().catch(error => console.error(`⚠️ ${this.label} reload failed:`, error.message));
+      }, RELOAD_INTERVAL_MS);
+      this.reloadTimer.unref();
+    }
+
+    const file = this.getFile();
+    if (this.source === 'file' && this.watchedFile !== file) {
+      this.watchedFile = file;
+      fs.watchFile(file, { interval: 5000 }, () => {
+        this.reload().catch(error => console.error(`⚠️ ${this.label} reload failed:`, error.message));
+      }).unref();
+    }
+
+    console.log(`✅ Loaded ${this.label} from ${this.source}`);
+    return this.source;
+  }
+
+  /**
+   * Load the document from the database, seeding it on first use, or from the file
+   */
+  async load() {
+    const stored = await getSetting(this.key);
+    if (stored) {
+      this.apply(stored.value, 'database', stored);
+      return;
+    }
+
+    const file = this.getFile();
+    const document = this.readFile(file || this.defaultsFile);
+
+    const seeded = await saveSetting(this.key, this.validate(document), 'seed');
+    if (seeded) {
+      console.log(`🗄️ Seeded ${this.label} in the database`);
+      this.apply(seeded.value, 'database', seeded);
+      return;
+    }
+
+    this.apply(document, file ? 'file' : 'defaults');
+  }
+
+  /**
+   * Re-read the document if it changed elsewhere (another instance or a file edit)
+   * An invalid edit is logged and the current document stays active
+   * @returns {Promise<boolean>} True if a new document was activated
+   */
+  async reload() {
+    if (this.source === 'database') {
+      const stored = await getSetting(this.key);
+      if (!stored || String(stored.updatedAt) === String(this.updatedAt)) {
+        return false;
+      }
+      this.apply(stored.value, 'database', stored);
+    } else if (this.source === 'file') {
+      try {
+        this.apply(this.readFile(this.getFile()), 'file', { updatedAt: new Date() });
+      } catch (error) {
+        console.error(`⚠️ Ignoring invalid ${this.label} file:`, error.message);
+        return false;
+      }
+    } else {
+      return false;
+    }
+
+    console.log(`🔄 ${this.label} reloaded from ${this.source}`);
+    return true;
+  }
+
+  /**
+   * Get the active document
+   * @returns {Object} Document plus { source, updatedAt, updatedBy }
+   */
+  get() {
+    return {
+      ...this.document,
+      source: this.source,
+      updatedAt: this.updatedAt,
+      updatedBy: this.updatedBy
+    };
+  }
+
+  /**
+   * Replace the whole document
+   * Saved to the database or the file; without either the change lasts until restart
+   * @param {Object} document - Settings document
+   * @param {string} updatedBy - Who made the change
+   * @returns {Promise<Object>} Active document
+   * @throws {SettingsError} If the document is invalid
+   */
+  async update(document, updatedBy = null) {
+    const validated = this.validate(document);
+
+    const saved = await saveSetting(this.key, validated, updatedBy);
+    if (saved) {
+      this.apply(saved.value, 'database', saved);
+    } else {
+      const file = this.getFile();
+      if (file) {
+        fs.writeFileSync(file, `${JSON.stringify(validated, null, 2)}\n`);
+      } else {
+        console.warn(`⚠️ No database or ${this.fileEnv} - ${this.label} changes are lost on restart`);
+      }
+      this.apply(validated, file ? 'file' : 'defaults', { updatedAt: new Date(), updatedBy });
+    }
+
+    console.log(`✅ ${this.label} updated by ${updatedBy || 'unknown'}`);
+    return this.get();
+  }
+}
+
+module.exports = {
+  EditableSettings,
+  SettingsError
+};
@@ -0,0 +1,169 @@
+/**
+ * ElevenLabs Agent Service
+ * Client for the ElevenLabs Conversational AI API - the agent configuration and
+ * the WhatsApp phone behind a conversation. The agent stays live during
+ * escalations; escalated conversations are paused one at a time by elevenlabs-gate.js
+ */
+
+const axios = require('axios');
+const { getConfig } = require('../config/runtime');
+
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1';
+const CONVERSATION_CACHE_MS = 24 * 60 * 60 * 1000;
+
+class ElevenLabsAgent {
+  constructor() {
+    this.apiUrl = ELEVENLABS_API_URL;
+    // conversationId -> { phone, cachedAt } - the phone never changes, and the
+    // gate looks it up on every agent turn
+    this.conversationPhones = new Map();
+
+    // Drop stale entries every hour
+    setInterval(() => this.cleanup(), 60 * 60 * 1000).unref();
+  }
+
+  /**
+   * Build request headers for the ElevenLabs API
+   * @returns {Object} Headers
+   */
+  getHeaders() {
+    return {
+      'xi-api-key': getConfig().elevenLabs.apiKey,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Fetch the agent configuration
+   * @returns {Promise<Object|null>} Agent data or null on error
+   */
+  async getAgent() {
+    try {
+      const response = await axios.get(
+        `${this.apiUrl}/convai/agents/${getConfig().elevenLabs.agentId}`,
+        { headers: this.getHeaders(), timeout: 10000 }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('⚠️ Failed to fetch ElevenLabs agent:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether the agent is currently archived
+   * @returns {Promise<boolean|null>} Archived flag, or null if unknown
+   */
+  async isArchived() {
+    const agent = await this.getAgent();
+    if (!agent) return null;
+    return agent.platform_settings?.archived === true;
+  }
+
+  /**
+   * Archive or unarchive the agent
+   * @param {boolean} archived - True to stop all agent responses
+   * @returns {Promise<boolean>} True if the update succeeded
+   */
+  async setArchived(archived) {
+    try {
+      await axios.patch(
+        `${this.apiUrl}/convai/agents/${getConfig().elevenLabs.agentId}`,
+        { platform_settings: { archived } },
+        { headers: this.getHeaders(), timeout: 10000 }
+      );
+
+      console.log(archived
+        ? '✅ Agent ARCHIVED - no responses'
+        : '✅ Agent UNARCHIVED - resuming normal responses');
+      return true;
+    } catch (error) {
+      const details = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+      console.error(`⚠️ Failed to ${archived ? 'archive' : 'unarchive'} agent:`, details);
+      return false;
+    }
+  }
+
+  /**
+   * Make sure the agent is live
+   * Earlier versions archived the whole agent while any escalation was open,
+   * so an instance restarted mid-escalation may find it still archived
+   * @returns {Promise<Object>} { archived, changed }
+   */
+  async ensureLive() {
+    const archived = await this.isArchived();
+    if (archived !== true) {
+      return { archived, changed: false };
+    }
+
+    console.log('[ElevenLabs] Agent is archived from a previous global pause - unarchiving');
+    const success = await this.setArchived(false);
+    return { archived: !success, changed: success };
+  }
+
+  /**
+   * Fetch a conversation
+   * @param {string} conversationId - ElevenLabs conversation ID
+   * @returns {Promise<Object|null>} Conversation data or null on error
+   */
+  async getConversation(conversationId) {
+    try {
+      const response = await axios.get(
+        `${this.apiUrl}/convai/conversations/${conversationId}`,
+        { headers: this.getHeaders(), timeout: 10000 }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`⚠️ Failed to fetch ElevenLabs conversation ${conversationId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the WhatsApp phone number of the customer in a conversation
+   * @param {string} conversationId - ElevenLabs conversation ID
+   * @returns {Promise<string|null>} Phone number, or null for non-WhatsApp conversations
+   */
+  async getConversationPhone(conversationId) {
+    if (!conversationId) return null;
+
+    const cached = this.conversationPhones.get(conversationId);
+    if (cached) {
+      return cached.phone;
+    }
+
+    const conversation = await this.getConversation(conversationId);
+    const phone = conversation?.metadata?.whatsapp?.whatsapp_user_id || null;
+
+    // Only cache successful fetches so a transient API error is retried
+    if (conversation) {
+      this.conversationPhones.set(conversationId, { phone, cachedAt: Date.now() });
+    }
+    return phone;
+  }
+
+  /**
+   * Remove stale conversation cache entries
+   */
+  cleanup() {
+    const cutoff = Date.now() - CONVERSATION_CACHE_MS;
+    for (const [conversationId, entry] of this.conversationPhones.entries()) {
+      if (entry.cachedAt < cutoff) {
+        this.conversationPhones.delete(conversationId);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+const elevenLabsAgent = new ElevenLabsAgent();
+
+module.exports = {
+  elevenLabsAgent,
+  getAgent: () => elevenLabsAgent.getAgent(),
+  isArchived: () => elevenLabsAgent.isArchived(),
+  setArchived: (archived) => elevenLabsAgent.setArchived(archived),
+  ensureAgentLive: () => elevenLabsAgent.ensureLive(),
+  getConversation: (conversationId) => elevenLabsAgent.getConversation(conversationId),
+  getConversationPhone: (conversationId) => elevenLabsAgent.getConversationPhone(conversationId)
+};
@@ -0,0 +1,80 @@
+/**
+ * ElevenLabs Conversation Gate
+ * Decides whether the ElevenLabs agent may answer a turn in a conversation
+ * The agent calls the gate tool before every reply; conversations whose phone
+ * has an open escalation get skip_turn so the team can answer, while every
+ * other customer keeps talking to the agent as usual
+ */
+
+const { getConversationPhone } = require('./elevenlabs-agent');
+const { isEscalated, getRemainingTime } = require('./escalation-store');
+
+const SKIP_TURN_MESSAGE = 'This customer has an open escalation. A team member is handling their request. Call skip_turn immediately.';
+
+class ElevenLabsGate {
+  constructor() {
+    // Counters for /health - how often the gate paused the agent
+    this.stats = { checks: 0, skipped: 0, unresolved: 0 };
+  }
+
+  /**
+   * Check whether the agent may respond in a conversation
+   * @param {Object} params - { conversationId, phone } - phone wins when both are given
+   * @returns {Promise<Object>} { phone, escalated, action: 'skip_turn' | 'respond', message, remainingMs }
+   */
+  async check({ conversationId, phone } = {}) {
+    this.stats.checks++;
+
+    const resolvedPhone = phone || await getConversationPhone(conversationId);
+    if (!resolvedPhone) {
+      // Web widget or unknown conversation - nothing can be escalated, let the agent answer
+      this.stats.unresolved++;
+      return {
+        phone: null,
+        escalated: false,
+        action: 'respond',
+        message: null,
+        remainingMs: 0
+      };
+    }
+
+    const escalated = isEscalated(resolvedPhone);
+    if (!escalated) {
+      return {
+        phone: resolvedPhone,
+        escalated: false,
+        action: 'respond',
+        message: null,
+        remainingMs: 0
+      };
+    }
+
+    this.stats.skipped++;
+    console.log(`⏸️ Gate: skipping agent turn for escalated customer ${resolvedPhone}`);
+    return {
+      phone: resolvedPhone,
+      escalated: true,
+      action: 'skip_turn',
+      message: SKIP_TURN_MESSAGE,
+      remainingMs: getRemainingTime(resolvedPhone)
+    };
+  }
+
+  /**
+   * Get gate statistics
+   * @returns {Object} { checks, skipped, unresolved }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+// Export singleton instance
+const elevenLabsGate = new ElevenLabsGate();
+
+module.exports = {
+  elevenLabsGate,
+  SKIP_TURN_MESSAGE,
+  checkConversation: (params) => elevenLabsGate.check(params),
+  getGateStats: () => elevenLabsGate.getStats()
+};
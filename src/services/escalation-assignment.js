@@ -0,0 +1,240 @@
+/**
+ * Escalation Assignment Service
+ * Picks the team member an escalation is assigned to
+ *
+ * The assignment rules decide the target: a fixed person or a roster team. For
+ * a team, the member comes from the team's strategy among members who are
+ * available (on duty and in a Bangkok shift):
+ * - round-robin: whoever in the team was assigned longest ago
+ * - least-open: whoever has the fewest open escalations (ties go round-robin)
+ * - sticky: the agent who last helped this customer, else fallbackStrategy
+ * If nobody in the team is available the escalation goes to any available
+ * roster member, and if nobody at all is working, to the team regardless of shifts.
+ *
+ * Every assignment is recorded in escalation_assignments (PostgreSQL when
+ * DATABASE_URL is set, otherwise in memory) for round-robin and sticky.
+ */
+
+const { getPool } = require('./database');
+const { runMigrations } = require('./migrations');
+const { matchAssignment, getDefaultAssignee } = require('./assignment-rules');
+const { getRoster, getTeam, getTeamMembers, isAvailable } = require('./team-roster');
+const { getAllEscalated, normalizePhoneNumber } = require('./escalation-store');
+
+// In-memory history kept without a database
+const MAX_MEMORY_ASSIGNMENTS = 1000;
+
+class EscalationAssignment {
+  constructor() {
+    this.assignments = [];
+  }
+
+  /**
+   * Get the pool once the schema is migrated
+   * @returns {Promise<Pool|null>} Pool or null without a database
+   */
+  async getReadyPool() {
+    const pool = getPool();
+    if (!pool) return null;
+
+    await runMigrations();
+    return pool;
+  }
+
+  /**
+   * Assign an escalation
+   * @param {Object} escalation - { text, language, phone } - text is the issue summary and reason
+   * @param {Date} now - Time of the escalation (shift checks)
+   * @returns {Promise<Object>} { assignee: { name, email }, teamId, ruleId, ruleName, matched, strategy, offShift }
+   */
+  async assign({ text = '', language = null, phone = null } = {}, now = new Date()) {
+    const normalizedPhone = normalizePhoneNumber(phone);
+    const rule = matchAssignment({ text, language });
+    let assignment;
+
+    const team = rule.teamId ? getTeam(rule.teamId) : null;
+    if (rule.teamId && !team) {
+      console.warn(`⚠️ Assignment rule "${rule.ruleId}" points at unknown team "${rule.teamId}" - using the default assignee`);
+    }
+
+    if (!team) {
+      const assignee = rule.assignee || getDefaultAssignee();
+      assignment = { ...rule, assignee: pickContact(assignee), strategy: 'fixed', offShift: false };
+    } else {
+      const teamMembers = getTeamMembers(team);
+      let candidates = teamMembers.filter(member => isAvailable(member, now));
+      let offShift = false;
+
+      if (candidates.length === 0) {
+        candidates = getRoster().members.filter(member => isAvailable(member, now));
+      }
+      if (candidates.length === 0) {
+        candidates = teamMembers;
+        offShift = true;
+      }
+
+      const { member, strategy } = await this.pick(team, candidates, normalizedPhone);
+      assignment = { ...rule, assignee: pickContact(member), strategy, offShift };
+    }
+
+    await this.record(normalizedPhone, assignment);
+    return assignment;
+  }
+
+  /**
+   * Pick a member with the team's strategy
+   * @param {Object} team - Roster team
+   * @param {Array} candidates - Available members, in roster order
+   * @param {string|null} phone - Normalized customer phone
+   * @returns {Promise<Object>} { member, strategy } - strategy actually used
+   */
+  async pick(team, candidates, phone) {
+    if (team.strategy === 'sticky' && phone) {
+      const previous = await this.getPreviousAssignee(phone);
+      const member = previous && candidates.find(candidate => candidate.name.toLowerCase() === previous.toLowerCase());
+      if (member) {
+        return { member, strategy: 'sticky' };
+      }
+    }
+
+    const strategy = team.strategy === 'sticky' ? team.fallbackStrategy : team.strategy;
+    const ordered = await this.orderByLastAssigned(team.id, candidates);
+
+    if (strategy === 'least-open') {
+      const openCounts = countOpenEscalations();
+      const fewest = Math.min(...ordered.map(member => openCounts.get(member.name.toLowerCase()) || 0));
+      return {
+        member: ordered.find(member => (openCounts.get(member.name.toLowerCase()) || 0) === fewest),
+        strategy
+      };
+    }
+
+    return { member: ordered[0], strategy };
+  }
+
+  /**
+   * Order members by when the team last assigned them, longest ago (or never) first
+   * @param {string} teamId - Team id
+   * @param {Array} members - Members in roster order
+   * @returns {Promise<Array>} Members
+   */
+  async orderByLastAssigned(teamId, members) {
+    const lastAssigned = new Map();
+
+    const pool = await this.getReadyPool().catch(() => null);
+    if (pool) {
+      try {
+        const result = await pool.query(`
+          SELECT assignee_name, MAX(assigned_at) AS last_assigned_at
+          FROM escalation_assignments
+          WHERE team_id = $1
+          GROUP BY assignee_name
+        `, [teamId]);
+        for (const row of result.rows) {
+          lastAssigned.set(row.assignee_name.toLowerCase(), new Date(row.last_assigned_at).getTime());
+        }
+      } catch (error) {
+        console.error('⚠️ Failed to read assignment history:', error.message);
+      }
+    } else {
+      // Oldest first, so the position orders assignments even within one millisecond
+      this.assignments.forEach((assignment, index) => {
+        if (assignment.teamId === teamId) {
+          lastAssigned.set(assignment.assigneeName.toLowerCase(), index);
+        }
+      });
+    }
+
+    const last = member => lastAssigned.get(member.name.toLowerCase()) ?? -Infinity;
+    // Array.prototype.sort is stable - ties (including never assigned) keep roster order
+    return [...members].sort((a, b) => (last(a) - last(b)) || 0);
+  }
+
+  /**
+   * Get the agent who handled a customer's most recent escalation
+   * @param {string} phone - Normalized customer phone
+   * @returns {Promise<string|null>} Agent name
+   */
+  async getPreviousAssignee(phone) {
+    const pool = await this.getReadyPool().catch(() => null);
+    if (pool) {
+      try {
+        const result = await pool.query(`
+          SELECT assignee_name FROM escalation_assignments
+          WHERE phone = $1
+          ORDER BY assigned_at DESC
+          LIMIT 1
+        `, [phone]);
+        return result.rows[0]?.assignee_name || null;
+      } catch (error) {
+        console.error('⚠️ Failed to read assignment history:', error.message);
+        return null;
+      }
+    }
+
+    for (let i = this.assignments.length - 1; i >= 0; i--) {
+      if (this.assignments[i].phone === phone) {
+        return this.assignments[i].assigneeName;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Record an assignment
+   * @param {string|null} phone - Normalized customer phone
+   * @param {Object} assignment - Assignment
+   */
+  async record(phone, assignment) {
+    const pool = await this.getReadyPool().catch(() => null);
+    if (pool) {
+      try {
+        await pool.query(`
+          INSERT INTO escalation_assignments (phone, team_id, rule_id, assignee_name, assignee_email, strategy)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [phone, assignment.teamId, assignment.ruleId, assignment.assignee.name, assignment.assignee.email, assignment.strategy]);
+      } catch (error) {
+        console.error('⚠️ Failed to record escalation assignment:', error.message);
+      }
+      return;
+    }
+
+    this.assignments.push({
+      phone,
+      teamId: assignment.teamId,
+      assigneeName: assignment.assignee.name,
+      assignedAt: Date.now()
+    });
+    if (this.assignments.length > MAX_MEMORY_ASSIGNMENTS) {
+      this.assignments.shift();
+    }
+  }
+}
+
+/**
+ * Count open escalations per assignee
+ * @returns {Map} lowercase name -> count
+ */
+function countOpenEscalations() {
+  const counts = new Map();
+  for (const escalation of getAllEscalated()) {
+    const name = escalation.assignment?.assignee?.name;
+    if (name) {
+      counts.set(name.toLowerCase(), (counts.get(name.toLowerCase()) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+function pickContact(person) {
+  return { name: person.name, email: person.email || null };
+}
+
+// Export singleton instance
+const escalationAssignment = new EscalationAssignment();
+
+module.exports = {
+  escalationAssignment,
+  EscalationAssignment,
+  assignEscalation: (escalation, now) => escalationAssignment.assign(escalation, now)
+};
@@ -3,8 +3,16 @@
  * Tracks phone numbers that have been escalated to human team
  * Auto-expires after 15 minutes - agent resumes if team doesn't respond
  * Timer resets each time team sends a reply
+ * Persisted to PostgreSQL (when DATABASE_URL is set) so escalations survive restarts
+ * Opening, team replies and closing are reported to the SLA tracker and pushed
+ * to the live chat
  */
 
+const { getPool } = require('./database');
+const { runMigrations } = require('./migrations');
+const { trackEscalation, recordReply, recordResolution } = require('./sla-tracker');
+const { publish } = require('./live-events');
+
 const ESCALATION_TIMEOUT_MS = 15 * 60 * 1000; // 15 minutes
 
 /**
@@ -24,8 +32,128 @@ function normalizePhoneNumber(phone) {
 
 class EscalationStore {
   constructor() {
-    // Map: normalizedPhone -> { escalatedAt, threadId, customerName, conversationId, conversationHistory }
+    // Map: normalizedPhone -> { escalatedAt, threadId, customerName, conversationId, conversationHistory, assignment }
+    // In-memory cache is the source of truth for reads; writes go through to PostgreSQL
     this.escalatedPhones = new Map();
+    this.pool = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize PostgreSQL storage and reload open escalations
+   * Call once at startup before serving requests
+   * @returns {Promise<number>} Number of escalations restored
+   */
+  async initialize() {
+    if (this.initialized) return this.escalatedPhones.size;
+
+    const pool = getPool();
+    if (!pool) {
+      console.log('⚠️ DATABASE_URL not set - escalations will not survive restarts');
+      return 0;
+    }
+
+    try {
+      this.pool = pool;
+
+      await runMigrations();
+
+      this.initialized = true;
+      return await this.loadFromDatabase();
+    } catch (error) {
+      console.error('❌ Failed to initialize escalations table:', error.message);
+      this.pool = null;
+      this.initialized = false;
+      return 0;
+    }
+  }
+
+  /**
+   * Reload open escalations from PostgreSQL into memory, dropping expired rows
+   * @returns {Promise<number>} Number of escalations restored
+   */
+  async loadFromDatabase() {
+    if (!this.pool) return 0;
+
+    const now = Date.now();
+    await this.pool.query('DELETE FROM escalations WHERE expires_at <= $1', [now]);
+
+    const result = await this.pool.query('SELECT * FROM escalations');
+    for (const row of result.rows) {
+      this.escalatedPhones.set(row.phone, {
+        escalatedAt: Number(row.escalated_at),
+        expiresAt: Number(row.expires_at),
+        threadId: row.thread_id,
+        customerName: row.customer_name || 'Unknown',
+        conversationId: row.conversation_id,
+        conversationHistory: row.conversation_history || [],
+        assignment: row.assignment || null
+      });
+    }
+
+    console.log(`✅ Restored ${result.rows.length} open escalation(s) from PostgreSQL`);
+    return result.rows.length;
+  }
+
+  /**
+   * Write an escalation to PostgreSQL
+   * @param {string} normalizedPhone - Normalized phone number
+   * @param {Object} info - Escalation info
+   */
+  async persist(normalizedPhone, info) {
+    if (!this.pool) return;
+
+    try {
+      await this.pool.query(`
+        INSERT INTO escalations (phone, thread_id, customer_name, conversation_id, conversation_history, escalated_at, expires_at, assignment)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (phone) DO UPDATE SET
+          thread_id = $2,
+          customer_name = $3,
+          conversation_id = $4,
+          conversation_history = $5,
+          escalated_at = $6,
+          expires_at = $7,
+          assignment = $8
+      `, [
+        normalizedPhone,
+        info.threadId || null,
+        info.customerName,
+        info.conversationId || null,
+        JSON.stringify(info.conversationHistory || []),
+        info.escalatedAt,
+        info.expiresAt,
+        info.assignment ? JSON.stringify(info.assignment) : null
+      ]);
+    } catch (error) {
+      console.error(`[Escalation] Failed to persist escalation for ${normalizedPhone}:`, error.message);
+    }
+  }
+
+  /**
+   * Remove an escalation from PostgreSQL
+   * @param {string} normalizedPhone - Normalized phone number
+   */
+  async unpersist(normalizedPhone) {
+    if (!this.pool) return;
+
+    try {
+      await this.pool.query('DELETE FROM escalations WHERE phone = $1', [normalizedPhone]);
+    } catch (error) {
+      console.error(`[Escalation] Failed to delete escalation for ${normalizedPhone}:`, error.message);
+    }
+  }
+
+  /**
+   * Push the escalation state and timer to agents with the live chat open
+   * @param {string} normalizedPhone - Normalized phone number
+   */
+  publishState(normalizedPhone) {
+    const info = this.escalatedPhones.get(normalizedPhone);
+    publish(normalizedPhone, 'escalation', {
+      isEscalated: !!info,
+      remainingTimeMs: info ? Math.max(info.expiresAt - Date.now(), 0) : 0
+    });
   }
 
   /**
@@ -35,8 +163,12 @@ class EscalationStore {
    * @param {string} customerName - Customer name if known
    * @param {string} conversationId - ElevenLabs conversation ID
    * @param {Array} conversationHistory - Parsed messages from the escalation
+   * @param {Object} assignment - Assignee and matching rule, from assignment-rules.js
+   * @param {Object} sla - { urgency, spaceId, threadName } - threadName is the alert's
+   *   Google Chat thread, where SLA reminders are posted
+   * @returns {Promise<boolean>} True if marked
    */
-  markEscalated(phone, threadId, customerName, conversationId, conversationHistory = []) {
+  async markEscalated(phone, threadId, customerName, conversationId, conversationHistory = [], assignment = null, sla = {}) {
     const normalizedPhone = normalizePhoneNumber(phone);
     if (!normalizedPhone) {
       console.log('Cannot mark escalated: invalid phone number');
@@ -44,18 +176,33 @@ class EscalationStore {
     }
 
     const now = Date.now();
-    this.escalatedPhones.set(normalizedPhone, {
+    const info = {
       escalatedAt: now,
       expiresAt: now + ESCALATION_TIMEOUT_MS,
       threadId,
       customerName: customerName || 'Unknown',
       conversationId,
-      conversationHistory
-    });
+      conversationHistory,
+      assignment
+    };
+    this.escalatedPhones.set(normalizedPhone, info);
+    await this.persist(normalizedPhone, info);
+    this.publishState(normalizedPhone);
+    await trackEscalation(normalizedPhone, {
+      customerName,
+      urgency: sla.urgency,
+      spaceId: sla.spaceId,
+      threadName: sla.threadName || threadId,
+      assignee: assignment?.assignee,
+      teamId: assignment?.teamId
+    }, now).catch(error => console.error(`[Escalation] Failed to start SLA for ${normalizedPhone}:`, error.message));
 
     console.log(`[Escalation] Marked ${normalizedPhone} as escalated`);
     console.log(`  Customer: ${customerName || 'Unknown'}`);
     console.log(`  Conversation ID: ${conversationId}`);
+    if (assignment) {
+      console.log(`  Assigned to: ${assignment.assignee.name} (rule: ${assignment.ruleName})`);
+    }
     console.log(`  Expires in: ${ESCALATION_TIMEOUT_MS / 60000} minutes`);
 
     return true;
@@ -77,6 +224,8 @@ class EscalationStore {
     // Check if escalation has expired
     if (Date.now() > info.expiresAt) {
       this.escalatedPhones.delete(normalizedPhone);
+      this.unpersist(normalizedPhone);
+      this.publishState(normalizedPhone);
       console.log(`[Escalation] Auto-expired for ${normalizedPhone} - agent resuming`);
       return false;
     }
@@ -98,18 +247,24 @@ class EscalationStore {
   /**
    * Clear escalation for a phone number (manual close by team)
    * @param {string} phone - Customer phone number
-   * @returns {boolean} True if escalation was cleared
+   * @returns {Promise<boolean>} True if escalation was cleared
    */
-  clearEscalation(phone) {
+  async clearEscalation(phone) {
     const normalizedPhone = normalizePhoneNumber(phone);
     if (!normalizedPhone) return false;
 
     const existed = this.escalatedPhones.has(normalizedPhone);
     if (existed) {
       this.escalatedPhones.delete(normalizedPhone);
+      await this.unpersist(normalizedPhone);
+      this.publishState(normalizedPhone);
       console.log(`[Escalation] Cleared escalation for ${normalizedPhone}`);
     }
 
+    // Also after the timeout - closing is when the team considers it resolved
+    await recordResolution(normalizedPhone)
+      .catch(error => console.error(`[Escalation] Failed to record SLA resolution for ${normalizedPhone}:`, error.message));
+
     return existed;
   }
 
@@ -117,16 +272,22 @@ class EscalationStore {
    * Extend escalation timer - call when team sends a reply
    * Resets the expiration to 10 more minutes from now
    * @param {string} phone - Customer phone number
-   * @returns {boolean} True if escalation was extended
+   * @returns {Promise<boolean>} True if escalation was extended
    */
-  extendEscalation(phone) {
+  async extendEscalation(phone) {
     const normalizedPhone = normalizePhoneNumber(phone);
     if (!normalizedPhone) return false;
 
+    // A reply after the timeout still ends the customer's wait for a human
+    await recordReply(normalizedPhone)
+      .catch(error => console.error(`[Escalation] Failed to record SLA reply for ${normalizedPhone}:`, error.message));
+
     const info = this.escalatedPhones.get(normalizedPhone);
     if (!info) return false;
 
     info.expiresAt = Date.now() + ESCALATION_TIMEOUT_MS;
+    await this.persist(normalizedPhone, info);
+    this.publishState(normalizedPhone);
     console.log(`[Escalation] Timer extended for ${normalizedPhone} - ${ESCALATION_TIMEOUT_MS / 60000} more minutes`);
     return true;
   }
@@ -166,7 +327,8 @@ class EscalationStore {
   getStats() {
     return {
       totalEscalated: this.escalatedPhones.size,
-      phones: Array.from(this.escalatedPhones.keys())
+      phones: Array.from(this.escalatedPhones.keys()),
+      storage: this.pool ? 'postgresql' : 'memory'
     };
   }
 }
@@ -178,8 +340,9 @@ module.exports = {
   escalationStore,
   normalizePhoneNumber,
   ESCALATION_TIMEOUT_MS,
-  markEscalated: (phone, threadId, customerName, conversationId, conversationHistory) =>
-    escalationStore.markEscalated(phone, threadId, customerName, conversationId, conversationHistory),
+  initialize: () => escalationStore.initialize(),
+  markEscalated: (phone, threadId, customerName, conversationId, conversationHistory, assignment, sla) =>
+    escalationStore.markEscalated(phone, threadId, customerName, conversationId, conversationHistory, assignment, sla),
   isEscalated: (phone) => escalationStore.isEscalated(phone),
   getEscalationInfo: (phone) => escalationStore.getEscalationInfo(phone),
   clearEscalation: (phone) => escalationStore.clearEscalation(phone),
@@ -1,11 +1,73 @@
 /**
  * File Handler Service
  * Manages temporary file storage and URLs for sending media through WhatsApp/LINE
+ *
+ * Agent uploads and archived customer media are kept for as long as message
+ * history (MESSAGE_HISTORY_RETENTION_HOURS). temp_uploads is on local disk, so
+ * a redeploy can remove files sooner - portals show those as expired.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { getConfig, publicUrl } = require('../config/runtime');
+
+// File extension → MIME type (also used to name downloaded customer media)
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.txt': 'text/plain',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.3gp': 'video/3gpp',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.amr': 'audio/amr'
+};
+
+const MB = 1024 * 1024;
+
+// What each channel's media API accepts: MIME type → largest file in bytes
+// (WhatsApp Cloud API and LINE Messaging API limits - line-sender sends images and videos only)
+const CHANNEL_MEDIA_LIMITS = {
+  whatsapp: {
+    'image/jpeg': 5 * MB,
+    'image/png': 5 * MB,
+    'video/mp4': 16 * MB,
+    'video/3gpp': 16 * MB,
+    'audio/mpeg': 16 * MB,
+    'audio/mp4': 16 * MB,
+    'audio/aac': 16 * MB,
+    'audio/amr': 16 * MB,
+    'audio/ogg': 16 * MB,
+    'application/pdf': 100 * MB,
+    'application/msword': 100 * MB,
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 100 * MB,
+    'application/vnd.ms-excel': 100 * MB,
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 100 * MB,
+    'text/plain': 100 * MB
+  },
+  line: {
+    'image/jpeg': 10 * MB,
+    'image/png': 10 * MB,
+    'video/mp4': 200 * MB
+  }
+};
+
+const CHANNEL_NAMES = {
+  whatsapp: 'WhatsApp',
+  line: 'LINE'
+};
 
 class FileHandler {
   constructor() {
@@ -16,7 +78,7 @@ class FileHandler {
     }
 
     // Clean up old files every hour
-    setInterval(() => this.cleanupOldFiles(), 60 * 60 * 1000);
+    setInterval(() => this.cleanupOldFiles(), 60 * 60 * 1000).unref();
   }
 
   /**
@@ -54,6 +116,36 @@ class FileHandler {
     }
   }
 
+  /**
+   * Check a file against what a channel can send
+   * @param {string} channel - 'whatsapp' or 'line'
+   * @param {Object} file - { originalName, mimeType, size }
+   * @returns {string|null} Why the file can't be sent, or null if it can
+   */
+  checkChannelMedia(channel, file) {
+    const maxSize = (CHANNEL_MEDIA_LIMITS[channel] || {})[file.mimeType];
+    const channelName = CHANNEL_NAMES[channel] || channel;
+
+    if (!maxSize) {
+      return `${file.originalName}: ${channelName} can't send ${file.mimeType} files`;
+    }
+    if (file.size > maxSize) {
+      return `${file.originalName}: ${channelName} only sends ${file.mimeType} files up to ${maxSize / MB}MB`;
+    }
+    return null;
+  }
+
+  /**
+   * Get a file extension for a MIME type
+   * @param {string} mimeType - MIME type (parameters like "; codecs=opus" are ignored)
+   * @returns {string} Extension including the dot, or '' if unknown
+   */
+  getExtensionForMimeType(mimeType) {
+    const baseType = (mimeType || '').split(';')[0].trim().toLowerCase();
+    const match = Object.entries(MIME_TYPES).find(([, type]) => type === baseType);
+    return match ? match[0] : '';
+  }
+
   /**
    * Get file URL for sending through APIs
    * Note: In production, you'd upload to S3/Cloud Storage and return public URL
@@ -64,8 +156,7 @@ class FileHandler {
   getFileUrl(fileId, filename) {
     // In production, this would return an S3/Cloud Storage URL
     // For now, return local server URL
-    const baseUrl = process.env.PUBLIC_URL || `https://bma-messenger-hub-ooyy.onrender.com`;
-    return `${baseUrl}/files/${filename}`;
+    return publicUrl(`/files/${filename}`);
   }
 
   /**
@@ -86,22 +177,7 @@ class FileHandler {
 
       // Determine MIME type based on extension
       const ext = path.extname(filename).toLowerCase();
-      const mimeTypes = {
-        '.pdf': 'application/pdf',
-        '.doc': 'application/msword',
-        '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        '.xls': 'application/vnd.ms-excel',
-        '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        '.jpg': 'image/jpeg',
-        '.jpeg': 'image/jpeg',
-        '.png': 'image/png',
-        '.gif': 'image/gif',
-        '.mp4': 'video/mp4',
-        '.mp3': 'audio/mpeg',
-        '.wav': 'audio/wav'
-      };
-
-      const mimeType = mimeTypes[ext] || 'application/octet-stream';
+      const mimeType = MIME_TYPES[ext] || 'application/octet-stream';
 
       return {
         data: data,
@@ -115,6 +191,19 @@ class FileHandler {
     }
   }
 
+  /**
+   * Check whether a stored file can still be opened
+   * @param {string} url - File URL from getFileUrl (other URLs are assumed to work)
+   * @returns {boolean} False once the file was cleaned up or lost with the disk
+   */
+  isFileAvailable(url) {
+    const match = /\/files\/([^/?#]+)$/.exec(String(url || ''));
+    if (!match) {
+      return true;
+    }
+    return fs.existsSync(path.join(this.tempDir, path.basename(decodeURIComponent(match[1]))));
+  }
+
   /**
    * Delete a file from temp directory
    * @param {string} filename - Filename to delete
@@ -132,13 +221,13 @@ class FileHandler {
   }
 
   /**
-   * Clean up files older than 24 hours
+   * Clean up files older than the message history that links to them
    */
   async cleanupOldFiles() {
     try {
       const files = await fs.promises.readdir(this.tempDir);
       const now = Date.now();
-      const maxAge = 24 * 60 * 60 * 1000; // 24 hours
+      const maxAge = getConfig().messageHistory.retentionHours * 60 * 60 * 1000;
 
       for (const filename of files) {
         const filepath = path.join(this.tempDir, filename);
@@ -188,12 +277,19 @@ const fileHandler = new FileHandler();
 
 module.exports = {
   fileHandler,
+  CHANNEL_MEDIA_LIMITS,
   saveFile: (fileBuffer, originalName, mimeType) =>
     fileHandler.saveFile(fileBuffer, originalName, mimeType),
   getFileUrl: (fileId, filename) =>
     fileHandler.getFileUrl(fileId, filename),
+  checkChannelMedia: (channel, file) =>
+    fileHandler.checkChannelMedia(channel, file),
+  getExtensionForMimeType: (mimeType) =>
+    fileHandler.getExtensionForMimeType(mimeType),
   readFile: (filename) =>
     fileHandler.readFile(filename),
+  isFileAvailable: (url) =>
+    fileHandler.isFileAvailable(url),
   deleteFile: (filename) =>
     fileHandler.deleteFile(filename),
   getStats: () =>
@@ -1,6 +1,8 @@
 const { google } = require('googleapis');
 const { storeConversation } = require('./conversation-store');
 const { normalizePhoneNumber } = require('./message-history');
+const { createPortalLink, conversationScope } = require('./portal-auth');
+const { getConfig } = require('../config/runtime');
 
 class GoogleChatService {
   constructor() {
@@ -13,7 +15,7 @@ class GoogleChatService {
 
   async initialize() {
     try {
-      const credentialsJson = process.env.GOOGLE_CREDENTIALS_JSON;
+      const credentialsJson = getConfig().googleChat.credentialsJson;
       if (!credentialsJson) {
         throw new Error('GOOGLE_CREDENTIALS_JSON environment variable not found');
       }
@@ -141,8 +143,8 @@ class GoogleChatService {
 
         if (error.response.status === 403) {
           console.error('⚠️  Permission denied. Make sure the service account is added to the space.');
-          console.error('Service account:', process.env.GOOGLE_CREDENTIALS_JSON ?
-            JSON.parse(process.env.GOOGLE_CREDENTIALS_JSON).client_email : 'Unknown');
+          const credentialsJson = getConfig().googleChat.credentialsJson;
+          console.error('Service account:', credentialsJson ? JSON.parse(credentialsJson).client_email : 'Unknown');
         } else if (error.response.status === 404) {
           console.error('⚠️  Space not found. Check if the space ID is correct.');
         }
@@ -155,6 +157,32 @@ class GoogleChatService {
     }
   }
 
+  /**
+   * Post a plain message into an existing thread (e.g. an escalation alert's thread)
+   * Starts a new thread if the thread is unknown or gone
+   * @param {string} spaceId - Space (spaces/...)
+   * @param {string|null} threadName - Thread (spaces/.../threads/...)
+   * @param {string} text - Message text
+   * @returns {Promise<Object|null>} Created message or null on failure
+   */
+  async sendThreadReply(spaceId, threadName, text) {
+    try {
+      if (!this.initialized) await this.initialize();
+
+      const request = { parent: spaceId, requestBody: { text } };
+      if (threadName) {
+        request.messageReplyOption = 'REPLY_MESSAGE_FALLBACK_TO_NEW_THREAD';
+        request.requestBody.thread = { name: threadName };
+      }
+
+      const response = await this.chat.spaces.messages.create(request);
+      return response.data;
+    } catch (error) {
+      console.error(`❌ Failed to post to Google Chat thread ${threadName || spaceId}:`, error.message);
+      return null;
+    }
+  }
+
   // Load space members and build email → userId map (cached for 24h)
   async loadSpaceMembers(spaceId) {
     try {
@@ -200,7 +228,7 @@ class GoogleChatService {
   }
 
   formatMessage(message, senderInfo, conversationId = null) {
-    const { platform, senderName, phoneNumber, senderId, timestamp, customerName, customerBusiness } = senderInfo;
+    const { platform, senderName, phoneNumber, senderId, timestamp, customerName, customerBusiness, files, senderPictureUrl } = senderInfo;
 
     const platformIcon = this.getPlatformIcon(platform);
     const platformName = platform ? platform.toUpperCase() : 'MESSAGE';
@@ -210,7 +238,15 @@ class GoogleChatService {
     // Add customer information (from AI gathering)
     const displayName = customerName || senderName;
     if (displayName) {
-      formattedMessage += `*From:* ${displayName}\n`;
+      formattedMessage += `*From:* ${displayName}`;
+      // LINE display name when the customer gave us a different name
+      if (customerName && senderName && customerName !== senderName && senderName !== 'LINE User') {
+        formattedMessage += ` (${senderName} on ${platformName})`;
+      }
+      if (senderPictureUrl) {
+        formattedMessage += ` <${senderPictureUrl}|🖼️>`;
+      }
+      formattedMessage += `\n`;
     }
 
     if (customerBusiness) {
@@ -230,10 +266,18 @@ class GoogleChatService {
 
     formattedMessage += `\n*Message:*\n${message}`;
 
+    // Link customer attachments (archived by the media archive) so staff can open them
+    if (Array.isArray(files) && files.length > 0) {
+      formattedMessage += `\n\n*Attachments:*`;
+      for (const file of files) {
+        formattedMessage += `\n📎 <${file.url}|${file.name}>`;
+      }
+    }
+
     // Add reply instructions with portal link if conversation ID is provided
     // Skip if message already contains a reply link (e.g., escalation alerts)
     if (conversationId) {
-      const replyUrl = `https://bma-messenger-hub-ooyy.onrender.com/reply/${conversationId}`;
+      const replyUrl = createPortalLink(`/reply/${conversationId}`, conversationScope(conversationId));
       formattedMessage += `\n\n---\n`;
       formattedMessage += `↩️ *Reply to customer:* <${replyUrl}|Click here>`;
     } else if (!message.includes('Reply to customer:')) {
@@ -325,6 +369,9 @@ module.exports = {
   sendMessage: (spaceId, message, senderInfo) => {
     return googleChatService.sendMessage(spaceId, message, senderInfo);
   },
+  sendThreadReply: (spaceId, threadName, text) => {
+    return googleChatService.sendThreadReply(spaceId, threadName, text);
+  },
   listSpaceMessages: (spaceId, pageSize) => {
     return googleChatService.listSpaceMessages(spaceId, pageSize);
   },
@@ -0,0 +1,212 @@
+/**
+ * Inbox Service
+ * One queue of every conversation agents may need to pick up, across channels
+ *
+ * Merges active conversations (conversation-store), open escalations
+ * (escalation-store) and escalations whose SLA is still running (sla-tracker)
+ * into one entry per customer. Each entry carries the last message and unread
+ * count from the message history - unread counts the customer's messages since
+ * the team last replied.
+ *
+ * Status of an entry:
+ * - escalated: the AI agent is paused for the customer and a human is on it
+ * - waiting: the escalation timed out but its SLA is still open
+ * - active: the AI agent is handling the conversation
+ */
+
+const { getAllConversations } = require('./conversation-store');
+const { getAllEscalated } = require('./escalation-store');
+const { getOpenSla } = require('./sla-tracker');
+const { getHistory } = require('./message-history');
+
+const INBOX_CHANNELS = ['whatsapp', 'line', 'website'];
+const STATUSES = ['escalated', 'waiting', 'active'];
+
+/**
+ * Get the channel of a stored conversation
+ * Escalations from the website widget are stored as WhatsApp conversations
+ * with a placeholder escalation_* user ID
+ * @param {Object} conversation - Conversation from conversation-store
+ * @returns {string} 'whatsapp', 'line' or 'website'
+ */
+function channelOf(conversation) {
+  if (conversation.platform === 'line') return 'line';
+  if (conversation.platform === 'whatsapp' && !String(conversation.userId).startsWith('escalation_')) return 'whatsapp';
+  return 'website';
+}
+
+/**
+ * Get the SLA target the team is working towards
+ * @param {Object} record - Open SLA record
+ * @param {number} now - Epoch ms
+ * @returns {Object} { urgency, target: 'firstReply'|'resolution', dueAt, remainingMs, breached }
+ */
+function slaCountdown(record, now) {
+  const target = record.firstReplyAt ? 'resolution' : 'firstReply';
+  const dueAt = target === 'firstReply' ? record.firstReplyDueAt : record.resolutionDueAt;
+  return { urgency: record.urgency, target, dueAt, remainingMs: dueAt - now, breached: now >= dueAt };
+}
+
+/**
+ * Count the customer's messages since the team's last reply
+ * @param {Array} history - Messages in chronological order
+ * @returns {number} Unread count
+ */
+function countUnread(history) {
+  let unread = 0;
+  for (let i = history.length - 1; i >= 0 && history[i].direction === 'incoming'; i--) {
+    unread++;
+  }
+  return unread;
+}
+
+class Inbox {
+  /**
+   * Build one entry per customer from every source
+   * @param {number} now - Epoch ms
+   * @returns {Promise<Array>} Entries, unfiltered and unsorted
+   */
+  async getEntries(now = Date.now()) {
+    const entries = new Map();
+    const entryFor = (channel, identifier) => {
+      const key = `${channel}:${identifier}`;
+      if (!entries.has(key)) {
+        entries.set(key, {
+          key,
+          channel,
+          identifier,
+          conversationId: null,
+          customerName: null,
+          company: null,
+          lastMessage: null,
+          lastActivity: 0,
+          unread: 0,
+          status: 'active',
+          escalationExpiresAt: null,
+          assignee: null,
+          sla: null
+        });
+      }
+      return entries.get(key);
+    };
+
+    for (const conversation of getAllConversations()) {
+      const entry = entryFor(channelOf(conversation), conversation.userId);
+      const { senderInfo = {} } = conversation;
+      entry.conversationId = conversation.id;
+      entry.customerName = senderInfo.customerName || senderInfo.senderName || null;
+      entry.company = senderInfo.customerBusiness || null;
+      entry.lastActivity = Math.max(entry.lastActivity, conversation.lastActivity);
+    }
+
+    for (const record of await getOpenSla()) {
+      const entry = entryFor('whatsapp', record.phone);
+      entry.status = 'waiting';
+      entry.customerName = entry.customerName || record.customerName;
+      entry.assignee = record.assignee;
+      entry.sla = slaCountdown(record, now);
+      entry.lastActivity = Math.max(entry.lastActivity, record.escalatedAt);
+    }
+
+    for (const escalation of getAllEscalated()) {
+      if (escalation.expiresAt <= now) continue;
+      const entry = entryFor('whatsapp', escalation.phone);
+      entry.status = 'escalated';
+      entry.escalationExpiresAt = escalation.expiresAt;
+      if (escalation.customerName && escalation.customerName !== 'Unknown') {
+        entry.customerName = entry.customerName || escalation.customerName;
+      }
+      entry.assignee = escalation.assignment?.assignee || entry.assignee;
+      entry.lastActivity = Math.max(entry.lastActivity, escalation.escalatedAt);
+    }
+
+    await Promise.all([...entries.values()].map(async (entry) => {
+      const history = await getHistory(entry.identifier).catch(() => []) || [];
+      const last = history[history.length - 1];
+      if (last) {
+        entry.lastMessage = { text: last.text, direction: last.direction, timestamp: last.timestamp };
+        entry.lastActivity = Math.max(entry.lastActivity, last.timestamp);
+      }
+      entry.unread = countUnread(history);
+    }));
+
+    return [...entries.values()];
+  }
+
+  /**
+   * Check an entry against the inbox filters
+   * @param {Object} entry - Inbox entry
+   * @param {Object} filters - { channel, status, assignee, unread, q } - assignee
+   *   is a name or email, or 'unassigned'
+   * @returns {boolean} True if the entry is shown
+   */
+  matches(entry, filters) {
+    if (filters.channel && entry.channel !== filters.channel) return false;
+    if (filters.status && entry.status !== filters.status) return false;
+    if (filters.unread && entry.unread === 0) return false;
+
+    if (filters.assignee) {
+      const wanted = filters.assignee.toLowerCase();
+      if (wanted === 'unassigned') {
+        if (entry.assignee) return false;
+      } else if (![entry.assignee?.name, entry.assignee?.email].some(value => value && value.toLowerCase() === wanted)) {
+        return false;
+      }
+    }
+
+    if (filters.q) {
+      const query = filters.q.toLowerCase();
+      const fields = [entry.customerName, entry.company, entry.identifier, entry.lastMessage?.text];
+      if (!fields.some(value => value && value.toLowerCase().includes(query))) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * List the inbox
+   * SLA countdowns come first (soonest due, breached on top), then the most recent activity
+   * @param {Object} filters - See matches()
+   * @param {number} now - Epoch ms
+   * @returns {Promise<Object>} { entries, counts: { total, escalated, waiting, unread, breached }, assignees }
+   *   - counts and assignees cover the whole inbox, before filtering
+   */
+  async list(filters = {}, now = Date.now()) {
+    const all = await this.getEntries(now);
+
+    const entries = all
+      .filter(entry => this.matches(entry, filters))
+      .sort((a, b) => {
+        if (a.sla && b.sla) return a.sla.dueAt - b.sla.dueAt;
+        if (a.sla || b.sla) return a.sla ? -1 : 1;
+        return b.lastActivity - a.lastActivity;
+      });
+
+    const assignees = new Map();
+    for (const entry of all) {
+      if (entry.assignee) assignees.set(entry.assignee.email || entry.assignee.name, entry.assignee);
+    }
+
+    return {
+      entries,
+      counts: {
+        total: all.length,
+        escalated: all.filter(entry => entry.status === 'escalated').length,
+        waiting: all.filter(entry => entry.status === 'waiting').length,
+        unread: all.filter(entry => entry.unread > 0).length,
+        breached: all.filter(entry => entry.sla?.breached).length
+      },
+      assignees: [...assignees.values()].sort((a, b) => a.name.localeCompare(b.name))
+    };
+  }
+}
+
+// Export singleton instance
+const inbox = new Inbox();
+
+module.exports = {
+  inbox,
+  INBOX_CHANNELS,
+  STATUSES,
+  getInbox: (filters, now) => inbox.list(filters, now)
+};
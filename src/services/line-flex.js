@@ -0,0 +1,196 @@
+/**
+ * LINE Flex Message Builder
+ * Builds Flex Message bubbles for cards we send on LINE (zone status,
+ * escalation confirmations) and the actions their buttons trigger
+ * Button taps come back as postback events handled by line-postbacks.js
+ */
+
+const BRAND_COLOR = '#075E54';
+const MAX_ALT_TEXT = 400;
+const MAX_POSTBACK_DATA = 300;
+
+const PLAYBACK_STATES = {
+  playing: { label: 'Playing', color: '#16a34a' },
+  paused: { label: 'Paused', color: '#d97706' },
+  stopped: { label: 'Stopped', color: '#dc2626' }
+};
+
+class LineFlexBuilder {
+  /**
+   * Postback action - LINE sends `data` back to the webhook when tapped
+   * @param {string} label - Button label
+   * @param {string|Object} data - Postback data, or an object encoded as a query string
+   * @param {string} displayText - Text shown in the chat as the user's message
+   * @returns {Object} Action object
+   */
+  postbackAction(label, data, displayText = null) {
+    const encoded = typeof data === 'string' ? data : new URLSearchParams(data).toString();
+    if (encoded.length > MAX_POSTBACK_DATA) {
+      throw new Error(`LINE postback data is limited to ${MAX_POSTBACK_DATA} characters`);
+    }
+
+    const action = { type: 'postback', label, data: encoded };
+    if (displayText) {
+      action.displayText = displayText;
+    }
+    return action;
+  }
+
+  /**
+   * URI action - opens a link
+   * @param {string} label - Button label
+   * @param {string} uri - URL to open
+   * @returns {Object} Action object
+   */
+  uriAction(label, uri) {
+    return { type: 'uri', label, uri };
+  }
+
+  /**
+   * Message action - sends `text` as the user's message
+   * @param {string} label - Button label
+   * @param {string} text - Message text
+   * @returns {Object} Action object
+   */
+  messageAction(label, text) {
+    return { type: 'message', label, text };
+  }
+
+  /**
+   * Wrap bubble contents in a Flex message
+   * @param {string} altText - Shown in notifications and chat lists
+   * @param {Object} contents - Bubble or carousel
+   * @returns {Object} LINE message object
+   */
+  flexMessage(altText, contents) {
+    return {
+      type: 'flex',
+      altText: altText.substring(0, MAX_ALT_TEXT),
+      contents
+    };
+  }
+
+  /**
+   * Build a card bubble with a title, label/value rows and buttons
+   * @param {Object} card - { title, subtitle, color, rows: [{ label, value, color }], buttons: [{ action, primary }], note }
+   * @returns {Object} Bubble container
+   */
+  buildCard({ title, subtitle = null, color = BRAND_COLOR, rows = [], buttons = [], note = null }) {
+    const header = [{ type: 'text', text: title, weight: 'bold', size: 'lg', color: '#ffffff', wrap: true }];
+    if (subtitle) {
+      header.push({ type: 'text', text: subtitle, size: 'sm', color: '#ffffffcc', wrap: true });
+    }
+
+    const body = rows.map(row => ({
+      type: 'box',
+      layout: 'baseline',
+      spacing: 'sm',
+      contents: [
+        { type: 'text', text: row.label, size: 'sm', color: '#8c8c8c', flex: 2 },
+        { type: 'text', text: String(row.value ?? '-'), size: 'sm', color: row.color || '#333333', flex: 4, wrap: true }
+      ]
+    }));
+    if (note) {
+      body.push({ type: 'text', text: note, size: 'xs', color: '#8c8c8c', wrap: true, margin: 'md' });
+    }
+
+    const bubble = {
+      type: 'bubble',
+      header: {
+        type: 'box',
+        layout: 'vertical',
+        backgroundColor: color,
+        contents: header
+      },
+      body: {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: body.length > 0 ? body : [{ type: 'text', text: ' ', size: 'sm' }]
+      }
+    };
+
+    if (buttons.length > 0) {
+      bubble.footer = {
+        type: 'box',
+        layout: 'vertical',
+        spacing: 'sm',
+        contents: buttons.map(button => ({
+          type: 'button',
+          style: button.primary ? 'primary' : 'secondary',
+          color: button.primary ? color : undefined,
+          height: 'sm',
+          action: button.action
+        }))
+      };
+    }
+
+    return bubble;
+  }
+
+  /**
+   * Zone status card for a Soundtrack sound zone
+   * @param {Object} zone - { id, name, location, isPaired, playbackState, pairingCode }
+   * @returns {Object} Flex message
+   */
+  buildZoneStatusCard(zone) {
+    const state = PLAYBACK_STATES[zone.playbackState] || { label: zone.playbackState || 'Unknown', color: '#6b7280' };
+    const rows = [
+      { label: 'Zone', value: zone.name },
+      { label: 'Location', value: zone.location },
+      { label: 'Player', value: zone.isPaired ? 'Paired' : 'Not paired', color: zone.isPaired ? '#16a34a' : '#dc2626' },
+      { label: 'Music', value: state.label, color: state.color }
+    ];
+    if (!zone.isPaired && zone.pairingCode) {
+      rows.push({ label: 'Pairing code', value: zone.pairingCode });
+    }
+
+    const bubble = this.buildCard({
+      title: '🎵 Zone Status',
+      subtitle: zone.name,
+      color: zone.isPaired && zone.playbackState === 'playing' ? '#16a34a' : BRAND_COLOR,
+      rows,
+      buttons: [
+        { action: this.postbackAction('Refresh status', { action: 'zone_status', zone: zone.id || '' }, 'Check my zone status'), primary: true },
+        { action: this.postbackAction('Talk to a person', { action: 'talk_to_person', zone: zone.id || '' }, 'Talk to a person') }
+      ]
+    });
+
+    return this.flexMessage(`Zone status: ${zone.name} - ${state.label}`, bubble);
+  }
+
+  /**
+   * Confirmation card sent when a conversation is handed to the support team
+   * @param {Object} details - { customerName, reference, expectedResponse }
+   * @returns {Object} Flex message
+   */
+  buildEscalationConfirmation({ customerName = null, reference = null, expectedResponse = 'within 15 minutes during business hours' } = {}) {
+    const rows = [{ label: 'Response', value: expectedResponse }];
+    if (reference) {
+      rows.unshift({ label: 'Reference', value: reference });
+    }
+
+    const bubble = this.buildCard({
+      title: '🙋 Connecting you to our team',
+      subtitle: customerName ? `Thanks, ${customerName}` : null,
+      rows,
+      note: 'A BMAsia support specialist will reply in this chat.'
+    });
+
+    return this.flexMessage('A BMAsia support specialist will reply to you shortly', bubble);
+  }
+}
+
+// Export singleton instance
+const lineFlexBuilder = new LineFlexBuilder();
+
+module.exports = {
+  lineFlexBuilder,
+  postbackAction: (label, data, displayText) => lineFlexBuilder.postbackAction(label, data, displayText),
+  uriAction: (label, uri) => lineFlexBuilder.uriAction(label, uri),
+  messageAction: (label, text) => lineFlexBuilder.messageAction(label, text),
+  flexMessage: (altText, contents) => lineFlexBuilder.flexMessage(altText, contents),
+  buildCard: (card) => lineFlexBuilder.buildCard(card),
+  buildZoneStatusCard: (zone) => lineFlexBuilder.buildZoneStatusCard(zone),
+  buildEscalationConfirmation: (details) => lineFlexBuilder.buildEscalationConfirmation(details)
+};
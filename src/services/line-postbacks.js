@@ -0,0 +1,67 @@
+/**
+ * LINE Postback Router
+ * Routes postback events (taps on Flex/template buttons) to the handler
+ * registered for their `action`, e.g. data "action=zone_status&zone=123"
+ * goes to the 'zone_status' handler
+ */
+
+class LinePostbackRouter {
+  constructor() {
+    // action -> async handler(parsedMessage) returning true when fully handled
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a handler for a postback action
+   * @param {string} action - Postback action name
+   * @param {Function} handler - async (parsedMessage) => boolean; true stops the normal message flow
+   */
+  register(action, handler) {
+    if (this.handlers.has(action)) {
+      console.warn(`⚠️ Replacing LINE postback handler for "${action}"`);
+    }
+    this.handlers.set(action, handler);
+  }
+
+  /**
+   * Dispatch a parsed postback to its handler
+   * @param {Object} parsedMessage - Message from parseLineMessage with a `postback` field
+   * @returns {Promise<boolean>} True if a handler fully handled the postback
+   */
+  async dispatch(parsedMessage) {
+    const action = parsedMessage?.postback?.action;
+    const handler = action ? this.handlers.get(action) : null;
+
+    if (!handler) {
+      console.log(`LINE postback "${action}" has no handler - continuing as a message`);
+      return false;
+    }
+
+    try {
+      const handled = await handler(parsedMessage);
+      console.log(`🔘 LINE postback "${action}" handled for ${parsedMessage.senderId}`);
+      return handled === true;
+    } catch (error) {
+      console.error(`Error handling LINE postback "${action}":`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * List registered actions
+   * @returns {Array<string>} Action names
+   */
+  getActions() {
+    return [...this.handlers.keys()];
+  }
+}
+
+// Export singleton instance
+const linePostbackRouter = new LinePostbackRouter();
+
+module.exports = {
+  linePostbackRouter,
+  registerPostbackHandler: (action, handler) => linePostbackRouter.register(action, handler),
+  dispatchPostback: (parsedMessage) => linePostbackRouter.dispatch(parsedMessage),
+  getPostbackActions: () => linePostbackRouter.getActions()
+};
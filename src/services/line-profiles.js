@@ -0,0 +1,107 @@
+/**
+ * LINE Profile Resolver
+ * Resolves display names, profile pictures and languages for LINE users so
+ * Google Chat alerts and reply portals show real names instead of "LINE User"
+ * Profiles are cached in memory and stored on the customer profile; they are
+ * refetched after LINE_PROFILE_CACHE_HOURS (default 24) to pick up changes
+ */
+
+const { getUserProfile } = require('./line-sender');
+const { findCustomer, savePlatformProfile } = require('./customer-profiles');
+const { getConfig } = require('../config/runtime');
+
+class LineProfileResolver {
+  constructor() {
+    // userId -> { displayName, pictureUrl, language, fetchedAt }
+    this.cache = new Map();
+    this.cacheHours = getConfig().line.profileCacheHours;
+
+    // Drop stale entries every hour
+    setInterval(() => this.cleanup(), 60 * 60 * 1000).unref();
+  }
+
+  /**
+   * Check whether a fetch time is still within the cache window
+   * @param {number|Date|null} fetchedAt - When the profile was fetched
+   * @returns {boolean} True if still fresh
+   */
+  isFresh(fetchedAt) {
+    return Boolean(fetchedAt) && Date.now() - new Date(fetchedAt).getTime() < this.cacheHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Resolve the profile of the user behind a LINE event source
+   * @param {Object} source - Event source { type, userId, groupId, roomId }
+   * @returns {Promise<Object|null>} { displayName, pictureUrl, language } or null if unavailable
+   */
+  async resolve(source) {
+    const userId = source?.userId;
+    if (!userId) {
+      return null;
+    }
+
+    const cached = this.cache.get(userId);
+    if (cached && this.isFresh(cached.fetchedAt)) {
+      return cached;
+    }
+
+    // Another instance (or an earlier deploy) may already have stored it
+    const stored = await findCustomer('line', userId);
+    if (stored?.displayName && this.isFresh(stored.profileFetchedAt)) {
+      return this.remember(userId, {
+        displayName: stored.displayName,
+        pictureUrl: stored.pictureUrl,
+        language: stored.language
+      }, new Date(stored.profileFetchedAt).getTime());
+    }
+
+    const profile = await getUserProfile(source);
+    if (!profile?.displayName) {
+      // Keep showing the last known name if LINE is unavailable
+      return cached || (stored?.displayName
+        ? { displayName: stored.displayName, pictureUrl: stored.pictureUrl, language: stored.language }
+        : null);
+    }
+
+    console.log(`👤 Resolved LINE profile for ${userId}: ${profile.displayName}`);
+    await savePlatformProfile('line', userId, profile);
+
+    return this.remember(userId, {
+      displayName: profile.displayName,
+      pictureUrl: profile.pictureUrl,
+      language: profile.language
+    });
+  }
+
+  /**
+   * Cache a resolved profile
+   * @param {string} userId - LINE user ID
+   * @param {Object} profile - { displayName, pictureUrl, language }
+   * @param {number} fetchedAt - Fetch time (ms), defaults to now
+   * @returns {Object} Cached profile
+   */
+  remember(userId, profile, fetchedAt = Date.now()) {
+    const entry = { ...profile, fetchedAt };
+    this.cache.set(userId, entry);
+    return entry;
+  }
+
+  /**
+   * Remove stale cache entries
+   */
+  cleanup() {
+    for (const [userId, entry] of this.cache.entries()) {
+      if (!this.isFresh(entry.fetchedAt)) {
+        this.cache.delete(userId);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+const lineProfileResolver = new LineProfileResolver();
+
+module.exports = {
+  lineProfileResolver,
+  resolveLineProfile: (source) => lineProfileResolver.resolve(source)
+};
@@ -4,11 +4,22 @@
  */
 
 const axios = require('axios');
+const { getConfig } = require('../config/runtime');
+
+// Message content is served from the data API host, not api.line.me
+const DEFAULT_DATA_API_URL = 'https://api-data.line.me/v2';
+const MAX_CONTENT_BYTES = 25 * 1024 * 1024;
+// LINE answers 202 with no content while it is still preparing a video or audio
+const CONTENT_READY_ATTEMPTS = 5;
+const CONTENT_RETRY_DELAY_MS = 3000;
 
 class LineSender {
   constructor() {
-    this.apiUrl = process.env.LINE_API_URL;
-    this.channelAccessToken = process.env.LINE_CHANNEL_ACCESS_TOKEN;
+    const { line } = getConfig();
+    this.apiUrl = line.apiUrl;
+    this.dataApiUrl = line.dataApiUrl || DEFAULT_DATA_API_URL;
+    this.channelAccessToken = line.channelAccessToken;
+    this.contentRetryDelayMs = CONTENT_RETRY_DELAY_MS;
     this.initialized = false;
   }
 
@@ -229,6 +240,56 @@ class LineSender {
     }
   }
 
+  /**
+   * Send a Flex Message (built with line-flex.js) to a LINE user
+   * @param {string} userId - Recipient LINE user ID
+   * @param {Object} flexMessage - { type: 'flex', altText, contents }
+   * @returns {Promise<Object>} API response
+   */
+  async sendFlexMessage(userId, flexMessage) {
+    try {
+      if (!this.initialized) {
+        this.initialize();
+      }
+
+      console.log(`Sending LINE Flex message to ${userId}: ${flexMessage.altText}`);
+
+      const url = `${this.apiUrl}/bot/message/push`;
+
+      const payload = {
+        to: userId,
+        messages: [flexMessage]
+      };
+
+      const response = await axios.post(url, payload, {
+        headers: {
+          'Authorization': `Bearer ${this.channelAccessToken}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000
+      });
+
+      console.log(`✅ LINE Flex message sent successfully to ${userId}`);
+
+      return {
+        success: true,
+        userId: userId,
+        response: response.data
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to send LINE Flex message:', error.message);
+      if (error.response) {
+        console.error('API Response Data:', JSON.stringify(error.response.data, null, 2));
+      }
+      return {
+        success: false,
+        error: error.message,
+        userId: userId
+      };
+    }
+  }
+
   /**
    * Send a media message (image or video) to a LINE user
    * @param {string} userId - Recipient LINE user ID
@@ -329,6 +390,91 @@ class LineSender {
     return /^U[a-fA-F0-9]{32}$/.test(userId) || userId.length > 10; // Fallback for other formats
   }
 
+  /**
+   * Download the content of an image, video, audio or file message
+   * Content sent through LINE is fetched from the message content API;
+   * content hosted by an external provider is fetched from its URL.
+   * Videos and audio can take a while to prepare - until then LINE answers
+   * 202 with an empty body, so the download waits on the transcoding status
+   * and tries again
+   * @param {string} messageId - LINE message ID
+   * @param {string} externalUrl - originalContentUrl for contentProvider.type "external"
+   * @returns {Promise<Object>} { success, buffer, mimeType, size } or { success: false, error }
+   */
+  async downloadContent(messageId, externalUrl = null) {
+    try {
+      if (!this.initialized) {
+        this.initialize();
+      }
+
+      const url = externalUrl || `${this.dataApiUrl}/bot/message/${messageId}/content`;
+      const headers = externalUrl ? {} : { 'Authorization': `Bearer ${this.channelAccessToken}` };
+      const attempts = externalUrl ? 1 : CONTENT_READY_ATTEMPTS;
+
+      for (let attempt = 1; attempt <= attempts; attempt++) {
+        const response = await axios.get(url, {
+          headers,
+          responseType: 'arraybuffer',
+          maxContentLength: MAX_CONTENT_BYTES,
+          timeout: 30000
+        });
+
+        const buffer = Buffer.from(response.data || []);
+        if (response.status !== 202 && buffer.length > 0) {
+          const mimeType = response.headers['content-type'] || 'application/octet-stream';
+          console.log(`📥 Downloaded LINE content ${messageId} (${mimeType}, ${buffer.length} bytes)`);
+
+          return {
+            success: true,
+            buffer: buffer,
+            mimeType: mimeType,
+            size: buffer.length
+          };
+        }
+
+        console.log(`⏳ LINE content ${messageId} not ready yet (status ${response.status}, attempt ${attempt}/${attempts})`);
+        if (attempt < attempts) {
+          await new Promise(resolve => setTimeout(resolve, this.contentRetryDelayMs));
+          if (await this.getTranscodingStatus(messageId) === 'failed') {
+            throw new Error('LINE could not prepare the content');
+          }
+        }
+      }
+
+      throw new Error('Content is still being prepared by LINE');
+
+    } catch (error) {
+      console.error(`❌ Failed to download LINE content ${messageId}:`, error.message);
+      if (error.response) {
+        console.error('API Response Status:', error.response.status);
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        messageId: messageId
+      };
+    }
+  }
+
+  /**
+   * Check whether LINE has finished preparing a video or audio message
+   * @param {string} messageId - LINE message ID
+   * @returns {Promise<string|null>} 'processing', 'succeeded', 'failed', or null if unknown
+   */
+  async getTranscodingStatus(messageId) {
+    try {
+      const response = await axios.get(`${this.dataApiUrl}/bot/message/${messageId}/content/transcoding`, {
+        headers: { 'Authorization': `Bearer ${this.channelAccessToken}` },
+        timeout: 10000
+      });
+      return response.data?.status || null;
+    } catch (error) {
+      console.error(`Failed to check LINE transcoding status for ${messageId}:`, error.message);
+      return null;
+    }
+  }
+
   /**
    * Health check for LINE sender service
    * @returns {Object} Service health status
@@ -388,6 +534,50 @@ class LineSender {
       return null;
     }
   }
+
+  /**
+   * Get a user's LINE profile
+   * Group and room members are looked up through the group/room member API,
+   * which works even if the user hasn't added the OA as a friend
+   * @param {Object} source - Event source { type, userId, groupId, roomId }
+   * @returns {Promise<Object|null>} { userId, displayName, pictureUrl, language } or null
+   */
+  async getUserProfile(source) {
+    if (!source?.userId) {
+      return null;
+    }
+
+    try {
+      if (!this.initialized) {
+        this.initialize();
+      }
+
+      let url = `${this.apiUrl}/bot/profile/${source.userId}`;
+      if (source.type === 'group' && source.groupId) {
+        url = `${this.apiUrl}/bot/group/${source.groupId}/member/${source.userId}`;
+      } else if (source.type === 'room' && source.roomId) {
+        url = `${this.apiUrl}/bot/room/${source.roomId}/member/${source.userId}`;
+      }
+
+      const response = await axios.get(url, {
+        headers: {
+          'Authorization': `Bearer ${this.channelAccessToken}`
+        },
+        timeout: 5000
+      });
+
+      return {
+        userId: response.data.userId || source.userId,
+        displayName: response.data.displayName || null,
+        pictureUrl: response.data.pictureUrl || null,
+        // Only returned for 1:1 friends
+        language: response.data.language || null
+      };
+    } catch (error) {
+      console.error(`Failed to get LINE profile for ${source.userId}:`, error.message);
+      return null;
+    }
+  }
 }
 
 // Export singleton instance
@@ -398,9 +588,12 @@ module.exports = {
   sendLineMessage: (userId, message) => lineSender.sendLineMessage(userId, message),
   sendInfoRequest: (userId, message) => lineSender.sendInfoRequest(userId, message),
   sendMediaMessage: (userId, file) => lineSender.sendMediaMessage(userId, file),
+  downloadContent: (messageId, externalUrl) => lineSender.downloadContent(messageId, externalUrl),
   sendWithRetry: (userId, message, maxRetries) => lineSender.sendWithRetry(userId, message, maxRetries),
   sendRichMessage: (userId, message, quickReplies) => lineSender.sendRichMessage(userId, message, quickReplies),
+  sendFlexMessage: (userId, flexMessage) => lineSender.sendFlexMessage(userId, flexMessage),
   isValidUserId: (userId) => lineSender.isValidUserId(userId),
   healthCheck: () => lineSender.healthCheck(),
-  getBotProfile: () => lineSender.getBotProfile()
+  getBotProfile: () => lineSender.getBotProfile(),
+  getUserProfile: (source) => lineSender.getUserProfile(source)
 };
\ No newline at end of file
@@ -0,0 +1,93 @@
+/**
+ * Live Events Service
+ * Pushes conversation changes to agents who have the live chat open
+ *
+ * Events are published per conversation (normalized phone or LINE user ID):
+ * - message: a message was stored (incoming or outgoing)
+ * - status: WhatsApp reported a delivery status for an outgoing message
+ * - escalation: the escalation started, its timer was extended, or it was closed
+ * - reload: history was rewritten - refetch everything
+ *
+ * Subscribers live in this process only (the live chat streams them as
+ * Server-Sent Events). The live chat keeps a slow poll as a fallback for
+ * anything published elsewhere.
+ */
+
+class LiveEvents {
+  constructor() {
+    // Map: identifier -> Set of listeners
+    this.subscribers = new Map();
+    this.published = 0;
+  }
+
+  /**
+   * Listen to a conversation's events
+   * @param {string} identifier - Normalized phone or user ID
+   * @param {Function} listener - (type, data) => void
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(identifier, listener) {
+    if (!this.subscribers.has(identifier)) {
+      this.subscribers.set(identifier, new Set());
+    }
+    this.subscribers.get(identifier).add(listener);
+
+    return () => {
+      const listeners = this.subscribers.get(identifier);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        this.subscribers.delete(identifier);
+      }
+    };
+  }
+
+  /**
+   * Send an event to everyone watching a conversation
+   * A failing listener is logged and doesn't stop the others
+   * @param {string} identifier - Normalized phone or user ID
+   * @param {string} type - 'message', 'status', 'escalation' or 'reload'
+   * @param {Object} data - Event payload
+   * @returns {number} Listeners notified
+   */
+  publish(identifier, type, data = {}) {
+    const listeners = identifier && this.subscribers.get(identifier);
+    if (!listeners) return 0;
+
+    this.published++;
+    for (const listener of [...listeners]) {
+      try {
+        listener(type, data);
+      } catch (error) {
+        console.error(`⚠️ Live event listener failed for ${identifier}:`, error.message);
+      }
+    }
+    return listeners.size;
+  }
+
+  /**
+   * Get statistics about live connections
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    let listeners = 0;
+    for (const set of this.subscribers.values()) {
+      listeners += set.size;
+    }
+    return {
+      conversations: this.subscribers.size,
+      listeners,
+      published: this.published
+    };
+  }
+}
+
+// Export singleton instance
+const liveEvents = new LiveEvents();
+
+module.exports = {
+  liveEvents,
+  subscribe: (identifier, listener) => liveEvents.subscribe(identifier, listener),
+  publish: (identifier, type, data) => liveEvents.publish(identifier, type, data),
+  getStats: () => liveEvents.getStats()
+};
@@ -0,0 +1,107 @@
+/**
+ * Media Archive Service
+ * Downloads media customers send on WhatsApp and LINE (images, documents,
+ * voice notes, videos) and stores it through the file handler so the team
+ * can open it from the reply portals. Returned file entries use the same
+ * shape as outgoing portal attachments in message history: { name, type, url, size }.
+ */
+
+const { downloadMedia: downloadWhatsAppMedia } = require('./whatsapp-sender');
+const { downloadContent: downloadLineContent } = require('./line-sender');
+const { saveFile, getFileUrl, getExtensionForMimeType } = require('./file-handler');
+
+class MediaArchive {
+  /**
+   * Build a readable filename for media that arrived without one
+   * @param {string} platform - 'whatsapp' or 'line'
+   * @param {string} mimeType - MIME type of the content
+   * @returns {string} Filename with extension
+   */
+  buildFilename(platform, mimeType) {
+    const kind = (mimeType || 'file').split('/')[0];
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..+$/, '');
+    return `${platform}-${kind}-${stamp}${getExtensionForMimeType(mimeType)}`;
+  }
+
+  /**
+   * Store downloaded content and return its message-history file entry
+   * @param {Buffer} buffer - File content
+   * @param {string} filename - Original filename
+   * @param {string} mimeType - MIME type
+   * @returns {Promise<Object>} { name, type, url, size }
+   */
+  async store(buffer, filename, mimeType) {
+    const savedFile = await saveFile(buffer, filename, mimeType);
+    return {
+      name: savedFile.originalName,
+      type: savedFile.mimeType,
+      url: getFileUrl(savedFile.id, savedFile.filename),
+      size: savedFile.size
+    };
+  }
+
+  /**
+   * Download and archive WhatsApp media
+   * @param {Object} media - { id, mimeType, filename } from parseWhatsAppMessage
+   * @returns {Promise<Object|null>} File entry, or null if the download failed
+   */
+  async archiveWhatsAppMedia(media) {
+    if (!media?.id) {
+      return null;
+    }
+
+    try {
+      const download = await downloadWhatsAppMedia(media.id);
+      if (!download.success) {
+        return null;
+      }
+
+      const mimeType = media.mimeType || download.mimeType;
+      const filename = media.filename || this.buildFilename('whatsapp', mimeType);
+      const file = await this.store(download.buffer, filename, mimeType);
+
+      console.log(`📎 Archived WhatsApp media ${media.id} as ${file.url}`);
+      return file;
+    } catch (error) {
+      console.error(`Error archiving WhatsApp media ${media.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Download and archive LINE message content
+   * @param {Object} media - { id, filename, externalUrl } from parseLineMessage
+   * @returns {Promise<Object|null>} File entry, or null if the download failed
+   */
+  async archiveLineContent(media) {
+    if (!media?.id) {
+      return null;
+    }
+
+    try {
+      const download = await downloadLineContent(media.id, media.externalUrl);
+      if (!download.success) {
+        return null;
+      }
+
+      const mimeType = download.mimeType.split(';')[0].trim();
+      const filename = media.filename || this.buildFilename('line', mimeType);
+      const file = await this.store(download.buffer, filename, mimeType);
+
+      console.log(`📎 Archived LINE content ${media.id} as ${file.url}`);
+      return file;
+    } catch (error) {
+      console.error(`Error archiving LINE content ${media.id}:`, error.message);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+const mediaArchive = new MediaArchive();
+
+module.exports = {
+  mediaArchive,
+  archiveWhatsAppMedia: (media) => mediaArchive.archiveWhatsAppMedia(media),
+  archiveLineContent: (media) => mediaArchive.archiveLineContent(media)
+};
@@ -1,6 +1,8 @@
 /**
  * Message History Service
- * Stores message history for 24 hours to provide conversation context
+ * Stores message history in PostgreSQL (in-memory fallback without DATABASE_URL)
+ * Retention defaults to 24 hours, configurable via MESSAGE_HISTORY_RETENTION_HOURS
+ * New messages and delivery statuses are pushed to the live chat (live-events.js)
  */
 
 /**
@@ -18,14 +20,80 @@ function normalizePhoneNumber(phone) {
   return normalized || null;
 }
 
+const { getPool } = require('./database');
+const { runMigrations } = require('./migrations');
+const { publish } = require('./live-events');
+const { getConfig } = require('../config/runtime');
+
+// WhatsApp delivery statuses in the order they progress; a status only
+// replaces one of lower rank, since Meta may deliver callbacks out of order
+const DELIVERY_STATUS_RANK = {
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4
+};
+
 class MessageHistory {
   constructor() {
-    // Map: phoneNumber/userId -> array of messages
+    // In-memory fallback: phoneNumber/userId -> array of messages
+    // Only used when DATABASE_URL is not configured
     this.messages = new Map();
-    this.TTL_HOURS = 24;
+    this.TTL_HOURS = getConfig().messageHistory.retentionHours;
+    this.pool = null;
+    this.initialized = false;
 
     // Clean up old messages every hour
-    setInterval(() => this.cleanupOldMessages(), 60 * 60 * 1000);
+    setInterval(() => this.cleanupOldMessages(), 60 * 60 * 1000).unref();
+  }
+
+  /**
+   * Initialize PostgreSQL storage if a database is configured
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    const pool = getPool();
+    if (!pool) {
+      return;
+    }
+
+    try {
+      this.pool = pool;
+
+      await runMigrations();
+
+      this.initialized = true;
+      console.log(`✅ Message history PostgreSQL initialized (retention: ${this.TTL_HOURS}h)`);
+    } catch (error) {
+      console.error('❌ Failed to initialize message history table:', error.message);
+      this.pool = null;
+      this.initialized = false;
+    }
+  }
+
+  /**
+   * Get the cutoff timestamp for the retention window
+   * @returns {number} Epoch ms before which messages are expired
+   */
+  getCutoffTime() {
+    return Date.now() - (this.TTL_HOURS * 60 * 60 * 1000);
+  }
+
+  /**
+   * Convert a database row to the message shape used by callers
+   * @param {Object} row - message_history row
+   * @returns {Object} Message object
+   */
+  rowToMessage(row) {
+    return {
+      id: row.id,
+      text: row.text,
+      direction: row.direction,
+      platform: row.platform,
+      timestamp: Number(row.timestamp),
+      metadata: row.metadata || {}
+    };
   }
 
   /**
@@ -35,33 +103,50 @@ class MessageHistory {
    * @param {string} direction - 'incoming' or 'outgoing'
    * @param {string} platform - 'whatsapp' or 'line'
    * @param {Object} metadata - Additional message data (sender name, files, etc.)
+   * @param {number} customTimestamp - Optional timestamp (ms) for back-filled messages
+   * @returns {Promise<string|undefined>} Stored message ID
    */
-  storeMessage(identifier, text, direction, platform, metadata = {}, customTimestamp = null) {
+  async storeMessage(identifier, text, direction, platform, metadata = {}, customTimestamp = null) {
     if (!identifier || !text) {
       console.log('Missing identifier or text, skipping message storage');
       return;
     }
 
-    // Get or create message array for this identifier
-    if (!this.messages.has(identifier)) {
-      this.messages.set(identifier, []);
-    }
-
-    const messageHistory = this.messages.get(identifier);
-
     // Use custom timestamp if provided, otherwise use current time
     const timestamp = customTimestamp || Date.now();
 
-    // Add new message
     const message = {
       id: `msg_${timestamp}_${Math.random().toString(36).substr(2, 9)}`,
       text: text,
       direction: direction, // 'incoming' from customer, 'outgoing' from agent
       platform: platform,
       timestamp: timestamp,
-      metadata: metadata
+      metadata: metadata || {}
     };
 
+    await this.initialize();
+
+    if (this.pool) {
+      try {
+        await this.pool.query(
+          `INSERT INTO message_history (id, identifier, text, direction, platform, metadata, timestamp)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [message.id, identifier, message.text, message.direction, message.platform, JSON.stringify(message.metadata), message.timestamp]
+        );
+        console.log(`📝 Stored ${direction} message for ${identifier} (${platform}) in PostgreSQL`);
+        publish(identifier, 'message', message);
+        return message.id;
+      } catch (error) {
+        console.error('Error storing message in PostgreSQL, using in-memory fallback:', error.message);
+      }
+    }
+
+    // Get or create message array for this identifier
+    if (!this.messages.has(identifier)) {
+      this.messages.set(identifier, []);
+    }
+
+    const messageHistory = this.messages.get(identifier);
     messageHistory.push(message);
 
     console.log(`📝 Stored ${direction} message for ${identifier} (${platform})`);
@@ -70,35 +155,143 @@ class MessageHistory {
     // Clean up old messages for this user
     this.cleanupUserMessages(identifier);
 
+    publish(identifier, 'message', message);
     return message.id;
   }
 
   /**
-   * Get message history for a specific identifier (last 24 hours)
+   * Apply a WhatsApp status callback to the outbound message it refers to
+   * @param {string} whatsappMessageId - wamid returned when the message was sent
+   * @param {string} status - 'sent', 'delivered', 'read' or 'failed'
+   * @param {Object} details - { timestamp, error: { code, title, message } }
+   * @returns {Promise<Object|null>} { identifier, messageId } of the updated message, or null if
+   *   no stored message matches or it already has a later status
+   */
+  async updateDeliveryStatus(whatsappMessageId, status, details = {}) {
+    const rank = DELIVERY_STATUS_RANK[status];
+    if (!whatsappMessageId || !rank) {
+      return null;
+    }
+
+    const update = {
+      deliveryStatus: status,
+      deliveryStatusAt: details.timestamp || Date.now()
+    };
+    if (status === 'failed') {
+      update.deliveryError = details.error || null;
+    }
+
+    await this.initialize();
+
+    if (this.pool) {
+      try {
+        const result = await this.pool.query(
+          `UPDATE message_history
+           SET metadata = metadata || $2::jsonb
+           WHERE metadata->>'whatsappMessageId' = $1
+             AND (CASE metadata->>'deliveryStatus'
+                    WHEN 'sent' THEN 1 WHEN 'delivered' THEN 2 WHEN 'read' THEN 3 WHEN 'failed' THEN 4
+                    ELSE 0 END) < $3
+           RETURNING id, identifier`,
+          [whatsappMessageId, JSON.stringify(update), rank]
+        );
+        if (result.rowCount > 0) {
+          const { identifier, id: messageId } = result.rows[0];
+          publish(identifier, 'status', { messageId, ...update });
+          return { identifier, messageId };
+        }
+      } catch (error) {
+        console.error('Error updating delivery status in PostgreSQL:', error.message);
+      }
+    }
+
+    for (const [identifier, messageHistory] of this.messages.entries()) {
+      const message = messageHistory.find(msg => msg.metadata?.whatsappMessageId === whatsappMessageId);
+      if (!message) {
+        continue;
+      }
+
+      if ((DELIVERY_STATUS_RANK[message.metadata.deliveryStatus] || 0) >= rank) {
+        return null;
+      }
+
+      Object.assign(message.metadata, update);
+      publish(identifier, 'status', { messageId: message.id, ...update });
+      return { identifier, messageId: message.id };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get message history for a specific identifier (within the retention window)
    * @param {string} identifier - Phone number or user ID
-   * @returns {Array} Array of messages in chronological order
+   * @returns {Promise<Array>} Array of messages in chronological order
    */
-  getHistory(identifier) {
+  async getHistory(identifier) {
+    if (!identifier) {
+      return [];
+    }
+
+    await this.initialize();
+
+    const cutoffTime = this.getCutoffTime();
+
+    if (this.pool) {
+      try {
+        const result = await this.pool.query(
+          `SELECT id, text, direction, platform, metadata, timestamp
+           FROM message_history
+           WHERE identifier = $1 AND timestamp > $2
+           ORDER BY timestamp ASC`,
+          [identifier, cutoffTime]
+        );
+
+        const persisted = result.rows.map(row => this.rowToMessage(row));
+        // Include anything that had to fall back to memory during a database outage
+        const fallback = (this.messages.get(identifier) || []).filter(msg => msg.timestamp > cutoffTime);
+        const recentMessages = fallback.length > 0
+          ? [...persisted, ...fallback].sort((a, b) => a.timestamp - b.timestamp)
+          : persisted;
+
+        console.log(`📚 Retrieved ${recentMessages.length} messages for ${identifier} (last ${this.TTL_HOURS} hours)`);
+        return recentMessages;
+      } catch (error) {
+        console.error('Error reading message history from PostgreSQL:', error.message);
+      }
+    }
+
     if (!this.messages.has(identifier)) {
       console.log(`No message history found for ${identifier}`);
       return [];
     }
 
     const messageHistory = this.messages.get(identifier);
-    const cutoffTime = Date.now() - (this.TTL_HOURS * 60 * 60 * 1000);
 
-    // Filter messages within 24 hours and sort chronologically
+    // Filter messages within the retention window and sort chronologically
     const recentMessages = messageHistory
       .filter(msg => msg.timestamp > cutoffTime)
       .sort((a, b) => a.timestamp - b.timestamp);
 
-    console.log(`📚 Retrieved ${recentMessages.length} messages for ${identifier} (last 24 hours)`);
+    console.log(`📚 Retrieved ${recentMessages.length} messages for ${identifier} (last ${this.TTL_HOURS} hours)`);
 
     return recentMessages;
   }
 
   /**
-   * Clean up messages older than 24 hours for a specific user
+   * Get the time of the customer's most recent message
+   * Used to tell whether the WhatsApp 24-hour service window is still open
+   * @param {string} identifier - Phone number or user ID
+   * @returns {Promise<number|null>} Timestamp (ms), or null if none within retention
+   */
+  async getLastIncomingAt(identifier) {
+    const history = await this.getHistory(identifier);
+    const incoming = history.filter(msg => msg.direction === 'incoming');
+    return incoming.length > 0 ? incoming[incoming.length - 1].timestamp : null;
+  }
+
+  /**
+   * Clean up in-memory messages older than the retention window for a specific user
    * @param {string} identifier - Phone number or user ID
    */
   cleanupUserMessages(identifier) {
@@ -107,9 +300,9 @@ class MessageHistory {
     }
 
     const messageHistory = this.messages.get(identifier);
-    const cutoffTime = Date.now() - (this.TTL_HOURS * 60 * 60 * 1000);
+    const cutoffTime = this.getCutoffTime();
 
-    // Keep only messages within 24 hours
+    // Keep only messages within the retention window
     const recentMessages = messageHistory.filter(msg => msg.timestamp > cutoffTime);
 
     if (recentMessages.length < messageHistory.length) {
@@ -126,8 +319,9 @@ class MessageHistory {
 
   /**
    * Clean up all old messages (called periodically)
+   * @returns {Promise<number>} Number of messages removed
    */
-  cleanupOldMessages() {
+  async cleanupOldMessages() {
     console.log('🧹 Running message history cleanup...');
     let totalCleaned = 0;
 
@@ -138,29 +332,58 @@ class MessageHistory {
       totalCleaned += (before - after);
     }
 
+    if (this.pool) {
+      try {
+        const result = await this.pool.query(
+          'DELETE FROM message_history WHERE timestamp <= $1',
+          [this.getCutoffTime()]
+        );
+        totalCleaned += result.rowCount || 0;
+      } catch (error) {
+        console.error('Error cleaning up message history in PostgreSQL:', error.message);
+      }
+    }
+
     if (totalCleaned > 0) {
       console.log(`🧹 Cleaned up ${totalCleaned} total old messages`);
     }
+
+    return totalCleaned;
   }
 
   /**
    * Clear outgoing messages for a user
    * Used to remove agent messages before re-storing with proper timestamps
    * @param {string} identifier - Phone number or user ID
-   * @returns {number} Number of messages removed
+   * @returns {Promise<number>} Number of messages removed
    */
-  clearOutgoingMessages(identifier) {
-    if (!this.messages.has(identifier)) {
-      return 0;
+  async clearOutgoingMessages(identifier) {
+    await this.initialize();
+
+    let removed = 0;
+
+    if (this.pool) {
+      try {
+        const result = await this.pool.query(
+          `DELETE FROM message_history WHERE identifier = $1 AND direction <> 'incoming'`,
+          [identifier]
+        );
+        removed += result.rowCount || 0;
+      } catch (error) {
+        console.error('Error clearing outgoing messages in PostgreSQL:', error.message);
+      }
     }
 
-    const messageHistory = this.messages.get(identifier);
-    const incomingOnly = messageHistory.filter(msg => msg.direction === 'incoming');
-    const removed = messageHistory.length - incomingOnly.length;
+    if (this.messages.has(identifier)) {
+      const messageHistory = this.messages.get(identifier);
+      const incomingOnly = messageHistory.filter(msg => msg.direction === 'incoming');
+      removed += messageHistory.length - incomingOnly.length;
+      this.messages.set(identifier, incomingOnly);
+    }
 
     if (removed > 0) {
-      this.messages.set(identifier, incomingOnly);
       console.log(`🗑️ Cleared ${removed} outgoing messages for ${identifier}`);
+      publish(identifier, 'reload');
     }
 
     return removed;
@@ -168,9 +391,33 @@ class MessageHistory {
 
   /**
    * Get statistics about stored messages
-   * @returns {Object} Statistics
+   * @returns {Promise<Object>} Statistics
    */
-  getStats() {
+  async getStats() {
+    await this.initialize();
+
+    if (this.pool) {
+      try {
+        const result = await this.pool.query(
+          `SELECT COUNT(*) AS total_messages, COUNT(DISTINCT identifier) AS total_users
+           FROM message_history WHERE timestamp > $1`,
+          [this.getCutoffTime()]
+        );
+        const totalMessages = parseInt(result.rows[0].total_messages);
+        const totalUsers = parseInt(result.rows[0].total_users);
+
+        return {
+          totalUsers,
+          totalMessages,
+          averageMessagesPerUser: totalUsers > 0 ? Math.round(totalMessages / totalUsers) : 0,
+          retentionHours: this.TTL_HOURS,
+          storage: 'postgresql'
+        };
+      } catch (error) {
+        console.error('Error getting message history stats:', error.message);
+      }
+    }
+
     let totalMessages = 0;
     let totalUsers = this.messages.size;
 
@@ -181,7 +428,9 @@ class MessageHistory {
     return {
       totalUsers,
       totalMessages,
-      averageMessagesPerUser: totalUsers > 0 ? Math.round(totalMessages / totalUsers) : 0
+      averageMessagesPerUser: totalUsers > 0 ? Math.round(totalMessages / totalUsers) : 0,
+      retentionHours: this.TTL_HOURS,
+      storage: 'memory'
     };
   }
 
@@ -201,9 +450,9 @@ class MessageHistory {
         timeZone: 'Asia/Bangkok'
       }),
       senderName: msg.direction === 'incoming'
-        ? (msg.metadata.senderName || 'Customer')
-        : (msg.metadata.senderName || 'BMAsia Support'),
-      files: msg.metadata.files || []
+        ? (msg.metadata?.senderName || 'Customer')
+        : (msg.metadata?.senderName || 'BMAsia Support'),
+      files: msg.metadata?.files || []
     }));
   }
 }
@@ -217,7 +466,10 @@ module.exports = {
   storeMessage: (identifier, text, direction, platform, metadata, customTimestamp) =>
     messageHistory.storeMessage(identifier, text, direction, platform, metadata, customTimestamp),
   getHistory: (identifier) => messageHistory.getHistory(identifier),
+  getLastIncomingAt: (identifier) => messageHistory.getLastIncomingAt(identifier),
   getStats: () => messageHistory.getStats(),
   formatForDisplay: (messages) => messageHistory.formatForDisplay(messages),
-  clearOutgoingMessages: (identifier) => messageHistory.clearOutgoingMessages(identifier)
+  clearOutgoingMessages: (identifier) => messageHistory.clearOutgoingMessages(identifier),
+  updateDeliveryStatus: (whatsappMessageId, status, details) =>
+    messageHistory.updateDeliveryStatus(whatsappMessageId, status, details)
 };
\ No newline at end of file
@@ -3,39 +3,111 @@
  * and return them in a standardized format
  */
 
+// LINE events that change the relationship with a user or group
+const LINE_LIFECYCLE_EVENTS = ['follow', 'unfollow', 'join', 'leave'];
+
 class MessageProcessor {
   /**
-   * Parse WhatsApp webhook message
+   * Parse WhatsApp webhook messages
+   * Meta may batch several entries, changes and messages in one delivery
    * @param {Object} body - WhatsApp webhook body
-   * @returns {Object} Standardized message format
+   * @returns {Array} Standardized messages in delivery order (empty if none)
    */
   parseWhatsAppMessage(body) {
-    try {
-      // WhatsApp webhook structure
-      if (!body.entry || !Array.isArray(body.entry) || body.entry.length === 0) {
-        console.log('No WhatsApp entry found');
-        return null;
-      }
+    const parsed = [];
 
-      const entry = body.entry[0];
-      if (!entry.changes || !Array.isArray(entry.changes) || entry.changes.length === 0) {
-        console.log('No WhatsApp changes found');
-        return null;
+    // WhatsApp webhook structure
+    if (!body || !Array.isArray(body.entry) || body.entry.length === 0) {
+      console.log('No WhatsApp entry found');
+      return parsed;
+    }
+
+    for (const entry of body.entry) {
+      const changes = Array.isArray(entry?.changes) ? entry.changes : [];
+
+      for (const change of changes) {
+        const messages = Array.isArray(change?.value?.messages) ? change.value.messages : [];
+        const contacts = change.value?.contacts || [];
+
+        for (const message of messages) {
+          const normalized = this.normalizeWhatsAppMessage(message, contacts);
+          if (normalized) {
+            parsed.push(normalized);
+          }
+        }
       }
+    }
 
-      const change = entry.changes[0];
-      if (!change.value || !change.value.messages || change.value.messages.length === 0) {
-        console.log('No WhatsApp messages found');
-        return null;
+    if (parsed.length === 0) {
+      console.log('No WhatsApp messages found');
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Parse WhatsApp delivery status callbacks (value.statuses)
+   * Meta reports sent/delivered/read/failed for messages we send
+   * @param {Object} body - WhatsApp webhook body
+   * @returns {Array} Status updates in delivery order (empty if none)
+   */
+  parseWhatsAppStatuses(body) {
+    const parsed = [];
+
+    if (!body || !Array.isArray(body.entry)) {
+      return parsed;
+    }
+
+    for (const entry of body.entry) {
+      const changes = Array.isArray(entry?.changes) ? entry.changes : [];
+
+      for (const change of changes) {
+        const statuses = Array.isArray(change?.value?.statuses) ? change.value.statuses : [];
+
+        for (const status of statuses) {
+          if (!status?.id || !status.status) {
+            continue;
+          }
+
+          const error = Array.isArray(status.errors) && status.errors.length > 0 ? status.errors[0] : null;
+
+          parsed.push({
+            platform: 'whatsapp',
+            messageId: status.id,
+            status: status.status,
+            recipientId: status.recipient_id,
+            timestamp: status.timestamp ? parseInt(status.timestamp) * 1000 : Date.now(),
+            error: error ? {
+              code: error.code,
+              title: error.title,
+              message: error.message || error.error_data?.details || null
+            } : null
+          });
+        }
       }
+    }
+
+    return parsed;
+  }
 
-      const message = change.value.messages[0];
-      const contacts = change.value.contacts || [];
+  /**
+   * Normalize a single WhatsApp message
+   * @param {Object} message - Message from value.messages
+   * @param {Array} contacts - Contacts from the same change
+   * @returns {Object|null} Standardized message format or null if malformed
+   */
+  normalizeWhatsAppMessage(message, contacts) {
+    try {
       const contact = contacts.find(c => c.wa_id === message.from) || {};
 
+      const interactiveReply = this.extractWhatsAppInteractiveReply(message);
+
       // Extract message text based on type
       let messageText = '';
-      if (message.type === 'text') {
+      if (interactiveReply) {
+        // The chosen option's title reads like the customer typed it
+        messageText = interactiveReply.title;
+      } else if (message.type === 'text') {
         messageText = message.text.body;
       } else if (message.type === 'image') {
         messageText = `[Image] ${message.image.caption || 'Image sent'}`;
@@ -54,9 +126,12 @@ class MessageProcessor {
         senderId: message.from,
         senderName: contact.profile?.name || 'Unknown',
         phoneNumber: message.from,
+        messageId: message.id,
         messageText: messageText,
         timestamp: parseInt(message.timestamp),
         messageType: message.type,
+        media: this.extractWhatsAppMedia(message),
+        interactiveReply,
         originalMessage: message
       };
 
@@ -67,23 +142,157 @@ class MessageProcessor {
   }
 
   /**
-   * Parse LINE webhook message
+   * Extract the downloadable media reference from a WhatsApp message
+   * @param {Object} message - Message from value.messages
+   * @returns {Object|null} { id, mimeType, filename, caption } or null for non-media messages
+   */
+  extractWhatsAppMedia(message) {
+    const mediaTypes = ['image', 'document', 'audio', 'video'];
+    if (!mediaTypes.includes(message.type) || !message[message.type]?.id) {
+      return null;
+    }
+
+    const media = message[message.type];
+    return {
+      id: media.id,
+      mimeType: media.mime_type || null,
+      filename: media.filename || null,
+      caption: media.caption || null
+    };
+  }
+
+  /**
+   * Extract the option a customer picked from an interactive or template button message
+   * @param {Object} message - Message from value.messages
+   * @returns {Object|null} { type, id, title, description } or null for other messages
+   */
+  extractWhatsAppInteractiveReply(message) {
+    if (message.type === 'interactive') {
+      const interactive = message.interactive || {};
+      const reply = interactive[interactive.type];
+      if (!['button_reply', 'list_reply'].includes(interactive.type) || !reply?.id) {
+        return null;
+      }
+
+      return {
+        type: interactive.type,
+        id: reply.id,
+        title: reply.title || reply.id,
+        description: reply.description || null
+      };
+    }
+
+    // Quick-reply buttons on template messages arrive as type 'button'
+    if (message.type === 'button' && message.button) {
+      return {
+        type: 'button',
+        id: message.button.payload || message.button.text,
+        title: message.button.text || message.button.payload,
+        description: null
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse LINE webhook messages
+   * LINE may batch several events in one delivery; non-message events are skipped
    * @param {Object} body - LINE webhook body
-   * @returns {Object} Standardized message format
+   * @returns {Array} Standardized messages in delivery order (empty if none)
    */
   parseLineMessage(body) {
-    try {
-      // LINE webhook structure
-      if (!body.events || !Array.isArray(body.events) || body.events.length === 0) {
-        console.log('No LINE events found');
-        return null;
+    const parsed = [];
+
+    // LINE webhook structure
+    if (!body || !Array.isArray(body.events) || body.events.length === 0) {
+      console.log('No LINE events found');
+      return parsed;
+    }
+
+    for (const event of body.events) {
+      const normalized = this.normalizeLineEvent(event);
+      if (normalized) {
+        parsed.push(normalized);
       }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Parse LINE follow/unfollow/join/leave events
+   * These change the customer relationship rather than carry a message
+   * @param {Object} body - LINE webhook body
+   * @returns {Array} { platform, eventType, senderId, sourceType, timestamp, webhookEventId, originalEvent }
+   */
+  parseLineLifecycleEvents(body) {
+    if (!body || !Array.isArray(body.events)) {
+      return [];
+    }
+
+    return body.events
+      .filter(event => LINE_LIFECYCLE_EVENTS.includes(event?.type) && event.source)
+      .map(event => ({
+        platform: 'line',
+        eventType: event.type,
+        senderId: event.source.userId || event.source.groupId || event.source.roomId,
+        sourceType: event.source.type,
+        timestamp: event.timestamp,
+        webhookEventId: event.webhookEventId,
+        originalEvent: event
+      }));
+  }
 
-      const event = body.events[0];
+  /**
+   * Normalize a LINE postback event (a tap on a Flex/template button)
+   * Query-string data such as "action=zone_status&zone=123" is split into values
+   * @param {Object} event - Postback event
+   * @returns {Object} { data, action, values, params }
+   */
+  extractLinePostback(event) {
+    const data = event.postback?.data || '';
+    const values = data.includes('=') ? Object.fromEntries(new URLSearchParams(data)) : {};
+
+    return {
+      data,
+      action: values.action || data,
+      values,
+      // Date/time picker selections
+      params: event.postback?.params || null
+    };
+  }
+
+  /**
+   * Normalize a single LINE message event
+   * @param {Object} event - Event from body.events
+   * @returns {Object|null} Standardized message format or null if not a message
+   */
+  normalizeLineEvent(event) {
+    try {
+      // Postbacks are button taps, handled like messages so they reach the postback handlers
+      if (event.type === 'postback') {
+        const postback = this.extractLinePostback(event);
+        return {
+          platform: 'line',
+          senderId: event.source.userId || event.source.groupId || event.source.roomId,
+          senderName: 'LINE User',
+          phoneNumber: null,
+          messageId: event.webhookEventId,
+          messageText: `[Postback] ${postback.data}`,
+          timestamp: Math.floor(event.timestamp / 1000),
+          messageType: 'postback',
+          media: null,
+          postback,
+          originalMessage: event
+        };
+      }
 
-      // Only process message events
+      // Only process message events (lifecycle events go through parseLineLifecycleEvents)
       if (event.type !== 'message') {
-        console.log('LINE event is not a message:', event.type);
+        if (!LINE_LIFECYCLE_EVENTS.includes(event.type)) {
+          console.log('LINE event is not a message:', event.type);
+        }
         return null;
       }
 
@@ -123,9 +332,11 @@ class MessageProcessor {
         senderId: event.source.userId || event.source.groupId || event.source.roomId,
         senderName: senderName,
         phoneNumber: phoneNumber,
+        messageId: event.message.id,
         messageText: messageText,
         timestamp: Math.floor(event.timestamp / 1000), // Convert to seconds
         messageType: event.message.type,
+        media: this.extractLineMedia(event.message),
         originalMessage: event
       };
 
@@ -135,11 +346,32 @@ class MessageProcessor {
     }
   }
 
+  /**
+   * Extract the downloadable content reference from a LINE message
+   * @param {Object} message - event.message
+   * @returns {Object|null} { id, mimeType, filename, caption, externalUrl } or null for non-media messages
+   */
+  extractLineMedia(message) {
+    const mediaTypes = ['image', 'video', 'audio', 'file'];
+    if (!mediaTypes.includes(message.type) || !message.id) {
+      return null;
+    }
+
+    const provider = message.contentProvider || {};
+    return {
+      id: message.id,
+      mimeType: null, // Only known once the content is downloaded
+      filename: message.fileName || null,
+      caption: null,
+      externalUrl: provider.type === 'external' ? provider.originalContentUrl || null : null
+    };
+  }
+
   /**
    * Generic message parser - detects platform and routes to appropriate parser
    * @param {Object} body - Webhook body
    * @param {string} platform - Platform identifier ('whatsapp' or 'line')
-   * @returns {Object} Standardized message format
+   * @returns {Array} Standardized messages (empty for unknown platforms)
    */
   parseMessage(body, platform) {
     if (platform === 'whatsapp') {
@@ -148,7 +380,7 @@ class MessageProcessor {
       return this.parseLineMessage(body);
     } else {
       console.error('Unknown platform:', platform);
-      return null;
+      return [];
     }
   }
 
@@ -172,7 +404,9 @@ const messageProcessor = new MessageProcessor();
 module.exports = {
   messageProcessor,
   parseWhatsAppMessage: (body) => messageProcessor.parseWhatsAppMessage(body),
+  parseWhatsAppStatuses: (body) => messageProcessor.parseWhatsAppStatuses(body),
   parseLineMessage: (body) => messageProcessor.parseLineMessage(body),
+  parseLineLifecycleEvents: (body) => messageProcessor.parseLineLifecycleEvents(body),
   parseMessage: (body, platform) => messageProcessor.parseMessage(body, platform),
   isValidMessage: (message) => messageProcessor.isValidMessage(message)
 };
\ No newline at end of file
@@ -150,10 +150,10 @@ class MessageTracker {
 // Export singleton instance
 const messageTracker = new MessageTracker();
 
-// Set up automatic cleanup every hour
+// Set up automatic cleanup every hour (without keeping the process alive)
 setInterval(() => {
   messageTracker.cleanupExpired();
-}, 60 * 60 * 1000); // 1 hour
+}, 60 * 60 * 1000).unref(); // 1 hour
 
 module.exports = {
   messageTracker,
@@ -0,0 +1,175 @@
+/**
+ * Schema Migrations
+ * Versioned, forward-only migrations for the PostgreSQL tables
+ * Each file in src/migrations (e.g. 003-create-escalations.js) exports
+ * { description, up(client) } and runs once inside its own transaction
+ * Applied migrations are recorded in schema_migrations; an advisory lock makes
+ * sure only one instance migrates at a time during rolling deploys
+ * Run automatically at startup; `npm run migrate` applies or inspects them by hand
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getPool } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^\d{3}-[\w-]+\.js$/;
+
+// Arbitrary constant shared by every instance - pg_advisory_lock takes a bigint key
+const MIGRATION_LOCK_ID = 4201607;
+
+class MigrationRunner {
+  /**
+   * @param {Array|null} migrations - [{ id, description, up }]; loaded from src/migrations when null
+   */
+  constructor(migrations = null) {
+    this.migrations = migrations;
+    this.runPromise = null;
+  }
+
+  /**
+   * Load migration modules from src/migrations in filename order
+   * @returns {Array} [{ id, description, up }]
+   */
+  loadMigrations() {
+    if (this.migrations) return this.migrations;
+
+    this.migrations = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => MIGRATION_FILE_PATTERN.test(file))
+      .sort()
+      .map(file => {
+        const migration = require(path.join(MIGRATIONS_DIR, file));
+        if (typeof migration.up !== 'function') {
+          throw new Error(`Migration ${file} does not export an up(client) function`);
+        }
+        return {
+          id: path.basename(file, '.js'),
+          description: migration.description || '',
+          up: migration.up
+        };
+      });
+
+    return this.migrations;
+  }
+
+  /**
+   * Create the table that records applied migrations
+   * @param {Object} client - pg client or pool
+   */
+  async ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        id VARCHAR(255) PRIMARY KEY,
+        description TEXT,
+        applied_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+  }
+
+  /**
+   * Read applied migrations
+   * @param {Object} client - pg client or pool
+   * @returns {Promise<Map>} id -> applied_at
+   */
+  async getApplied(client) {
+    const result = await client.query('SELECT id, applied_at FROM schema_migrations ORDER BY id');
+    return new Map(result.rows.map(row => [row.id, row.applied_at]));
+  }
+
+  /**
+   * Apply pending migrations
+   * Waits for the advisory lock, then re-reads what is applied so migrations
+   * finished by another instance in the meantime are skipped
+   * @returns {Promise<Array<string>>} IDs of migrations applied by this call
+   */
+  async migrate() {
+    const pool = getPool();
+    if (!pool) {
+      console.log('⚠️ DATABASE_URL not set - skipping schema migrations');
+      return [];
+    }
+
+    const migrations = this.loadMigrations();
+    const client = await pool.connect();
+    const applied = [];
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+      await this.ensureMigrationsTable(client);
+      const done = await this.getApplied(client);
+
+      for (const migration of migrations) {
+        if (done.has(migration.id)) continue;
+
+        console.log(`🗄️ Applying migration ${migration.id}: ${migration.description}`);
+        try {
+          await client.query('BEGIN');
+          await migration.up(client);
+          await client.query(
+            'INSERT INTO schema_migrations (id, description) VALUES ($1, $2)',
+            [migration.id, migration.description]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migration ${migration.id} failed: ${error.message}`);
+        }
+        applied.push(migration.id);
+      }
+
+      if (applied.length > 0) {
+        console.log(`✅ Applied ${applied.length} migration(s)`);
+      }
+      return applied;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+      client.release();
+    }
+  }
+
+  /**
+   * Apply pending migrations once per process
+   * Stores call this before their first query; a failed run is retried on the next call
+   * @returns {Promise<Array<string>>} IDs of migrations applied
+   */
+  run() {
+    if (!this.runPromise) {
+      this.runPromise = this.migrate().catch(error => {
+        this.runPromise = null;
+        throw error;
+      });
+    }
+    return this.runPromise;
+  }
+
+  /**
+   * List every migration and whether it has been applied
+   * @returns {Promise<Array>} [{ id, description, applied, appliedAt }]
+   */
+  async status() {
+    const pool = getPool();
+    if (!pool) {
+      throw new Error('DATABASE_URL not set');
+    }
+
+    await this.ensureMigrationsTable(pool);
+    const done = await this.getApplied(pool);
+
+    return this.loadMigrations().map(migration => ({
+      id: migration.id,
+      description: migration.description,
+      applied: done.has(migration.id),
+      appliedAt: done.get(migration.id) || null
+    }));
+  }
+}
+
+// Export singleton instance
+const migrationRunner = new MigrationRunner();
+
+module.exports = {
+  MigrationRunner,
+  migrationRunner,
+  runMigrations: () => migrationRunner.run(),
+  getMigrationStatus: () => migrationRunner.status()
+};
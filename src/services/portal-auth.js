@@ -0,0 +1,432 @@
+/**
+ * Portal Authentication Service
+ * Protects the reply portals (/reply, /reply-wa, /reply-live, /reply-el) and the inbox
+ *
+ * Access is granted by signed, expiring links embedded in Google Chat alerts.
+ * Each token is bound to one scope (a customer phone, a conversation or an
+ * ElevenLabs conversation), so a link for one customer can't open another.
+ *
+ * Agents sign in once per browser with their personal sign-in link, issued by
+ * an admin (POST /api/admin/portal/sign-in-links/:name). The signed session
+ * cookie is used to record which agent sent each outbound reply.
+ * Sessions and sign-in links carry the agent's roster signInVersion and are
+ * checked against the roster on every request, so removing an agent or
+ * revoking their sign-in (POST .../sign-in-links/:name/revoke) takes effect
+ * immediately.
+ *
+ * The admin API (/api/admin/*) is separate: it takes ADMIN_API_TOKEN as a
+ * bearer token and is disabled when that isn't set.
+ */
+
+const crypto = require('crypto');
+const { normalizePhoneNumber } = require('./message-history');
+const { getConfig, publicUrl } = require('../config/runtime');
+const { getRoster, findMember } = require('./team-roster');
+
+const SESSION_COOKIE = 'bma_portal_agent';
+const DEFAULT_SIGN_IN_LINK_DAYS = 30;
+
+
+/**
+ * Base64url encoding helpers
+ */
+function toBase64Url(value) {
+  return Buffer.from(value).toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+/**
+ * Constant-time comparison of two strings
+ */
+function safeEqual(expected, received) {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+class PortalAuth {
+  constructor() {
+    this.ephemeralSecret = null;
+  }
+
+  /**
+   * Get the signing secret
+   * Falls back to a per-process random secret (links stop working after a restart)
+   * @returns {string} Secret
+   */
+  getSecret() {
+    const { secret } = getConfig().portal;
+    if (secret) {
+      return secret;
+    }
+
+    if (!this.ephemeralSecret) {
+      console.warn('⚠️ PORTAL_SECRET not set - using a temporary secret, reply links will expire on restart');
+      this.ephemeralSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return this.ephemeralSecret;
+  }
+
+  /**
+   * Sign a value with the portal secret
+   * @param {string} value - Value to sign
+   * @returns {string} base64url HMAC-SHA256
+   */
+  sign(value) {
+    return toBase64Url(crypto.createHmac('sha256', this.getSecret()).update(value).digest());
+  }
+
+  /**
+   * Get the list of agents allowed to sign in
+   * The team roster, unless overridden with PORTAL_AGENTS ("Name:email,Name:email")
+   * @returns {Array} [{ name, email }]
+   */
+  getAgents() {
+    const configured = getConfig().portal.agents;
+    if (!configured) {
+      return getRoster().members.map(member => ({ name: member.name, email: member.email }));
+    }
+
+    return configured.split(',')
+      .map(entry => {
+        const [name, email] = entry.split(':').map(part => (part || '').trim());
+        return { name, email: email || null };
+      })
+      .filter(agent => agent.name);
+  }
+
+  /**
+   * Find an agent by name (case-insensitive)
+   * @param {string} name - Agent name
+   * @returns {Object|null} Agent or null if not on the team
+   */
+  findAgent(name) {
+    if (!name) return null;
+    const lower = String(name).trim().toLowerCase();
+    return this.getAgents().find(agent => agent.name.toLowerCase() === lower) || null;
+  }
+
+  /**
+   * Get an agent's current sign-in version
+   * Agents from PORTAL_AGENTS have no roster entry and stay on version 1
+   * @param {Object} agent - { name, email }
+   * @returns {number} Version sessions and sign-in links must carry
+   */
+  getSignInVersion(agent) {
+    if (getConfig().portal.agents) {
+      return 1;
+    }
+    return findMember(agent.name)?.signInVersion || 1;
+  }
+
+  /**
+   * Create an access token for a scope
+   * @param {string} scope - Scope, e.g. "phone:66812345678"
+   * @param {number} ttlMs - Lifetime in milliseconds
+   * @returns {string} Token ("<expiry>.<signature>")
+   */
+  createToken(scope, ttlMs = null) {
+    const expiresAt = Date.now() + (ttlMs || getConfig().portal.linkTtlHours * 60 * 60 * 1000);
+    const expiry = expiresAt.toString(36);
+    return `${expiry}.${this.sign(`${scope}|${expiry}`)}`;
+  }
+
+  /**
+   * Verify an access token against a scope
+   * @param {string} token - Token from the link
+   * @param {string} scope - Expected scope
+   * @returns {boolean} True if the token is valid, unexpired and for this scope
+   */
+  verifyToken(token, scope) {
+    if (!token || !scope || typeof token !== 'string') {
+      return false;
+    }
+
+    const [expiry, signature] = token.split('.');
+    if (!expiry || !signature) {
+      return false;
+    }
+
+    const expiresAt = parseInt(expiry, 36);
+    if (!expiresAt || expiresAt < Date.now()) {
+      return false;
+    }
+
+    return safeEqual(this.sign(`${scope}|${expiry}`), signature);
+  }
+
+  /**
+   * Build an absolute signed portal link
+   * @param {string} path - Portal path, e.g. "/reply-live/66812345678"
+   * @param {string} scope - Scope the token grants
+   * @param {number} ttlMs - Lifetime in milliseconds (defaults to the link TTL)
+   * @returns {string} URL with ?token=
+   */
+  createLink(path, scope, ttlMs = null) {
+    const separator = path.includes('?') ? '&' : '?';
+    return publicUrl(`${path}${separator}token=${encodeURIComponent(this.createToken(scope, ttlMs))}`);
+  }
+
+  /**
+   * Build an agent's personal sign-in link
+   * Whoever opens it is signed in as that agent, so it is handed to the agent only
+   * @param {Object} agent - { name, email }
+   * @returns {Object} { url, expiresAt }
+   */
+  createSignInLink(agent) {
+    const ttlMs = DEFAULT_SIGN_IN_LINK_DAYS * 24 * 60 * 60 * 1000;
+    return {
+      url: this.createLink(`/portal/sign-in?agent=${encodeURIComponent(agent.name)}`, agentScope(agent.name, this.getSignInVersion(agent)), ttlMs),
+      expiresAt: Date.now() + ttlMs
+    };
+  }
+
+  /**
+   * Check a personal sign-in link
+   * @param {string} name - Agent name from the link
+   * @param {string} token - Token from the link
+   * @returns {Object|null} Agent, or null if the link is invalid, expired, revoked or the agent left the team
+   */
+  verifySignIn(name, token) {
+    const agent = this.findAgent(name);
+    if (!agent || !this.verifyToken(token, agentScope(agent.name, this.getSignInVersion(agent)))) {
+      return null;
+    }
+    return agent;
+  }
+
+  /**
+   * Create a signed agent session cookie value
+   * @param {Object} agent - { name, email }
+   * @returns {Object} { value, maxAgeSeconds }
+   */
+  createSession(agent) {
+    const maxAgeSeconds = Math.round(getConfig().portal.sessionHours * 60 * 60);
+    const payload = toBase64Url(JSON.stringify({
+      name: agent.name,
+      email: agent.email || null,
+      v: this.getSignInVersion(agent),
+      exp: Date.now() + maxAgeSeconds * 1000
+    }));
+
+    return { value: `${payload}.${this.sign(payload)}`, maxAgeSeconds };
+  }
+
+  /**
+   * Read the agent from a request's session cookie
+   * The agent must still be on the team with the sign-in version the session was created with
+   * @param {Object} req - Express request object
+   * @returns {Object|null} { name, email } or null if not signed in
+   */
+  getSessionAgent(req) {
+    const cookies = parseCookies(req.headers.cookie);
+    const raw = cookies[SESSION_COOKIE];
+    if (!raw) return null;
+
+    const [payload, signature] = raw.split('.');
+    if (!payload || !signature || !safeEqual(this.sign(payload), signature)) {
+      return null;
+    }
+
+    try {
+      const session = JSON.parse(fromBase64Url(payload));
+      if (!session.exp || session.exp < Date.now()) {
+        return null;
+      }
+
+      const agent = this.findAgent(session.name);
+      if (!agent || session.v !== this.getSignInVersion(agent)) {
+        return null;
+      }
+      return agent;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build the Set-Cookie header for a session
+   * @param {string} value - Cookie value ('' to clear)
+   * @param {number} maxAgeSeconds - Cookie lifetime
+   * @returns {string} Set-Cookie header value
+   */
+  buildSessionCookie(value, maxAgeSeconds) {
+    const parts = [
+      `${SESSION_COOKIE}=${value}`,
+      'Path=/',
+      `Max-Age=${maxAgeSeconds}`,
+      'HttpOnly',
+      'SameSite=Lax'
+    ];
+    if (getConfig().nodeEnv === 'production') {
+      parts.push('Secure');
+    }
+    return parts.join('; ');
+  }
+
+  /**
+   * Express middleware factory protecting a portal route
+   * @param {Function} getScope - (req) => scope string for the requested resource
+   * @param {Object} options - { page: true } for HTML pages (redirects to login)
+   * @returns {Function} Express middleware
+   */
+  requireAccess(getScope, options = {}) {
+    return (req, res, next) => {
+      const token = req.query.token || req.get('X-Portal-Token');
+      const scope = getScope(req);
+
+      if (!this.verifyToken(token, scope)) {
+        console.warn(`⚠️ Portal access denied for ${req.method} ${req.path}: ${token ? 'invalid or expired link' : 'no link token'}`);
+        if (options.page) {
+          return res.status(403).send(renderAccessDenied());
+        }
+        return res.status(403).json({ success: false, error: 'Link expired or invalid - open the latest link from Google Chat' });
+      }
+
+      const agent = this.getSessionAgent(req);
+      if (!agent) {
+        if (options.page) {
+          return res.redirect(`/portal/login?next=${encodeURIComponent(req.originalUrl)}`);
+        }
+        return res.status(401).json({ success: false, error: 'Agent sign-in required - reload the page' });
+      }
+
+      req.portalAgent = agent;
+      req.portalToken = token;
+      next();
+    };
+  }
+}
+
+/**
+ * Express middleware protecting the admin API
+ * Expects "Authorization: Bearer <ADMIN_API_TOKEN>"; X-Admin-User names who made a change
+ * @returns {Function} Express middleware
+ */
+function requireAdmin() {
+  return (req, res, next) => {
+    const adminToken = getConfig().admin.apiToken;
+    if (!adminToken) {
+      return res.status(503).json({ success: false, error: 'Admin API is disabled - ADMIN_API_TOKEN is not set' });
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token || !safeEqual(adminToken, token)) {
+      console.warn(`⚠️ Admin API access denied for ${req.method} ${req.path}`);
+      return res.status(401).json({ success: false, error: 'Invalid admin token' });
+    }
+
+    req.adminUser = req.get('X-Admin-User') || 'admin';
+    next();
+  };
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} header - Cookie header
+ * @returns {Object} name → value
+ */
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    cookies[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+  }
+  return cookies;
+}
+
+/**
+ * Render the page shown for missing, invalid or expired links
+ * @returns {string} HTML
+ */
+function renderAccessDenied() {
+  return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Link Expired</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <style>
+        body { font-family: Arial, sans-serif; padding: 20px; background: #f5f5f5; }
+        .error { background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        h1 { color: #d32f2f; }
+      </style>
+    </head>
+    <body>
+      <div class="error">
+        <h1>🔒 Link expired or invalid</h1>
+        <p>Reply portals can only be opened from the link in the Google Chat alert.</p>
+        <p>Open the most recent alert for this customer to get a fresh link.</p>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+/**
+ * Scope helpers - one per kind of portal resource
+ */
+function phoneScope(phone) {
+  return `phone:${normalizePhoneNumber(String(phone || ''))}`;
+}
+
+function conversationScope(conversationId) {
+  return `conv:${conversationId}`;
+}
+
+function elevenLabsScope(elevenLabsConvId) {
+  return `el:${elevenLabsConvId}`;
+}
+
+function customerScope(customerId) {
+  return `customer:${customerId}`;
+}
+
+// The agent inbox lists every customer, so it has a scope of its own
+function inboxScope() {
+  return 'inbox';
+}
+
+function agentScope(name, signInVersion = 1) {
+  return `agent:${String(name || '').trim().toLowerCase()}:v${signInVersion}`;
+}
+
+// Export singleton instance
+const portalAuth = new PortalAuth();
+
+module.exports = {
+  portalAuth,
+  SESSION_COOKIE,
+  phoneScope,
+  conversationScope,
+  elevenLabsScope,
+  customerScope,
+  inboxScope,
+  agentScope,
+  requireAdmin,
+  createToken: (scope, ttlMs) => portalAuth.createToken(scope, ttlMs),
+  verifyToken: (token, scope) => portalAuth.verifyToken(token, scope),
+  createPortalLink: (path, scope) => portalAuth.createLink(path, scope),
+  createSession: (agent) => portalAuth.createSession(agent),
+  getSessionAgent: (req) => portalAuth.getSessionAgent(req),
+  buildSessionCookie: (value, maxAgeSeconds) => portalAuth.buildSessionCookie(value, maxAgeSeconds),
+  getAgents: () => portalAuth.getAgents(),
+  findAgent: (name) => portalAuth.findAgent(name),
+  createSignInLink: (agent) => portalAuth.createSignInLink(agent),
+  verifySignIn: (name, token) => portalAuth.verifySignIn(name, token),
+  requirePortalAccess: (getScope, options) => portalAuth.requireAccess(getScope, options)
+};
@@ -0,0 +1,76 @@
+/**
+ * Settings Store Service
+ * Editable JSON settings documents (one row per key in app_settings)
+ * Used for configuration staff change at runtime, like escalation assignment rules
+ * Returns null without a database - callers keep their own in-memory fallback
+ */
+
+const { getPool } = require('./database');
+const { runMigrations } = require('./migrations');
+
+class SettingsStore {
+  /**
+   * Get the pool once the schema is migrated
+   * @returns {Promise<Pool|null>} Pool or null without a database
+   */
+  async getReadyPool() {
+    const pool = getPool();
+    if (!pool) return null;
+
+    await runMigrations();
+    return pool;
+  }
+
+  /**
+   * Read a settings document
+   * @param {string} key - Settings key
+   * @returns {Promise<Object|null>} { value, updatedBy, updatedAt } or null if not stored
+   */
+  async get(key) {
+    const pool = await this.getReadyPool();
+    if (!pool) return null;
+
+    const result = await pool.query(
+      'SELECT value, updated_by, updated_at FROM app_settings WHERE key = $1',
+      [key]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return { value: row.value, updatedBy: row.updated_by, updatedAt: row.updated_at };
+  }
+
+  /**
+   * Write a settings document
+   * @param {string} key - Settings key
+   * @param {Object} value - JSON-serializable document
+   * @param {string} updatedBy - Who made the change
+   * @returns {Promise<Object|null>} { value, updatedBy, updatedAt } or null without a database
+   */
+  async set(key, value, updatedBy = null) {
+    const pool = await this.getReadyPool();
+    if (!pool) return null;
+
+    const result = await pool.query(`
+      INSERT INTO app_settings (key, value, updated_by, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (key) DO UPDATE SET
+        value = $2,
+        updated_by = $3,
+        updated_at = NOW()
+      RETURNING value, updated_by, updated_at
+    `, [key, JSON.stringify(value), updatedBy]);
+
+    const row = result.rows[0];
+    return { value: row.value, updatedBy: row.updated_by, updatedAt: row.updated_at };
+  }
+}
+
+// Export singleton instance
+const settingsStore = new SettingsStore();
+
+module.exports = {
+  settingsStore,
+  getSetting: (key) => settingsStore.get(key),
+  saveSetting: (key, value, updatedBy) => settingsStore.set(key, value, updatedBy)
+};
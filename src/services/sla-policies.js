@@ -0,0 +1,99 @@
+/**
+ * SLA Policies Service
+ * Response targets for escalations, by urgency
+ *
+ * Each urgency (high, medium, low) has a time to first human reply and a time
+ * to resolution. With businessHoursOnly the clock only runs during business
+ * hours (business-hours.js), so an escalation overnight is due the next morning.
+ * The assignee gets a reminder at reminderPercent of each target; on a breach
+ * the backup person is called in as well.
+ *
+ * Stored and hot-reloaded through EditableSettings (app_settings, or
+ * SLA_POLICIES_FILE without a database) and edited through the admin API.
+ */
+
+const path = require('path');
+const { z } = require('zod');
+const { EditableSettings, SettingsError } = require('./editable-settings');
+const { getConfig } = require('../config/runtime');
+
+const URGENCIES = ['high', 'medium', 'low'];
+// Escalations that don't state a (known) urgency
+const DEFAULT_URGENCY = 'medium';
+
+const policySchema = z.object({
+  firstReplyMinutes: z.number().int().positive(),
+  resolutionMinutes: z.number().int().positive(),
+  businessHoursOnly: z.boolean().default(true)
+}).refine(policy => policy.resolutionMinutes >= policy.firstReplyMinutes, 'resolutionMinutes must not be shorter than firstReplyMinutes');
+
+const slaPoliciesSchema = z.object({
+  reminderPercent: z.number().int().min(1).max(99).default(75),
+  backup: z.object({
+    name: z.string().trim().min(1),
+    email: z.string().trim().email().nullable().default(null)
+  }),
+  policies: z.object(Object.fromEntries(URGENCIES.map(urgency => [urgency, policySchema])))
+});
+
+class SlaPoliciesError extends SettingsError {
+  constructor(problems) {
+    super('SLA policies', problems);
+    this.name = 'SlaPoliciesError';
+  }
+}
+
+class SlaPolicies extends EditableSettings {
+  constructor() {
+    super({
+      key: 'sla_policies',
+      label: 'SLA policies',
+      schema: slaPoliciesSchema,
+      defaultsFile: path.join(__dirname, '..', 'config', 'sla-policies.json'),
+      getFile: () => getConfig().sla.policiesFile,
+      fileEnv: 'SLA_POLICIES_FILE'
+    });
+  }
+
+  createError(problems) {
+    return new SlaPoliciesError(problems);
+  }
+
+  /**
+   * Get the active policies
+   * @returns {Object} { reminderPercent, backup, policies, source, updatedAt, updatedBy }
+   */
+  getPolicies() {
+    return this.get();
+  }
+
+  /**
+   * Get the policy for an escalation
+   * @param {string} urgency - 'high', 'medium' or 'low' (anything else is medium)
+   * @returns {Object} { urgency, firstReplyMinutes, resolutionMinutes, businessHoursOnly, reminderPercent, backup }
+   */
+  getPolicy(urgency) {
+    const lower = String(urgency || '').toLowerCase();
+    const known = URGENCIES.includes(lower) ? lower : DEFAULT_URGENCY;
+    return {
+      urgency: known,
+      ...this.document.policies[known],
+      reminderPercent: this.document.reminderPercent,
+      backup: this.document.backup
+    };
+  }
+}
+
+// Export singleton instance
+const slaPolicies = new SlaPolicies();
+
+module.exports = {
+  slaPolicies,
+  SlaPolicies,
+  SlaPoliciesError,
+  URGENCIES,
+  initialize: () => slaPolicies.initialize(),
+  getSlaPolicies: () => slaPolicies.getPolicies(),
+  getSlaPolicy: (urgency) => slaPolicies.getPolicy(urgency),
+  updateSlaPolicies: (document, updatedBy) => slaPolicies.update(document, updatedBy)
+};
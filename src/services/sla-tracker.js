@@ -0,0 +1,509 @@
+/**
+ * SLA Tracker Service
+ * Measures escalations against the SLA policies and chases the ones falling behind
+ *
+ * The escalation store reports each escalation's timestamps: opened
+ * (markEscalated), first human reply (extendEscalation - every team reply goes
+ * through it) and resolved (clearEscalation). Deadlines are fixed from the
+ * policy when the escalation opens. The clock keeps running after the
+ * 15-minute escalation timeout - the customer is still waiting for a human.
+ *
+ * Every minute open escalations are checked: at reminderPercent of a target the
+ * assignee is @mentioned in the escalation's Google Chat thread, and on a
+ * breach the assignee and the backup person are.
+ *
+ * Kept in escalation_sla (PostgreSQL when DATABASE_URL is set, otherwise in
+ * memory). With a database each alert is claimed with a conditional UPDATE, so
+ * only one instance posts it.
+ */
+
+const { getPool } = require('./database');
+const { runMigrations } = require('./migrations');
+const { getSlaPolicy } = require('./sla-policies');
+const { addBusinessMinutes } = require('./business-hours');
+const { sendThreadReply, getMentionForEmail } = require('./google-chat-simple');
+const { getConfig } = require('../config/runtime');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+// In-memory records kept without a database
+const MAX_MEMORY_RECORDS = 1000;
+
+// Alert timestamps - record field -> column
+const ALERT_COLUMNS = {
+  firstReplyRemindedAt: 'first_reply_reminded_at',
+  firstReplyBreachedAt: 'first_reply_breached_at',
+  resolutionRemindedAt: 'resolution_reminded_at',
+  resolutionBreachedAt: 'resolution_breached_at'
+};
+
+const bangkokTimeFormat = new Intl.DateTimeFormat('en-GB', {
+  timeZone: 'Asia/Bangkok',
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Work out when a target (or a share of it) runs out
+ * @param {number} start - Epoch ms the clock starts
+ * @param {number} minutes - Target in minutes
+ * @param {boolean} businessHoursOnly - Only count business hours
+ * @param {string|null} teamId - Roster team, for its business hours
+ * @returns {number} Epoch ms
+ */
+function deadline(start, minutes, businessHoursOnly, teamId) {
+  return businessHoursOnly
+    ? addBusinessMinutes(new Date(start), minutes, teamId).getTime()
+    : start + minutes * 60 * 1000;
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function rowToRecord(row) {
+  return {
+    id: row.id,
+    phone: row.phone,
+    customerName: row.customer_name,
+    urgency: row.urgency,
+    spaceId: row.space_id,
+    threadName: row.thread_name,
+    assignee: row.assignee_name ? { name: row.assignee_name, email: row.assignee_email } : null,
+    backup: row.backup_name ? { name: row.backup_name, email: row.backup_email } : null,
+    escalatedAt: toNumber(row.escalated_at),
+    firstReplyReminderAt: toNumber(row.first_reply_reminder_at),
+    firstReplyDueAt: toNumber(row.first_reply_due_at),
+    resolutionReminderAt: toNumber(row.resolution_reminder_at),
+    resolutionDueAt: toNumber(row.resolution_due_at),
+    firstReplyAt: toNumber(row.first_reply_at),
+    resolvedAt: toNumber(row.resolved_at),
+    firstReplyRemindedAt: toNumber(row.first_reply_reminded_at),
+    firstReplyBreachedAt: toNumber(row.first_reply_breached_at),
+    resolutionRemindedAt: toNumber(row.resolution_reminded_at),
+    resolutionBreachedAt: toNumber(row.resolution_breached_at)
+  };
+}
+
+class SlaTracker {
+  constructor() {
+    this.records = [];
+    this.nextId = 1;
+    this.checkTimer = null;
+  }
+
+  /**
+   * Get the pool once the schema is migrated
+   * @returns {Promise<Pool|null>} Pool or null without a database
+   */
+  async getReadyPool() {
+    const pool = getPool();
+    if (!pool) return null;
+
+    await runMigrations();
+    return pool;
+  }
+
+  /**
+   * Start checking open escalations every minute
+   * Call once at startup
+   */
+  initialize() {
+    if (this.checkTimer) return;
+
+    this.checkTimer = setInterval(() => {
+      this.check().catch(error => console.error('⚠️ SLA check failed:', error.message));
+    }, CHECK_INTERVAL_MS);
+    this.checkTimer.unref();
+    console.log('✅ SLA tracking started');
+  }
+
+  /**
+   * Start the SLA clock for an escalation
+   * A customer escalated again while their SLA is still open keeps the original
+   * deadlines; the thread and assignee move to the new escalation.
+   * @param {string} phone - Normalized customer phone
+   * @param {Object} escalation - { customerName, urgency, spaceId, threadName, assignee, teamId } -
+   *   teamId picks the team's business hours
+   * @param {number} now - Epoch ms the escalation opened
+   * @returns {Promise<Object|null>} SLA record
+   */
+  async trackEscalation(phone, { customerName = null, urgency = null, spaceId = null, threadName = null, assignee = null, teamId = null } = {}, now = Date.now()) {
+    if (!phone) return null;
+
+    const open = await this.findOpen(phone);
+    if (open) {
+      return this.updateOpen(open, { customerName, spaceId, threadName, assignee });
+    }
+
+    const policy = getSlaPolicy(urgency);
+    const { businessHoursOnly, reminderPercent } = policy;
+    const record = {
+      phone,
+      customerName,
+      urgency: policy.urgency,
+      spaceId,
+      threadName,
+      assignee: assignee ? { name: assignee.name, email: assignee.email || null } : null,
+      backup: policy.backup,
+      escalatedAt: now,
+      firstReplyReminderAt: deadline(now, policy.firstReplyMinutes * reminderPercent / 100, businessHoursOnly, teamId),
+      firstReplyDueAt: deadline(now, policy.firstReplyMinutes, businessHoursOnly, teamId),
+      resolutionReminderAt: deadline(now, policy.resolutionMinutes * reminderPercent / 100, businessHoursOnly, teamId),
+      resolutionDueAt: deadline(now, policy.resolutionMinutes, businessHoursOnly, teamId),
+      firstReplyAt: null,
+      resolvedAt: null,
+      firstReplyRemindedAt: null,
+      firstReplyBreachedAt: null,
+      resolutionRemindedAt: null,
+      resolutionBreachedAt: null
+    };
+
+    const saved = await this.insert(record);
+    console.log(`⏱️ SLA started for ${phone} (${record.urgency}) - first reply due ${formatTime(record.firstReplyDueAt)}, resolution due ${formatTime(record.resolutionDueAt)}`);
+    return saved;
+  }
+
+  /**
+   * Record the team's first reply to an open escalation
+   * @param {string} phone - Normalized customer phone
+   * @param {number} now - Epoch ms of the reply
+   * @returns {Promise<Object|null>} SLA record, or null if no open SLA was waiting for a first reply
+   */
+  async recordReply(phone, now = Date.now()) {
+    const record = await this.setOnOpen(phone, 'firstReplyAt', 'first_reply_at', now);
+    if (record) {
+      console.log(`⏱️ SLA first reply for ${phone} after ${formatDuration(now - record.escalatedAt)} - ${now <= record.firstReplyDueAt ? 'met' : 'breached'}`);
+    }
+    return record;
+  }
+
+  /**
+   * Record that an escalation was resolved (closed by the team)
+   * @param {string} phone - Normalized customer phone
+   * @param {number} now - Epoch ms of the close
+   * @returns {Promise<Object|null>} SLA record, or null if no SLA was open
+   */
+  async recordResolution(phone, now = Date.now()) {
+    const record = await this.setOnOpen(phone, 'resolvedAt', 'resolved_at', now);
+    if (record) {
+      console.log(`⏱️ SLA resolution for ${phone} after ${formatDuration(now - record.escalatedAt)} - ${now <= record.resolutionDueAt ? 'met' : 'breached'}`);
+    }
+    return record;
+  }
+
+  /**
+   * Post the reminders and breach alerts that are due
+   * @param {number} now - Epoch ms
+   * @returns {Promise<Object>} { reminders, breaches } - alerts posted
+   */
+  async check(now = Date.now()) {
+    const posted = { reminders: 0, breaches: 0 };
+
+    for (const record of await this.getOpen()) {
+      const targets = record.firstReplyAt ? ['resolution'] : ['firstReply', 'resolution'];
+
+      for (const target of targets) {
+        if (record[`${target}BreachedAt`]) continue;
+
+        if (now >= record[`${target}DueAt`]) {
+          if (await this.claim(record, `${target}BreachedAt`, now)) {
+            await this.notify(record, target, 'breach');
+            posted.breaches++;
+          }
+        } else if (now >= record[`${target}ReminderAt`] && !record[`${target}RemindedAt`]) {
+          if (await this.claim(record, `${target}RemindedAt`, now)) {
+            await this.notify(record, target, 'reminder');
+            posted.reminders++;
+          }
+        }
+      }
+    }
+
+    return posted;
+  }
+
+  /**
+   * Post a reminder or breach alert into the escalation's thread
+   * @param {Object} record - SLA record
+   * @param {string} target - 'firstReply' or 'resolution'
+   * @param {string} kind - 'reminder' or 'breach'
+   */
+  async notify(record, target, kind) {
+    const assignee = record.assignee ? mentionFor(record.assignee) : '*Team*';
+    const customer = record.customerName && record.customerName !== 'Unknown'
+      ? `${record.customerName} (+${record.phone})`
+      : `+${record.phone}`;
+    const due = formatTime(record[`${target}DueAt`]);
+
+    let text;
+    if (kind === 'reminder') {
+      text = target === 'firstReply'
+        ? `⏰ ${assignee} *SLA reminder:* ${customer} is still waiting for a first reply - due by ${due} (${record.urgency} urgency)`
+        : `⏰ ${assignee} *SLA reminder:* ${customer}'s escalation should be resolved by ${due} - close it once they're helped (${record.urgency} urgency)`;
+    } else {
+      text = target === 'firstReply'
+        ? `🚨 ${assignee} *SLA breached:* ${customer} got no first reply by ${due} (${record.urgency} urgency)`
+        : `🚨 ${assignee} *SLA breached:* ${customer}'s escalation wasn't resolved by ${due} (${record.urgency} urgency)`;
+
+      const backup = record.backup;
+      if (backup && backup.name.toLowerCase() !== record.assignee?.name.toLowerCase()) {
+        text += `\n🆘 ${mentionFor(backup)} please step in as backup`;
+      }
+    }
+
+    const spaceId = record.spaceId || getConfig().googleChat.spaceId;
+    await sendThreadReply(spaceId, record.threadName, text);
+    console.log(`⏱️ SLA ${kind} (${target}) posted for ${record.phone}`);
+  }
+
+  /**
+   * Summarize SLA results
+   * @param {number} since - Epoch ms - escalations opened since then, plus any still open
+   * @param {number} now - Epoch ms
+   * @returns {Promise<Object>} { open, firstReply: { met, breached }, resolution: { met, breached } }
+   *   - breached includes open escalations already past their deadline
+   */
+  async getSummary(since, now = Date.now()) {
+    const records = await this.getRecords(since);
+    const summary = { open: 0, firstReply: { met: 0, breached: 0 }, resolution: { met: 0, breached: 0 } };
+
+    for (const record of records) {
+      if (!record.resolvedAt) summary.open++;
+
+      // Closing without a reply ends the wait for one
+      const firstReplyAt = record.firstReplyAt || record.resolvedAt;
+      tally(summary.firstReply, firstReplyAt, record.firstReplyDueAt, now);
+      tally(summary.resolution, record.resolvedAt, record.resolutionDueAt, now);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Find a customer's open SLA record
+   * @param {string} phone - Normalized customer phone
+   * @returns {Promise<Object|null>} SLA record
+   */
+  async findOpen(phone) {
+    const pool = await this.getReadyPool().catch(() => null);
+    if (pool) {
+      try {
+        const result = await pool.query(`
+          SELECT * FROM escalation_sla
+          WHERE phone = $1 AND resolved_at IS NULL
+          ORDER BY escalated_at DESC
+          LIMIT 1
+        `, [phone]);
+        return result.rows[0] ? rowToRecord(result.rows[0]) : null;
+      } catch (error) {
+        console.error('⚠️ Failed to read SLA record:', error.message);
+        return null;
+      }
+    }
+
+    return this.records.find(record => record.phone === phone && !record.resolvedAt) || null;
+  }
+
+  /**
+   * Get every open SLA record
+   * @returns {Promise<Array>} SLA records, oldest first
+   */
+  async getOpen() {
+    const pool = await this.getReadyPool().catch(() => null);
+    if (pool) {
+      try {
+        const result = await pool.query('SELECT * FROM escalation_sla WHERE resolved_at IS NULL ORDER BY escalated_at');
+        return result.rows.map(rowToRecord);
+      } catch (error) {
+        console.error('⚠️ Failed to read open SLA records:', error.message);
+        return [];
+      }
+    }
+
+    return this.records.filter(record => !record.resolvedAt);
+  }
+
+  /**
+   * Get records opened since an instant, plus any still open
+   * @param {number} since - Epoch ms
+   * @returns {Promise<Array>} SLA records
+   */
+  async getRecords(since) {
+    const pool = await this.getReadyPool().catch(() => null);
+    if (pool) {
+      try {
+        const result = await pool.query('SELECT * FROM escalation_sla WHERE escalated_at >= $1 OR resolved_at IS NULL', [since]);
+        return result.rows.map(rowToRecord);
+      } catch (error) {
+        console.error('⚠️ Failed to read SLA records:', error.message);
+        return [];
+      }
+    }
+
+    return this.records.filter(record => record.escalatedAt >= since || !record.resolvedAt);
+  }
+
+  /**
+   * Save a new SLA record
+   * @param {Object} record - SLA record without id
+   * @returns {Promise<Object>} Saved record
+   */
+  async insert(record) {
+    const pool = await this.getReadyPool().catch(() => null);
+    if (pool) {
+      try {
+        const result = await pool.query(`
+          INSERT INTO escalation_sla (phone, customer_name, urgency, space_id, thread_name, assignee_name, assignee_email,
+            backup_name, backup_email, escalated_at, first_reply_reminder_at, first_reply_due_at, resolution_reminder_at, resolution_due_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+          RETURNING *
+        `, [
+          record.phone, record.customerName, record.urgency, record.spaceId, record.threadName,
+          record.assignee?.name || null, record.assignee?.email || null,
+          record.backup?.name || null, record.backup?.email || null,
+          record.escalatedAt, record.firstReplyReminderAt, record.firstReplyDueAt, record.resolutionReminderAt, record.resolutionDueAt
+        ]);
+        return rowToRecord(result.rows[0]);
+      } catch (error) {
+        console.error('⚠️ Failed to save SLA record:', error.message);
+        return null;
+      }
+    }
+
+    const saved = { id: this.nextId++, ...record };
+    this.records.push(saved);
+    if (this.records.length > MAX_MEMORY_RECORDS) {
+      const oldestResolved = this.records.findIndex(existing => existing.resolvedAt);
+      this.records.splice(oldestResolved === -1 ? 0 : oldestResolved, 1);
+    }
+    return saved;
+  }
+
+  /**
+   * Point an open SLA record at a new escalation's thread and assignee
+   * @param {Object} record - Open SLA record
+   * @param {Object} changes - { customerName, spaceId, threadName, assignee }
+   * @returns {Promise<Object>} Updated record
+   */
+  async updateOpen(record, { customerName, spaceId, threadName, assignee }) {
+    const updated = {
+      ...record,
+      customerName: customerName || record.customerName,
+      spaceId: spaceId || record.spaceId,
+      threadName: threadName || record.threadName,
+      assignee: assignee ? { name: assignee.name, email: assignee.email || null } : record.assignee
+    };
+
+    const pool = await this.getReadyPool().catch(() => null);
+    if (pool) {
+      try {
+        await pool.query(`
+          UPDATE escalation_sla
+          SET customer_name = $2, space_id = $3, thread_name = $4, assignee_name = $5, assignee_email = $6
+          WHERE id = $1
+        `, [record.id, updated.customerName, updated.spaceId, updated.threadName, updated.assignee?.name || null, updated.assignee?.email || null]);
+      } catch (error) {
+        console.error('⚠️ Failed to update SLA record:', error.message);
+      }
+    } else {
+      Object.assign(record, updated);
+    }
+
+    console.log(`⏱️ ${record.phone} escalated again - SLA keeps its original deadlines`);
+    return updated;
+  }
+
+  /**
+   * Set a timestamp on a customer's open record if it isn't set yet
+   * @param {string} phone - Normalized customer phone
+   * @param {string} field - Record field
+   * @param {string} column - Matching column
+   * @param {number} now - Epoch ms
+   * @returns {Promise<Object|null>} Updated record, or null if nothing changed
+   */
+  async setOnOpen(phone, field, column, now) {
+    if (!phone) return null;
+
+    const pool = await this.getReadyPool().catch(() => null);
+    if (pool) {
+      try {
+        const result = await pool.query(`
+          UPDATE escalation_sla SET ${column} = $2
+          WHERE phone = $1 AND resolved_at IS NULL AND ${column} IS NULL
+          RETURNING *
+        `, [phone, now]);
+        return result.rows[0] ? rowToRecord(result.rows[0]) : null;
+      } catch (error) {
+        console.error('⚠️ Failed to update SLA record:', error.message);
+        return null;
+      }
+    }
+
+    const record = this.records.find(existing => existing.phone === phone && !existing.resolvedAt && !existing[field]);
+    if (!record) return null;
+    record[field] = now;
+    return record;
+  }
+
+  /**
+   * Claim an alert so it is posted once, even with several instances
+   * @param {Object} record - SLA record
+   * @param {string} field - Alert field (see ALERT_COLUMNS)
+   * @param {number} now - Epoch ms
+   * @returns {Promise<boolean>} True if this caller should post the alert
+   */
+  async claim(record, field, now) {
+    const pool = await this.getReadyPool().catch(() => null);
+    if (pool) {
+      const column = ALERT_COLUMNS[field];
+      try {
+        const result = await pool.query(`UPDATE escalation_sla SET ${column} = $2 WHERE id = $1 AND ${column} IS NULL`, [record.id, now]);
+        if (result.rowCount === 0) return false;
+      } catch (error) {
+        console.error('⚠️ Failed to claim SLA alert:', error.message);
+        return false;
+      }
+    }
+
+    record[field] = now;
+    return true;
+  }
+}
+
+function mentionFor(person) {
+  return person.email ? getMentionForEmail(person.email, person.name) : `*${person.name}*`;
+}
+
+function tally(counts, doneAt, dueAt, now) {
+  if (doneAt) {
+    counts[doneAt <= dueAt ? 'met' : 'breached']++;
+  } else if (now > dueAt) {
+    counts.breached++;
+  }
+}
+
+function formatTime(time) {
+  return `${bangkokTimeFormat.format(new Date(time))} (Bangkok)`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// Export singleton instance
+const slaTracker = new SlaTracker();
+
+module.exports = {
+  slaTracker,
+  SlaTracker,
+  initialize: () => slaTracker.initialize(),
+  trackEscalation: (phone, escalation, now) => slaTracker.trackEscalation(phone, escalation, now),
+  recordReply: (phone, now) => slaTracker.recordReply(phone, now),
+  recordResolution: (phone, now) => slaTracker.recordResolution(phone, now),
+  checkSla: (now) => slaTracker.check(now),
+  getOpenSla: () => slaTracker.getOpen(),
+  getSlaSummary: (since, now) => slaTracker.getSummary(since, now)
+};
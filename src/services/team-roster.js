@@ -0,0 +1,256 @@
+/**
+ * Team Roster Service
+ * Support team members, their shifts in Asia/Bangkok time and on-duty status,
+ * grouped into teams that escalation assignment rules point at
+ *
+ * Each team picks a member with one of the strategies in escalation-assignment.js:
+ * round-robin, least-open (fewest open escalations) or sticky (the agent who
+ * last helped a returning customer, then fallbackStrategy).
+ * A member is available when on duty and inside one of their shifts; members
+ * without shifts are available whenever they are on duty.
+ *
+ * The roster is also the list of agents allowed to sign in to the reply portals.
+ * Stored and hot-reloaded through EditableSettings (app_settings, or
+ * TEAM_ROSTER_FILE without a database) and edited through the admin API.
+ */
+
+const path = require('path');
+const { z } = require('zod');
+const { EditableSettings, SettingsError } = require('./editable-settings');
+const { getConfig } = require('../config/runtime');
+
+const TIMEZONE = 'Asia/Bangkok';
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const STRATEGIES = ['round-robin', 'least-open', 'sticky'];
+
+const timeSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'must be HH:MM (24-hour)');
+
+const memberSchema = z.object({
+  name: z.string().trim().min(1),
+  email: z.string().trim().email().nullable().default(null),
+  onDuty: z.boolean().default(true),
+  // Part of every portal session and sign-in link - bumping it signs the member out everywhere
+  signInVersion: z.number().int().min(1).default(1),
+  // Times are Asia/Bangkok; a shift ending before it starts runs past midnight
+  shifts: z.array(z.object({
+    days: z.array(z.enum(DAYS)).min(1),
+    start: timeSchema,
+    end: timeSchema
+  })).default([])
+});
+
+const teamSchema = z.object({
+  id: z.string().trim().regex(/^[\w-]+$/, 'must contain only letters, digits, - and _'),
+  name: z.string().trim().min(1),
+  members: z.array(z.string().trim().min(1)).min(1),
+  strategy: z.enum(STRATEGIES).default('round-robin'),
+  // Used by sticky when the customer is new or their previous agent isn't available
+  fallbackStrategy: z.enum(['round-robin', 'least-open']).default('round-robin')
+});
+
+const rosterSchema = z.object({
+  members: z.array(memberSchema).min(1),
+  teams: z.array(teamSchema).default([])
+}).superRefine((roster, ctx) => {
+  const names = new Set();
+  roster.members.forEach((member, index) => {
+    const lower = member.name.toLowerCase();
+    if (names.has(lower)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['members', index, 'name'], message: `duplicate member "${member.name}"` });
+    }
+    names.add(lower);
+  });
+
+  const teamIds = new Set();
+  roster.teams.forEach((team, index) => {
+    if (teamIds.has(team.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['teams', index, 'id'], message: `duplicate team id "${team.id}"` });
+    }
+    teamIds.add(team.id);
+
+    team.members.forEach((name, memberIndex) => {
+      if (!names.has(name.toLowerCase())) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['teams', index, 'members', memberIndex], message: `"${name}" is not a roster member` });
+      }
+    });
+  });
+});
+
+class TeamRosterError extends SettingsError {
+  constructor(problems) {
+    super('team roster', problems);
+    this.name = 'TeamRosterError';
+  }
+}
+
+const bangkokFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Get the day of the week and time of day in Bangkok
+ * @param {Date} date - Instant
+ * @returns {Object} { day: 'mon', minutes } - minutes since midnight
+ */
+function getBangkokTime(date = new Date()) {
+  const parts = Object.fromEntries(bangkokFormat.formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    day: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+class TeamRoster extends EditableSettings {
+  constructor() {
+    super({
+      key: 'team_roster',
+      label: 'team roster',
+      schema: rosterSchema,
+      defaultsFile: path.join(__dirname, '..', 'config', 'team-roster.json'),
+      getFile: () => getConfig().assignment.rosterFile,
+      fileEnv: 'TEAM_ROSTER_FILE'
+    });
+  }
+
+  createError(problems) {
+    return new TeamRosterError(problems);
+  }
+
+  /**
+   * Get the active roster
+   * @returns {Object} { members, teams, source, updatedAt, updatedBy }
+   */
+  getRoster() {
+    return this.get();
+  }
+
+  /**
+   * Find a member by name (case-insensitive)
+   * @param {string} name - Member name
+   * @returns {Object|null} Member
+   */
+  findMember(name) {
+    if (!name) return null;
+    const lower = String(name).trim().toLowerCase();
+    return this.document.members.find(member => member.name.toLowerCase() === lower) || null;
+  }
+
+  /**
+   * Find a team by id
+   * @param {string} id - Team id
+   * @returns {Object|null} Team
+   */
+  getTeam(id) {
+    return this.document.teams.find(team => team.id === id) || null;
+  }
+
+  /**
+   * Get a team's roster entries in team order
+   * @param {Object} team - Team
+   * @returns {Array} Members
+   */
+  getTeamMembers(team) {
+    return team.members.map(name => this.findMember(name)).filter(Boolean);
+  }
+
+  /**
+   * Check whether a member is inside one of their shifts
+   * @param {Object} member - Roster member
+   * @param {Date} date - Instant to check
+   * @returns {boolean} True if working
+   */
+  isWorking(member, date = new Date()) {
+    if (member.shifts.length === 0) return true;
+
+    const { day, minutes } = getBangkokTime(date);
+    const previousDay = DAYS[(DAYS.indexOf(day) + 6) % 7];
+
+    return member.shifts.some(shift => {
+      const start = toMinutes(shift.start);
+      const end = toMinutes(shift.end);
+      if (start < end) {
+        return shift.days.includes(day) && minutes >= start && minutes < end;
+      }
+      // Overnight shift - the evening part on a shift day, the early hours the day after
+      return (shift.days.includes(day) && minutes >= start) ||
+        (shift.days.includes(previousDay) && minutes < end);
+    });
+  }
+
+  /**
+   * Check whether a member can take an escalation now
+   * @param {Object} member - Roster member
+   * @param {Date} date - Instant to check
+   * @returns {boolean} True if on duty and working
+   */
+  isAvailable(member, date = new Date()) {
+    return member.onDuty && this.isWorking(member, date);
+  }
+
+  /**
+   * Set a member's on-duty status
+   * @param {string} name - Member name
+   * @param {boolean} onDuty - True when taking escalations
+   * @param {string} updatedBy - Who made the change
+   * @returns {Promise<Object|null>} Updated member, or null if not on the roster
+   */
+  async setOnDuty(name, onDuty, updatedBy = null) {
+    const member = this.findMember(name);
+    if (!member) return null;
+
+    const members = this.document.members.map(existing =>
+      existing === member ? { ...existing, onDuty: !!onDuty } : existing
+    );
+    await this.update({ ...this.document, members }, updatedBy);
+    console.log(`👤 ${member.name} is now ${onDuty ? 'on duty' : 'off duty'}`);
+    return this.findMember(name);
+  }
+
+  /**
+   * Revoke a member's portal sessions and sign-in links
+   * @param {string} name - Member name
+   * @param {string} updatedBy - Who made the change
+   * @returns {Promise<Object|null>} Updated member, or null if not on the roster
+   */
+  async revokeSignIn(name, updatedBy = null) {
+    const member = this.findMember(name);
+    if (!member) return null;
+
+    const members = this.document.members.map(existing =>
+      existing === member ? { ...existing, signInVersion: existing.signInVersion + 1 } : existing
+    );
+    await this.update({ ...this.document, members }, updatedBy);
+    console.log(`🔒 ${member.name}'s portal sessions and sign-in links were revoked`);
+    return this.findMember(name);
+  }
+}
+
+// Export singleton instance
+const teamRoster = new TeamRoster();
+
+module.exports = {
+  teamRoster,
+  TeamRoster,
+  TeamRosterError,
+  DAYS,
+  STRATEGIES,
+  getBangkokTime,
+  initialize: () => teamRoster.initialize(),
+  getRoster: () => teamRoster.getRoster(),
+  updateRoster: (document, updatedBy) => teamRoster.update(document, updatedBy),
+  findMember: (name) => teamRoster.findMember(name),
+  getTeam: (id) => teamRoster.getTeam(id),
+  getTeamMembers: (team) => teamRoster.getTeamMembers(team),
+  isAvailable: (member, date) => teamRoster.isAvailable(member, date),
+  setOnDuty: (name, onDuty, updatedBy) => teamRoster.setOnDuty(name, onDuty, updatedBy),
+  revokeSignIn: (name, updatedBy) => teamRoster.revokeSignIn(name, updatedBy)
+};
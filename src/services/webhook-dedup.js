@@ -0,0 +1,145 @@
+/**
+ * Webhook Deduplication Service
+ * Remembers WhatsApp message IDs and LINE webhookEventIds so redelivered
+ * webhooks (Meta/LINE retry on slow or failed responses) are processed once
+ * Stored in PostgreSQL (in-memory fallback without DATABASE_URL)
+ * Window defaults to 24 hours, configurable via WEBHOOK_DEDUP_WINDOW_HOURS
+ */
+
+const { getPool } = require('./database');
+const { runMigrations } = require('./migrations');
+const { getConfig } = require('../config/runtime');
+
+class WebhookDedup {
+  constructor() {
+    // In-memory fallback: "platform:id" -> expiresAt (ms)
+    this.seen = new Map();
+    this.windowHours = getConfig().webhooks.dedupWindowHours;
+    this.pool = null;
+    this.initialized = false;
+
+    // Clean up expired keys every hour
+    setInterval(() => this.cleanup(), 60 * 60 * 1000).unref();
+  }
+
+  /**
+   * Initialize PostgreSQL storage if a database is configured
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    const pool = getPool();
+    if (!pool) {
+      return;
+    }
+
+    try {
+      this.pool = pool;
+
+      await runMigrations();
+
+      this.initialized = true;
+      console.log(`✅ Webhook dedup PostgreSQL initialized (window: ${this.windowHours}h)`);
+    } catch (error) {
+      console.error('❌ Failed to initialize webhook dedup table:', error.message);
+      this.pool = null;
+      this.initialized = false;
+    }
+  }
+
+  /**
+   * Check whether an event was already seen, recording it if not
+   * The check and the record are a single atomic step, so two concurrent
+   * deliveries of the same event can't both be processed
+   * @param {string} platform - 'whatsapp' or 'line'
+   * @param {string} id - WhatsApp message.id or LINE webhookEventId
+   * @returns {Promise<boolean>} True if this event is a repeat within the window
+   */
+  async isDuplicate(platform, id) {
+    if (!id) {
+      return false;
+    }
+
+    const key = `${platform}:${id}`;
+    const now = Date.now();
+    const expiresAt = now + this.windowHours * 60 * 60 * 1000;
+
+    await this.initialize();
+
+    if (this.pool) {
+      try {
+        // Insert, or take over a key whose window has passed; no row back means a live repeat
+        const result = await this.pool.query(
+          `INSERT INTO webhook_dedup (key, seen_at, expires_at)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (key) DO UPDATE
+             SET seen_at = EXCLUDED.seen_at, expires_at = EXCLUDED.expires_at
+             WHERE webhook_dedup.expires_at <= $2
+           RETURNING key`,
+          [key, now, expiresAt]
+        );
+        return result.rowCount === 0;
+      } catch (error) {
+        console.error('Error checking webhook dedup in PostgreSQL, using in-memory fallback:', error.message);
+      }
+    }
+
+    const seenUntil = this.seen.get(key);
+    if (seenUntil && seenUntil > now) {
+      return true;
+    }
+
+    this.seen.set(key, expiresAt);
+    return false;
+  }
+
+  /**
+   * Remove expired keys
+   */
+  async cleanup() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, expiresAt] of this.seen.entries()) {
+      if (expiresAt <= now) {
+        this.seen.delete(key);
+        removed++;
+      }
+    }
+
+    if (this.pool) {
+      try {
+        const result = await this.pool.query('DELETE FROM webhook_dedup WHERE expires_at <= $1', [now]);
+        removed += result.rowCount;
+      } catch (error) {
+        console.error('Error cleaning up webhook dedup keys:', error.message);
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Cleaned up ${removed} expired webhook dedup keys`);
+    }
+  }
+
+  /**
+   * Get dedup statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      storage: this.pool ? 'postgresql' : 'memory',
+      windowHours: this.windowHours,
+      memoryKeys: this.seen.size
+    };
+  }
+}
+
+// Export singleton instance
+const webhookDedup = new WebhookDedup();
+
+module.exports = {
+  webhookDedup,
+  isDuplicate: (platform, id) => webhookDedup.isDuplicate(platform, id),
+  cleanup: () => webhookDedup.cleanup(),
+  getStats: () => webhookDedup.getStats()
+};
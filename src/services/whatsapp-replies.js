@@ -0,0 +1,95 @@
+/**
+ * WhatsApp Reply Router
+ * Routes taps on interactive reply buttons and list rows to the handler
+ * registered for their id, the WhatsApp counterpart of line-postbacks.js.
+ * An id may carry a value after a colon, e.g. "zone_status:QWNjb3VudC..."
+ * goes to the 'zone_status' handler with the zone ID as its value
+ */
+
+// Main menu offered when a customer asks for it (reply buttons, max 3)
+const MAIN_MENU = {
+  body: 'How can we help? Pick an option below, or just type your question.',
+  buttons: [
+    { id: 'zone_status', title: 'Check my zone status' },
+    { id: 'talk_to_person', title: 'Talk to a person' },
+    { id: 'billing', title: 'Billing' }
+  ]
+};
+
+// Messages that bring up the main menu (compared lowercased and trimmed)
+const MENU_KEYWORDS = ['menu', 'help', 'เมนู'];
+
+class WhatsAppReplyRouter {
+  constructor() {
+    // id -> async handler(parsedMessage, value) returning true when fully handled
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a handler for a reply id
+   * @param {string} id - Button or list row id (without the ":value" part)
+   * @param {Function} handler - async (parsedMessage, value) => boolean; true stops the normal message flow
+   */
+  register(id, handler) {
+    if (this.handlers.has(id)) {
+      console.warn(`⚠️ Replacing WhatsApp reply handler for "${id}"`);
+    }
+    this.handlers.set(id, handler);
+  }
+
+  /**
+   * Dispatch a parsed interactive reply to its handler
+   * @param {Object} parsedMessage - Message from parseWhatsAppMessage with an `interactiveReply` field
+   * @returns {Promise<boolean>} True if a handler fully handled the reply
+   */
+  async dispatch(parsedMessage) {
+    const replyId = parsedMessage?.interactiveReply?.id || '';
+    const separator = replyId.indexOf(':');
+    const id = separator === -1 ? replyId : replyId.slice(0, separator);
+    const value = separator === -1 ? null : replyId.slice(separator + 1);
+    const handler = id ? this.handlers.get(id) : null;
+
+    if (!handler) {
+      console.log(`WhatsApp reply "${replyId}" has no handler - continuing as a message`);
+      return false;
+    }
+
+    try {
+      const handled = await handler(parsedMessage, value);
+      console.log(`🔘 WhatsApp reply "${id}" handled for ${parsedMessage.phoneNumber || parsedMessage.senderId}`);
+      return handled === true;
+    } catch (error) {
+      console.error(`Error handling WhatsApp reply "${id}":`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a text message asks for the main menu
+   * @param {string} text - Message text
+   * @returns {boolean} True for one of MENU_KEYWORDS
+   */
+  isMenuRequest(text) {
+    return MENU_KEYWORDS.includes(String(text || '').trim().toLowerCase());
+  }
+
+  /**
+   * List registered reply ids
+   * @returns {Array<string>} Reply ids
+   */
+  getIds() {
+    return [...this.handlers.keys()];
+  }
+}
+
+// Export singleton instance
+const whatsAppReplyRouter = new WhatsAppReplyRouter();
+
+module.exports = {
+  whatsAppReplyRouter,
+  MAIN_MENU,
+  registerWhatsAppReplyHandler: (id, handler) => whatsAppReplyRouter.register(id, handler),
+  dispatchWhatsAppReply: (parsedMessage) => whatsAppReplyRouter.dispatch(parsedMessage),
+  isMenuRequest: (text) => whatsAppReplyRouter.isMenuRequest(text),
+  getWhatsAppReplyIds: () => whatsAppReplyRouter.getIds()
+};
@@ -4,12 +4,36 @@
  */
 
 const axios = require('axios');
+const { getReplyTemplate, buildTemplatePayload } = require('./whatsapp-templates');
+const { getConfig } = require('../config/runtime');
+
+// WhatsApp caps documents at 100MB; anything beyond 25MB is not worth archiving
+const MAX_MEDIA_BYTES = 25 * 1024 * 1024;
+
+// Free-form messages are only accepted within 24 hours of the customer's last message
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Cloud API limits for interactive messages
+const INTERACTIVE_LIMITS = {
+  maxButtons: 3,
+  buttonTitle: 20,
+  maxListRows: 10,
+  maxListSections: 10,
+  listButtonText: 20,
+  rowTitle: 24,
+  rowDescription: 72,
+  sectionTitle: 24,
+  body: 1024,
+  header: 60,
+  footer: 60
+};
 
 class WhatsAppSender {
   constructor() {
-    this.apiUrl = process.env.WHATSAPP_API_URL;
-    this.accessToken = process.env.WHATSAPP_ACCESS_TOKEN;
-    this.phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    const { whatsApp } = getConfig();
+    this.apiUrl = whatsApp.apiUrl;
+    this.accessToken = whatsApp.accessToken;
+    this.phoneNumberId = whatsApp.phoneNumberId;
     this.initialized = false;
   }
 
@@ -122,6 +146,249 @@ class WhatsAppSender {
     }
   }
 
+  /**
+   * Send a registered template message (allowed outside the 24-hour window)
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} templateKey - Key in the template registry
+   * @param {Object} values - Template parameter values by name
+   * @returns {Promise<Object>} API response
+   */
+  async sendTemplateMessage(phoneNumber, templateKey, values = {}) {
+    try {
+      if (!this.initialized) {
+        this.initialize();
+      }
+
+      const cleanPhoneNumber = phoneNumber.replace(/\+|\s/g, '');
+      const template = buildTemplatePayload(templateKey, values);
+
+      console.log(`Sending WhatsApp template "${template.name}" (${template.language.code}) to ${cleanPhoneNumber}`);
+
+      const url = `${this.apiUrl}/${this.phoneNumberId}/messages`;
+
+      const payload = {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: cleanPhoneNumber,
+        type: 'template',
+        template
+      };
+
+      const response = await axios.post(url, payload, {
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000
+      });
+
+      console.log(`✅ WhatsApp template sent successfully to ${cleanPhoneNumber}`);
+      console.log(`Message ID: ${response.data.messages[0].id}`);
+
+      return {
+        success: true,
+        messageId: response.data.messages[0].id,
+        phoneNumber: cleanPhoneNumber,
+        template: template.name,
+        response: response.data
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to send WhatsApp template');
+      console.error('Phone number:', phoneNumber);
+      console.error('Error message:', error.message);
+
+      if (error.response) {
+        console.error('API Response Status:', error.response.status);
+        console.error('API Response Data:', JSON.stringify(error.response.data, null, 2));
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        phoneNumber: phoneNumber
+      };
+    }
+  }
+
+  /**
+   * Send an interactive message (reply buttons or list)
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {Object} interactive - Cloud API `interactive` object
+   * @returns {Promise<Object>} API response
+   */
+  async sendInteractiveMessage(phoneNumber, interactive) {
+    try {
+      if (!this.initialized) {
+        this.initialize();
+      }
+
+      const cleanPhoneNumber = phoneNumber.replace(/\+|\s/g, '');
+
+      console.log(`Sending WhatsApp ${interactive.type} message to ${cleanPhoneNumber}`);
+
+      const url = `${this.apiUrl}/${this.phoneNumberId}/messages`;
+
+      const payload = {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: cleanPhoneNumber,
+        type: 'interactive',
+        interactive
+      };
+
+      const response = await axios.post(url, payload, {
+        headers: {
+          'Authorization': `Bearer ${this.accessToken}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000
+      });
+
+      console.log(`✅ WhatsApp ${interactive.type} message sent successfully to ${cleanPhoneNumber}`);
+      console.log(`Message ID: ${response.data.messages[0].id}`);
+
+      return {
+        success: true,
+        messageId: response.data.messages[0].id,
+        phoneNumber: cleanPhoneNumber,
+        response: response.data
+      };
+
+    } catch (error) {
+      console.error('❌ Failed to send WhatsApp interactive message');
+      console.error('Phone number:', phoneNumber);
+      console.error('Error message:', error.message);
+
+      if (error.response) {
+        console.error('API Response Status:', error.response.status);
+        console.error('API Response Data:', JSON.stringify(error.response.data, null, 2));
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        phoneNumber: phoneNumber
+      };
+    }
+  }
+
+  /**
+   * Add the optional header/footer to an interactive message
+   * @param {Object} interactive - Interactive object to extend
+   * @param {Object} options - { header, footer }
+   * @returns {Object} The same interactive object
+   */
+  addInteractiveHeaderFooter(interactive, options) {
+    if (options.header) {
+      interactive.header = { type: 'text', text: options.header.substring(0, INTERACTIVE_LIMITS.header) };
+    }
+    if (options.footer) {
+      interactive.footer = { text: options.footer.substring(0, INTERACTIVE_LIMITS.footer) };
+    }
+    return interactive;
+  }
+
+  /**
+   * Send a message with up to 3 reply buttons
+   * e.g. "Check my zone status / Talk to a person / Billing"
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} bodyText - Message text above the buttons
+   * @param {Array} buttons - [{ id, title }] (title max 20 characters)
+   * @param {Object} options - { header, footer }
+   * @returns {Promise<Object>} API response
+   */
+  async sendButtonMessage(phoneNumber, bodyText, buttons, options = {}) {
+    if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > INTERACTIVE_LIMITS.maxButtons) {
+      return { success: false, error: `Button messages need 1-${INTERACTIVE_LIMITS.maxButtons} buttons`, phoneNumber };
+    }
+
+    const interactive = this.addInteractiveHeaderFooter({
+      type: 'button',
+      body: { text: bodyText.substring(0, INTERACTIVE_LIMITS.body) },
+      action: {
+        buttons: buttons.map(button => ({
+          type: 'reply',
+          reply: {
+            id: button.id,
+            title: button.title.substring(0, INTERACTIVE_LIMITS.buttonTitle)
+          }
+        }))
+      }
+    }, options);
+
+    return this.sendInteractiveMessage(phoneNumber, interactive);
+  }
+
+  /**
+   * Send a list message (a button that opens up to 10 options in sections)
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} bodyText - Message text
+   * @param {string} buttonText - Label of the button that opens the list (max 20 characters)
+   * @param {Array} sections - [{ title, rows: [{ id, title, description }] }]
+   * @param {Object} options - { header, footer }
+   * @returns {Promise<Object>} API response
+   */
+  async sendListMessage(phoneNumber, bodyText, buttonText, sections, options = {}) {
+    const rowCount = (sections || []).reduce((count, section) => count + (section.rows || []).length, 0);
+    if (rowCount === 0 || rowCount > INTERACTIVE_LIMITS.maxListRows || sections.length > INTERACTIVE_LIMITS.maxListSections) {
+      return { success: false, error: `List messages need 1-${INTERACTIVE_LIMITS.maxListRows} rows`, phoneNumber };
+    }
+
+    const interactive = this.addInteractiveHeaderFooter({
+      type: 'list',
+      body: { text: bodyText.substring(0, INTERACTIVE_LIMITS.body) },
+      action: {
+        button: buttonText.substring(0, INTERACTIVE_LIMITS.listButtonText),
+        sections: sections.map(section => ({
+          ...(section.title ? { title: section.title.substring(0, INTERACTIVE_LIMITS.sectionTitle) } : {}),
+          rows: section.rows.map(row => ({
+            id: row.id,
+            title: row.title.substring(0, INTERACTIVE_LIMITS.rowTitle),
+            ...(row.description ? { description: row.description.substring(0, INTERACTIVE_LIMITS.rowDescription) } : {})
+          }))
+        }))
+      }
+    }, options);
+
+    return this.sendInteractiveMessage(phoneNumber, interactive);
+  }
+
+  /**
+   * Check whether the customer's 24-hour service window is still open
+   * @param {number|null} lastIncomingAt - Timestamp (ms) of the customer's last message
+   * @returns {boolean} True if free-form messages are allowed
+   */
+  isWithinServiceWindow(lastIncomingAt) {
+    return Boolean(lastIncomingAt) && Date.now() - lastIncomingAt < SERVICE_WINDOW_MS;
+  }
+
+  /**
+   * Send an agent reply, switching to the reply template once the window has closed
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} message - Reply text
+   * @param {Object} options - { lastIncomingAt, customerName, agentName }
+   * @returns {Promise<Object>} API response; `template` is set when a template was sent
+   */
+  async sendReply(phoneNumber, message, options = {}) {
+    if (this.isWithinServiceWindow(options.lastIncomingAt)) {
+      return this.sendWhatsAppMessage(phoneNumber, message);
+    }
+
+    const template = getReplyTemplate();
+    if (!template) {
+      console.warn('⚠️ 24-hour window closed but no reply template is registered - sending free-form text');
+      return this.sendWhatsAppMessage(phoneNumber, message);
+    }
+
+    console.log(`⏰ 24-hour window closed for ${phoneNumber} - using template "${template.name}"`);
+    return this.sendTemplateMessage(phoneNumber, template.key, {
+      customerName: options.customerName || 'there',
+      agentName: options.agentName || 'BMAsia Support',
+      message
+    });
+  }
+
   /**
    * Send a message with retry logic
    * @param {string} phoneNumber - Recipient phone number
@@ -267,6 +534,63 @@ class WhatsAppSender {
     }
   }
 
+  /**
+   * Download inbound media from the Graph API
+   * Media IDs resolve to a short-lived URL that also requires the access token
+   * @param {string} mediaId - Media ID from the webhook (image.id, document.id, ...)
+   * @returns {Promise<Object>} { success, buffer, mimeType, size } or { success: false, error }
+   */
+  async downloadMedia(mediaId) {
+    try {
+      if (!this.initialized) {
+        this.initialize();
+      }
+
+      const headers = { 'Authorization': `Bearer ${this.accessToken}` };
+
+      // Step 1: resolve the media ID to a download URL
+      const metaResponse = await axios.get(`${this.apiUrl}/${mediaId}`, {
+        headers,
+        timeout: 10000
+      });
+      const { url, mime_type: mimeType } = metaResponse.data;
+
+      if (!url) {
+        throw new Error('Graph API returned no media URL');
+      }
+
+      // Step 2: download the binary content
+      const fileResponse = await axios.get(url, {
+        headers,
+        responseType: 'arraybuffer',
+        maxContentLength: MAX_MEDIA_BYTES,
+        timeout: 30000
+      });
+
+      const buffer = Buffer.from(fileResponse.data);
+      console.log(`📥 Downloaded WhatsApp media ${mediaId} (${mimeType}, ${buffer.length} bytes)`);
+
+      return {
+        success: true,
+        buffer: buffer,
+        mimeType: mimeType || fileResponse.headers['content-type'] || 'application/octet-stream',
+        size: buffer.length
+      };
+
+    } catch (error) {
+      console.error(`❌ Failed to download WhatsApp media ${mediaId}:`, error.message);
+      if (error.response) {
+        console.error('API Response Status:', error.response.status);
+      }
+
+      return {
+        success: false,
+        error: error.message,
+        mediaId: mediaId
+      };
+    }
+  }
+
   /**
    * Health check for WhatsApp sender service
    * @returns {Object} Service health status
@@ -310,8 +634,16 @@ const whatsappSender = new WhatsAppSender();
 module.exports = {
   whatsappSender,
   sendWhatsAppMessage: (phoneNumber, message, files) => whatsappSender.sendWhatsAppMessage(phoneNumber, message, files),
+  sendTemplateMessage: (phoneNumber, templateKey, values) => whatsappSender.sendTemplateMessage(phoneNumber, templateKey, values),
+  sendInteractiveMessage: (phoneNumber, interactive) => whatsappSender.sendInteractiveMessage(phoneNumber, interactive),
+  sendButtonMessage: (phoneNumber, bodyText, buttons, options) => whatsappSender.sendButtonMessage(phoneNumber, bodyText, buttons, options),
+  sendListMessage: (phoneNumber, bodyText, buttonText, sections, options) =>
+    whatsappSender.sendListMessage(phoneNumber, bodyText, buttonText, sections, options),
+  sendReply: (phoneNumber, message, options) => whatsappSender.sendReply(phoneNumber, message, options),
+  isWithinServiceWindow: (lastIncomingAt) => whatsappSender.isWithinServiceWindow(lastIncomingAt),
   sendInfoRequest: (phoneNumber, message) => whatsappSender.sendInfoRequest(phoneNumber, message),
   sendMediaMessage: (phoneNumber, file) => whatsappSender.sendMediaMessage(phoneNumber, file),
+  downloadMedia: (mediaId) => whatsappSender.downloadMedia(mediaId),
   sendWithRetry: (phoneNumber, message, maxRetries) => whatsappSender.sendWithRetry(phoneNumber, message, maxRetries),
   isValidPhoneNumber: (phoneNumber) => whatsappSender.isValidPhoneNumber(phoneNumber),
   healthCheck: () => whatsappSender.healthCheck()
@@ -0,0 +1,135 @@
+/**
+ * WhatsApp Template Registry
+ * Approved message templates the hub may send when a customer's 24-hour
+ * service window has closed and Meta no longer accepts free-form text
+ * Templates must be approved in WhatsApp Manager under the same name/language
+ * Override or extend the defaults with WHATSAPP_TEMPLATES (JSON keyed by template key)
+ */
+
+const { getConfig } = require('../config/runtime');
+
+// Longest text Meta accepts in one template parameter
+const MAX_PARAMETER_LENGTH = 1024;
+
+const DEFAULT_TEMPLATES = {
+  agent_reply: {
+    name: 'bma_agent_reply',
+    language: 'en',
+    // Body: "Hi {{1}}, {{2}} from BMAsia replied to your message: {{3}}"
+    parameters: ['customerName', 'agentName', 'message']
+  },
+  conversation_follow_up: {
+    name: 'bma_conversation_follow_up',
+    language: 'en',
+    // Body: "Hi {{1}}, our team has an update on your request. Reply to this message to continue the conversation."
+    parameters: ['customerName']
+  }
+};
+
+class WhatsAppTemplates {
+  constructor() {
+    this.templates = { ...DEFAULT_TEMPLATES };
+    const { replyTemplate, templatesJson } = getConfig().whatsApp;
+    this.replyTemplateKey = replyTemplate;
+
+    if (templatesJson) {
+      try {
+        const overrides = JSON.parse(templatesJson);
+        for (const [key, template] of Object.entries(overrides)) {
+          this.templates[key] = { ...this.templates[key], ...template };
+        }
+      } catch (error) {
+        console.error('❌ Invalid WHATSAPP_TEMPLATES JSON, using default templates:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Get a registered template
+   * @param {string} key - Registry key (e.g. 'agent_reply')
+   * @returns {Object|null} { key, name, language, parameters } or null if unknown
+   */
+  getTemplate(key) {
+    const template = this.templates[key];
+    if (!template || !template.name) {
+      return null;
+    }
+
+    return {
+      key,
+      name: template.name,
+      language: template.language || 'en',
+      parameters: template.parameters || []
+    };
+  }
+
+  /**
+   * Get the template used for agent replies outside the 24-hour window
+   * @returns {Object|null} Template definition
+   */
+  getReplyTemplate() {
+    return this.getTemplate(this.replyTemplateKey);
+  }
+
+  /**
+   * List all registered templates
+   * @returns {Array} Template definitions
+   */
+  listTemplates() {
+    return Object.keys(this.templates).map(key => this.getTemplate(key)).filter(Boolean);
+  }
+
+  /**
+   * Make a value safe to use as a template parameter
+   * @param {*} value - Parameter value
+   * @returns {string} Single-line text within Meta's length limit
+   */
+  sanitizeParameter(value) {
+    // Meta rejects template parameters with newlines, tabs or more than 4 consecutive spaces
+    const text = String(value ?? '').replace(/\s+/g, ' ').trim() || '-';
+    return text.length > MAX_PARAMETER_LENGTH
+      ? text.substring(0, MAX_PARAMETER_LENGTH - 1) + '…'
+      : text;
+  }
+
+  /**
+   * Build the Cloud API template payload for a registered template
+   * @param {string} key - Registry key
+   * @param {Object} values - Parameter values by name (e.g. { customerName, message })
+   * @returns {Object} `template` object for the messages endpoint
+   */
+  buildTemplatePayload(key, values = {}) {
+    const template = this.getTemplate(key);
+    if (!template) {
+      throw new Error(`Unknown WhatsApp template: ${key}`);
+    }
+
+    const payload = {
+      name: template.name,
+      language: { code: template.language }
+    };
+
+    if (template.parameters.length > 0) {
+      payload.components = [{
+        type: 'body',
+        parameters: template.parameters.map(name => ({
+          type: 'text',
+          text: this.sanitizeParameter(values[name])
+        }))
+      }];
+    }
+
+    return payload;
+  }
+}
+
+// Export singleton instance
+const whatsappTemplates = new WhatsAppTemplates();
+
+module.exports = {
+  whatsappTemplates,
+  getTemplate: (key) => whatsappTemplates.getTemplate(key),
+  getReplyTemplate: () => whatsappTemplates.getReplyTemplate(),
+  listTemplates: () => whatsappTemplates.listTemplates(),
+  buildTemplatePayload: (key, values) => whatsappTemplates.buildTemplatePayload(key, values)
+};
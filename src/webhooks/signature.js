@@ -0,0 +1,207 @@
+/**
+ * Webhook Signature Verification
+ * Verifies that webhook deliveries really come from Meta (WhatsApp) or LINE before they are processed,
+ * and that ElevenLabs server tool calls carry the shared tool secret
+ *
+ * Signatures are computed over the exact request bytes, so express.json() must be
+ * registered with `verify: captureRawBody` to keep the raw body on `req.rawBody`.
+ *
+ * Local testing: set SKIP_WEBHOOK_SIGNATURE=true to bypass verification.
+ * The bypass is ignored when NODE_ENV=production.
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('../config/runtime');
+
+/**
+ * express.json() verify hook - keeps the raw request body for signature checks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Buffer} buf - Raw body buffer
+ */
+function captureRawBody(req, res, buf) {
+  if (buf && buf.length) {
+    req.rawBody = Buffer.from(buf);
+  }
+}
+
+/**
+ * Check whether signature verification is bypassed for local testing
+ * @returns {boolean} True if verification should be skipped
+ */
+function isSignatureBypassEnabled() {
+  const config = getConfig();
+  if (!config.webhooks.skipSignature) {
+    return false;
+  }
+
+  if (config.nodeEnv === 'production') {
+    console.error('⚠️ SKIP_WEBHOOK_SIGNATURE is ignored in production');
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Constant-time comparison of two strings
+ * @param {string} expected - Expected value
+ * @param {string} received - Received value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(expected, received) {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Verify a WhatsApp X-Hub-Signature-256 header
+ * @param {Buffer|string} rawBody - Exact request body
+ * @param {string} signatureHeader - Header value ("sha256=<hex>")
+ * @param {string} appSecret - Meta app secret
+ * @returns {boolean} True if the signature is valid
+ */
+function verifyWhatsAppSignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret) {
+    return false;
+  }
+
+  if (!signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', appSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  return safeEqual(expected, signatureHeader.slice('sha256='.length).toLowerCase());
+}
+
+/**
+ * Express middleware rejecting WhatsApp webhooks without a valid signature
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireWhatsAppSignature(req, res, next) {
+  if (isSignatureBypassEnabled()) {
+    console.warn('⚠️ WhatsApp webhook signature check bypassed (SKIP_WEBHOOK_SIGNATURE=true)');
+    return next();
+  }
+
+  const { appSecret } = getConfig().whatsApp;
+  if (!appSecret) {
+    console.error('❌ WHATSAPP_APP_SECRET not set - rejecting WhatsApp webhook');
+    return res.sendStatus(403);
+  }
+
+  const signature = req.get('X-Hub-Signature-256');
+  if (!signature) {
+    console.warn('⚠️ WhatsApp webhook rejected: missing X-Hub-Signature-256');
+    return res.sendStatus(401);
+  }
+
+  if (!verifyWhatsAppSignature(req.rawBody, signature, appSecret)) {
+    console.warn('⚠️ WhatsApp webhook rejected: invalid signature');
+    return res.sendStatus(401);
+  }
+
+  next();
+}
+
+/**
+ * Verify a LINE X-Line-Signature header
+ * @param {Buffer|string} rawBody - Exact request body
+ * @param {string} signature - Header value (base64 HMAC-SHA256)
+ * @param {string} channelSecret - LINE channel secret
+ * @returns {boolean} True if the signature is valid
+ */
+function verifyLineSignature(rawBody, signature, channelSecret) {
+  if (!rawBody || !signature || !channelSecret) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', channelSecret)
+    .update(rawBody)
+    .digest('base64');
+
+  return safeEqual(expected, signature);
+}
+
+/**
+ * Express middleware rejecting LINE webhooks without a valid signature
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireLineSignature(req, res, next) {
+  if (isSignatureBypassEnabled()) {
+    console.warn('⚠️ LINE webhook signature check bypassed (SKIP_WEBHOOK_SIGNATURE=true)');
+    return next();
+  }
+
+  const { channelSecret } = getConfig().line;
+  if (!channelSecret) {
+    console.error('❌ LINE_CHANNEL_SECRET not set - rejecting LINE webhook');
+    return res.sendStatus(403);
+  }
+
+  const signature = req.get('X-Line-Signature');
+  if (!signature) {
+    console.warn('⚠️ LINE webhook rejected: missing X-Line-Signature');
+    return res.sendStatus(401);
+  }
+
+  if (!verifyLineSignature(req.rawBody, signature, channelSecret)) {
+    console.warn('⚠️ LINE webhook rejected: invalid signature');
+    return res.sendStatus(401);
+  }
+
+  next();
+}
+
+/**
+ * Express middleware rejecting ElevenLabs tool calls without the shared secret
+ * The agent's server tools send ELEVENLABS_TOOL_SECRET in an X-Tool-Secret header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function requireElevenLabsToolSecret(req, res, next) {
+  if (isSignatureBypassEnabled()) {
+    console.warn('⚠️ ElevenLabs tool secret check bypassed (SKIP_WEBHOOK_SIGNATURE=true)');
+    return next();
+  }
+
+  const { toolSecret } = getConfig().elevenLabs;
+  if (!toolSecret) {
+    console.error('❌ ELEVENLABS_TOOL_SECRET not set - rejecting ElevenLabs tool call');
+    return res.sendStatus(403);
+  }
+
+  const secret = req.get('X-Tool-Secret');
+  if (!secret || !safeEqual(toolSecret, secret)) {
+    console.warn(`⚠️ ElevenLabs tool call rejected for ${req.path}: ${secret ? 'invalid' : 'missing'} X-Tool-Secret`);
+    return res.sendStatus(401);
+  }
+
+  next();
+}
+
+module.exports = {
+  captureRawBody,
+  isSignatureBypassEnabled,
+  verifyWhatsAppSignature,
+  requireWhatsAppSignature,
+  verifyLineSignature,
+  requireLineSignature,
+  requireElevenLabsToolSecret
+};
@@ -0,0 +1,178 @@
+// Assignment rules tests for BMA Messenger Hub
+// Tests matching escalations to team members and editing/reloading the rules
+
+jest.mock('../src/services/settings-store', () => ({
+  getSetting: jest.fn(),
+  saveSetting: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSetting, saveSetting } = require('../src/services/settings-store');
+const { resetConfig } = require('../src/config/runtime');
+const { AssignmentRules, AssignmentRulesError, guessLanguage } = require('../src/services/assignment-rules');
+
+const pom = { name: 'Pom', email: 'pom@bmasiamusic.com' };
+const keith = { name: 'Keith', email: 'keith@bmasiamusic.com' };
+
+function ruleSet(rules) {
+  return { defaultAssignee: { name: 'Norbert', email: 'norbert@bmasiamusic.com' }, rules };
+}
+
+describe('Assignment Rules', () => {
+  let engine;
+
+  beforeEach(() => {
+    delete process.env.ASSIGNMENT_RULES_FILE;
+    resetConfig();
+    getSetting.mockResolvedValue(null);
+    saveSetting.mockResolvedValue(null);
+    engine = new AssignmentRules();
+  });
+
+  describe('Matching', () => {
+    test('should route with the shipped defaults like the old keyword routing', () => {
+      expect(engine.match({ text: 'Customer asks about an overdue invoice' })).toMatchObject({
+        assignee: null, teamId: 'billing', ruleId: 'billing', matched: 'keyword "invoice"'
+      });
+      expect(engine.match({ text: 'Wants a new playlist' }).teamId).toBe('music-design');
+      // Billing outranks technical support
+      expect(engine.match({ text: 'payment page shows an error' }).ruleId).toBe('billing');
+    });
+
+    test('should fall back to the default assignee', () => {
+      expect(engine.match({ text: 'Hello there' })).toEqual({
+        assignee: { name: 'Norbert', email: 'norbert@bmasiamusic.com' },
+        teamId: null,
+        ruleId: null,
+        ruleName: 'Default assignee',
+        matched: null
+      });
+    });
+
+    test('should require every condition of a rule and skip disabled rules', () => {
+      engine.apply(ruleSet([
+        { id: 'disabled', name: 'Disabled', priority: 100, enabled: false, conditions: { keywords: ['zone'] }, assignee: pom },
+        { id: 'thai-zones', name: 'Thai zone problems', priority: 10, conditions: { patterns: ['zone\\s+\\d+'], languages: ['th'] }, assignee: keith }
+      ]), 'defaults');
+
+      expect(engine.match({ text: 'zone 12 is silent', language: 'th' })).toMatchObject({
+        ruleId: 'thai-zones', matched: 'pattern /zone\\s+\\d+/, language th'
+      });
+      expect(engine.match({ text: 'zone 12 is silent', language: 'en' }).ruleId).toBeNull();
+      expect(engine.match({ text: 'zone is silent', language: 'th' }).ruleId).toBeNull();
+    });
+
+    test('should guess Thai from Thai script', () => {
+      expect(guessLanguage('เพลงไม่ดัง')).toBe('th');
+      expect(guessLanguage('no sound')).toBe('en');
+    });
+  });
+
+  describe('Validation', () => {
+    test('should report every problem in an invalid document', () => {
+      const invalid = ruleSet([
+        { id: 'a', name: 'A', conditions: { patterns: ['(unclosed'] }, assignee: pom },
+        { id: 'a', name: 'Duplicate', conditions: {}, assignee: pom },
+        { id: 'b', name: 'Both', conditions: { keywords: ['x'] }, assignee: pom, team: 'billing' }
+      ]);
+
+      let error;
+      try {
+        engine.validate(invalid);
+      } catch (thrown) {
+        error = thrown;
+      }
+
+      expect(error).toBeInstanceOf(AssignmentRulesError);
+      expect(error.problems).toEqual(expect.arrayContaining([
+        'rules.1.conditions: needs at least one keyword, pattern or language',
+        'rules.2: needs either an assignee or a team',
+        expect.stringMatching(/^rules\.0\.conditions\.patterns\.0: Invalid regular expression/)
+      ]));
+    });
+
+    test('should keep the active rules when an update is invalid', async () => {
+      await expect(engine.update({ rules: [] }, 'norbert')).rejects.toThrow(AssignmentRulesError);
+
+      expect(engine.getRules().rules).toHaveLength(5);
+      expect(saveSetting).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('With database', () => {
+    test('should seed the database with the shipped defaults on first load', async () => {
+      saveSetting.mockImplementation(async (key, value, updatedBy) => ({ value, updatedBy, updatedAt: new Date('2026-10-01T00:00:00Z') }));
+
+      await engine.load();
+
+      expect(saveSetting).toHaveBeenCalledWith('assignment_rules', expect.objectContaining({ rules: expect.any(Array) }), 'seed');
+      expect(engine.getRules()).toMatchObject({ source: 'database', updatedBy: 'seed' });
+    });
+
+    test('should hot-reload rules changed by another instance', async () => {
+      getSetting.mockResolvedValue({ value: ruleSet([]), updatedBy: 'seed', updatedAt: new Date('2026-10-01T00:00:00Z') });
+      await engine.load();
+      expect(await engine.reload()).toBe(false);
+
+      getSetting.mockResolvedValue({
+        value: ruleSet([{ id: 'billing', name: 'Billing', conditions: { keywords: ['invoice'] }, assignee: keith }]),
+        updatedBy: 'pom',
+        updatedAt: new Date('2026-10-02T00:00:00Z')
+      });
+
+      expect(await engine.reload()).toBe(true);
+      expect(engine.match({ text: 'invoice' }).assignee).toEqual(keith);
+    });
+
+    test('should save rule edits and deletions to the database', async () => {
+      saveSetting.mockImplementation(async (key, value, updatedBy) => ({ value, updatedBy, updatedAt: new Date() }));
+
+      await engine.saveRule({ id: 'billing', name: 'Billing', priority: 50, conditions: { keywords: ['refund'] }, assignee: keith }, 'norbert');
+      const afterDelete = await engine.deleteRule('sales', 'norbert');
+
+      expect(engine.match({ text: 'refund please' }).assignee).toEqual(keith);
+      expect(afterDelete.rules.map(rule => rule.id)).toEqual(['billing', 'contracts', 'technical', 'music-design']);
+      expect(saveSetting).toHaveBeenLastCalledWith('assignment_rules', expect.any(Object), 'norbert');
+      expect(await engine.deleteRule('missing', 'norbert')).toBeNull();
+    });
+  });
+
+  describe('With a rules file', () => {
+    let rulesFile;
+
+    beforeEach(() => {
+      rulesFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'assignment-rules-')), 'rules.json');
+      fs.writeFileSync(rulesFile, JSON.stringify(ruleSet([
+        { id: 'billing', name: 'Billing', conditions: { keywords: ['invoice'] }, assignee: pom }
+      ])));
+      process.env.ASSIGNMENT_RULES_FILE = rulesFile;
+      resetConfig();
+    });
+
+    afterEach(() => {
+      fs.rmSync(path.dirname(rulesFile), { recursive: true, force: true });
+    });
+
+    test('should load, update and reload the file', async () => {
+      await engine.load();
+      expect(engine.getRules()).toMatchObject({ source: 'file', rules: [expect.objectContaining({ id: 'billing' })] });
+
+      await engine.saveRule({ id: 'tech', name: 'Tech', conditions: { keywords: ['offline'] }, assignee: keith }, 'norbert');
+      expect(JSON.parse(fs.readFileSync(rulesFile, 'utf8')).rules.map(rule => rule.id)).toEqual(['billing', 'tech']);
+
+      fs.writeFileSync(rulesFile, JSON.stringify(ruleSet([])));
+      expect(await engine.reload()).toBe(true);
+      expect(engine.match({ text: 'offline' }).ruleId).toBeNull();
+    });
+
+    test('should ignore an invalid file edit', async () => {
+      await engine.load();
+      fs.writeFileSync(rulesFile, '{ not json');
+
+      expect(await engine.reload()).toBe(false);
+      expect(engine.match({ text: 'invoice' }).assignee).toEqual(pom);
+    });
+  });
+});
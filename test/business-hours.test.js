@@ -0,0 +1,117 @@
+// Business hours tests for BMA Messenger Hub
+// Tests the weekly schedule, team schedules, holidays, overrides and next opening
+
+jest.mock('../src/services/settings-store', () => ({
+  getSetting: jest.fn().mockResolvedValue(null),
+  saveSetting: jest.fn().mockResolvedValue(null)
+}));
+
+const { BusinessHours, BusinessHoursError, formatOpening } = require('../src/services/business-hours');
+
+const bangkok = time => new Date(`${time}+07:00`);
+const officeHours = [{ start: '09:00', end: '18:00' }];
+const everyDay = hours => Object.fromEntries(['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'].map(day => [day, hours]));
+
+describe('Business Hours', () => {
+  let calendar;
+
+  beforeEach(() => {
+    calendar = new BusinessHours();
+  });
+
+  describe('Shipped calendar', () => {
+    test('should be open from 08:00 to 21:00 Bangkok time', () => {
+      expect(calendar.isOpen(bangkok('2026-10-19T07:59:00'))).toBe(false);
+      expect(calendar.isOpen(bangkok('2026-10-19T08:00:00'))).toBe(true);
+      expect(calendar.isOpen(bangkok('2026-10-19T21:00:00'))).toBe(false);
+    });
+
+    test('should close on Thai public holidays', () => {
+      expect(calendar.getStatus(bangkok('2026-10-23T10:00:00'))).toEqual({
+        open: false,
+        opensAt: bangkok('2026-10-24T08:00:00'),
+        closesAt: bangkok('2026-10-24T21:00:00'),
+        reason: 'Chulalongkorn Day'
+      });
+    });
+
+    test('should only count business minutes', () => {
+      expect(calendar.addBusinessMinutes(bangkok('2026-10-19T10:00:00'), 60)).toEqual(bangkok('2026-10-19T11:00:00'));
+      // 30 minutes before closing, the other 30 after opening the next day
+      expect(calendar.addBusinessMinutes(bangkok('2026-10-19T20:30:00'), 60)).toEqual(bangkok('2026-10-20T08:30:00'));
+      // Overnight the clock starts at the next opening - after the holiday
+      expect(calendar.addBusinessMinutes(bangkok('2026-10-22T23:00:00'), 15)).toEqual(bangkok('2026-10-24T08:15:00'));
+    });
+  });
+
+  describe('Configured calendar', () => {
+    beforeEach(() => {
+      calendar.apply({
+        schedule: { mon: [{ start: '08:00', end: '12:00' }, { start: '13:00', end: '21:00' }], tue: officeHours },
+        teams: [{ id: 'technical', schedule: everyDay([{ start: '00:00', end: '24:00' }]) }],
+        holidays: [
+          { date: '2026-10-20', name: 'Company outing' },
+          { date: '2026-10-21', name: 'Technical training', teams: ['technical'] }
+        ],
+        overrides: [{ date: '2026-10-20', name: 'Skeleton crew', hours: [{ start: '10:00', end: '12:00' }], teams: ['technical'] }]
+      }, 'defaults');
+    });
+
+    test('should report the next opening across breaks, holidays and closed days', () => {
+      expect(calendar.getStatus(bangkok('2026-10-19T12:30:00'))).toMatchObject({ open: false, opensAt: bangkok('2026-10-19T13:00:00') });
+      // Tuesday is a holiday, Wednesday to Sunday have no hours
+      expect(calendar.getStatus(bangkok('2026-10-19T22:00:00'))).toMatchObject({
+        open: false,
+        opensAt: bangkok('2026-10-26T08:00:00'),
+        closesAt: bangkok('2026-10-26T12:00:00')
+      });
+    });
+
+    test("should use a team's schedule, holidays and overrides", () => {
+      // Round the clock - back-to-back days are one opening
+      expect(calendar.getStatus(bangkok('2026-10-19T22:00:00'), 'technical')).toEqual({
+        open: true, opensAt: null, closesAt: bangkok('2026-10-20T00:00:00'), reason: null
+      });
+      // The team's override wins over the company holiday
+      expect(calendar.getStatus(bangkok('2026-10-20T09:00:00'), 'technical')).toMatchObject({
+        open: false, opensAt: bangkok('2026-10-20T10:00:00'), reason: 'Skeleton crew'
+      });
+      expect(calendar.isOpen(bangkok('2026-10-21T10:00:00'), 'technical')).toBe(false);
+      // Unknown teams keep the company hours
+      expect(calendar.isOpen(bangkok('2026-10-19T12:30:00'), 'sales')).toBe(false);
+    });
+
+    test('should fall back to calendar time when nothing ever opens', () => {
+      calendar.apply({ schedule: {} }, 'defaults');
+      const start = bangkok('2026-10-19T10:00:00');
+
+      expect(calendar.getStatus(start)).toEqual({ open: false, opensAt: null, closesAt: null, reason: null });
+      expect(calendar.addBusinessMinutes(start, 30)).toEqual(bangkok('2026-10-19T10:30:00'));
+    });
+  });
+
+  test('should report every problem in an invalid calendar', () => {
+    let error;
+    try {
+      calendar.validate({
+        schedule: { monday: officeHours, tue: [{ start: '18:00', end: '09:00' }] },
+        holidays: [{ date: '2026-02-30x', name: 'Typo' }],
+        overrides: [{ date: '2026-10-20', name: 'Late', hours: [{ start: '25:00', end: '26:00' }] }]
+      });
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error).toBeInstanceOf(BusinessHoursError);
+    expect(error.problems).toEqual(expect.arrayContaining([
+      "schedule: Unrecognized key(s) in object: 'monday'",
+      'schedule.tue.0: must end after it starts',
+      'holidays.0.date: must be YYYY-MM-DD',
+      'overrides.0.hours.0.start: must be HH:MM (24-hour, up to 24:00)'
+    ]));
+  });
+
+  test('should format the reopening time for customers', () => {
+    expect(formatOpening(bangkok('2026-10-24T08:00:00'))).toBe('Saturday, October 24 at 8:00 AM');
+  });
+});
@@ -0,0 +1,323 @@
+// Customer profile tests for BMA Messenger Hub
+// Tests channel identities (WhatsApp, LINE, email), linking and merging customer records
+
+jest.mock('../src/services/database', () => ({
+  getPool: jest.fn()
+}));
+
+// Shared across jest.isolateModules registries
+const mockRunMigrations = jest.fn().mockResolvedValue([]);
+jest.mock('../src/services/migrations', () => ({
+  runMigrations: mockRunMigrations
+}));
+
+const { getPool } = require('../src/services/database');
+
+function loadCustomerProfiles() {
+  let service;
+  jest.isolateModules(() => {
+    service = require('../src/services/customer-profiles');
+  });
+  return service;
+}
+
+/**
+ * Minimal stand-in for the customers/customer_identities tables
+ * Answers the queries the service issues, plus the row locks and
+ * merged_into updates of a merge
+ */
+function createFakePool() {
+  const customers = new Map();
+  const identities = new Map();
+  const lastIncoming = new Map();
+  let nextId = 1;
+
+  const query = jest.fn(async (sql, params = []) => {
+    if (sql.includes('SELECT customer_id FROM customer_identities')) {
+      const customerId = identities.get(`${params[0]}:${params[1]}`);
+      return { rows: customerId ? [{ customer_id: customerId }] : [] };
+    }
+    if (sql.includes('INSERT INTO customers DEFAULT VALUES')) {
+      const id = nextId++;
+      customers.set(id, { id, name: null, company: null, email: null, merged_into: null });
+      return { rows: [{ id }] };
+    }
+    if (sql.includes('INSERT INTO customer_identities')) {
+      const key = `${params[0]}:${params[1]}`;
+      if (identities.has(key)) {
+        return { rows: [] };
+      }
+      identities.set(key, params[2]);
+      return { rows: [{ customer_id: params[2] }] };
+    }
+    if (sql.includes('SET last_incoming_at')) {
+      const key = `${params[0]}:${params[1]}`;
+      if (!identities.has(key)) {
+        return { rows: [] };
+      }
+      lastIncoming.set(key, Math.max(lastIncoming.get(key) || 0, params[2]));
+      return { rows: [{ customer_id: identities.get(key) }] };
+    }
+    if (sql.includes('SELECT last_incoming_at')) {
+      const at = lastIncoming.get(`${params[0]}:${params[1]}`);
+      return { rows: at ? [{ last_incoming_at: String(at) }] : [] };
+    }
+    if (sql.includes('FOR UPDATE')) {
+      return { rows: params[0].map(id => customers.get(id)).filter(Boolean) };
+    }
+    if (sql.includes('SET merged_into = $1')) {
+      customers.get(params[1]).merged_into = params[0];
+      return { rows: [] };
+    }
+    if (sql.includes('SELECT * FROM customers WHERE id')) {
+      const customer = customers.get(params[0]);
+      return { rows: customer ? [customer] : [] };
+    }
+    if (sql.includes('SELECT channel, identifier FROM customer_identities')) {
+      const rows = [...identities.entries()]
+        .filter(([, customerId]) => customerId === params[0])
+        .map(([key]) => ({ channel: key.split(':')[0], identifier: key.slice(key.indexOf(':') + 1) }));
+      return { rows };
+    }
+    if (sql.includes('name = COALESCE(NULLIF($2')) {
+      const customer = customers.get(params[0]);
+      customer.name = params[1] || customer.name;
+      customer.company = params[2] || customer.company;
+      customer.email = params[3] || customer.email;
+      return { rows: [] };
+    }
+    return { rows: [] };
+  });
+
+  return { query, connect: jest.fn(), customers, identities };
+}
+
+describe('Customer Profile Service', () => {
+  describe('Identity normalization', () => {
+    const { normalizeIdentity } = loadCustomerProfiles();
+
+    test('should normalize phone numbers, emails and LINE user IDs', () => {
+      expect(normalizeIdentity('whatsapp', '+66 81 234 5678')).toBe('66812345678');
+      expect(normalizeIdentity('email', ' Somchai@Hotel.CO.TH ')).toBe('somchai@hotel.co.th');
+      expect(normalizeIdentity('line', 'U1234567890abcdef1234567890abcdef')).toBe('U1234567890abcdef1234567890abcdef');
+    });
+
+    test('should reject invalid identities and unknown channels', () => {
+      expect(normalizeIdentity('email', 'not-an-email')).toBeNull();
+      expect(normalizeIdentity('fax', '12345')).toBeNull();
+      expect(normalizeIdentity('whatsapp', '')).toBeNull();
+    });
+  });
+
+  describe('Without a database', () => {
+    test('should return null instead of throwing', async () => {
+      getPool.mockReturnValue(null);
+      const profiles = loadCustomerProfiles();
+
+      expect(await profiles.findCustomer('line', 'U123')).toBeNull();
+      expect(await profiles.saveProfile('66812345678', { name: 'Somchai' })).toBeNull();
+      expect(await profiles.searchCustomers('Somchai')).toEqual([]);
+    });
+
+    test('should still remember when the customer last wrote', async () => {
+      getPool.mockReturnValue(null);
+      const profiles = loadCustomerProfiles();
+      const wroteAt = Date.now() - 60 * 60 * 1000;
+
+      await profiles.recordIncoming('whatsapp', '+66 81 234 5678', wroteAt);
+
+      expect(await profiles.getLastIncomingAt('whatsapp', '66812345678')).toBe(wroteAt);
+      expect(await profiles.getLastIncomingAt('whatsapp', '66899999999')).toBeNull();
+    });
+  });
+
+  describe('Channel identities', () => {
+    let pool;
+    let profiles;
+
+    beforeEach(() => {
+      pool = createFakePool();
+      getPool.mockReturnValue(pool);
+      profiles = loadCustomerProfiles();
+    });
+
+    test('should create a customer on first save and find it by phone or email', async () => {
+      const saved = await profiles.saveProfile('+66 81 234 5678', {
+        name: 'Somchai',
+        company: 'Hilton Pattaya',
+        email: 'Somchai@Hilton.com'
+      });
+
+      expect(saved).toMatchObject({ id: 1, phone: '66812345678', name: 'Somchai', company: 'Hilton Pattaya' });
+      expect(saved.identities).toEqual([
+        { channel: 'whatsapp', identifier: '66812345678' },
+        { channel: 'email', identifier: 'somchai@hilton.com' }
+      ]);
+
+      const byEmail = await profiles.findCustomer('email', 'SOMCHAI@hilton.com');
+      expect(byEmail.id).toBe(1);
+      expect(byEmail.phone).toBe('66812345678');
+    });
+
+    test('should keep using the existing customer for a known identity', async () => {
+      await profiles.saveProfile('66812345678', { name: 'Somchai' });
+      const updated = await profiles.saveProfile('+66-81-234-5678', { company: 'Hilton Pattaya' });
+
+      expect(updated).toMatchObject({ id: 1, name: 'Somchai', company: 'Hilton Pattaya' });
+      expect(pool.customers.size).toBe(1);
+    });
+
+    test('should only mark the customer as seen when asked to', async () => {
+      await profiles.saveProfile('66812345678', { name: 'Somchai' });
+      const touches = () => pool.query.mock.calls.filter(([sql]) => sql.includes('SET last_seen = NOW()')).length;
+
+      expect((await profiles.getProfile('66812345678', { touch: false })).name).toBe('Somchai');
+      expect(touches()).toBe(0);
+
+      await profiles.getProfile('66812345678');
+      expect(touches()).toBe(1);
+    });
+
+    test('should link a LINE user to an existing customer', async () => {
+      await profiles.saveProfile('66812345678', { name: 'Somchai' });
+
+      const result = await profiles.linkIdentity(1, 'line', 'U1234567890abcdef1234567890abcdef');
+      const byLine = await profiles.findCustomer('line', 'U1234567890abcdef1234567890abcdef');
+
+      expect(result).toEqual({ success: true });
+      expect(byLine).toMatchObject({ id: 1, name: 'Somchai', phone: '66812345678' });
+    });
+
+    test('should report the owner when an identity belongs to another customer', async () => {
+      await profiles.saveProfile('66812345678', { name: 'Somchai' });
+      await profiles.saveCustomer('email', 'somchai@hilton.com', { name: 'Somchai (website)' });
+
+      const result = await profiles.linkIdentity(1, 'email', 'somchai@hilton.com');
+
+      expect(result.success).toBe(false);
+      expect(result.conflictCustomerId).toBe(2);
+    });
+  });
+
+  describe('Last incoming message', () => {
+    test('should keep the time on the identity, beyond history retention', async () => {
+      const pool = createFakePool();
+      getPool.mockReturnValue(pool);
+      await loadCustomerProfiles().saveProfile('66812345678', { name: 'Somchai' });
+      const wroteAt = Date.now() - 30 * 60 * 60 * 1000;
+      await loadCustomerProfiles().recordIncoming('whatsapp', '+66 81 234 5678', wroteAt);
+      await loadCustomerProfiles().recordIncoming('whatsapp', '66812345678', wroteAt - 1000);
+
+      // A fresh instance, as after a restart
+      const profiles = loadCustomerProfiles();
+
+      expect(await profiles.getLastIncomingAt('whatsapp', '66812345678')).toBe(wroteAt);
+    });
+
+    test('should not create a customer for a new sender', async () => {
+      const pool = createFakePool();
+      getPool.mockReturnValue(pool);
+      const profiles = loadCustomerProfiles();
+      const wroteAt = Date.now() - 60 * 1000;
+
+      await profiles.recordIncoming('whatsapp', '66899999999', wroteAt);
+
+      expect(pool.customers.size).toBe(0);
+      expect(pool.identities.size).toBe(0);
+      expect(await profiles.getLastIncomingAt('whatsapp', '66899999999')).toBe(wroteAt);
+    });
+
+    test('should forget in-memory times older than the service window', async () => {
+      getPool.mockReturnValue(null);
+      const profiles = loadCustomerProfiles();
+      await profiles.recordIncoming('whatsapp', '66812345678', Date.now() - 25 * 60 * 60 * 1000);
+      await profiles.recordIncoming('whatsapp', '66899999999', Date.now() - 60 * 1000);
+
+      profiles.customerProfiles.cleanupLastIncoming();
+
+      expect([...profiles.customerProfiles.lastIncoming.keys()]).toEqual(['whatsapp:66899999999']);
+    });
+  });
+
+  describe('Merging', () => {
+    let pool;
+    let client;
+    let profiles;
+
+    beforeEach(() => {
+      pool = createFakePool();
+      client = { query: jest.fn((sql, params) => pool.query(sql, params)), release: jest.fn() };
+      pool.connect.mockResolvedValue(client);
+      getPool.mockReturnValue(pool);
+      profiles = loadCustomerProfiles();
+    });
+
+    test('should move identities and retire the source record in one transaction', async () => {
+      await profiles.saveProfile('66812345678', { name: 'Somchai' });
+      await profiles.saveCustomer('email', 'somchai@hilton.com', {});
+
+      await profiles.mergeCustomers(1, 2);
+
+      const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+      expect(statements).toEqual([
+        'BEGIN',
+        'SELECT id,',
+        'UPDATE customer_identities',
+        'UPDATE customers',
+        'UPDATE customers',
+        'COMMIT'
+      ]);
+      expect(client.query.mock.calls[1][0]).toContain('FOR UPDATE');
+      expect(client.query.mock.calls[2][1]).toEqual([1, 2]);
+      expect(client.query.mock.calls[4][0]).toContain('merged_into = $1');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should roll back and return null when the merge fails', async () => {
+      await profiles.saveProfile('66812345678', { name: 'Somchai' });
+      await profiles.saveCustomer('email', 'somchai@hilton.com', {});
+      client.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('UPDATE customer_identities')) {
+          throw new Error('deadlock detected');
+        }
+        return pool.query(sql, params);
+      });
+
+      const merged = await profiles.mergeCustomers(1, 2);
+
+      expect(merged).toBeNull();
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should refuse merges in both directions, so merged_into never loops', async () => {
+      await profiles.saveProfile('66812345678', { name: 'Somchai' });
+      await profiles.saveCustomer('email', 'somchai@hilton.com', {});
+
+      expect(await profiles.mergeCustomers(1, 2)).toMatchObject({ id: 1 });
+      // The crossing request, or a stale form posted again
+      expect(await profiles.mergeCustomers(2, 1)).toBeNull();
+      expect(await profiles.mergeCustomers(1, 2)).toBeNull();
+      expect(await profiles.mergeCustomers(1, 99)).toBeNull();
+
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(pool.customers.get(1).merged_into).toBeNull();
+      expect((await profiles.getCustomerById(2)).id).toBe(1);
+    });
+
+    test('should stop following merges that loop', async () => {
+      await profiles.saveProfile('66812345678', { name: 'Somchai' });
+      await profiles.saveCustomer('email', 'somchai@hilton.com', {});
+      // A cycle left behind before merges were checked
+      pool.customers.get(1).merged_into = 2;
+      pool.customers.get(2).merged_into = 1;
+
+      expect(await profiles.getCustomerById(1)).toBeNull();
+    });
+
+    test('should refuse to merge a customer into itself', async () => {
+      expect(await profiles.mergeCustomers(1, 1)).toBeNull();
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+});
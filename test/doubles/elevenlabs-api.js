@@ -0,0 +1,104 @@
+// In-memory ElevenLabs Conversational AI API for tests
+// Serves the agent and conversation endpoints through a jest.mock('axios') module
+// and records every request, so tests can assert what reached ElevenLabs
+//
+// Usage:
+//   jest.mock('axios');
+//   const api = createElevenLabsApi(require('axios'), { agentId: 'agent_1' });
+//   api.addConversation('conv_1', { phone: '66812345678' });
+//   ...
+//   expect(api.requestsTo('PATCH', '/convai/agents/agent_1')).toHaveLength(0);
+
+const API_URL = 'https://api.elevenlabs.io/v1';
+
+function notFound(url) {
+  const error = new Error('Request failed with status code 404');
+  error.response = { status: 404, data: { detail: { status: 'not_found', message: `No match for ${url}` } } };
+  return error;
+}
+
+/**
+ * Install the fake API on a mocked axios module
+ * @param {Object} axios - Auto-mocked axios (jest.mock('axios'))
+ * @param {Object} options - { agentId, archived }
+ * @returns {Object} Fake API controls
+ */
+function createElevenLabsApi(axios, { agentId = 'agent_1', archived = false } = {}) {
+  const state = {
+    agent: { agent_id: agentId, platform_settings: { archived } },
+    conversations: new Map(),
+    requests: [],
+    failing: false
+  };
+
+  const handle = (method, url, body) => {
+    state.requests.push({ method, path: url.replace(API_URL, ''), body });
+
+    if (state.failing) {
+      return Promise.reject(new Error('connect ECONNREFUSED'));
+    }
+
+    const path = url.replace(API_URL, '');
+    if (path === `/convai/agents/${agentId}`) {
+      if (method === 'PATCH') {
+        state.agent.platform_settings = { ...state.agent.platform_settings, ...body.platform_settings };
+      }
+      return Promise.resolve({ data: state.agent });
+    }
+
+    const conversationMatch = path.match(/^\/convai\/conversations\/([^/]+)$/);
+    if (method === 'GET' && conversationMatch && state.conversations.has(conversationMatch[1])) {
+      return Promise.resolve({ data: state.conversations.get(conversationMatch[1]) });
+    }
+
+    return Promise.reject(notFound(url));
+  };
+
+  axios.get.mockImplementation((url) => handle('GET', url));
+  axios.patch.mockImplementation((url, body) => handle('PATCH', url, body));
+
+  return {
+    /**
+     * Add a conversation, optionally started from WhatsApp
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} options - { phone } - omit for web widget conversations
+     */
+    addConversation(conversationId, { phone = null } = {}) {
+      state.conversations.set(conversationId, {
+        conversation_id: conversationId,
+        agent_id: agentId,
+        status: 'processing',
+        metadata: phone ? { whatsapp: { whatsapp_user_id: phone } } : {}
+      });
+    },
+
+    /**
+     * Make every request fail as if ElevenLabs were unreachable
+     * @param {boolean} failing - True to fail requests
+     */
+    setFailing(failing) {
+      state.failing = failing;
+    },
+
+    /**
+     * @returns {boolean} The agent's archived flag
+     */
+    isArchived() {
+      return state.agent.platform_settings.archived === true;
+    },
+
+    /**
+     * Requests received, optionally filtered
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below /v1, e.g. /convai/agents/agent_1
+     * @returns {Array} [{ method, path, body }]
+     */
+    requestsTo(method, path) {
+      return state.requests.filter(request => request.method === method && request.path === path);
+    },
+
+    requests: state.requests
+  };
+}
+
+module.exports = { createElevenLabsApi };
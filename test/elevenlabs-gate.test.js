@@ -0,0 +1,115 @@
+// ElevenLabs conversation gate tests for BMA Messenger Hub
+// Tests that escalations pause single conversations while the agent stays live
+
+jest.mock('axios');
+jest.mock('../src/services/database', () => ({
+  getPool: jest.fn().mockReturnValue(null)
+}));
+
+process.env.ELEVENLABS_API_KEY = 'el_key';
+process.env.ELEVENLABS_AGENT_ID = 'agent_1';
+
+const axios = require('axios');
+const { createElevenLabsApi } = require('./doubles/elevenlabs-api');
+const { resetConfig } = require('../src/config/runtime');
+
+function loadServices() {
+  let services;
+  jest.isolateModules(() => {
+    services = {
+      agent: require('../src/services/elevenlabs-agent'),
+      gate: require('../src/services/elevenlabs-gate'),
+      escalations: require('../src/services/escalation-store')
+    };
+  });
+  return services;
+}
+
+describe('ElevenLabs Conversation Gate', () => {
+  let api;
+  let agent;
+  let gate;
+  let escalations;
+
+  beforeEach(() => {
+    resetConfig();
+    api = createElevenLabsApi(axios, { agentId: 'agent_1' });
+    api.addConversation('conv_escalated', { phone: '66812345678' });
+    api.addConversation('conv_other', { phone: '66898765432' });
+    api.addConversation('conv_web');
+    ({ agent, gate, escalations } = loadServices());
+  });
+
+  test('should skip turns only for the escalated customer', async () => {
+    await escalations.markEscalated('+66812345678', 'thread_1', 'Somchai', 'conv_escalated', []);
+
+    const escalated = await gate.checkConversation({ conversationId: 'conv_escalated' });
+    const other = await gate.checkConversation({ conversationId: 'conv_other' });
+
+    expect(escalated).toMatchObject({ phone: '66812345678', escalated: true, action: 'skip_turn' });
+    expect(escalated.message).toBe(gate.SKIP_TURN_MESSAGE);
+    expect(escalated.remainingMs).toBeGreaterThan(0);
+    expect(other).toMatchObject({ phone: '66898765432', escalated: false, action: 'respond', message: null });
+    // The agent is never archived for an escalation
+    expect(api.requestsTo('PATCH', '/convai/agents/agent_1')).toHaveLength(0);
+  });
+
+  test('should let the agent respond again once the escalation is closed', async () => {
+    await escalations.markEscalated('66812345678', null, 'Somchai', 'conv_escalated', []);
+    await escalations.clearEscalation('66812345678');
+
+    const decision = await gate.checkConversation({ conversationId: 'conv_escalated' });
+
+    expect(decision.action).toBe('respond');
+  });
+
+  test('should check a phone directly without calling ElevenLabs', async () => {
+    await escalations.markEscalated('66812345678', null, 'Somchai', 'conv_escalated', []);
+
+    const decision = await gate.checkConversation({ phone: '66812345678' });
+
+    expect(decision.action).toBe('skip_turn');
+    expect(api.requests).toHaveLength(0);
+  });
+
+  test('should respond when the conversation has no WhatsApp phone or cannot be fetched', async () => {
+    const web = await gate.checkConversation({ conversationId: 'conv_web' });
+    api.setFailing(true);
+    const unreachable = await gate.checkConversation({ conversationId: 'conv_other' });
+
+    expect(web).toMatchObject({ phone: null, action: 'respond' });
+    expect(unreachable).toMatchObject({ phone: null, action: 'respond' });
+    expect(gate.getGateStats()).toEqual({ checks: 2, skipped: 0, unresolved: 2 });
+  });
+
+  test('should cache the phone behind a conversation', async () => {
+    await agent.getConversationPhone('conv_other');
+    await agent.getConversationPhone('conv_other');
+
+    expect(api.requestsTo('GET', '/convai/conversations/conv_other')).toHaveLength(1);
+  });
+
+  test('should not cache failed conversation lookups', async () => {
+    api.setFailing(true);
+    expect(await agent.getConversationPhone('conv_other')).toBeNull();
+
+    api.setFailing(false);
+    expect(await agent.getConversationPhone('conv_other')).toBe('66898765432');
+  });
+
+  test('should unarchive an agent left archived by a global pause', async () => {
+    api = createElevenLabsApi(axios, { agentId: 'agent_1', archived: true });
+
+    const result = await agent.ensureAgentLive();
+
+    expect(result).toEqual({ archived: false, changed: true });
+    expect(api.isArchived()).toBe(false);
+  });
+
+  test('should leave a live agent untouched', async () => {
+    const result = await agent.ensureAgentLive();
+
+    expect(result).toEqual({ archived: false, changed: false });
+    expect(api.requestsTo('PATCH', '/convai/agents/agent_1')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,125 @@
+// Escalation assignment tests for BMA Messenger Hub
+// Tests round-robin, least-open and sticky assignment over the on-duty roster
+
+jest.mock('../src/services/settings-store', () => ({
+  getSetting: jest.fn().mockResolvedValue(null),
+  saveSetting: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../src/services/database', () => ({
+  getPool: jest.fn().mockReturnValue(null)
+}));
+
+// Monday 19 October 2026, 10:00 and 23:00 in Bangkok
+const DAY = new Date('2026-10-19T10:00:00+07:00');
+const NIGHT = new Date('2026-10-19T23:00:00+07:00');
+const officeHours = [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '18:00' }];
+
+function loadServices(strategy, fallbackStrategy = 'round-robin') {
+  let services;
+  jest.isolateModules(() => {
+    services = {
+      rules: require('../src/services/assignment-rules').assignmentRules,
+      roster: require('../src/services/team-roster').teamRoster,
+      escalations: require('../src/services/escalation-store'),
+      assignment: require('../src/services/escalation-assignment')
+    };
+  });
+
+  services.rules.apply({
+    defaultAssignee: { name: 'Norbert', email: 'norbert@bmasiamusic.com' },
+    rules: [
+      { id: 'technical', name: 'Technical support', conditions: { keywords: ['offline'] }, team: 'technical' },
+      { id: 'contracts', name: 'Contracts', conditions: { keywords: ['contract'] }, assignee: { name: 'Norbert', email: 'norbert@bmasiamusic.com' } }
+    ]
+  }, 'defaults');
+  services.roster.apply({
+    members: [
+      { name: 'Keith', email: 'keith@bmasiamusic.com', shifts: officeHours },
+      { name: 'Pom', email: 'pom@bmasiamusic.com', shifts: officeHours },
+      { name: 'Nikki', email: 'nikki.h@bmasiamusic.com', shifts: officeHours }
+    ],
+    teams: [{ id: 'technical', name: 'Technical support', members: ['Keith', 'Pom'], strategy, fallbackStrategy }]
+  }, 'defaults');
+
+  return services;
+}
+
+const assignedNames = async (assign, escalations) => {
+  const names = [];
+  for (const escalation of escalations) {
+    names.push((await assign(escalation, DAY)).assignee.name);
+  }
+  return names;
+};
+
+describe('Escalation Assignment', () => {
+  test('should rotate round-robin through the available team', async () => {
+    const { assignment } = loadServices('round-robin');
+    const offline = { text: 'zone offline' };
+
+    const names = await assignedNames(assignment.assignEscalation, [offline, offline, offline]);
+
+    expect(names).toEqual(['Keith', 'Pom', 'Keith']);
+  });
+
+  test('should skip members who are off duty', async () => {
+    const { assignment, roster } = loadServices('round-robin');
+    await roster.setOnDuty('Keith', false, 'Keith');
+
+    const result = await assignment.assignEscalation({ text: 'zone offline' }, DAY);
+
+    expect(result).toMatchObject({ assignee: { name: 'Pom', email: 'pom@bmasiamusic.com' }, teamId: 'technical', strategy: 'round-robin', offShift: false });
+  });
+
+  test('should pick the member with the fewest open escalations', async () => {
+    const { assignment, escalations } = loadServices('least-open');
+    const keithAssignment = { assignee: { name: 'Keith', email: 'keith@bmasiamusic.com' } };
+    await escalations.markEscalated('66811111111', null, 'A', 'conv_a', [], keithAssignment);
+    await escalations.markEscalated('66822222222', null, 'B', 'conv_b', [], keithAssignment);
+
+    const result = await assignment.assignEscalation({ text: 'zone offline' }, DAY);
+
+    expect(result).toMatchObject({ assignee: { name: 'Pom' }, strategy: 'least-open' });
+  });
+
+  test('should send returning customers to the agent who helped them before', async () => {
+    const { assignment } = loadServices('sticky');
+
+    const first = await assignment.assignEscalation({ text: 'zone offline', phone: '+66 82 222 2222' }, DAY);
+    const newCustomer = await assignment.assignEscalation({ text: 'zone offline', phone: '66833333333' }, DAY);
+    const returning = await assignment.assignEscalation({ text: 'zone offline', phone: '66822222222' }, DAY);
+
+    expect(first).toMatchObject({ assignee: { name: 'Keith' }, strategy: 'round-robin' });
+    expect(newCustomer).toMatchObject({ assignee: { name: 'Pom' }, strategy: 'round-robin' });
+    expect(returning).toMatchObject({ assignee: { name: 'Keith' }, strategy: 'sticky' });
+  });
+
+  test('should hand the team\'s escalations to colleagues on shift when the team is off', async () => {
+    const { assignment, roster } = loadServices('round-robin');
+    await roster.setOnDuty('Keith', false, 'Keith');
+    await roster.setOnDuty('Pom', false, 'Pom');
+
+    const result = await assignment.assignEscalation({ text: 'zone offline' }, DAY);
+
+    expect(result.assignee.name).toBe('Nikki');
+  });
+
+  test('should still assign the team when nobody is on shift', async () => {
+    const { assignment } = loadServices('round-robin');
+
+    const result = await assignment.assignEscalation({ text: 'zone offline' }, NIGHT);
+
+    expect(result).toMatchObject({ assignee: { name: 'Keith' }, offShift: true });
+  });
+
+  test('should keep fixed assignees and the default assignee', async () => {
+    const { assignment } = loadServices('round-robin');
+
+    expect(await assignment.assignEscalation({ text: 'contract renewal' }, NIGHT)).toMatchObject({
+      assignee: { name: 'Norbert' }, ruleId: 'contracts', strategy: 'fixed'
+    });
+    expect(await assignment.assignEscalation({ text: 'hello' }, DAY)).toMatchObject({
+      assignee: { name: 'Norbert' }, ruleId: null, strategy: 'fixed'
+    });
+  });
+});
@@ -0,0 +1,116 @@
+// Escalation store tests for BMA Messenger Hub
+// Tests PostgreSQL persistence and restore of open escalations
+
+jest.mock('../src/services/database', () => ({
+  getPool: jest.fn()
+}));
+
+// Shared across jest.isolateModules registries
+const mockRunMigrations = jest.fn().mockResolvedValue([]);
+jest.mock('../src/services/migrations', () => ({
+  runMigrations: mockRunMigrations
+}));
+
+const { getPool } = require('../src/services/database');
+
+function loadEscalationStore() {
+  let service;
+  jest.isolateModules(() => {
+    service = require('../src/services/escalation-store');
+  });
+  return service;
+}
+
+describe('Escalation Store Service', () => {
+  describe('Without database', () => {
+    let store;
+
+    beforeEach(async () => {
+      getPool.mockReturnValue(null);
+      store = loadEscalationStore();
+      await store.initialize();
+    });
+
+    test('should mark, extend and clear escalations in memory', async () => {
+      expect(await store.markEscalated('+66 81-234-5678', 'spaces/x/threads/y', 'John', 'conv_1')).toBe(true);
+      expect(store.isEscalated('66812345678')).toBe(true);
+      expect(await store.extendEscalation('66812345678')).toBe(true);
+      expect(await store.clearEscalation('66812345678')).toBe(true);
+      expect(store.isEscalated('66812345678')).toBe(false);
+    });
+  });
+
+  describe('With database', () => {
+    let pool;
+
+    beforeEach(() => {
+      pool = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) };
+      getPool.mockReturnValue(pool);
+    });
+
+    test('should restore open escalations at startup', async () => {
+      const expiresAt = Date.now() + 60000;
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('SELECT')) {
+          return {
+            rows: [{
+              phone: '66812345678',
+              thread_id: 'spaces/x/threads/y',
+              customer_name: 'John',
+              conversation_id: 'conv_1',
+              conversation_history: [{ type: 'customer', text: 'Help' }],
+              escalated_at: String(Date.now() - 60000),
+              expires_at: String(expiresAt)
+            }]
+          };
+        }
+        return { rows: [], rowCount: 0 };
+      });
+
+      const store = loadEscalationStore();
+      const restored = await store.initialize();
+
+      expect(restored).toBe(1);
+      expect(store.isEscalated('66812345678')).toBe(true);
+      expect(store.getEscalationInfo('66812345678')).toMatchObject({
+        threadId: 'spaces/x/threads/y',
+        customerName: 'John',
+        conversationHistory: [{ type: 'customer', text: 'Help' }],
+        expiresAt
+      });
+    });
+
+    test('should drop expired escalations when restoring', async () => {
+      const store = loadEscalationStore();
+      await store.initialize();
+
+      const deleteCall = pool.query.mock.calls.find(([sql]) => sql.includes('DELETE FROM escalations WHERE expires_at'));
+      expect(deleteCall).toBeDefined();
+    });
+
+    test('should upsert on mark and delete on clear', async () => {
+      const store = loadEscalationStore();
+      await store.initialize();
+
+      await store.markEscalated('66812345678', null, 'John', 'conv_1', []);
+      const upsert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO escalations'));
+      expect(upsert[1][0]).toBe('66812345678');
+
+      await store.clearEscalation('66812345678');
+      const remove = pool.query.mock.calls.find(([sql, params]) => sql.includes('DELETE FROM escalations WHERE phone') && params[0] === '66812345678');
+      expect(remove).toBeDefined();
+    });
+
+    test('should record the assignment rule with the escalation', async () => {
+      const store = loadEscalationStore();
+      await store.initialize();
+      const assignment = { assignee: { name: 'Pom', email: 'pom@bmasiamusic.com' }, ruleId: 'billing', ruleName: 'Billing', matched: 'keyword "invoice"' };
+
+      await store.markEscalated('66812345678', null, 'John', 'conv_1', [], assignment);
+
+      const upsert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO escalations'));
+      expect(JSON.parse(upsert[1][7])).toEqual(assignment);
+      expect(store.getEscalationInfo('66812345678').assignment).toEqual(assignment);
+    });
+  });
+});
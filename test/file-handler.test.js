@@ -0,0 +1,75 @@
+// File handler tests for BMA Messenger Hub
+// Tests the per-channel media type and size checks for agent uploads, and file retention
+
+const fs = require('fs');
+const { fileHandler, checkChannelMedia, saveFile, getFileUrl, isFileAvailable, deleteFile } = require('../src/services/file-handler');
+const { resetConfig } = require('../src/config/runtime');
+
+const MB = 1024 * 1024;
+const file = (mimeType, size, originalName = 'file') => ({ originalName, mimeType, size });
+
+describe('File Handler', () => {
+  describe('Channel media checks', () => {
+    test('should accept files within the channel limits', () => {
+      expect(checkChannelMedia('whatsapp', file('image/jpeg', 5 * MB))).toBeNull();
+      expect(checkChannelMedia('whatsapp', file('application/pdf', 20 * MB))).toBeNull();
+      expect(checkChannelMedia('line', file('image/png', 8 * MB))).toBeNull();
+    });
+
+    test('should reject types the channel cannot send', () => {
+      expect(checkChannelMedia('whatsapp', file('image/gif', MB, 'party.gif')))
+        .toBe("party.gif: WhatsApp can't send image/gif files");
+      expect(checkChannelMedia('line', file('application/pdf', MB, 'invoice.pdf')))
+        .toBe("invoice.pdf: LINE can't send application/pdf files");
+    });
+
+    test('should reject files over the size limit for their type', () => {
+      expect(checkChannelMedia('whatsapp', file('image/png', 5 * MB + 1, 'menu.png')))
+        .toBe('menu.png: WhatsApp only sends image/png files up to 5MB');
+      expect(checkChannelMedia('whatsapp', file('video/mp4', 12 * MB))).toBeNull();
+    });
+  });
+
+  describe('Retention', () => {
+    const originalRetention = process.env.MESSAGE_HISTORY_RETENTION_HOURS;
+    let saved;
+
+    beforeEach(async () => {
+      saved = await saveFile(Buffer.from('hello'), 'note.txt', 'text/plain');
+    });
+
+    afterEach(async () => {
+      await deleteFile(saved.filename);
+      if (originalRetention === undefined) {
+        delete process.env.MESSAGE_HISTORY_RETENTION_HOURS;
+      } else {
+        process.env.MESSAGE_HISTORY_RETENTION_HOURS = originalRetention;
+      }
+      resetConfig();
+    });
+
+    test('should keep files for as long as message history', async () => {
+      process.env.MESSAGE_HISTORY_RETENTION_HOURS = '72';
+      resetConfig();
+      const twoDaysAgo = new Date(Date.now() - 48 * 60 * 60 * 1000);
+      await fs.promises.utimes(saved.path, twoDaysAgo, twoDaysAgo);
+
+      await fileHandler.cleanupOldFiles();
+      expect(fs.existsSync(saved.path)).toBe(true);
+
+      process.env.MESSAGE_HISTORY_RETENTION_HOURS = '24';
+      resetConfig();
+      await fileHandler.cleanupOldFiles();
+      expect(fs.existsSync(saved.path)).toBe(false);
+    });
+
+    test('should report files that are gone as unavailable', async () => {
+      const url = getFileUrl(saved.id, saved.filename);
+      expect(isFileAvailable(url)).toBe(true);
+
+      await deleteFile(saved.filename);
+      expect(isFileAvailable(url)).toBe(false);
+      expect(isFileAvailable('https://cdn.example.com/menu.pdf')).toBe(true);
+    });
+  });
+});
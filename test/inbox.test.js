@@ -0,0 +1,106 @@
+// Agent inbox tests for BMA Messenger Hub
+// Tests merging conversations, escalations and SLAs into one filtered queue
+
+jest.mock('../src/services/database', () => ({
+  getPool: jest.fn().mockReturnValue(null)
+}));
+jest.mock('../src/services/settings-store', () => ({
+  getSetting: jest.fn().mockResolvedValue(null),
+  saveSetting: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../src/services/google-chat-simple', () => ({
+  sendThreadReply: jest.fn().mockResolvedValue(null),
+  getMentionForEmail: jest.fn(() => null)
+}));
+
+const MINUTE = 60 * 1000;
+const keith = { name: 'Keith', email: 'keith@bmasiamusic.com' };
+
+function loadServices() {
+  let services;
+  jest.isolateModules(() => {
+    services = {
+      calendar: require('../src/services/business-hours').businessHours,
+      conversations: require('../src/services/conversation-store'),
+      escalations: require('../src/services/escalation-store'),
+      tracker: require('../src/services/sla-tracker').slaTracker,
+      history: require('../src/services/message-history'),
+      inbox: require('../src/services/inbox')
+    };
+  });
+  return services;
+}
+
+describe('Inbox', () => {
+  let services;
+
+  beforeEach(async () => {
+    services = loadServices();
+    const { calendar, conversations, escalations, tracker, history } = services;
+    // Round the clock, so SLA deadlines don't depend on when the tests run
+    const allDay = [{ start: '00:00', end: '24:00' }];
+    calendar.apply({ schedule: { sun: allDay, mon: allDay, tue: allDay, wed: allDay, thu: allDay, fri: allDay, sat: allDay } }, 'defaults');
+
+    conversations.storeConversation('whatsapp', '66811111111', 'spaces/test/threads/a', 'spaces/test', { customerName: 'Somchai', customerBusiness: 'Hotel One' });
+    conversations.storeConversation('line', 'U1234', 'spaces/test/threads/b', 'spaces/test', { senderName: 'Napat' });
+    conversations.storeConversation('whatsapp', 'escalation_1', null, 'spaces/test', { customerName: 'Web visitor' });
+
+    await history.storeMessage('66811111111', 'Music stopped', 'incoming', 'whatsapp', {}, Date.now() - 3 * MINUTE);
+    await history.storeMessage('66811111111', 'Checking now', 'outgoing', 'whatsapp', {}, Date.now() - 2 * MINUTE);
+    await history.storeMessage('66811111111', 'Still nothing', 'incoming', 'whatsapp', {}, Date.now() - MINUTE);
+    await history.storeMessage('U1234', 'Hello', 'incoming', 'line', {}, Date.now() - 5 * MINUTE);
+
+    await escalations.markEscalated('66811111111', null, 'Somchai', 'conv_1', [], { assignee: keith }, { urgency: 'high' });
+    // Escalated earlier - the 15-minute pause is over but nobody replied
+    await tracker.trackEscalation('66822222222', { customerName: 'Dao', urgency: 'high' }, Date.now() - 30 * MINUTE);
+  });
+
+  test('should list one entry per customer across channels', async () => {
+    const { entries, counts } = await services.inbox.getInbox();
+
+    expect(entries.map(entry => entry.key)).toEqual([
+      'whatsapp:66822222222', // SLA breached
+      'whatsapp:66811111111', // SLA running
+      'website:escalation_1',
+      'line:U1234'
+    ]);
+    expect(entries[1]).toMatchObject({
+      channel: 'whatsapp',
+      customerName: 'Somchai',
+      company: 'Hotel One',
+      lastMessage: { text: 'Still nothing', direction: 'incoming' },
+      unread: 1,
+      status: 'escalated',
+      assignee: keith,
+      sla: { urgency: 'high', target: 'firstReply', breached: false }
+    });
+    expect(entries[0]).toMatchObject({ customerName: 'Dao', status: 'waiting', sla: { breached: true } });
+    expect(counts).toEqual({ total: 4, escalated: 1, waiting: 1, unread: 2, breached: 1 });
+  });
+
+  test('should mark website escalations and LINE conversations by channel', async () => {
+    const { entries } = await services.inbox.getInbox();
+
+    expect(entries.find(entry => entry.identifier === 'escalation_1').channel).toBe('website');
+    expect(entries.find(entry => entry.identifier === 'U1234')).toMatchObject({ channel: 'line', customerName: 'Napat', status: 'active' });
+  });
+
+  test('should filter by channel, status, assignee, unread and search', async () => {
+    const keys = async filters => (await services.inbox.getInbox(filters)).entries.map(entry => entry.key);
+
+    expect(await keys({ channel: 'line' })).toEqual(['line:U1234']);
+    expect(await keys({ status: 'waiting' })).toEqual(['whatsapp:66822222222']);
+    expect(await keys({ assignee: 'KEITH@bmasiamusic.com' })).toEqual(['whatsapp:66811111111']);
+    expect(await keys({ assignee: 'unassigned', unread: true })).toEqual(['line:U1234']);
+    expect(await keys({ q: 'still' })).toEqual(['whatsapp:66811111111']);
+  });
+
+  test('should count unread messages from the last team reply', async () => {
+    await services.history.storeMessage('66811111111', 'On my way', 'outgoing', 'whatsapp');
+    await services.escalations.extendEscalation('66811111111');
+
+    const { entries } = await services.inbox.getInbox({ channel: 'whatsapp', status: 'escalated' });
+
+    expect(entries[0]).toMatchObject({ unread: 0, sla: { target: 'resolution' } });
+  });
+});
@@ -0,0 +1,121 @@
+// LINE Flex Message and postback tests for BMA Messenger Hub
+// Tests the Flex builder, sending Flex messages and routing postbacks to handlers
+
+jest.mock('axios');
+
+// The sender reads its credentials when the module loads
+process.env.LINE_API_URL = 'https://api.line.me/v2';
+process.env.LINE_CHANNEL_ACCESS_TOKEN = 'line_token';
+
+const axios = require('axios');
+const {
+  postbackAction,
+  buildZoneStatusCard,
+  buildEscalationConfirmation
+} = require('../src/services/line-flex');
+const { sendFlexMessage } = require('../src/services/line-sender');
+const { linePostbackRouter } = require('../src/services/line-postbacks');
+
+describe('LINE Flex Messages', () => {
+  describe('Builder', () => {
+    test('should encode postback data objects as query strings', () => {
+      expect(postbackAction('Refresh', { action: 'zone_status', zone: 'Zone 1' }, 'Check my zone status')).toEqual({
+        type: 'postback',
+        label: 'Refresh',
+        data: 'action=zone_status&zone=Zone+1',
+        displayText: 'Check my zone status'
+      });
+    });
+
+    test('should reject postback data over the LINE limit', () => {
+      expect(() => postbackAction('Too long', 'x'.repeat(301))).toThrow('limited to 300 characters');
+    });
+
+    test('should build a zone status card with refresh and hand-off buttons', () => {
+      const message = buildZoneStatusCard({
+        id: 'zone_1',
+        name: 'Lobby',
+        location: 'Hilton Pattaya',
+        isPaired: false,
+        playbackState: 'stopped',
+        pairingCode: 'ABC123'
+      });
+
+      expect(message.type).toBe('flex');
+      expect(message.altText).toBe('Zone status: Lobby - Stopped');
+
+      const rows = message.contents.body.contents.map(row => row.contents.map(text => text.text));
+      expect(rows).toEqual([
+        ['Zone', 'Lobby'],
+        ['Location', 'Hilton Pattaya'],
+        ['Player', 'Not paired'],
+        ['Music', 'Stopped'],
+        ['Pairing code', 'ABC123']
+      ]);
+
+      const actions = message.contents.footer.contents.map(button => button.action.data);
+      expect(actions).toEqual(['action=zone_status&zone=zone_1', 'action=talk_to_person&zone=zone_1']);
+    });
+
+    test('should build an escalation confirmation', () => {
+      const message = buildEscalationConfirmation({ customerName: 'Khun Somchai', reference: 'ESC-42' });
+
+      expect(message.contents.header.contents[1].text).toBe('Thanks, Khun Somchai');
+      expect(message.contents.body.contents[0].contents[1].text).toBe('ESC-42');
+      expect(message.contents.footer).toBeUndefined();
+    });
+  });
+
+  describe('Sending', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should push Flex messages to the user', async () => {
+      axios.post.mockResolvedValue({ data: {} });
+      const message = buildEscalationConfirmation();
+
+      const result = await sendFlexMessage('U123', message);
+
+      expect(axios.post).toHaveBeenCalledWith('https://api.line.me/v2/bot/message/push', {
+        to: 'U123',
+        messages: [message]
+      }, expect.objectContaining({
+        headers: expect.objectContaining({ Authorization: 'Bearer line_token' })
+      }));
+      expect(result.success).toBe(true);
+    });
+
+    test('should return an error result when LINE rejects the message', async () => {
+      axios.post.mockRejectedValue(new Error('Request failed with status code 400'));
+
+      const result = await sendFlexMessage('U123', buildEscalationConfirmation());
+
+      expect(result).toEqual({ success: false, error: 'Request failed with status code 400', userId: 'U123' });
+    });
+  });
+
+  describe('Postback routing', () => {
+    const postbackMessage = (action) => ({
+      senderId: 'U123',
+      postback: { data: `action=${action}`, action, values: { action }, params: null }
+    });
+
+    test('should call the handler registered for the action', async () => {
+      const handler = jest.fn().mockResolvedValue(true);
+      linePostbackRouter.register('test_handled', handler);
+
+      const handled = await linePostbackRouter.dispatch(postbackMessage('test_handled'));
+
+      expect(handler).toHaveBeenCalledWith(postbackMessage('test_handled'));
+      expect(handled).toBe(true);
+    });
+
+    test('should continue the message flow for unknown actions or failing handlers', async () => {
+      linePostbackRouter.register('test_failing', jest.fn().mockRejectedValue(new Error('boom')));
+
+      expect(await linePostbackRouter.dispatch(postbackMessage('unknown_action'))).toBe(false);
+      expect(await linePostbackRouter.dispatch(postbackMessage('test_failing'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// LINE profile tests for BMA Messenger Hub
+// Tests resolving display names through the LINE profile APIs and caching them
+
+jest.mock('axios');
+jest.mock('../src/services/customer-profiles', () => ({
+  findCustomer: jest.fn(),
+  savePlatformProfile: jest.fn()
+}));
+
+// The sender reads its credentials when the module loads
+process.env.LINE_API_URL = 'https://api.line.me/v2';
+process.env.LINE_CHANNEL_ACCESS_TOKEN = 'line_token';
+
+const axios = require('axios');
+const { findCustomer, savePlatformProfile } = require('../src/services/customer-profiles');
+
+function loadResolver() {
+  let service;
+  jest.isolateModules(() => {
+    service = require('../src/services/line-profiles');
+  });
+  return service;
+}
+
+describe('LINE Profile Resolver', () => {
+  let resolveLineProfile;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    findCustomer.mockResolvedValue(null);
+    savePlatformProfile.mockResolvedValue(null);
+    axios.get.mockResolvedValue({
+      data: { userId: 'U123', displayName: 'Somchai', pictureUrl: 'https://profile.line-scdn.net/abc', language: 'th' }
+    });
+    ({ resolveLineProfile } = loadResolver());
+  });
+
+  test('should fetch 1:1 profiles and store them on the customer profile', async () => {
+    const profile = await resolveLineProfile({ type: 'user', userId: 'U123' });
+
+    expect(axios.get).toHaveBeenCalledWith('https://api.line.me/v2/bot/profile/U123', expect.objectContaining({
+      headers: { Authorization: 'Bearer line_token' }
+    }));
+    expect(profile).toMatchObject({ displayName: 'Somchai', pictureUrl: 'https://profile.line-scdn.net/abc', language: 'th' });
+    expect(savePlatformProfile).toHaveBeenCalledWith('line', 'U123', expect.objectContaining({ displayName: 'Somchai' }));
+  });
+
+  test('should use the group member API for group sources', async () => {
+    await resolveLineProfile({ type: 'group', groupId: 'C456', userId: 'U123' });
+
+    expect(axios.get.mock.calls[0][0]).toBe('https://api.line.me/v2/bot/group/C456/member/U123');
+  });
+
+  test('should serve repeat lookups from the cache', async () => {
+    await resolveLineProfile({ type: 'user', userId: 'U123' });
+    await resolveLineProfile({ type: 'user', userId: 'U123' });
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reuse a fresh stored profile without calling LINE', async () => {
+    findCustomer.mockResolvedValue({ displayName: 'Stored Name', pictureUrl: null, language: 'en', profileFetchedAt: new Date() });
+
+    const profile = await resolveLineProfile({ type: 'user', userId: 'U123' });
+
+    expect(profile.displayName).toBe('Stored Name');
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  test('should return null for sources without a user or when LINE fails', async () => {
+    expect(await resolveLineProfile({ type: 'group', groupId: 'C456' })).toBeNull();
+
+    axios.get.mockRejectedValue(new Error('Request failed with status code 404'));
+    expect(await resolveLineProfile({ type: 'user', userId: 'U999' })).toBeNull();
+  });
+});
@@ -0,0 +1,82 @@
+// Live events tests for BMA Messenger Hub
+// Tests the per-conversation hub and what the stores push to the live chat
+
+jest.mock('../src/services/database', () => ({
+  getPool: jest.fn().mockReturnValue(null)
+}));
+jest.mock('../src/services/settings-store', () => ({
+  getSetting: jest.fn().mockResolvedValue(null),
+  saveSetting: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../src/services/google-chat-simple', () => ({
+  sendThreadReply: jest.fn().mockResolvedValue(null),
+  getMentionForEmail: jest.fn(() => null)
+}));
+
+function loadServices() {
+  let services;
+  jest.isolateModules(() => {
+    services = {
+      live: require('../src/services/live-events'),
+      history: require('../src/services/message-history'),
+      escalations: require('../src/services/escalation-store')
+    };
+  });
+  return services;
+}
+
+describe('Live Events', () => {
+  test('should only notify listeners of the same conversation until they unsubscribe', () => {
+    const { live } = loadServices();
+    const listener = jest.fn();
+    const other = jest.fn();
+
+    const unsubscribe = live.subscribe('66811111111', listener);
+    live.subscribe('66822222222', other);
+
+    expect(live.publish('66811111111', 'reload')).toBe(1);
+    expect(listener).toHaveBeenCalledWith('reload', {});
+    expect(other).not.toHaveBeenCalled();
+
+    unsubscribe();
+    expect(live.publish('66811111111', 'reload')).toBe(0);
+    expect(live.getStats()).toEqual({ conversations: 1, listeners: 1, published: 1 });
+  });
+
+  test('should keep notifying when a listener throws', () => {
+    const { live } = loadServices();
+    const listener = jest.fn();
+    live.subscribe('66811111111', () => { throw new Error('connection closed'); });
+    live.subscribe('66811111111', listener);
+
+    expect(live.publish('66811111111', 'reload')).toBe(2);
+    expect(listener).toHaveBeenCalled();
+  });
+
+  test('should push stored messages and delivery statuses', async () => {
+    const { live, history } = loadServices();
+    const listener = jest.fn();
+    live.subscribe('66811111111', listener);
+
+    await history.storeMessage('66811111111', 'Hello', 'outgoing', 'whatsapp', { whatsappMessageId: 'wamid.live1', deliveryStatus: 'sent' });
+    await history.updateDeliveryStatus('wamid.live1', 'delivered', { timestamp: 1700000000000 });
+
+    const [[, message], [, status]] = listener.mock.calls;
+    expect(listener.mock.calls.map(([type]) => type)).toEqual(['message', 'status']);
+    expect(message).toMatchObject({ id: expect.any(String), text: 'Hello', direction: 'outgoing' });
+    expect(status).toEqual({ messageId: message.id, deliveryStatus: 'delivered', deliveryStatusAt: 1700000000000 });
+  });
+
+  test('should push escalation timer changes', async () => {
+    const { live, escalations } = loadServices();
+    const listener = jest.fn();
+    live.subscribe('66811111111', listener);
+
+    await escalations.markEscalated('+66 81 111 1111', null, 'Somchai', 'conv_1');
+    await escalations.clearEscalation('66811111111');
+
+    expect(listener).toHaveBeenNthCalledWith(1, 'escalation', { isEscalated: true, remainingTimeMs: expect.any(Number) });
+    expect(listener.mock.calls[0][1].remainingTimeMs).toBeGreaterThan(0);
+    expect(listener).toHaveBeenLastCalledWith('escalation', { isEscalated: false, remainingTimeMs: 0 });
+  });
+});
@@ -0,0 +1,153 @@
+// Media archive tests for BMA Messenger Hub
+// Tests downloading inbound WhatsApp media (Graph API) and LINE content (content API) and storing it
+
+jest.mock('axios');
+jest.mock('../src/services/file-handler', () => ({
+  saveFile: jest.fn(),
+  getFileUrl: jest.fn((id, filename) => `https://hub.example.com/files/${filename}`),
+  getExtensionForMimeType: jest.fn(mimeType => ({ 'image/jpeg': '.jpg', 'audio/ogg': '.ogg' }[mimeType.split(';')[0]] || ''))
+}));
+
+// The sender reads its credentials when the module loads
+process.env.WHATSAPP_API_URL = 'https://graph.facebook.com/v18.0';
+process.env.WHATSAPP_ACCESS_TOKEN = 'test_token';
+process.env.WHATSAPP_PHONE_NUMBER_ID = 'phone_id';
+process.env.LINE_API_URL = 'https://api.line.me/v2';
+process.env.LINE_CHANNEL_ACCESS_TOKEN = 'line_token';
+
+const axios = require('axios');
+const { saveFile } = require('../src/services/file-handler');
+const { archiveWhatsAppMedia, archiveLineContent } = require('../src/services/media-archive');
+const { lineSender } = require('../src/services/line-sender');
+
+lineSender.contentRetryDelayMs = 0;
+
+describe('Media Archive Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    saveFile.mockImplementation(async (buffer, originalName, mimeType) => ({
+      id: 'file_id',
+      filename: `file_id${originalName.slice(originalName.lastIndexOf('.'))}`,
+      originalName,
+      mimeType,
+      size: buffer.length
+    }));
+  });
+
+  function mockGraphDownload(mimeType, content) {
+    axios.get.mockImplementation(async (url) => {
+      if (url === 'https://graph.facebook.com/v18.0/media_123') {
+        return { data: { url: 'https://lookaside.fbsbx.com/whatsapp_business/attachments/?mid=media_123', mime_type: mimeType } };
+      }
+      return { data: Buffer.from(content), headers: { 'content-type': mimeType } };
+    });
+  }
+
+  test('should resolve the media URL and download it with the access token', async () => {
+    mockGraphDownload('application/pdf', 'pdf-bytes');
+
+    const file = await archiveWhatsAppMedia({ id: 'media_123', mimeType: 'application/pdf', filename: 'contract.pdf' });
+
+    expect(axios.get).toHaveBeenNthCalledWith(1, 'https://graph.facebook.com/v18.0/media_123', expect.objectContaining({
+      headers: { Authorization: 'Bearer test_token' }
+    }));
+    expect(axios.get).toHaveBeenNthCalledWith(2, 'https://lookaside.fbsbx.com/whatsapp_business/attachments/?mid=media_123', expect.objectContaining({
+      headers: { Authorization: 'Bearer test_token' },
+      responseType: 'arraybuffer'
+    }));
+    expect(saveFile).toHaveBeenCalledWith(Buffer.from('pdf-bytes'), 'contract.pdf', 'application/pdf');
+    expect(file).toEqual({
+      name: 'contract.pdf',
+      type: 'application/pdf',
+      url: 'https://hub.example.com/files/file_id.pdf',
+      size: 9
+    });
+  });
+
+  test('should name media that arrives without a filename', async () => {
+    mockGraphDownload('audio/ogg; codecs=opus', 'voice');
+
+    const file = await archiveWhatsAppMedia({ id: 'media_123', mimeType: 'audio/ogg; codecs=opus', filename: null });
+
+    expect(file.name).toMatch(/^whatsapp-audio-\d{8}T\d{6}\.ogg$/);
+  });
+
+  test('should return null when the download fails', async () => {
+    axios.get.mockRejectedValue(new Error('Request failed with status code 404'));
+
+    const file = await archiveWhatsAppMedia({ id: 'media_123', mimeType: 'image/jpeg' });
+
+    expect(file).toBeNull();
+    expect(saveFile).not.toHaveBeenCalled();
+  });
+
+  test('should ignore messages without media', async () => {
+    expect(await archiveWhatsAppMedia(null)).toBeNull();
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  describe('LINE content', () => {
+    test('should download content from the data API with the channel token', async () => {
+      axios.get.mockResolvedValue({ data: Buffer.from('jpeg-bytes'), headers: { 'content-type': 'image/jpeg' } });
+
+      const file = await archiveLineContent({ id: '325708', filename: null, externalUrl: null });
+
+      expect(axios.get).toHaveBeenCalledWith('https://api-data.line.me/v2/bot/message/325708/content', expect.objectContaining({
+        headers: { Authorization: 'Bearer line_token' },
+        responseType: 'arraybuffer'
+      }));
+      expect(file.name).toMatch(/^line-image-\d{8}T\d{6}\.jpg$/);
+      expect(file.type).toBe('image/jpeg');
+    });
+
+    test('should fetch externally hosted content without the channel token', async () => {
+      axios.get.mockResolvedValue({ data: Buffer.from('video'), headers: { 'content-type': 'video/mp4' } });
+
+      await archiveLineContent({ id: '325709', externalUrl: 'https://cdn.example.com/clip.mp4' });
+
+      const [url, options] = axios.get.mock.calls[0];
+      expect(url).toBe('https://cdn.example.com/clip.mp4');
+      expect(options.headers).toEqual({});
+    });
+
+    test('should keep the original name of shared files', async () => {
+      axios.get.mockResolvedValue({ data: Buffer.from('pdf'), headers: { 'content-type': 'application/pdf' } });
+
+      const file = await archiveLineContent({ id: '325710', filename: 'quote.pdf', externalUrl: null });
+
+      expect(saveFile).toHaveBeenCalledWith(Buffer.from('pdf'), 'quote.pdf', 'application/pdf');
+      expect(file.name).toBe('quote.pdf');
+    });
+
+    test('should wait for LINE to finish preparing a video before archiving it', async () => {
+      const video = { data: Buffer.from('mp4-bytes'), status: 200, headers: { 'content-type': 'video/mp4' } };
+      axios.get
+        .mockResolvedValueOnce({ data: Buffer.alloc(0), status: 202, headers: {} })
+        .mockResolvedValueOnce({ data: { status: 'succeeded' }, status: 200, headers: {} })
+        .mockResolvedValueOnce(video);
+
+      const file = await archiveLineContent({ id: '325712', externalUrl: null });
+
+      expect(axios.get.mock.calls[1][0]).toBe('https://api-data.line.me/v2/bot/message/325712/content/transcoding');
+      expect(saveFile).toHaveBeenCalledTimes(1);
+      expect(saveFile).toHaveBeenCalledWith(Buffer.from('mp4-bytes'), expect.any(String), 'video/mp4');
+      expect(file.type).toBe('video/mp4');
+    });
+
+    test('should not archive content LINE never finished preparing', async () => {
+      axios.get.mockImplementation(async (url) => (url.endsWith('/transcoding')
+        ? { data: { status: 'failed' }, status: 200, headers: {} }
+        : { data: Buffer.alloc(0), status: 202, headers: {} }));
+
+      expect(await archiveLineContent({ id: '325713', externalUrl: null })).toBeNull();
+      expect(saveFile).not.toHaveBeenCalled();
+    });
+
+    test('should return null when the content has expired', async () => {
+      axios.get.mockRejectedValue(new Error('Request failed with status code 404'));
+
+      expect(await archiveLineContent({ id: '325711' })).toBeNull();
+      expect(saveFile).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,216 @@
+// Message history tests for BMA Messenger Hub
+// Tests PostgreSQL persistence and the in-memory fallback
+
+jest.mock('../src/services/database', () => ({
+  getPool: jest.fn()
+}));
+
+// Shared across jest.isolateModules registries
+const mockRunMigrations = jest.fn().mockResolvedValue([]);
+jest.mock('../src/services/migrations', () => ({
+  runMigrations: mockRunMigrations
+}));
+
+const { getPool } = require('../src/services/database');
+
+function loadMessageHistory() {
+  let service;
+  jest.isolateModules(() => {
+    service = require('../src/services/message-history');
+  });
+  return service;
+}
+
+describe('Message History Service', () => {
+  describe('In-memory fallback (no DATABASE_URL)', () => {
+    let history;
+
+    beforeEach(() => {
+      getPool.mockReturnValue(null);
+      history = loadMessageHistory();
+    });
+
+    test('should store and return messages in chronological order', async () => {
+      await history.storeMessage('66812345678', 'second', 'outgoing', 'whatsapp', {}, Date.now() - 1000);
+      await history.storeMessage('66812345678', 'first', 'incoming', 'whatsapp', {}, Date.now() - 5000);
+
+      const messages = await history.getHistory('66812345678');
+
+      expect(messages.map(m => m.text)).toEqual(['first', 'second']);
+    });
+
+    test('should skip messages without identifier or text', async () => {
+      const id = await history.storeMessage('', 'hello', 'incoming', 'whatsapp');
+
+      expect(id).toBeUndefined();
+      expect(await history.getHistory('')).toEqual([]);
+    });
+
+    test('should exclude messages older than the retention window', async () => {
+      const old = Date.now() - (25 * 60 * 60 * 1000);
+      await history.storeMessage('66812345678', 'old', 'incoming', 'whatsapp', {}, old);
+      await history.storeMessage('66812345678', 'new', 'incoming', 'whatsapp');
+
+      const messages = await history.getHistory('66812345678');
+
+      expect(messages.map(m => m.text)).toEqual(['new']);
+    });
+
+    test('should clear only outgoing messages', async () => {
+      await history.storeMessage('66812345678', 'customer', 'incoming', 'whatsapp');
+      await history.storeMessage('66812345678', 'agent', 'outgoing', 'whatsapp');
+
+      const removed = await history.clearOutgoingMessages('66812345678');
+      const messages = await history.getHistory('66812345678');
+
+      expect(removed).toBe(1);
+      expect(messages.map(m => m.text)).toEqual(['customer']);
+    });
+
+    test('should report when the customer last wrote', async () => {
+      const askedAt = Date.now() - 60 * 60 * 1000;
+      await history.storeMessage('66812345678', 'question', 'incoming', 'whatsapp', {}, askedAt);
+      await history.storeMessage('66812345678', 'answer', 'outgoing', 'whatsapp', {}, askedAt + 1000);
+
+      expect(await history.getLastIncomingAt('66812345678')).toBe(askedAt);
+      expect(await history.getLastIncomingAt('66899999999')).toBeNull();
+    });
+
+    test('should apply WhatsApp delivery statuses without going backwards', async () => {
+      await history.storeMessage('66812345678', 'agent', 'outgoing', 'whatsapp', { whatsappMessageId: 'wamid.out1', deliveryStatus: 'sent' });
+
+      expect(await history.updateDeliveryStatus('wamid.out1', 'read', { timestamp: 1700000060000 }))
+        .toEqual({ identifier: '66812345678', messageId: expect.any(String) });
+      expect(await history.updateDeliveryStatus('wamid.out1', 'delivered', { timestamp: 1700000000000 })).toBeNull();
+
+      const [message] = await history.getHistory('66812345678');
+      expect(message.metadata.deliveryStatus).toBe('read');
+      expect(message.metadata.deliveryStatusAt).toBe(1700000060000);
+    });
+
+    test('should record the error of a failed delivery', async () => {
+      await history.storeMessage('66812345678', 'agent', 'outgoing', 'whatsapp', { whatsappMessageId: 'wamid.out2', deliveryStatus: 'sent' });
+
+      await history.updateDeliveryStatus('wamid.out2', 'failed', { error: { code: 131047, title: 'Re-engagement message' } });
+
+      const [message] = await history.getHistory('66812345678');
+      expect(message.metadata.deliveryStatus).toBe('failed');
+      expect(message.metadata.deliveryError).toEqual({ code: 131047, title: 'Re-engagement message' });
+    });
+
+    test('should ignore statuses for unknown messages', async () => {
+      expect(await history.updateDeliveryStatus('wamid.unknown', 'delivered')).toBeNull();
+      expect(await history.updateDeliveryStatus('wamid.out1', 'deleted')).toBeNull();
+    });
+  });
+
+  describe('Configurable retention', () => {
+    afterEach(() => {
+      delete process.env.MESSAGE_HISTORY_RETENTION_HOURS;
+    });
+
+    test('should read retention hours from MESSAGE_HISTORY_RETENTION_HOURS', async () => {
+      process.env.MESSAGE_HISTORY_RETENTION_HOURS = '48';
+      getPool.mockReturnValue(null);
+      const history = loadMessageHistory();
+
+      const stats = await history.getStats();
+
+      expect(stats.retentionHours).toBe(48);
+      expect(stats.storage).toBe('memory');
+    });
+  });
+
+  describe('PostgreSQL storage', () => {
+    let pool;
+    let history;
+
+    beforeEach(() => {
+      pool = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) };
+      getPool.mockReturnValue(pool);
+      history = loadMessageHistory();
+    });
+
+    test('should run schema migrations before first use', async () => {
+      mockRunMigrations.mockClear();
+
+      await history.getHistory('66812345678');
+      await history.getHistory('66812345678');
+
+      expect(mockRunMigrations).toHaveBeenCalledTimes(1);
+    });
+
+    test('should insert messages with JSON metadata', async () => {
+      const id = await history.storeMessage('66812345678', 'Hello', 'incoming', 'whatsapp', { senderName: 'John' }, 1700000000000);
+
+      const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO message_history'));
+      expect(insert[1]).toEqual([id, '66812345678', 'Hello', 'incoming', 'whatsapp', '{"senderName":"John"}', 1700000000000]);
+    });
+
+    test('should map rows back to message objects', async () => {
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('SELECT id, text')) {
+          return {
+            rows: [{
+              id: 'msg_1',
+              text: 'Hello',
+              direction: 'incoming',
+              platform: 'whatsapp',
+              metadata: { senderName: 'John' },
+              timestamp: '1700000000000'
+            }]
+          };
+        }
+        return { rows: [], rowCount: 0 };
+      });
+
+      const messages = await history.getHistory('66812345678');
+
+      expect(messages).toEqual([{
+        id: 'msg_1',
+        text: 'Hello',
+        direction: 'incoming',
+        platform: 'whatsapp',
+        metadata: { senderName: 'John' },
+        timestamp: 1700000000000
+      }]);
+    });
+
+    test('should fall back to memory when an insert fails', async () => {
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('INSERT')) throw new Error('connection lost');
+        return { rows: [], rowCount: 0 };
+      });
+
+      await history.storeMessage('66812345678', 'Hello', 'incoming', 'whatsapp');
+      const messages = await history.getHistory('66812345678');
+
+      expect(messages.map(m => m.text)).toEqual(['Hello']);
+    });
+
+    test('should delete outgoing messages in the database', async () => {
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('DELETE')) return { rows: [], rowCount: 3 };
+        return { rows: [], rowCount: 0 };
+      });
+
+      const removed = await history.clearOutgoingMessages('66812345678');
+
+      expect(removed).toBe(3);
+    });
+
+    test('should update delivery status only when it moves forward', async () => {
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('UPDATE message_history')) return { rows: [{ id: 'msg_1', identifier: '66812345678' }], rowCount: 1 };
+        return { rows: [], rowCount: 0 };
+      });
+
+      const updated = await history.updateDeliveryStatus('wamid.out1', 'delivered', { timestamp: 1700000000000 });
+
+      const update = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE message_history'));
+      expect(update[0]).toContain("metadata->>'whatsappMessageId' = $1");
+      expect(update[1]).toEqual(['wamid.out1', '{"deliveryStatus":"delivered","deliveryStatusAt":1700000000000}', 2]);
+      expect(updated).toEqual({ identifier: '66812345678', messageId: 'msg_1' });
+    });
+  });
+});
@@ -1,9 +1,11 @@
 // Message processor tests for BMA Messenger Hub
-// Tests parsing of WhatsApp and LINE webhook messages
+// Tests parsing of WhatsApp and LINE webhook messages (including batched deliveries)
 
 const {
   parseWhatsAppMessage,
+  parseWhatsAppStatuses,
   parseLineMessage,
+  parseLineLifecycleEvents,
   parseMessage,
   isValidMessage,
   messageProcessor
@@ -43,16 +45,19 @@ describe('Message Processor Service', () => {
     };
 
     test('should parse basic text message correctly', () => {
-      const result = parseWhatsAppMessage(sampleWhatsAppMessage);
+      const [result] = parseWhatsAppMessage(sampleWhatsAppMessage);
 
       expect(result).toEqual({
         platform: 'whatsapp',
         senderId: '1234567890',
         senderName: 'John Doe',
         phoneNumber: '1234567890',
+        messageId: 'message_id',
         messageText: 'Hello, I need technical support',
         timestamp: 1640995200,
         messageType: 'text',
+        media: null,
+        interactiveReply: null,
         originalMessage: sampleWhatsAppMessage.entry[0].changes[0].value.messages[0]
       });
     });
@@ -75,7 +80,7 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseWhatsAppMessage(messageWithoutName);
+      const [result] = parseWhatsAppMessage(messageWithoutName);
 
       expect(result.senderName).toBe('Unknown');
     });
@@ -95,7 +100,7 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseWhatsAppMessage(messageWithoutContacts);
+      const [result] = parseWhatsAppMessage(messageWithoutContacts);
 
       expect(result.senderName).toBe('Unknown');
     });
@@ -128,10 +133,16 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseWhatsAppMessage(imageMessage);
+      const [result] = parseWhatsAppMessage(imageMessage);
 
       expect(result.messageText).toBe('[Image] Product screenshot');
       expect(result.messageType).toBe('image');
+      expect(result.media).toEqual({
+        id: 'image_id',
+        mimeType: 'image/jpeg',
+        filename: null,
+        caption: 'Product screenshot'
+      });
     });
 
     test('should parse image message without caption', () => {
@@ -161,7 +172,7 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseWhatsAppMessage(imageMessage);
+      const [result] = parseWhatsAppMessage(imageMessage);
 
       expect(result.messageText).toBe('[Image] Image sent');
     });
@@ -194,10 +205,11 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseWhatsAppMessage(documentMessage);
+      const [result] = parseWhatsAppMessage(documentMessage);
 
       expect(result.messageText).toBe('[Document] contract.pdf');
       expect(result.messageType).toBe('document');
+      expect(result.media).toMatchObject({ id: 'doc_id', mimeType: 'application/pdf', filename: 'contract.pdf' });
     });
 
     test('should parse audio message', () => {
@@ -227,10 +239,11 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseWhatsAppMessage(audioMessage);
+      const [result] = parseWhatsAppMessage(audioMessage);
 
       expect(result.messageText).toBe('[Voice message]');
       expect(result.messageType).toBe('audio');
+      expect(result.media).toMatchObject({ id: 'audio_id', mimeType: 'audio/ogg' });
     });
 
     test('should parse video message', () => {
@@ -261,7 +274,7 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseWhatsAppMessage(videoMessage);
+      const [result] = parseWhatsAppMessage(videoMessage);
 
       expect(result.messageText).toBe('[Video] Funny video');
       expect(result.messageType).toBe('video');
@@ -289,27 +302,86 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseWhatsAppMessage(unsupportedMessage);
+      const [result] = parseWhatsAppMessage(unsupportedMessage);
 
       expect(result.messageText).toBe('[location] Unsupported message type');
       expect(result.messageType).toBe('location');
     });
 
+    function whatsAppWebhookWith(message) {
+      return {
+        entry: [{
+          changes: [{
+            value: {
+              contacts: [{ profile: { name: 'John Doe' }, wa_id: '1234567890' }],
+              messages: [{ from: '1234567890', id: 'message_id', timestamp: '1640995800', ...message }]
+            }
+          }]
+        }]
+      };
+    }
+
+    test('should parse interactive button replies', () => {
+      const [result] = parseWhatsAppMessage(whatsAppWebhookWith({
+        type: 'interactive',
+        interactive: {
+          type: 'button_reply',
+          button_reply: { id: 'talk_to_person', title: 'Talk to a person' }
+        }
+      }));
+
+      expect(result.messageText).toBe('Talk to a person');
+      expect(result.interactiveReply).toEqual({
+        type: 'button_reply',
+        id: 'talk_to_person',
+        title: 'Talk to a person',
+        description: null
+      });
+    });
+
+    test('should parse interactive list replies', () => {
+      const [result] = parseWhatsAppMessage(whatsAppWebhookWith({
+        type: 'interactive',
+        interactive: {
+          type: 'list_reply',
+          list_reply: { id: 'billing_invoice', title: 'Invoice copy', description: 'Get your latest invoice' }
+        }
+      }));
+
+      expect(result.messageText).toBe('Invoice copy');
+      expect(result.interactiveReply).toEqual({
+        type: 'list_reply',
+        id: 'billing_invoice',
+        title: 'Invoice copy',
+        description: 'Get your latest invoice'
+      });
+    });
+
+    test('should parse template quick-reply buttons', () => {
+      const [result] = parseWhatsAppMessage(whatsAppWebhookWith({
+        type: 'button',
+        button: { payload: 'zone_status', text: 'Check my zone status' }
+      }));
+
+      expect(result.messageText).toBe('Check my zone status');
+      expect(result.interactiveReply).toMatchObject({ type: 'button', id: 'zone_status' });
+    });
+
     test('should handle empty entry array', () => {
       const result = parseWhatsAppMessage({ entry: [] });
-      expect(result).toBeNull();
+      expect(result).toEqual([]);
     });
 
     test('should handle missing entry', () => {
       const result = parseWhatsAppMessage({});
-      expect(result).toBeNull();
+      expect(result).toEqual([]);
     });
 
     test('should handle empty changes array', () => {
       const result = parseWhatsAppMessage({
         entry: [{ changes: [] }]
       });
-      expect(result).toBeNull();
+      expect(result).toEqual([]);
     });
 
     test('should handle missing messages', () => {
@@ -320,7 +392,7 @@ describe('Message Processor Service', () => {
           }]
         }]
       });
-      expect(result).toBeNull();
+      expect(result).toEqual([]);
     });
 
     test('should handle parsing errors gracefully', () => {
@@ -336,7 +408,131 @@ describe('Message Processor Service', () => {
       };
 
       const result = parseWhatsAppMessage(malformedMessage);
-      expect(result).toBeNull();
+      expect(result).toEqual([]);
+    });
+
+    test('should parse every message across entries and changes in order', () => {
+      const textMessage = (from, id, body) => ({
+        from, id, timestamp: '1640995200', text: { body }, type: 'text'
+      });
+      const batch = {
+        entry: [{
+          id: "entry_1",
+          changes: [
+            {
+              value: {
+                contacts: [
+                  { profile: { name: "John Doe" }, wa_id: "1234567890" },
+                  { profile: { name: "Jane Doe" }, wa_id: "0987654321" }
+                ],
+                messages: [
+                  textMessage("1234567890", "wamid.1", "First"),
+                  textMessage("0987654321", "wamid.2", "Second")
+                ]
+              }
+            },
+            { value: { statuses: [{ id: "wamid.0", status: "delivered" }] } }
+          ]
+        }, {
+          id: "entry_2",
+          changes: [{
+            value: {
+              contacts: [{ profile: { name: "John Doe" }, wa_id: "1234567890" }],
+              messages: [textMessage("1234567890", "wamid.3", "Third")]
+            }
+          }]
+        }]
+      };
+
+      const result = parseWhatsAppMessage(batch);
+
+      expect(result.map(m => m.messageText)).toEqual(['First', 'Second', 'Third']);
+      expect(result.map(m => m.messageId)).toEqual(['wamid.1', 'wamid.2', 'wamid.3']);
+      expect(result.map(m => m.senderName)).toEqual(['John Doe', 'Jane Doe', 'John Doe']);
+    });
+
+    test('should skip malformed messages but keep the rest of the batch', () => {
+      const batch = {
+        entry: [{
+          changes: [{
+            value: {
+              messages: [
+                null,
+                { from: "1234567890", id: "wamid.ok", timestamp: "1640995200", text: { body: "Still here" }, type: "text" }
+              ]
+            }
+          }]
+        }]
+      };
+
+      const result = parseWhatsAppMessage(batch);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].messageText).toBe('Still here');
+    });
+  });
+
+  describe('WhatsApp Status Parsing', () => {
+    test('should parse delivery and read receipts', () => {
+      const webhook = {
+        entry: [{
+          changes: [{
+            value: {
+              statuses: [
+                { id: 'wamid.out1', status: 'delivered', timestamp: '1700000000', recipient_id: '66812345678' },
+                { id: 'wamid.out1', status: 'read', timestamp: '1700000060', recipient_id: '66812345678' }
+              ]
+            }
+          }]
+        }]
+      };
+
+      const result = parseWhatsAppStatuses(webhook);
+
+      expect(result).toEqual([
+        { platform: 'whatsapp', messageId: 'wamid.out1', status: 'delivered', recipientId: '66812345678', timestamp: 1700000000000, error: null },
+        { platform: 'whatsapp', messageId: 'wamid.out1', status: 'read', recipientId: '66812345678', timestamp: 1700000060000, error: null }
+      ]);
+    });
+
+    test('should include the error code of failed deliveries', () => {
+      const webhook = {
+        entry: [{
+          changes: [{
+            value: {
+              statuses: [{
+                id: 'wamid.out2',
+                status: 'failed',
+                timestamp: '1700000000',
+                recipient_id: '66812345678',
+                errors: [{
+                  code: 131047,
+                  title: 'Re-engagement message',
+                  error_data: { details: 'Message failed to send because more than 24 hours have passed' }
+                }]
+              }]
+            }
+          }]
+        }]
+      };
+
+      const [result] = parseWhatsAppStatuses(webhook);
+
+      expect(result.status).toBe('failed');
+      expect(result.error).toEqual({
+        code: 131047,
+        title: 'Re-engagement message',
+        message: 'Message failed to send because more than 24 hours have passed'
+      });
+    });
+
+    test('should return an empty array for message-only webhooks', () => {
+      const webhook = {
+        entry: [{ changes: [{ value: { messages: [{ from: '66812345678', id: 'wamid.in', type: 'text', text: { body: 'Hi' } }] } }] }]
+      };
+
+      expect(parseWhatsAppStatuses(webhook)).toEqual([]);
+      expect(parseWhatsAppStatuses({})).toEqual([]);
     });
   });
 
@@ -366,16 +562,18 @@ describe('Message Processor Service', () => {
     };
 
     test('should parse basic text message correctly', () => {
-      const result = parseLineMessage(sampleLineMessage);
+      const [result] = parseLineMessage(sampleLineMessage);
 
       expect(result).toEqual({
         platform: 'line',
         senderId: 'user123',
         senderName: 'LINE User',
         phoneNumber: null,
+        messageId: 'message_id',
         messageText: 'I need help with pricing',
         timestamp: 1640995200,
         messageType: 'text',
+        media: null,
         originalMessage: sampleLineMessage.events[0]
       });
     });
@@ -399,16 +597,18 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseLineMessage(groupMessage);
+      const [result] = parseLineMessage(groupMessage);
 
       expect(result).toEqual({
         platform: 'line',
         senderId: 'user456', // userId takes precedence over groupId
         senderName: 'Group: group123',
         phoneNumber: null,
+        messageId: 'message_id',
         messageText: 'Group discussion message',
         timestamp: 1640995300,
         messageType: 'text',
+        media: null,
         originalMessage: groupMessage.events[0]
       });
     });
@@ -431,7 +631,7 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseLineMessage(roomMessage);
+      const [result] = parseLineMessage(roomMessage);
 
       expect(result.senderName).toBe('Room: room789');
       expect(result.senderId).toBe('room789');
@@ -454,10 +654,39 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseLineMessage(imageMessage);
+      const [result] = parseLineMessage(imageMessage);
 
       expect(result.messageText).toBe('[Image] Image sent');
       expect(result.messageType).toBe('image');
+      expect(result.media).toEqual({
+        id: 'message_id',
+        mimeType: null,
+        filename: null,
+        caption: null,
+        externalUrl: null
+      });
+    });
+
+    test('should keep the external URL for externally hosted content', () => {
+      const externalImage = {
+        events: [{
+          type: "message",
+          timestamp: 1640995500000,
+          source: { type: "user", userId: "user123" },
+          message: {
+            id: "message_id",
+            type: "image",
+            contentProvider: {
+              type: "external",
+              originalContentUrl: "https://example.com/photo.jpg"
+            }
+          }
+        }]
+      };
+
+      const [result] = parseLineMessage(externalImage);
+
+      expect(result.media.externalUrl).toBe('https://example.com/photo.jpg');
     });
 
     test('should parse video message', () => {
@@ -477,7 +706,7 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseLineMessage(videoMessage);
+      const [result] = parseLineMessage(videoMessage);
 
       expect(result.messageText).toBe('[Video] Video sent');
       expect(result.messageType).toBe('video');
@@ -500,7 +729,7 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseLineMessage(audioMessage);
+      const [result] = parseLineMessage(audioMessage);
 
       expect(result.messageText).toBe('[Audio] Audio message sent');
       expect(result.messageType).toBe('audio');
@@ -524,10 +753,11 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseLineMessage(fileMessage);
+      const [result] = parseLineMessage(fileMessage);
 
       expect(result.messageText).toBe('[File] document.pdf');
       expect(result.messageType).toBe('file');
+      expect(result.media).toMatchObject({ id: 'message_id', filename: 'document.pdf' });
     });
 
     test('should parse file message without filename', () => {
@@ -547,7 +777,7 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseLineMessage(fileMessage);
+      const [result] = parseLineMessage(fileMessage);
 
       expect(result.messageText).toBe('[File] File sent');
     });
@@ -569,7 +799,7 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseLineMessage(locationMessage);
+      const [result] = parseLineMessage(locationMessage);
 
       expect(result.messageText).toBe('[Location] Location shared');
       expect(result.messageType).toBe('location');
@@ -594,10 +824,11 @@ describe('Message Processor Service', () => {
         }]
       };
 
-      const result = parseLineMessage(stickerMessage);
+      const [result] = parseLineMessage(stickerMessage);
 
       expect(result.messageText).toBe('[Sticker] Sticker sent');
       expect(result.messageType).toBe('sticker');
+      expect(result.media).toBeNull();
     });
 
     test('should handle non-message events', () => {
@@ -614,7 +845,7 @@ describe('Message Processor Service', () => {
       };
 
       const result = parseLineMessage(followEvent);
-      expect(result).toBeNull();
+      expect(result).toEqual([]);
     });
 
     test('should handle empty events array', () => {
@@ -622,14 +853,14 @@ describe('Message Processor Service', () => {
         destination: "destination_id",
         events: []
       });
-      expect(result).toBeNull();
+      expect(result).toEqual([]);
     });
 
     test('should handle missing events', () => {
       const result = parseLineMessage({
         destination: "destination_id"
       });
-      expect(result).toBeNull();
+      expect(result).toEqual([]);
     });
 
     test('should handle parsing errors gracefully', () => {
@@ -638,7 +869,105 @@ describe('Message Processor Service', () => {
       };
 
       const result = parseLineMessage(malformedMessage);
-      expect(result).toBeNull();
+      expect(result).toEqual([]);
+    });
+
+    test('should parse every message event in order and skip other events', () => {
+      const textEvent = (userId, id, text) => ({
+        type: "message",
+        timestamp: 1640995200000,
+        source: { type: "user", userId },
+        message: { id, type: "text", text }
+      });
+      const batch = {
+        destination: "destination_id",
+        events: [
+          textEvent("user123", "msg_1", "First"),
+          { type: "follow", timestamp: 1640995200000, source: { type: "user", userId: "user456" } },
+          textEvent("user456", "msg_2", "Second"),
+          null,
+          textEvent("user123", "msg_3", "Third")
+        ]
+      };
+
+      const result = parseLineMessage(batch);
+
+      expect(result.map(m => m.messageText)).toEqual(['First', 'Second', 'Third']);
+      expect(result.map(m => m.senderId)).toEqual(['user123', 'user456', 'user123']);
+      expect(result.map(m => m.messageId)).toEqual(['msg_1', 'msg_2', 'msg_3']);
+    });
+
+    test('should parse postback events with query-string data', () => {
+      const [result] = parseLineMessage({
+        destination: "destination_id",
+        events: [{
+          type: "postback",
+          webhookEventId: "01HPOSTBACK",
+          timestamp: 1641000200000,
+          source: { type: "user", userId: "user123" },
+          postback: { data: "action=zone_status&zone=Zone123" }
+        }]
+      });
+
+      expect(result).toMatchObject({
+        platform: 'line',
+        senderId: 'user123',
+        messageId: '01HPOSTBACK',
+        messageText: '[Postback] action=zone_status&zone=Zone123',
+        timestamp: 1641000200,
+        messageType: 'postback',
+        postback: {
+          data: 'action=zone_status&zone=Zone123',
+          action: 'zone_status',
+          values: { action: 'zone_status', zone: 'Zone123' },
+          params: null
+        }
+      });
+      expect(isValidMessage(result)).toBe(true);
+    });
+
+    test('should use plain postback data as the action', () => {
+      const [result] = parseLineMessage({
+        events: [{
+          type: "postback",
+          timestamp: 1641000200000,
+          source: { type: "user", userId: "user123" },
+          postback: { data: "talk_to_person", params: { date: "2024-01-15" } }
+        }]
+      });
+
+      expect(result.postback).toEqual({
+        data: 'talk_to_person',
+        action: 'talk_to_person',
+        values: {},
+        params: { date: '2024-01-15' }
+      });
+    });
+  });
+
+  describe('LINE Lifecycle Events', () => {
+    test('should parse follow, unfollow, join and leave events and skip messages', () => {
+      const result = parseLineLifecycleEvents({
+        events: [
+          { type: "follow", webhookEventId: "ev1", timestamp: 1641000100000, source: { type: "user", userId: "user123" } },
+          { type: "message", timestamp: 1641000100000, source: { type: "user", userId: "user123" }, message: { id: "m1", type: "text", text: "Hi" } },
+          { type: "unfollow", webhookEventId: "ev2", timestamp: 1641000200000, source: { type: "user", userId: "user123" } },
+          { type: "join", webhookEventId: "ev3", timestamp: 1641000300000, source: { type: "group", groupId: "group456" } },
+          { type: "leave", webhookEventId: "ev4", timestamp: 1641000400000, source: { type: "group", groupId: "group456" } }
+        ]
+      });
+
+      expect(result.map(e => [e.eventType, e.senderId, e.sourceType, e.webhookEventId])).toEqual([
+        ['follow', 'user123', 'user', 'ev1'],
+        ['unfollow', 'user123', 'user', 'ev2'],
+        ['join', 'group456', 'group', 'ev3'],
+        ['leave', 'group456', 'group', 'ev4']
+      ]);
+    });
+
+    test('should return an empty array without events', () => {
+      expect(parseLineLifecycleEvents({})).toEqual([]);
+      expect(parseLineLifecycleEvents({ events: [null] })).toEqual([]);
     });
   });
 
@@ -669,24 +998,24 @@ describe('Message Processor Service', () => {
     };
 
     test('should route to WhatsApp parser', () => {
-      const result = parseMessage(sampleWhatsAppMessage, 'whatsapp');
+      const [result] = parseMessage(sampleWhatsAppMessage, 'whatsapp');
 
-      expect(result).not.toBeNull();
+      expect(result).toBeDefined();
       expect(result.platform).toBe('whatsapp');
       expect(result.messageText).toBe('Test message');
     });
 
     test('should route to LINE parser', () => {
-      const result = parseMessage(sampleLineMessage, 'line');
+      const [result] = parseMessage(sampleLineMessage, 'line');
 
-      expect(result).not.toBeNull();
+      expect(result).toBeDefined();
       expect(result.platform).toBe('line');
       expect(result.messageText).toBe('Test message');
     });
 
     test('should handle unknown platform', () => {
       const result = parseMessage({}, 'unknown');
-      expect(result).toBeNull();
+      expect(result).toEqual([]);
     });
   });
 
@@ -0,0 +1,128 @@
+// Schema migration tests for BMA Messenger Hub
+// Tests ordering, locking, recording and rollback of forward-only migrations
+
+jest.mock('../src/services/database', () => ({
+  getPool: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
+const { getPool } = require('../src/services/database');
+const { MigrationRunner } = require('../src/services/migrations');
+
+function createClient(appliedIds = []) {
+  return {
+    query: jest.fn(async (sql) => {
+      if (sql.includes('SELECT id, applied_at FROM schema_migrations')) {
+        return { rows: appliedIds.map(id => ({ id, applied_at: new Date('2026-01-01T00:00:00Z') })) };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+}
+
+function statementsOf(client) {
+  return client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+}
+
+describe('Schema Migrations', () => {
+  let client;
+  let pool;
+
+  const migration = (id, up = jest.fn()) => ({ id, description: `Migration ${id}`, up });
+
+  beforeEach(() => {
+    client = createClient();
+    pool = { query: client.query, connect: jest.fn().mockResolvedValue(client) };
+    getPool.mockReturnValue(pool);
+  });
+
+  test('should apply pending migrations in order while holding the lock', async () => {
+    const first = migration('001-first');
+    const second = migration('002-second');
+    const runner = new MigrationRunner([first, second]);
+
+    const applied = await runner.migrate();
+
+    expect(applied).toEqual(['001-first', '002-second']);
+    expect(first.up).toHaveBeenCalledWith(client);
+    expect(statementsOf(client)).toEqual([
+      'SELECT pg_advisory_lock($1)',
+      'CREATE TABLE',
+      'SELECT id,',
+      'BEGIN',
+      'INSERT INTO',
+      'COMMIT',
+      'BEGIN',
+      'INSERT INTO',
+      'COMMIT',
+      'SELECT pg_advisory_unlock($1)'
+    ]);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('should skip migrations that are already recorded', async () => {
+    client = createClient(['001-first']);
+    pool.connect.mockResolvedValue(client);
+    const first = migration('001-first');
+    const second = migration('002-second');
+
+    const applied = await new MigrationRunner([first, second]).migrate();
+
+    expect(applied).toEqual(['002-second']);
+    expect(first.up).not.toHaveBeenCalled();
+  });
+
+  test('should roll back a failing migration and stop', async () => {
+    const failing = migration('001-failing', jest.fn().mockRejectedValue(new Error('syntax error')));
+    const later = migration('002-later');
+
+    await expect(new MigrationRunner([failing, later]).migrate()).rejects.toThrow('Migration 001-failing failed: syntax error');
+
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(later.up).not.toHaveBeenCalled();
+    expect(client.query).toHaveBeenCalledWith('SELECT pg_advisory_unlock($1)', expect.any(Array));
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  test('should run once per process and retry after a failure', async () => {
+    const runner = new MigrationRunner([migration('001-first')]);
+    const migrate = jest.spyOn(runner, 'migrate')
+      .mockRejectedValueOnce(new Error('connection refused'))
+      .mockResolvedValue([]);
+
+    await expect(runner.run()).rejects.toThrow('connection refused');
+    await runner.run();
+    await runner.run();
+
+    expect(migrate).toHaveBeenCalledTimes(2);
+  });
+
+  test('should report applied and pending migrations', async () => {
+    client = createClient(['001-first']);
+    pool.query = client.query;
+
+    const status = await new MigrationRunner([migration('001-first'), migration('002-second')]).status();
+
+    expect(status).toEqual([
+      { id: '001-first', description: 'Migration 001-first', applied: true, appliedAt: new Date('2026-01-01T00:00:00Z') },
+      { id: '002-second', description: 'Migration 002-second', applied: false, appliedAt: null }
+    ]);
+  });
+
+  test('should skip migrations without a database', async () => {
+    getPool.mockReturnValue(null);
+
+    expect(await new MigrationRunner([migration('001-first')]).migrate()).toEqual([]);
+  });
+
+  test('should load the repository migrations in filename order', () => {
+    const files = fs.readdirSync(path.join(__dirname, '../src/migrations')).filter(file => file.endsWith('.js')).sort();
+
+    const migrations = new MigrationRunner().loadMigrations();
+
+    expect(migrations.map(m => `${m.id}.js`)).toEqual(files);
+    expect(migrations.every(m => typeof m.up === 'function' && m.description)).toBe(true);
+  });
+});
@@ -0,0 +1,279 @@
+// Reply portal authentication tests for BMA Messenger Hub
+// Tests signed expiring links, agent sessions and the portal middleware
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../src/services/settings-store', () => ({
+  getSetting: jest.fn().mockResolvedValue(null),
+  saveSetting: jest.fn().mockResolvedValue(null)
+}));
+
+const {
+  createToken,
+  verifyToken,
+  createPortalLink,
+  createSession,
+  buildSessionCookie,
+  findAgent,
+  createSignInLink,
+  verifySignIn,
+  phoneScope,
+  conversationScope,
+  requirePortalAccess,
+  requireAdmin
+} = require('../src/services/portal-auth');
+const { resetConfig } = require('../src/config/runtime');
+const { revokeSignIn } = require('../src/services/team-roster');
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.get('/reply-live/:phone', requirePortalAccess(req => phoneScope(req.params.phone), { page: true }), (req, res) => {
+    res.json({ agent: req.portalAgent.name });
+  });
+  app.post('/reply-live/:phone', requirePortalAccess(req => phoneScope(req.params.phone)), (req, res) => {
+    res.json({ agent: req.portalAgent.name, email: req.portalAgent.email });
+  });
+  return app;
+}
+
+function sessionCookieFor(name) {
+  const session = createSession(findAgent(name));
+  return buildSessionCookie(session.value, session.maxAgeSeconds).split(';')[0];
+}
+
+describe('Portal Authentication', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, PORTAL_SECRET: 'test_portal_secret', PUBLIC_URL: 'https://hub.example.com' };
+    delete process.env.PORTAL_AGENTS;
+    delete process.env.PORTAL_LINK_TTL_HOURS;
+    resetConfig();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('Link tokens', () => {
+    test('should verify a token for its own scope', () => {
+      const token = createToken(phoneScope('+66 81-234-5678'));
+      expect(verifyToken(token, phoneScope('66812345678'))).toBe(true);
+    });
+
+    test('should reject a token for another scope', () => {
+      const token = createToken(phoneScope('66812345678'));
+      expect(verifyToken(token, phoneScope('66899999999'))).toBe(false);
+      expect(verifyToken(token, conversationScope('66812345678'))).toBe(false);
+    });
+
+    test('should reject an expired token', () => {
+      const token = createToken(phoneScope('66812345678'), -1000);
+      expect(verifyToken(token, phoneScope('66812345678'))).toBe(false);
+    });
+
+    test('should reject a token signed with another secret', () => {
+      const token = createToken(phoneScope('66812345678'));
+      process.env.PORTAL_SECRET = 'rotated_secret';
+      resetConfig();
+      expect(verifyToken(token, phoneScope('66812345678'))).toBe(false);
+    });
+
+    test('should build absolute links on PUBLIC_URL', () => {
+      const link = createPortalLink('/reply-live/66812345678', phoneScope('66812345678'));
+      expect(link).toMatch(/^https:\/\/hub\.example\.com\/reply-live\/66812345678\?token=/);
+
+      const closeLink = createPortalLink('/api/close-escalation-web?phone=66812345678', phoneScope('66812345678'));
+      expect(closeLink).toContain('?phone=66812345678&token=');
+    });
+  });
+
+  describe('Agents', () => {
+    test('should only accept agents on the team', () => {
+      expect(findAgent('keith')).toEqual({ name: 'Keith', email: 'keith@bmasiamusic.com' });
+      expect(findAgent('Mallory')).toBeNull();
+    });
+
+    test('should read the team from PORTAL_AGENTS', () => {
+      process.env.PORTAL_AGENTS = 'Anna:anna@example.com, Ben';
+      resetConfig();
+      expect(findAgent('anna')).toEqual({ name: 'Anna', email: 'anna@example.com' });
+      expect(findAgent('Ben')).toEqual({ name: 'Ben', email: null });
+      expect(findAgent('Keith')).toBeNull();
+    });
+
+    test('should only sign in the agent a sign-in link was issued for', () => {
+      const { url } = createSignInLink(findAgent('Keith'));
+      const link = new URL(url);
+      const token = link.searchParams.get('token');
+
+      expect(link.pathname).toBe('/portal/sign-in');
+      expect(verifySignIn(link.searchParams.get('agent'), token)).toEqual({ name: 'Keith', email: 'keith@bmasiamusic.com' });
+      expect(verifySignIn('Mallory', token)).toBeNull();
+      expect(verifySignIn('Keith', createToken(phoneScope('66812345678')))).toBeNull();
+    });
+  });
+
+  describe('requirePortalAccess middleware', () => {
+    const phone = '66812345678';
+
+    test('should deny pages without a link token', async () => {
+      await request(createApp())
+        .get(`/reply-live/${phone}`)
+        .set('Cookie', sessionCookieFor('Keith'))
+        .expect(403);
+    });
+
+    test('should send agents without a session to the sign-in page', async () => {
+      const token = createToken(phoneScope(phone));
+
+      const response = await request(createApp())
+        .get(`/reply-live/${phone}?token=${token}`)
+        .expect(302);
+
+      expect(response.headers.location).toBe(`/portal/login?next=${encodeURIComponent(`/reply-live/${phone}?token=${token}`)}`);
+    });
+
+    test('should let a signed-in agent with a valid link through', async () => {
+      const token = createToken(phoneScope(phone));
+
+      const response = await request(createApp())
+        .get(`/reply-live/${phone}?token=${token}`)
+        .set('Cookie', sessionCookieFor('Keith'))
+        .expect(200);
+
+      expect(response.body).toEqual({ agent: 'Keith' });
+    });
+
+    test('should expose the sending agent to reply handlers', async () => {
+      const token = createToken(phoneScope(phone));
+
+      const response = await request(createApp())
+        .post(`/reply-live/${phone}?token=${token}`)
+        .set('Cookie', sessionCookieFor('Nikki'))
+        .send({ replyText: 'Hello' })
+        .expect(200);
+
+      expect(response.body).toEqual({ agent: 'Nikki', email: 'nikki.h@bmasiamusic.com' });
+    });
+
+    test('should reject API calls without a session instead of redirecting', async () => {
+      const token = createToken(phoneScope(phone));
+
+      await request(createApp())
+        .post(`/reply-live/${phone}?token=${token}`)
+        .send({ replyText: 'Hello' })
+        .expect(401);
+    });
+
+    test('should reject a tampered session cookie', async () => {
+      const token = createToken(phoneScope(phone));
+      const cookie = sessionCookieFor('Keith').replace(/\.[^.]+$/, '.forged');
+
+      await request(createApp())
+        .post(`/reply-live/${phone}?token=${token}`)
+        .set('Cookie', cookie)
+        .send({ replyText: 'Hello' })
+        .expect(401);
+    });
+
+    test('should reject a link issued for another customer', async () => {
+      const token = createToken(phoneScope('66899999999'));
+
+      await request(createApp())
+        .post(`/reply-live/${phone}?token=${token}`)
+        .set('Cookie', sessionCookieFor('Keith'))
+        .send({ replyText: 'Hello' })
+        .expect(403);
+    });
+
+    test('should sign out an agent removed from the team', async () => {
+      process.env.PORTAL_AGENTS = 'Anna:anna@example.com, Ben';
+      resetConfig();
+      const token = createToken(phoneScope(phone));
+      const cookie = sessionCookieFor('Ben');
+
+      await request(createApp())
+        .post(`/reply-live/${phone}?token=${token}`)
+        .set('Cookie', cookie)
+        .send({ replyText: 'Hello' })
+        .expect(200);
+
+      process.env.PORTAL_AGENTS = 'Anna:anna@example.com';
+      resetConfig();
+
+      await request(createApp())
+        .post(`/reply-live/${phone}?token=${token}`)
+        .set('Cookie', cookie)
+        .send({ replyText: 'Hello' })
+        .expect(401);
+    });
+
+    test('should revoke an agent\'s sessions and sign-in links', async () => {
+      const token = createToken(phoneScope(phone));
+      const cookie = sessionCookieFor('Pom');
+      const signInUrl = new URL(createSignInLink(findAgent('Pom')).url);
+
+      await revokeSignIn('Pom', 'test');
+
+      await request(createApp())
+        .post(`/reply-live/${phone}?token=${token}`)
+        .set('Cookie', cookie)
+        .send({ replyText: 'Hello' })
+        .expect(401);
+      expect(verifySignIn('Pom', signInUrl.searchParams.get('token'))).toBeNull();
+
+      // A newly issued link and session work again
+      const freshUrl = new URL(createSignInLink(findAgent('Pom')).url);
+      expect(verifySignIn('Pom', freshUrl.searchParams.get('token'))).toEqual(findAgent('Pom'));
+      await request(createApp())
+        .post(`/reply-live/${phone}?token=${token}`)
+        .set('Cookie', sessionCookieFor('Pom'))
+        .send({ replyText: 'Hello' })
+        .expect(200);
+    });
+  });
+
+  describe('requireAdmin middleware', () => {
+    function createAdminApp() {
+      const app = express();
+      app.get('/api/admin/assignment-rules', requireAdmin(), (req, res) => {
+        res.json({ adminUser: req.adminUser });
+      });
+      return app;
+    }
+
+    afterEach(() => {
+      resetConfig();
+    });
+
+    test('should stay disabled without ADMIN_API_TOKEN', async () => {
+      delete process.env.ADMIN_API_TOKEN;
+      resetConfig();
+
+      await request(createAdminApp())
+        .get('/api/admin/assignment-rules')
+        .set('Authorization', 'Bearer anything')
+        .expect(503);
+    });
+
+    test('should only accept the admin bearer token', async () => {
+      process.env.ADMIN_API_TOKEN = 'admin_token';
+      resetConfig();
+
+      await request(createAdminApp())
+        .get('/api/admin/assignment-rules')
+        .set('Authorization', 'Bearer wrong_token')
+        .expect(401);
+
+      const response = await request(createAdminApp())
+        .get('/api/admin/assignment-rules')
+        .set('Authorization', 'Bearer admin_token')
+        .set('X-Admin-User', 'Norbert')
+        .expect(200);
+      expect(response.body.adminUser).toBe('Norbert');
+    });
+  });
+});
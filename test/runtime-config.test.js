@@ -0,0 +1,98 @@
+// Runtime configuration tests for BMA Messenger Hub
+// Tests validation of secrets and hosts read from the environment
+
+const { parseConfig } = require('../src/config/runtime');
+
+const completeEnv = {
+  WHATSAPP_API_URL: 'https://graph.facebook.com/v18.0',
+  WHATSAPP_ACCESS_TOKEN: 'wa_token',
+  WHATSAPP_PHONE_NUMBER_ID: 'phone_id',
+  WHATSAPP_VERIFY_TOKEN: 'verify_token',
+  LINE_API_URL: 'https://api.line.me/v2',
+  LINE_CHANNEL_ACCESS_TOKEN: 'line_token',
+  LINE_CHANNEL_SECRET: 'line_secret',
+  GOOGLE_CREDENTIALS_JSON: '{"client_email":"bot@example.iam.gserviceaccount.com"}',
+  ELEVENLABS_API_KEY: 'el_key',
+  ELEVENLABS_AGENT_ID: 'agent_1',
+  SOUNDTRACK_API_TOKEN: 'soundtrack_token'
+};
+
+describe('Runtime Configuration', () => {
+  test('should accept a complete development environment', () => {
+    const { config, problems } = parseConfig(completeEnv);
+
+    expect(problems).toEqual([]);
+    expect(config.port).toBe(10000);
+    expect(config.elevenLabs).toEqual({ apiKey: 'el_key', agentId: 'agent_1' });
+    expect(config.googleChat.spaceId).toBe('spaces/AAQAfKFrdxQ');
+  });
+
+  test('should report every missing secret by its environment variable', () => {
+    const { ELEVENLABS_API_KEY, SOUNDTRACK_API_TOKEN, ...env } = completeEnv;
+
+    const { config, problems } = parseConfig({ ...env, WHATSAPP_ACCESS_TOKEN: '  ' });
+
+    expect(problems).toEqual([
+      'WHATSAPP_ACCESS_TOKEN is not set',
+      'ELEVENLABS_API_KEY is not set',
+      'SOUNDTRACK_API_TOKEN is not set'
+    ]);
+    // No built-in fallbacks
+    expect(config.elevenLabs.apiKey).toBeUndefined();
+    expect(config.soundtrack.apiToken).toBeUndefined();
+  });
+
+  test('should require the public URL and portal secrets in production', () => {
+    const { problems } = parseConfig({ ...completeEnv, NODE_ENV: 'production' });
+
+    expect(problems).toEqual([
+      'PUBLIC_URL is not set',
+      'PORTAL_SECRET is not set',
+      'WHATSAPP_APP_SECRET is not set',
+      'ELEVENLABS_TOOL_SECRET is not set'
+    ]);
+  });
+
+  test('should build links on PUBLIC_URL, or localhost outside production', () => {
+    expect(parseConfig({ ...completeEnv, PUBLIC_URL: 'https://staging.example.com/' }).config.publicUrl)
+      .toBe('https://staging.example.com');
+    expect(parseConfig({ ...completeEnv, PORT: '3000' }).config.publicUrl).toBe('http://localhost:3000');
+  });
+
+  test('should reject malformed values', () => {
+    const { config, problems } = parseConfig({ ...completeEnv, PUBLIC_URL: 'hub.example.com', PORT: 'abc' });
+
+    expect(config).toBeNull();
+    expect(problems).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^PUBLIC_URL: /),
+      expect.stringMatching(/^PORT: /)
+    ]));
+  });
+
+  test('should reject Google credentials that are not JSON', () => {
+    const { problems } = parseConfig({ ...completeEnv, GOOGLE_CREDENTIALS_JSON: '{not json' });
+
+    expect(problems).toEqual(['GOOGLE_CREDENTIALS_JSON is not valid JSON']);
+  });
+
+  test('should read tunables with their defaults', () => {
+    const defaults = parseConfig(completeEnv).config;
+    expect(defaults.portal).toMatchObject({ linkTtlHours: 24, sessionHours: 12 });
+    expect(defaults.messageHistory.retentionHours).toBe(24);
+    expect(defaults.webhooks).toEqual({ skipSignature: false, dedupWindowHours: 24 });
+    expect(defaults.whatsApp.replyTemplate).toBe('agent_reply');
+
+    const { config, problems } = parseConfig({
+      ...completeEnv,
+      MESSAGE_HISTORY_RETENTION_HOURS: '48',
+      PORTAL_SESSION_HOURS: '',
+      WHATSAPP_TEMPLATES: '{not json'
+    });
+    expect(config.messageHistory.retentionHours).toBe(48);
+    expect(config.portal.sessionHours).toBe(12);
+    expect(problems).toEqual(['WHATSAPP_TEMPLATES is not valid JSON']);
+
+    expect(parseConfig({ ...completeEnv, PORTAL_LINK_TTL_HOURS: 'a day' }).problems)
+      .toEqual([expect.stringMatching(/^PORTAL_LINK_TTL_HOURS: /)]);
+  });
+});
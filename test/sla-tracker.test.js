@@ -0,0 +1,162 @@
+// SLA tracking tests for BMA Messenger Hub
+// Tests SLA deadlines, reminder and breach alerts and escalation timestamps
+
+jest.mock('../src/services/settings-store', () => ({
+  getSetting: jest.fn().mockResolvedValue(null),
+  saveSetting: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../src/services/database', () => ({
+  getPool: jest.fn().mockReturnValue(null)
+}));
+jest.mock('../src/services/google-chat-simple', () => ({
+  sendThreadReply: jest.fn().mockResolvedValue({ name: 'spaces/test/messages/1' }),
+  getMentionForEmail: jest.fn((email) => `<users/${email}>`)
+}));
+
+const { sendThreadReply } = require('../src/services/google-chat-simple');
+
+// Monday 19 October 2026 in Bangkok
+const MORNING = new Date('2026-10-19T10:00:00+07:00').getTime();
+const LATE_EVENING = new Date('2026-10-19T20:30:00+07:00').getTime();
+const MINUTE = 60 * 1000;
+const THREAD = 'spaces/test/threads/abc';
+const keith = { name: 'Keith', email: 'keith@bmasiamusic.com' };
+
+function loadServices() {
+  let services;
+  jest.isolateModules(() => {
+    services = {
+      policies: require('../src/services/sla-policies').slaPolicies,
+      calendar: require('../src/services/business-hours').businessHours,
+      tracker: require('../src/services/sla-tracker').slaTracker,
+      escalations: require('../src/services/escalation-store')
+    };
+  });
+  return services;
+}
+
+describe('SLA Tracker', () => {
+  beforeEach(() => {
+    sendThreadReply.mockClear();
+  });
+
+  test('should fix deadlines from the urgency policy', async () => {
+    const { tracker } = loadServices();
+
+    const high = await tracker.trackEscalation('66811111111', { urgency: 'high', threadName: THREAD, assignee: keith }, MORNING);
+    const unknown = await tracker.trackEscalation('66822222222', { urgency: 'whenever' }, LATE_EVENING);
+
+    expect(high).toMatchObject({
+      urgency: 'high',
+      firstReplyDueAt: MORNING + 15 * MINUTE,
+      resolutionDueAt: MORNING + 240 * MINUTE,
+      backup: { name: 'Norbert', email: 'norbert@bmasiamusic.com' }
+    });
+    expect(unknown.urgency).toBe('medium');
+    expect(unknown.firstReplyDueAt).toBe(new Date('2026-10-20T08:30:00+07:00').getTime());
+  });
+
+  test('should remind the assignee, then call in the backup on a breach', async () => {
+    const { tracker } = loadServices();
+    await tracker.trackEscalation('66811111111', { customerName: 'Somchai', urgency: 'high', threadName: THREAD, assignee: keith }, MORNING);
+
+    expect(await tracker.check(MORNING + 5 * MINUTE)).toEqual({ reminders: 0, breaches: 0 });
+    expect(await tracker.check(MORNING + 12 * MINUTE)).toEqual({ reminders: 1, breaches: 0 });
+    expect(sendThreadReply).toHaveBeenLastCalledWith(expect.any(String), THREAD, expect.stringContaining('<users/keith@bmasiamusic.com> *SLA reminder:* Somchai (+66811111111) is still waiting'));
+
+    expect(await tracker.check(MORNING + 16 * MINUTE)).toEqual({ reminders: 0, breaches: 1 });
+    const breach = sendThreadReply.mock.calls[1][2];
+    expect(breach).toContain('<users/keith@bmasiamusic.com> *SLA breached:*');
+    expect(breach).toContain('<users/norbert@bmasiamusic.com> please step in');
+
+    // Each alert is posted once
+    expect(await tracker.check(MORNING + 17 * MINUTE)).toEqual({ reminders: 0, breaches: 0 });
+  });
+
+  test('should stop first reply alerts once the team replies', async () => {
+    const { tracker } = loadServices();
+    await tracker.trackEscalation('66811111111', { urgency: 'high', assignee: keith }, MORNING);
+
+    const replied = await tracker.recordReply('66811111111', MORNING + 10 * MINUTE);
+    expect(replied.firstReplyAt).toBe(MORNING + 10 * MINUTE);
+    expect(await tracker.recordReply('66811111111', MORNING + 11 * MINUTE)).toBeNull();
+
+    expect(await tracker.check(MORNING + 20 * MINUTE)).toEqual({ reminders: 0, breaches: 0 });
+    expect(await tracker.check(MORNING + 241 * MINUTE)).toEqual({ reminders: 0, breaches: 1 });
+    expect(sendThreadReply.mock.calls[0][2]).toContain("wasn't resolved by");
+  });
+
+  test("should count the assigned team's business hours", async () => {
+    const { tracker, calendar } = loadServices();
+    const officeHours = [{ start: '09:00', end: '18:00' }];
+    calendar.apply({
+      schedule: { mon: [{ start: '08:00', end: '21:00' }], tue: [{ start: '08:00', end: '21:00' }] },
+      teams: [{ id: 'billing', schedule: { mon: officeHours, tue: officeHours } }]
+    }, 'defaults');
+    const closing = new Date('2026-10-19T17:50:00+07:00').getTime();
+
+    const billing = await tracker.trackEscalation('66811111111', { urgency: 'high', teamId: 'billing' }, closing);
+    const others = await tracker.trackEscalation('66822222222', { urgency: 'high' }, closing);
+
+    expect(billing.firstReplyDueAt).toBe(new Date('2026-10-20T09:05:00+07:00').getTime());
+    expect(others.firstReplyDueAt).toBe(closing + 15 * MINUTE);
+  });
+
+  test('should keep the original deadlines when a customer escalates again', async () => {
+    const { tracker } = loadServices();
+    const first = await tracker.trackEscalation('66811111111', { urgency: 'low', threadName: THREAD }, MORNING);
+    const again = await tracker.trackEscalation('66811111111', { urgency: 'high', threadName: 'spaces/test/threads/new', assignee: keith }, MORNING + 30 * MINUTE);
+
+    expect(again).toMatchObject({ id: first.id, urgency: 'low', firstReplyDueAt: first.firstReplyDueAt, threadName: 'spaces/test/threads/new', assignee: keith });
+    expect(await tracker.getOpen()).toHaveLength(1);
+  });
+
+  test('should summarize met and breached targets', async () => {
+    const { tracker } = loadServices();
+    await tracker.trackEscalation('66811111111', { urgency: 'high' }, MORNING);
+    await tracker.trackEscalation('66822222222', { urgency: 'high' }, MORNING);
+    await tracker.recordReply('66811111111', MORNING + 5 * MINUTE);
+    await tracker.recordResolution('66811111111', MORNING + 60 * MINUTE);
+
+    expect(await tracker.getSummary(MORNING - MINUTE, MORNING + 30 * MINUTE)).toEqual({
+      open: 1,
+      firstReply: { met: 1, breached: 1 },
+      resolution: { met: 1, breached: 0 }
+    });
+  });
+
+  test('should track timestamps from the escalation store', async () => {
+    const { tracker, escalations } = loadServices();
+
+    await escalations.markEscalated('+66 81 111 1111', null, 'Somchai', 'conv_1', [], { assignee: keith, ruleName: 'Technical support' },
+      { urgency: 'high', spaceId: 'spaces/test', threadName: THREAD });
+    await escalations.extendEscalation('66811111111');
+    await escalations.clearEscalation('66811111111');
+
+    const [record] = tracker.records;
+    expect(record).toMatchObject({ phone: '66811111111', urgency: 'high', spaceId: 'spaces/test', threadName: THREAD, assignee: keith });
+    expect(record.firstReplyAt).toEqual(expect.any(Number));
+    expect(record.resolvedAt).toBeGreaterThanOrEqual(record.firstReplyAt);
+    expect(await tracker.getOpen()).toEqual([]);
+  });
+
+  test('should reject invalid policies and keep the active ones', async () => {
+    const { policies } = loadServices();
+    const invalid = {
+      backup: { name: 'Norbert' },
+      policies: {
+        high: { firstReplyMinutes: 30, resolutionMinutes: 10 },
+        medium: { firstReplyMinutes: 60, resolutionMinutes: 480 }
+      }
+    };
+
+    await expect(policies.update(invalid, 'norbert')).rejects.toMatchObject({
+      name: 'SlaPoliciesError',
+      problems: expect.arrayContaining([
+        'policies.high: resolutionMinutes must not be shorter than firstReplyMinutes',
+        'policies.low: Required'
+      ])
+    });
+    expect(policies.getPolicy('high').firstReplyMinutes).toBe(15);
+  });
+});
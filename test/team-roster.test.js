@@ -0,0 +1,99 @@
+// Team roster tests for BMA Messenger Hub
+// Tests Bangkok shifts, on-duty status and roster validation
+
+jest.mock('../src/services/settings-store', () => ({
+  getSetting: jest.fn().mockResolvedValue(null),
+  saveSetting: jest.fn().mockResolvedValue(null)
+}));
+
+const { TeamRoster, TeamRosterError, getBangkokTime } = require('../src/services/team-roster');
+
+// Monday 19 October 2026, in UTC - Bangkok is UTC+7
+const mondayAt = (bangkokTime) => new Date(`2026-10-19T${bangkokTime}:00+07:00`);
+
+describe('Team Roster', () => {
+  let roster;
+
+  beforeEach(() => {
+    roster = new TeamRoster();
+    roster.apply({
+      members: [
+        { name: 'Keith', email: 'keith@bmasiamusic.com', shifts: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '18:00' }] },
+        { name: 'Pom', email: 'pom@bmasiamusic.com', shifts: [{ days: ['mon'], start: '22:00', end: '06:00' }] },
+        { name: 'Nikki', email: 'nikki.h@bmasiamusic.com', onDuty: false }
+      ],
+      teams: [{ id: 'technical', name: 'Technical support', members: ['keith', 'Pom'] }]
+    }, 'defaults');
+  });
+
+  test('should read the day and time in Bangkok', () => {
+    expect(getBangkokTime(new Date('2026-10-19T20:30:00Z'))).toEqual({ day: 'tue', minutes: 3 * 60 + 30 });
+  });
+
+  test('should check shifts in Bangkok time', () => {
+    const keith = roster.findMember('Keith');
+
+    expect(roster.isWorking(keith, mondayAt('09:00'))).toBe(true);
+    expect(roster.isWorking(keith, mondayAt('17:59'))).toBe(true);
+    expect(roster.isWorking(keith, mondayAt('18:00'))).toBe(false);
+    expect(roster.isWorking(keith, new Date('2026-10-24T10:00:00+07:00'))).toBe(false);
+  });
+
+  test('should run overnight shifts into the next morning', () => {
+    const pom = roster.findMember('Pom');
+
+    expect(roster.isWorking(pom, mondayAt('23:00'))).toBe(true);
+    expect(roster.isWorking(pom, new Date('2026-10-20T05:00:00+07:00'))).toBe(true);
+    expect(roster.isWorking(pom, new Date('2026-10-20T23:00:00+07:00'))).toBe(false);
+    expect(roster.isWorking(pom, mondayAt('05:00'))).toBe(false);
+  });
+
+  test('should only count on-duty members as available', async () => {
+    const nikki = roster.findMember('nikki');
+    // No shifts - available whenever on duty
+    expect(roster.isAvailable(nikki, mondayAt('03:00'))).toBe(false);
+
+    await roster.setOnDuty('Nikki', true, 'Nikki');
+
+    expect(roster.isAvailable(roster.findMember('Nikki'), mondayAt('03:00'))).toBe(true);
+    expect(await roster.setOnDuty('Somchai', true, 'admin')).toBeNull();
+  });
+
+  test('should list team members in team order', () => {
+    expect(roster.getTeamMembers(roster.getTeam('technical')).map(member => member.name)).toEqual(['Keith', 'Pom']);
+  });
+
+  test('should reject bad shift times and strategies', () => {
+    expect(() => roster.validate({
+      members: [{ name: 'Keith', shifts: [{ days: ['mon'], start: '9am', end: '18:00' }] }],
+      teams: [{ id: 'technical', name: 'Technical', members: ['Keith'], strategy: 'random' }]
+    })).toThrow(TeamRosterError);
+  });
+
+  test('should reject duplicate members and teams naming someone off the roster', () => {
+    let error;
+    try {
+      roster.validate({
+        members: [{ name: 'Keith' }, { name: 'keith' }],
+        teams: [{ id: 'sales', name: 'Sales', members: ['Nikki'] }]
+      });
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    expect(error).toBeInstanceOf(TeamRosterError);
+    expect(error.problems).toEqual([
+      'members.1.name: duplicate member "keith"',
+      'teams.0.members.0: "Nikki" is not a roster member'
+    ]);
+  });
+
+  test('should ship a roster the default assignment rules can use', () => {
+    const { AssignmentRules } = require('../src/services/assignment-rules');
+    const shipped = new TeamRoster();
+
+    for (const rule of new AssignmentRules().getRules().rules) {
+      expect(shipped.getTeam(rule.team)).not.toBeNull();
+    }
+  });
+});
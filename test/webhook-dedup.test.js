@@ -0,0 +1,113 @@
+// Webhook deduplication tests for BMA Messenger Hub
+// Tests that redelivered WhatsApp/LINE events are detected within the window
+
+jest.mock('../src/services/database', () => ({
+  getPool: jest.fn()
+}));
+
+// Shared across jest.isolateModules registries
+const mockRunMigrations = jest.fn().mockResolvedValue([]);
+jest.mock('../src/services/migrations', () => ({
+  runMigrations: mockRunMigrations
+}));
+
+const { getPool } = require('../src/services/database');
+
+function loadWebhookDedup() {
+  let service;
+  jest.isolateModules(() => {
+    service = require('../src/services/webhook-dedup');
+  });
+  return service;
+}
+
+describe('Webhook Dedup Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.WEBHOOK_DEDUP_WINDOW_HOURS;
+  });
+
+  describe('In-memory fallback (no DATABASE_URL)', () => {
+    let dedup;
+
+    beforeEach(() => {
+      getPool.mockReturnValue(null);
+      dedup = loadWebhookDedup();
+    });
+
+    test('should accept the first delivery and flag repeats', async () => {
+      expect(await dedup.isDuplicate('whatsapp', 'wamid.1')).toBe(false);
+      expect(await dedup.isDuplicate('whatsapp', 'wamid.1')).toBe(true);
+      expect(await dedup.isDuplicate('whatsapp', 'wamid.2')).toBe(false);
+    });
+
+    test('should keep platforms separate', async () => {
+      expect(await dedup.isDuplicate('whatsapp', 'same_id')).toBe(false);
+      expect(await dedup.isDuplicate('line', 'same_id')).toBe(false);
+    });
+
+    test('should never flag events without an ID', async () => {
+      expect(await dedup.isDuplicate('line', undefined)).toBe(false);
+      expect(await dedup.isDuplicate('line', undefined)).toBe(false);
+    });
+
+    test('should accept a repeat once the window has passed', async () => {
+      process.env.WEBHOOK_DEDUP_WINDOW_HOURS = '1';
+      dedup = loadWebhookDedup();
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      expect(await dedup.isDuplicate('line', 'event_1')).toBe(false);
+
+      clock.mockReturnValue(now + 30 * 60 * 1000);
+      expect(await dedup.isDuplicate('line', 'event_1')).toBe(true);
+
+      clock.mockReturnValue(now + 61 * 60 * 1000);
+      expect(await dedup.isDuplicate('line', 'event_1')).toBe(false);
+      expect(dedup.getStats().windowHours).toBe(1);
+    });
+  });
+
+  describe('PostgreSQL storage', () => {
+    let pool;
+    let dedup;
+
+    beforeEach(() => {
+      pool = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }) };
+      getPool.mockReturnValue(pool);
+      dedup = loadWebhookDedup();
+    });
+
+    test('should run schema migrations before first use', async () => {
+      mockRunMigrations.mockClear();
+
+      await dedup.isDuplicate('whatsapp', 'wamid.1');
+
+      expect(mockRunMigrations).toHaveBeenCalledTimes(1);
+    });
+
+    test('should treat an inserted key as new and a conflict as a repeat', async () => {
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('INSERT INTO webhook_dedup')) return { rows: [{ key: 'whatsapp:wamid.1' }], rowCount: 1 };
+        return { rows: [], rowCount: 0 };
+      });
+      expect(await dedup.isDuplicate('whatsapp', 'wamid.1')).toBe(false);
+
+      const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO webhook_dedup'));
+      expect(insert[1][0]).toBe('whatsapp:wamid.1');
+
+      pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+      expect(await dedup.isDuplicate('whatsapp', 'wamid.1')).toBe(true);
+    });
+
+    test('should fall back to memory when the database fails', async () => {
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('INSERT')) throw new Error('connection lost');
+        return { rows: [], rowCount: 0 };
+      });
+
+      expect(await dedup.isDuplicate('line', 'event_1')).toBe(false);
+      expect(await dedup.isDuplicate('line', 'event_1')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,302 @@
+// Webhook signature verification tests for BMA Messenger Hub
+// Uses signed fixtures to test X-Hub-Signature-256 (WhatsApp) and X-Line-Signature (LINE) verification,
+// and the shared secret on ElevenLabs tool calls
+
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+const {
+  captureRawBody,
+  verifyWhatsAppSignature,
+  requireWhatsAppSignature,
+  verifyLineSignature,
+  requireLineSignature,
+  requireElevenLabsToolSecret
+} = require('../src/webhooks/signature');
+const { resetConfig } = require('../src/config/runtime');
+
+const TEST_APP_SECRET = 'test_app_secret';
+const TEST_CHANNEL_SECRET = 'test_channel_secret';
+const TEST_TOOL_SECRET = 'test_tool_secret';
+
+// Raw payload exactly as Meta would deliver it (signature covers these bytes)
+const whatsAppPayload = JSON.stringify({
+  object: 'whatsapp_business_account',
+  entry: [{
+    id: 'entry_id',
+    changes: [{
+      value: {
+        messaging_product: 'whatsapp',
+        metadata: { display_phone_number: '1234567890', phone_number_id: 'phone_id' },
+        contacts: [{ profile: { name: 'John Doe' }, wa_id: '66812345678' }],
+        messages: [{
+          from: '66812345678',
+          id: 'wamid.test',
+          timestamp: '1640995200',
+          text: { body: 'Hello, I need technical support' },
+          type: 'text'
+        }]
+      },
+      field: 'messages'
+    }]
+  }]
+});
+
+const linePayload = JSON.stringify({
+  destination: 'destination_id',
+  events: [{
+    type: 'message',
+    mode: 'active',
+    timestamp: 1640995200000,
+    source: { type: 'user', userId: 'U1234567890abcdef1234567890abcdef' },
+    webhookEventId: '01HTESTEVENT',
+    deliveryContext: { isRedelivery: false },
+    message: { id: 'message_id', type: 'text', text: 'สวัสดีครับ music is not playing' },
+    replyToken: 'reply_token'
+  }]
+});
+
+function signLine(body, secret = TEST_CHANNEL_SECRET) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64');
+}
+
+function signWhatsApp(body, secret = TEST_APP_SECRET) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function createApp() {
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.post('/webhooks/whatsapp', requireWhatsAppSignature, (req, res) => {
+    res.status(200).json({ received: req.body.entry[0].id });
+  });
+  app.post('/webhooks/line', requireLineSignature, (req, res) => {
+    res.status(200).json({ received: req.body.events[0].webhookEventId });
+  });
+  app.post('/api/elevenlabs/gate', requireElevenLabsToolSecret, (req, res) => {
+    res.status(200).json({ action: 'respond' });
+  });
+  return app;
+}
+
+describe('Webhook Signature Verification', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = {
+      ...originalEnv,
+      WHATSAPP_APP_SECRET: TEST_APP_SECRET,
+      LINE_CHANNEL_SECRET: TEST_CHANNEL_SECRET,
+      ELEVENLABS_TOOL_SECRET: TEST_TOOL_SECRET,
+      NODE_ENV: 'test'
+    };
+    delete process.env.SKIP_WEBHOOK_SIGNATURE;
+    delete process.env.WHATSAPP_WEBHOOK_SECRET;
+    resetConfig();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('verifyWhatsAppSignature', () => {
+    test('should accept a valid signature', () => {
+      expect(verifyWhatsAppSignature(Buffer.from(whatsAppPayload), signWhatsApp(whatsAppPayload), TEST_APP_SECRET)).toBe(true);
+    });
+
+    test('should reject a signature made with another secret', () => {
+      expect(verifyWhatsAppSignature(Buffer.from(whatsAppPayload), signWhatsApp(whatsAppPayload, 'other'), TEST_APP_SECRET)).toBe(false);
+    });
+
+    test('should reject a header without the sha256= prefix', () => {
+      const bare = signWhatsApp(whatsAppPayload).replace('sha256=', '');
+      expect(verifyWhatsAppSignature(Buffer.from(whatsAppPayload), bare, TEST_APP_SECRET)).toBe(false);
+    });
+
+    test('should reject a missing body', () => {
+      expect(verifyWhatsAppSignature(undefined, signWhatsApp(whatsAppPayload), TEST_APP_SECRET)).toBe(false);
+    });
+  });
+
+  describe('POST /webhooks/whatsapp', () => {
+    test('should accept a correctly signed payload', async () => {
+      const response = await request(createApp())
+        .post('/webhooks/whatsapp')
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', signWhatsApp(whatsAppPayload))
+        .send(whatsAppPayload)
+        .expect(200);
+
+      expect(response.body).toEqual({ received: 'entry_id' });
+    });
+
+    test('should verify against the raw bytes, not re-serialized JSON', async () => {
+      const spaced = whatsAppPayload.replace('"object":', '"object" : ');
+
+      await request(createApp())
+        .post('/webhooks/whatsapp')
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', signWhatsApp(spaced))
+        .send(spaced)
+        .expect(200);
+    });
+
+    test('should reject a tampered payload', async () => {
+      const tampered = whatsAppPayload.replace('technical support', 'a refund');
+
+      await request(createApp())
+        .post('/webhooks/whatsapp')
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', signWhatsApp(whatsAppPayload))
+        .send(tampered)
+        .expect(401);
+    });
+
+    test('should reject a request without signature', async () => {
+      await request(createApp())
+        .post('/webhooks/whatsapp')
+        .set('Content-Type', 'application/json')
+        .send(whatsAppPayload)
+        .expect(401);
+    });
+
+    test('should reject everything when no app secret is configured', async () => {
+      delete process.env.WHATSAPP_APP_SECRET;
+      resetConfig();
+
+      await request(createApp())
+        .post('/webhooks/whatsapp')
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', signWhatsApp(whatsAppPayload))
+        .send(whatsAppPayload)
+        .expect(403);
+    });
+
+    test('should fall back to WHATSAPP_WEBHOOK_SECRET', async () => {
+      delete process.env.WHATSAPP_APP_SECRET;
+      process.env.WHATSAPP_WEBHOOK_SECRET = TEST_APP_SECRET;
+      resetConfig();
+
+      await request(createApp())
+        .post('/webhooks/whatsapp')
+        .set('Content-Type', 'application/json')
+        .set('X-Hub-Signature-256', signWhatsApp(whatsAppPayload))
+        .send(whatsAppPayload)
+        .expect(200);
+    });
+
+    test('should skip verification with SKIP_WEBHOOK_SIGNATURE outside production', async () => {
+      process.env.SKIP_WEBHOOK_SIGNATURE = 'true';
+      resetConfig();
+
+      await request(createApp())
+        .post('/webhooks/whatsapp')
+        .set('Content-Type', 'application/json')
+        .send(whatsAppPayload)
+        .expect(200);
+    });
+
+    test('should ignore SKIP_WEBHOOK_SIGNATURE in production', async () => {
+      process.env.SKIP_WEBHOOK_SIGNATURE = 'true';
+      process.env.NODE_ENV = 'production';
+      resetConfig();
+
+      await request(createApp())
+        .post('/webhooks/whatsapp')
+        .set('Content-Type', 'application/json')
+        .send(whatsAppPayload)
+        .expect(401);
+    });
+  });
+
+  describe('verifyLineSignature', () => {
+    test('should accept a valid signature over multi-byte content', () => {
+      expect(verifyLineSignature(Buffer.from(linePayload), signLine(linePayload), TEST_CHANNEL_SECRET)).toBe(true);
+    });
+
+    test('should reject a signature made with another secret', () => {
+      expect(verifyLineSignature(Buffer.from(linePayload), signLine(linePayload, 'other'), TEST_CHANNEL_SECRET)).toBe(false);
+    });
+  });
+
+  describe('POST /webhooks/line', () => {
+    test('should accept a correctly signed payload', async () => {
+      const response = await request(createApp())
+        .post('/webhooks/line')
+        .set('Content-Type', 'application/json')
+        .set('X-Line-Signature', signLine(linePayload))
+        .send(linePayload)
+        .expect(200);
+
+      expect(response.body).toEqual({ received: '01HTESTEVENT' });
+    });
+
+    test('should reject a tampered payload', async () => {
+      const tampered = linePayload.replace('not playing', 'playing fine');
+
+      await request(createApp())
+        .post('/webhooks/line')
+        .set('Content-Type', 'application/json')
+        .set('X-Line-Signature', signLine(linePayload))
+        .send(tampered)
+        .expect(401);
+    });
+
+    test('should reject a request without signature', async () => {
+      await request(createApp())
+        .post('/webhooks/line')
+        .set('Content-Type', 'application/json')
+        .send(linePayload)
+        .expect(401);
+    });
+
+    test('should reject everything when no channel secret is configured', async () => {
+      delete process.env.LINE_CHANNEL_SECRET;
+      resetConfig();
+
+      await request(createApp())
+        .post('/webhooks/line')
+        .set('Content-Type', 'application/json')
+        .set('X-Line-Signature', signLine(linePayload))
+        .send(linePayload)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/elevenlabs/gate', () => {
+    const gateCall = { conversation_id: 'conv_1' };
+
+    test('should accept a tool call with the shared secret', async () => {
+      await request(createApp())
+        .post('/api/elevenlabs/gate')
+        .set('X-Tool-Secret', TEST_TOOL_SECRET)
+        .send(gateCall)
+        .expect(200);
+    });
+
+    test('should reject a missing or wrong secret', async () => {
+      await request(createApp())
+        .post('/api/elevenlabs/gate')
+        .send(gateCall)
+        .expect(401);
+
+      await request(createApp())
+        .post('/api/elevenlabs/gate')
+        .set('X-Tool-Secret', 'guessed')
+        .send(gateCall)
+        .expect(401);
+    });
+
+    test('should reject everything when no tool secret is configured', async () => {
+      delete process.env.ELEVENLABS_TOOL_SECRET;
+      resetConfig();
+
+      await request(createApp())
+        .post('/api/elevenlabs/gate')
+        .set('X-Tool-Secret', TEST_TOOL_SECRET)
+        .send(gateCall)
+        .expect(403);
+    });
+  });
+});
@@ -3,6 +3,7 @@
 
 const request = require('supertest');
 const express = require('express');
+const { resetConfig } = require('../src/config/runtime');
 
 // Mock all external services before importing the main app
 jest.mock('../src/services/google-chat-simple');
@@ -256,10 +257,12 @@ describe('Webhook Endpoints', () => {
 
     afterEach(() => {
       process.env = originalEnv;
+      resetConfig();
     });
 
     test('should verify webhook with correct token', async () => {
       process.env.WHATSAPP_VERIFY_TOKEN = 'test_verify_token';
+      resetConfig();
 
       const response = await request(app)
         .get('/webhooks/whatsapp')
@@ -275,6 +278,7 @@ describe('Webhook Endpoints', () => {
 
     test('should reject webhook with incorrect token', async () => {
       process.env.WHATSAPP_VERIFY_TOKEN = 'correct_token';
+      resetConfig();
 
       await request(app)
         .get('/webhooks/whatsapp')
@@ -288,6 +292,7 @@ describe('Webhook Endpoints', () => {
 
     test('should reject webhook with incorrect mode', async () => {
       process.env.WHATSAPP_VERIFY_TOKEN = 'test_verify_token';
+      resetConfig();
 
       await request(app)
         .get('/webhooks/whatsapp')
@@ -299,19 +304,17 @@ describe('Webhook Endpoints', () => {
         .expect(403);
     });
 
-    test('should use default token when env var not set', async () => {
+    test('should reject verification when no verify token is configured', async () => {
       delete process.env.WHATSAPP_VERIFY_TOKEN;
+      resetConfig();
 
-      const response = await request(app)
+      await request(app)
         .get('/webhooks/whatsapp')
         .query({
           'hub.mode': 'subscribe',
-          'hub.verify_token': 'bma_whatsapp_verify_2024',
           'hub.challenge': 'challenge_string'
         })
-        .expect(200);
-
-      expect(response.text).toBe('challenge_string');
+        .expect(403);
     });
   });
 
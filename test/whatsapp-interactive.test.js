@@ -0,0 +1,94 @@
+// WhatsApp interactive message tests for BMA Messenger Hub
+// Tests sending reply-button and list messages through the Cloud API
+
+jest.mock('axios');
+
+// The sender reads its credentials when the module loads
+process.env.WHATSAPP_API_URL = 'https://graph.facebook.com/v18.0';
+process.env.WHATSAPP_ACCESS_TOKEN = 'test_token';
+process.env.WHATSAPP_PHONE_NUMBER_ID = 'phone_id';
+
+const axios = require('axios');
+const { sendButtonMessage, sendListMessage } = require('../src/services/whatsapp-sender');
+
+describe('WhatsApp Interactive Messages', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.post.mockResolvedValue({ data: { messages: [{ id: 'wamid.menu' }] } });
+  });
+
+  test('should send reply buttons', async () => {
+    const result = await sendButtonMessage('+66812345678', 'How can we help?', [
+      { id: 'zone_status', title: 'Check my zone status' },
+      { id: 'talk_to_person', title: 'Talk to a person' },
+      { id: 'billing', title: 'Billing' }
+    ], { footer: 'BMAsia Support' });
+
+    const [url, payload] = axios.post.mock.calls[0];
+    expect(url).toBe('https://graph.facebook.com/v18.0/phone_id/messages');
+    expect(payload).toEqual({
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: '66812345678',
+      type: 'interactive',
+      interactive: {
+        type: 'button',
+        body: { text: 'How can we help?' },
+        footer: { text: 'BMAsia Support' },
+        action: {
+          buttons: [
+            { type: 'reply', reply: { id: 'zone_status', title: 'Check my zone status' } },
+            { type: 'reply', reply: { id: 'talk_to_person', title: 'Talk to a person' } },
+            { type: 'reply', reply: { id: 'billing', title: 'Billing' } }
+          ]
+        }
+      }
+    });
+    expect(result).toMatchObject({ success: true, messageId: 'wamid.menu' });
+  });
+
+  test('should refuse more than 3 buttons without calling the API', async () => {
+    const buttons = ['a', 'b', 'c', 'd'].map(id => ({ id, title: id }));
+
+    const result = await sendButtonMessage('66812345678', 'Pick one', buttons);
+
+    expect(result.success).toBe(false);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('should send list messages with sections', async () => {
+    await sendListMessage('66812345678', 'What do you need help with?', 'Choose a topic', [
+      {
+        title: 'Billing',
+        rows: [
+          { id: 'billing_invoice', title: 'Invoice copy', description: 'Get your latest invoice' },
+          { id: 'billing_renewal', title: 'Renew my subscription' }
+        ]
+      }
+    ]);
+
+    const [, payload] = axios.post.mock.calls[0];
+    expect(payload.interactive).toEqual({
+      type: 'list',
+      body: { text: 'What do you need help with?' },
+      action: {
+        button: 'Choose a topic',
+        sections: [{
+          title: 'Billing',
+          rows: [
+            { id: 'billing_invoice', title: 'Invoice copy', description: 'Get your latest invoice' },
+            { id: 'billing_renewal', title: 'Renew my subscription' }
+          ]
+        }]
+      }
+    });
+  });
+
+  test('should return an error result when the API rejects the message', async () => {
+    axios.post.mockRejectedValue(new Error('Request failed with status code 400'));
+
+    const result = await sendButtonMessage('66812345678', 'How can we help?', [{ id: 'billing', title: 'Billing' }]);
+
+    expect(result).toEqual({ success: false, error: 'Request failed with status code 400', phoneNumber: '66812345678' });
+  });
+});
@@ -0,0 +1,137 @@
+// WhatsApp reply router tests for BMA Messenger Hub
+// Tests that menu button taps reach their handler instead of the AI agent
+
+const request = require('supertest');
+const { resetConfig } = require('../src/config/runtime');
+
+jest.mock('../src/services/google-chat-simple', () => ({
+  sendMessage: jest.fn(),
+  loadSpaceMembers: jest.fn().mockResolvedValue([]),
+  getMentionForEmail: jest.fn()
+}));
+jest.mock('../src/services/translator');
+jest.mock('../src/services/whatsapp-sender');
+jest.mock('../src/services/database', () => ({
+  getPool: jest.fn().mockReturnValue(null)
+}));
+
+const { sendMessage, getMentionForEmail } = require('../src/services/google-chat-simple');
+const { sendWhatsAppMessage, sendButtonMessage } = require('../src/services/whatsapp-sender');
+const { whatsAppReplyRouter, isMenuRequest } = require('../src/services/whatsapp-replies');
+const { isEscalated, clearEscalation } = require('../src/services/escalation-store');
+
+process.env.SKIP_WEBHOOK_SIGNATURE = 'true';
+resetConfig();
+
+const app = require('../src/index-simple');
+
+let nextMessageId = 1;
+
+function buildWhatsAppWebhook(phone, message) {
+  return {
+    entry: [{
+      id: 'entry_id',
+      changes: [{
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: '1234567890', phone_number_id: 'phone_id' },
+          contacts: [{ profile: { name: 'Somchai' }, wa_id: phone }],
+          messages: [{
+            from: phone,
+            id: `wamid.reply_${nextMessageId++}`,
+            timestamp: String(Math.floor(Date.now() / 1000)),
+            ...message
+          }]
+        },
+        field: 'messages'
+      }]
+    }]
+  };
+}
+
+function buttonReply(id, title) {
+  return { type: 'interactive', interactive: { type: 'button_reply', button_reply: { id, title } } };
+}
+
+// The webhook answers before processing - wait for the handler to finish
+async function waitFor(check) {
+  for (let i = 0; i < 50 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('WhatsApp Reply Router', () => {
+  test('should pass the value after the colon to the handler', async () => {
+    const handler = jest.fn().mockResolvedValue(true);
+    whatsAppReplyRouter.register('test_reply', handler);
+
+    const handled = await whatsAppReplyRouter.dispatch({
+      phoneNumber: '66812345678',
+      interactiveReply: { type: 'list_reply', id: 'test_reply:zone_1', title: 'Lobby' }
+    });
+
+    expect(handled).toBe(true);
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ phoneNumber: '66812345678' }), 'zone_1');
+  });
+
+  test('should leave unknown ids and failing handlers to the normal flow', async () => {
+    whatsAppReplyRouter.register('test_broken', jest.fn().mockRejectedValue(new Error('boom')));
+
+    expect(await whatsAppReplyRouter.dispatch({ interactiveReply: { id: 'nobody_home' } })).toBe(false);
+    expect(await whatsAppReplyRouter.dispatch({ interactiveReply: { id: 'test_broken' } })).toBe(false);
+  });
+
+  test('should register the main menu ids', () => {
+    expect(whatsAppReplyRouter.getIds()).toEqual(expect.arrayContaining(['zone_status', 'talk_to_person', 'billing']));
+  });
+
+  test('should recognize menu requests', () => {
+    expect(isMenuRequest(' Menu ')).toBe(true);
+    expect(isMenuRequest('เมนู')).toBe(true);
+    expect(isMenuRequest('the menu is broken')).toBe(false);
+  });
+});
+
+describe('WhatsApp Webhook Replies', () => {
+  beforeEach(() => {
+    sendMessage.mockResolvedValue({ success: true, thread: { name: 'spaces/test/threads/t1' } });
+    getMentionForEmail.mockImplementation((email, name) => `@${name}`);
+    sendWhatsAppMessage.mockResolvedValue({ success: true, messageId: 'wamid.ack' });
+    sendButtonMessage.mockResolvedValue({ success: true, messageId: 'wamid.menu' });
+  });
+
+  test('should hand a billing button_reply to the team', async () => {
+    const phone = '66811110001';
+    await clearEscalation(phone);
+
+    const response = await request(app)
+      .post('/webhooks/whatsapp')
+      .send(buildWhatsAppWebhook(phone, buttonReply('billing', 'Billing')));
+
+    expect(response.status).toBe(200);
+    await waitFor(() => sendWhatsAppMessage.mock.calls.length > 0);
+
+    expect(sendMessage).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.stringContaining('*Picked:* Billing question'),
+      expect.objectContaining({ messageType: 'escalation_alert' })
+    );
+    expect(isEscalated(phone)).toBe(true);
+    expect(sendWhatsAppMessage).toHaveBeenCalledWith(phone, expect.stringContaining('passed this to my colleague'));
+  });
+
+  test('should send the main menu when a customer asks for it', async () => {
+    const phone = '66811110002';
+    await clearEscalation(phone);
+
+    await request(app)
+      .post('/webhooks/whatsapp')
+      .send(buildWhatsAppWebhook(phone, { type: 'text', text: { body: 'menu' } }));
+    await waitFor(() => sendButtonMessage.mock.calls.length > 0);
+
+    expect(sendButtonMessage).toHaveBeenCalledWith(phone, expect.any(String), expect.arrayContaining([
+      expect.objectContaining({ id: 'billing' })
+    ]));
+    expect(sendMessage).not.toHaveBeenCalled();
+  });
+});
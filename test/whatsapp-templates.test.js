@@ -0,0 +1,112 @@
+// WhatsApp template tests for BMA Messenger Hub
+// Tests the template registry and the switch to templates outside the 24-hour window
+
+jest.mock('axios');
+
+// The sender reads its credentials when the module loads
+process.env.WHATSAPP_API_URL = 'https://graph.facebook.com/v18.0';
+process.env.WHATSAPP_ACCESS_TOKEN = 'test_token';
+process.env.WHATSAPP_PHONE_NUMBER_ID = 'phone_id';
+
+const axios = require('axios');
+
+function loadTemplates() {
+  let service;
+  jest.isolateModules(() => {
+    service = require('../src/services/whatsapp-templates');
+  });
+  return service;
+}
+
+describe('WhatsApp Templates', () => {
+  afterEach(() => {
+    delete process.env.WHATSAPP_TEMPLATES;
+    delete process.env.WHATSAPP_REPLY_TEMPLATE;
+  });
+
+  describe('Registry', () => {
+    test('should build a body component from named parameters', () => {
+      const { buildTemplatePayload } = loadTemplates();
+
+      const payload = buildTemplatePayload('agent_reply', {
+        customerName: 'John',
+        agentName: 'Pom',
+        message: 'Your zone is back online.\n\nThanks for waiting!'
+      });
+
+      expect(payload).toEqual({
+        name: 'bma_agent_reply',
+        language: { code: 'en' },
+        components: [{
+          type: 'body',
+          parameters: [
+            { type: 'text', text: 'John' },
+            { type: 'text', text: 'Pom' },
+            { type: 'text', text: 'Your zone is back online. Thanks for waiting!' }
+          ]
+        }]
+      });
+    });
+
+    test('should merge templates from WHATSAPP_TEMPLATES', () => {
+      process.env.WHATSAPP_TEMPLATES = JSON.stringify({
+        agent_reply: { language: 'th' },
+        renewal_reminder: { name: 'bma_renewal', language: 'en', parameters: [] }
+      });
+      process.env.WHATSAPP_REPLY_TEMPLATE = 'renewal_reminder';
+      const { getTemplate, getReplyTemplate, buildTemplatePayload } = loadTemplates();
+
+      expect(getTemplate('agent_reply')).toMatchObject({ name: 'bma_agent_reply', language: 'th' });
+      expect(getReplyTemplate().name).toBe('bma_renewal');
+      expect(buildTemplatePayload('renewal_reminder')).toEqual({ name: 'bma_renewal', language: { code: 'en' } });
+    });
+
+    test('should reject unknown templates', () => {
+      const { buildTemplatePayload } = loadTemplates();
+
+      expect(() => buildTemplatePayload('missing')).toThrow('Unknown WhatsApp template: missing');
+    });
+  });
+
+  describe('Sending replies', () => {
+    const { sendReply, isWithinServiceWindow } = require('../src/services/whatsapp-sender');
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      axios.post.mockResolvedValue({ data: { messages: [{ id: 'wamid.out' }] } });
+    });
+
+    test('should treat the window as open for 24 hours after the last customer message', () => {
+      expect(isWithinServiceWindow(Date.now() - 23 * 60 * 60 * 1000)).toBe(true);
+      expect(isWithinServiceWindow(Date.now() - 25 * 60 * 60 * 1000)).toBe(false);
+      expect(isWithinServiceWindow(null)).toBe(false);
+    });
+
+    test('should send free-form text inside the window', async () => {
+      const result = await sendReply('66812345678', 'Hello', { lastIncomingAt: Date.now() - 60 * 1000 });
+
+      const [, payload] = axios.post.mock.calls[0];
+      expect(payload.type).toBe('text');
+      expect(payload.text.body).toBe('Hello');
+      expect(result.template).toBeUndefined();
+    });
+
+    test('should switch to the reply template once the window has closed', async () => {
+      const result = await sendReply('+66 812345678', 'Hello', {
+        lastIncomingAt: Date.now() - 30 * 60 * 60 * 1000,
+        customerName: 'John',
+        agentName: 'Pom'
+      });
+
+      const [url, payload] = axios.post.mock.calls[0];
+      expect(url).toBe('https://graph.facebook.com/v18.0/phone_id/messages');
+      expect(payload).toMatchObject({
+        to: '66812345678',
+        type: 'template',
+        template: { name: 'bma_agent_reply', language: { code: 'en' } }
+      });
+      expect(payload.template.components[0].parameters.map(p => p.text)).toEqual(['John', 'Pom', 'Hello']);
+      expect(result).toMatchObject({ success: true, messageId: 'wamid.out', template: 'bma_agent_reply' });
+    });
+  });
+});